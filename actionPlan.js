@@ -0,0 +1,335 @@
+import { DEFAULT_LOCALE, translate, dimensionTitle } from "./i18n.js";
+import { toCsv } from "./reportCsv.js";
+
+/**
+ * @typedef {"todo" | "in-progress" | "done" | "dropped"} ActionStatus
+ *
+ * @typedef {{
+ *   id: string,
+ *   kind: import("./report.js").GuidanceItem["kind"],
+ *   text: string,
+ *   dimension?: string,
+ *   questionId?: string,
+ *   prompt?: string,
+ *   flagId?: string,
+ *   flagLabel?: string,
+ *   owner: string,
+ *   dueDate: string,
+ *   status: ActionStatus,
+ *   createdAt: string,
+ *   updatedAt: string
+ * }} ActionItem
+ *
+ * @typedef {{
+ *   total: number,
+ *   counts: Record<ActionStatus, number>,
+ *   overdue: string[],
+ *   addressed: string[]
+ * }} ActionPlanProgress
+ */
+
+/** Action statuses in workflow order. */
+export const ACTION_STATUSES = /** @type {ActionStatus[]} */ (["todo", "in-progress", "done", "dropped"]);
+
+/** Longest owner name kept, so a pasted paragraph cannot bloat saved state. */
+export const MAX_ACTION_OWNER_LENGTH = 100;
+
+const GUIDANCE_KINDS = ["risk", "question", "dimension", "general"];
+const DUE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Jira workflow status and resolution for each action status. */
+const JIRA_STATUS = {
+  todo: { status: "To Do", resolution: "" },
+  "in-progress": { status: "In Progress", resolution: "" },
+  done: { status: "Done", resolution: "Done" },
+  dropped: { status: "Done", resolution: "Won't Do" },
+};
+
+/**
+ * Checks whether an action still needs work.
+ * @param {ActionItem} item
+ * @returns {boolean}
+ */
+export function isOpenAction(item) {
+  return item.status === "todo" || item.status === "in-progress";
+}
+
+/**
+ * Checks a `YYYY-MM-DD` due date, rejecting dates that do not exist such as 2026-02-30.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidDueDate(value) {
+  if (!DUE_DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Formats a date as `YYYY-MM-DD` in local time, the value a date input shows. Before the
+ * UTC day rolls over, `toISOString()` would still report yesterday or already tomorrow.
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function toLocalDateString(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Lists every distinct guidance item of a plan in plan order: risk actions, then the
+ * question-level items of each dimension, then dimension tips and general advice.
+ * @param {import("./report.js").GuidancePlan} plan
+ * @returns {import("./report.js").GuidanceItem[]}
+ */
+export function listGuidanceItems(plan) {
+  const items = [
+    ...(plan?.riskActions || []),
+    ...(plan?.dimensions || []).flatMap((group) => group.items),
+    ...(plan?.general || []),
+  ];
+  const seen = new Set();
+  return items.filter((item) => {
+    if (seen.has(item.id)) return false;
+    seen.add(item.id);
+    return true;
+  });
+}
+
+/**
+ * Turns a guidance item into a new action: no owner, no due date, to do. The
+ * guidance id is kept so later runs can tell whether the item is still recommended.
+ * @param {import("./report.js").GuidanceItem} item
+ * @param {string} [now]
+ * @returns {ActionItem}
+ */
+export function createActionItem(item, now = new Date().toISOString()) {
+  return {
+    id: item.id,
+    kind: item.kind,
+    text: item.text,
+    ...(item.dimension ? { dimension: item.dimension } : {}),
+    ...(item.questionId ? { questionId: item.questionId, prompt: item.prompt || "" } : {}),
+    ...(item.flagId ? { flagId: item.flagId, flagLabel: item.flagLabel || item.flagId } : {}),
+    owner: "",
+    dueDate: "",
+    status: "todo",
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Adds guidance items to the plan, skipping those already tracked under the same id.
+ * @param {ActionItem[]} actionPlan
+ * @param {import("./report.js").GuidanceItem[]} items
+ * @param {string} [now]
+ * @returns {ActionItem[]}
+ */
+export function addActionItems(actionPlan, items, now = new Date().toISOString()) {
+  const tracked = new Set(actionPlan.map((item) => item.id));
+  const added = items.filter((item) => !tracked.has(item.id)).map((item) => createActionItem(item, now));
+  return [...actionPlan, ...added];
+}
+
+/**
+ * Validates an owner, due date or status change.
+ * @param {Partial<Pick<ActionItem, "owner" | "dueDate" | "status">>} changes
+ * @returns {Partial<Pick<ActionItem, "owner" | "dueDate" | "status">>}
+ */
+function readActionChanges(changes) {
+  /** @type {Partial<Pick<ActionItem, "owner" | "dueDate" | "status">>} */
+  const out = {};
+  if (changes.owner !== undefined) {
+    if (typeof changes.owner !== "string") throw new Error("An action owner must be text.");
+    out.owner = changes.owner.trim().slice(0, MAX_ACTION_OWNER_LENGTH);
+  }
+  if (changes.dueDate !== undefined) {
+    const dueDate = typeof changes.dueDate === "string" ? changes.dueDate.trim() : null;
+    if (dueDate === null || (dueDate && !isValidDueDate(dueDate))) {
+      throw new Error("An action due date must be a YYYY-MM-DD date.");
+    }
+    out.dueDate = dueDate;
+  }
+  if (changes.status !== undefined) {
+    if (!ACTION_STATUSES.includes(changes.status)) {
+      throw new Error(`An action status must be one of ${ACTION_STATUSES.join(", ")}.`);
+    }
+    out.status = changes.status;
+  }
+  return out;
+}
+
+/**
+ * Updates the owner, due date or status of one action.
+ * @param {ActionItem[]} actionPlan
+ * @param {string} id
+ * @param {Partial<Pick<ActionItem, "owner" | "dueDate" | "status">>} changes
+ * @param {string} [now]
+ * @returns {ActionItem[]}
+ */
+export function updateActionItem(actionPlan, id, changes, now = new Date().toISOString()) {
+  const valid = readActionChanges(changes);
+  return actionPlan.map((item) => (item.id === id ? { ...item, ...valid, updatedAt: now } : item));
+}
+
+/**
+ * Validates an action plan read from a report or saved state.
+ * @param {unknown} source
+ * @returns {ActionItem[]}
+ */
+export function readActionPlan(source) {
+  if (source === undefined || source === null) return [];
+  if (!Array.isArray(source)) throw new Error("The action plan must be a list of actions.");
+
+  const seen = new Set();
+  return source.map((entry, index) => {
+    const label = `Action ${index + 1}`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`${label} must be an object.`);
+    }
+    if (typeof entry.id !== "string" || !entry.id) throw new Error(`${label} needs an id.`);
+    if (seen.has(entry.id)) throw new Error(`${label} repeats the id "${entry.id}".`);
+    seen.add(entry.id);
+    if (typeof entry.text !== "string" || !entry.text.trim()) throw new Error(`${label} needs a text.`);
+    if (!GUIDANCE_KINDS.includes(entry.kind)) {
+      throw new Error(`${label} has an unsupported kind (${entry.kind}).`);
+    }
+
+    let changes;
+    try {
+      changes = readActionChanges({
+        owner: entry.owner ?? "",
+        dueDate: entry.dueDate ?? "",
+        status: entry.status ?? "todo",
+      });
+    } catch (error) {
+      throw new Error(`${label}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+    const text = (key) => (typeof entry[key] === "string" && entry[key] ? { [key]: entry[key] } : {});
+    return {
+      id: entry.id,
+      kind: entry.kind,
+      text: entry.text.trim(),
+      ...text("dimension"),
+      ...text("questionId"),
+      ...text("prompt"),
+      ...text("flagId"),
+      ...text("flagLabel"),
+      ...changes,
+      createdAt: typeof entry.createdAt === "string" ? entry.createdAt : "",
+      updatedAt: typeof entry.updatedAt === "string" ? entry.updatedAt : "",
+    };
+  });
+}
+
+/**
+ * Summarizes progress for the next run: actions per status, open actions past their due
+ * date, and open actions the current guidance no longer recommends because their answer
+ * was raised or their risk flag cleared.
+ * @param {ActionItem[]} actionPlan
+ * @param {import("./report.js").GuidancePlan} guidance
+ * @param {string} [today] Local `YYYY-MM-DD`, so an action due today is not overdue yet.
+ * @returns {ActionPlanProgress}
+ */
+export function summarizeActionPlan(actionPlan, guidance, today = toLocalDateString()) {
+  const recommended = new Set(listGuidanceItems(guidance).map((item) => item.id));
+  const counts = /** @type {Record<ActionStatus, number>} */ (
+    Object.fromEntries(ACTION_STATUSES.map((status) => [status, 0]))
+  );
+  for (const item of actionPlan) counts[item.status] += 1;
+  const open = actionPlan.filter(isOpenAction);
+  return {
+    total: actionPlan.length,
+    counts,
+    overdue: open.filter((item) => item.dueDate && item.dueDate < today).map((item) => item.id),
+    addressed: open.filter((item) => !recommended.has(item.id)).map((item) => item.id),
+  };
+}
+
+/**
+ * Names what an action addresses: the question, the risk flag or the dimension.
+ * @param {ActionItem} item
+ * @param {(key: string, params?: Record<string, unknown>) => string} t
+ * @param {Record<string, string>} [dimensionLabels]
+ * @returns {string}
+ */
+function describeTarget(item, t, dimensionLabels) {
+  const dimension = item.dimension ? dimensionTitle(item.dimension, dimensionLabels) : "";
+  if (item.questionId) {
+    return t("actionPlan.addressesQuestion", { dimension, prompt: item.prompt || item.questionId, id: item.questionId });
+  }
+  if (item.flagId) return t("actionPlan.addressesFlag", { flag: item.flagLabel || item.flagId, id: item.flagId });
+  if (dimension) return t("actionPlan.addressesDimension", { dimension });
+  return "";
+}
+
+/**
+ * Formats the plan as GitHub-issue Markdown: a task list for a tracking issue, then one
+ * section per action whose heading is the issue title and whose body is the issue body.
+ * @param {ActionItem[]} actionPlan
+ * @param {{ locale?: string, dimensionLabels?: Record<string, string> }} [options]
+ * @returns {string}
+ */
+export function formatActionPlanMarkdown(actionPlan, { locale = DEFAULT_LOCALE, dimensionLabels } = {}) {
+  const t = (key, params) => translate(locale, key, params);
+  const lines = [`# ${t("actionPlan.title")}`, ""];
+  if (!actionPlan.length) {
+    lines.push(t("actionPlan.empty"));
+    return `${lines.join("\n")}\n`;
+  }
+
+  for (const item of actionPlan) {
+    lines.push(`- [${item.status === "done" ? "x" : " "}] ${item.status === "dropped" ? `~~${item.text}~~` : item.text}`);
+  }
+  for (const item of actionPlan) {
+    const target = describeTarget(item, t, dimensionLabels);
+    lines.push(
+      "",
+      `## ${item.text}`,
+      "",
+      `- **${t("actionPlan.status")}:** ${t(`actionPlan.status.${item.status}`)}`,
+      `- **${t("actionPlan.owner")}:** ${item.owner || t("actionPlan.unassigned")}`,
+      `- **${t("actionPlan.due")}:** ${item.dueDate || "—"}`,
+      ...(target ? [`- **${t("actionPlan.addresses")}:** ${target}`] : []),
+      `- **${t("actionPlan.labels")}:** ${["ds-maturity", ...(item.dimension ? [item.dimension] : [])]
+        .map((label) => `\`${label}\``)
+        .join(", ")}`,
+      "",
+      `<!-- ds-diag:${item.id} -->`
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Serializes the plan as CSV for Jira's CSV importer: one Task per action with Summary,
+ * Status, Resolution, Assignee (owner without a leading "@"), Due Date (`yyyy-MM-dd`),
+ * two Labels columns and a Description naming what the action addresses.
+ * @param {ActionItem[]} actionPlan
+ * @param {{ locale?: string, dimensionLabels?: Record<string, string> }} [options]
+ * @returns {string}
+ */
+export function buildActionPlanCsv(actionPlan, { locale = DEFAULT_LOCALE, dimensionLabels } = {}) {
+  const t = (key, params) => translate(locale, key, params);
+  const rows = [
+    ["Summary", "Issue Type", "Status", "Resolution", "Assignee", "Due Date", "Labels", "Labels", "Description"],
+  ];
+  for (const item of actionPlan) {
+    const jira = JIRA_STATUS[item.status];
+    const target = describeTarget(item, t, dimensionLabels);
+    rows.push([
+      item.text,
+      "Task",
+      jira.status,
+      jira.resolution,
+      // Jira matches assignees by user name; a GitHub-style "@" would also read as a formula.
+      item.owner.replace(/^@/, ""),
+      item.dueDate,
+      "ds-maturity",
+      item.dimension || "",
+      [target, `ds-diag:${item.id}`].filter(Boolean).join("\n"),
+    ]);
+  }
+  return toCsv(rows);
+}
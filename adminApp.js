@@ -0,0 +1,327 @@
+import { OPERATIONAL_WEIGHTS, computeReportModel, getAdequacyStatus } from "./scoring.js";
+import { validateScoringProfile, snapshotScoringProfile } from "./scoringProfiles.js";
+import {
+  listScoringProfiles,
+  loadCustomProfiles,
+  saveCustomProfiles,
+  getActiveProfile,
+  setActiveProfileId,
+} from "./profileStore.js";
+import { loadActiveQuestionnaire } from "./questionnaireSource.js";
+import { WIZARD_STATE_STORAGE_KEY, LOCALE_STORAGE_KEY, readStorage } from "./storage.js";
+import { escapeAttr, infoTip } from "./ui.js";
+import { resolveLocale, translate, hasMessage, formatNumber, localizeQuestionnaire } from "./i18n.js";
+
+const QUESTIONNAIRE_URL = (document.body?.dataset.questionnaireUrl || "").trim();
+
+const adminContent = document.getElementById("adminContent");
+const validationMessage = document.getElementById("validationMessage");
+
+/** Follows the language picked in the diagnostic. */
+const activeLocale = resolveLocale(readStorage(LOCALE_STORAGE_KEY) || navigator.language);
+
+const { questionnaire: baseQuestionnaire } = await loadActiveQuestionnaire(QUESTIONNAIRE_URL);
+const activeQuestionnaire = localizeQuestionnaire(baseQuestionnaire, activeLocale);
+
+let editingId = getActiveProfile().id;
+/** @type {import("./scoring.js").ScoringProfile} */
+let draft = snapshotScoringProfile(getActiveProfile());
+
+function t(key, params) {
+  return translate(activeLocale, key, params);
+}
+
+function formatScore(value) {
+  return formatNumber(value, activeLocale);
+}
+
+function factorLabel(factor) {
+  const key = `admin.factor.${factor}`;
+  return hasMessage(key) ? t(key) : factor;
+}
+
+function applyStaticTranslations() {
+  document.documentElement.lang = activeLocale;
+  document.title = t("admin.documentTitle");
+  for (const element of document.querySelectorAll("[data-i18n]")) {
+    element.textContent = t(element.dataset.i18n);
+  }
+}
+
+function setValidation(message) {
+  validationMessage.textContent = message;
+}
+
+function clearValidation() {
+  validationMessage.textContent = "";
+}
+
+function findProfile(id) {
+  return listScoringProfiles().find((profile) => profile.id === id) || null;
+}
+
+function loadWizardAnswers() {
+  try {
+    const parsed = JSON.parse(readStorage(WIZARD_STATE_STORAGE_KEY) || "null");
+    return {
+      contextResponses: parsed?.contextResponses || {},
+      responses: parsed?.responses || {},
+    };
+  } catch {
+    return { contextResponses: {}, responses: {} };
+  }
+}
+
+function slugify(value) {
+  return (
+    String(value)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "profile"
+  );
+}
+
+function uniqueProfileId(label) {
+  const taken = new Set(listScoringProfiles().map((profile) => profile.id));
+  const base = slugify(label);
+  let id = base;
+  let suffix = 2;
+  while (taken.has(id)) {
+    id = `${base}-${suffix}`;
+    suffix += 1;
+  }
+  return id;
+}
+
+function render() {
+  const profiles = listScoringProfiles();
+  const active = getActiveProfile();
+  const editing = findProfile(editingId);
+
+  const optionsHtml = (selectedId) =>
+    profiles
+      .map(
+        (profile) =>
+          `<option value="${escapeAttr(profile.id)}" ${profile.id === selectedId ? "selected" : ""}>${
+            profile.builtIn
+              ? t("admin.builtIn", { label: escapeAttr(profile.label) })
+              : escapeAttr(profile.label)
+          }</option>`
+      )
+      .join("");
+
+  const weightsHtml = Object.keys(OPERATIONAL_WEIGHTS)
+    .map(
+      (factor) => `
+        <label class="field">
+          <span>${factorLabel(factor)}</span>
+          <input type="number" min="0" max="1" step="0.05" value="${Number(draft.weights[factor] ?? 0)}" data-field="weight" data-factor="${factor}" />
+        </label>
+      `
+    )
+    .join("");
+
+  adminContent.innerHTML = `
+    <div class="results-grid">
+      <div class="panel">
+        <h3>${t("admin.activeTitle")} ${infoTip(t("admin.activeTip"))}</h3>
+        <div class="filter-row">
+          <label class="field">
+            <span>${t("admin.activeSelect")}</span>
+            <select id="activeProfileSelect">${optionsHtml(active.id)}</select>
+          </label>
+        </div>
+      </div>
+
+      <div class="panel">
+        <h3>${t("admin.editTitle")}</h3>
+        <div class="filter-row">
+          <label class="field">
+            <span>${t("admin.startFrom")}</span>
+            <select id="editProfileSelect">${optionsHtml(editingId)}</select>
+          </label>
+          <label class="field">
+            <span>${t("admin.name")}</span>
+            <input type="text" value="${escapeAttr(draft.label)}" data-field="label" />
+          </label>
+        </div>
+        <h4>${t("admin.weights")}</h4>
+        <div class="filter-row">${weightsHtml}</div>
+        <p id="weightSum" class="help-text"></p>
+        <h4>${t("admin.thresholds")}</h4>
+        <div class="filter-row">
+          <label class="field">
+            <span>${t("admin.riskGap")}</span>
+            <input type="number" min="-100" max="0" step="1" value="${draft.dimensionRiskGap}" data-field="dimensionRiskGap" />
+          </label>
+          <label class="field">
+            <span>${t("admin.band")}</span>
+            <input type="number" min="1" max="50" step="1" value="${draft.adequacyBand}" data-field="adequacyBand" />
+          </label>
+        </div>
+        <ul id="profileErrors" class="risk"></ul>
+        <div class="inline-actions">
+          <button id="saveNewProfileBtn" class="btn btn-primary" type="button">${t("admin.saveNew")}</button>
+          ${
+            editing && !editing.builtIn
+              ? `<button id="updateProfileBtn" class="btn btn-secondary" type="button">${t("admin.update", { label: escapeAttr(editing.label) })}</button>
+                 <button id="deleteProfileBtn" class="btn btn-secondary" type="button">${t("admin.delete", { label: escapeAttr(editing.label) })}</button>`
+              : `<span class="help-text">${t("admin.readOnly")}</span>`
+          }
+        </div>
+      </div>
+
+      <div class="panel">
+        <h3>${t("admin.previewTitle")} ${infoTip(t("admin.previewTip"))}</h3>
+        <div id="profilePreview"></div>
+      </div>
+    </div>
+  `;
+
+  renderDraftFeedback();
+}
+
+function renderDraftFeedback() {
+  const weightSum = document.getElementById("weightSum");
+  const errorsList = document.getElementById("profileErrors");
+  const { valid, errors } = validateScoringProfile(draft);
+  const sum = Object.values(draft.weights).reduce((total, w) => total + (Number(w) || 0), 0);
+
+  if (weightSum) {
+    weightSum.textContent = t("admin.weightSum", { sum: formatNumber(sum, activeLocale, 2) });
+    weightSum.classList.toggle("risk", Math.abs(sum - 1) > 0.001);
+  }
+  if (errorsList) {
+    errorsList.innerHTML = errors.map((error) => `<li>${escapeAttr(error)}</li>`).join("");
+  }
+  for (const id of ["saveNewProfileBtn", "updateProfileBtn"]) {
+    const button = document.getElementById(id);
+    if (button instanceof HTMLButtonElement) button.disabled = !valid;
+  }
+
+  renderPreview(valid);
+}
+
+function renderPreview(draftValid) {
+  const preview = document.getElementById("profilePreview");
+  if (!preview) return;
+
+  const { contextResponses, responses } = loadWizardAnswers();
+  if (!Object.keys(contextResponses).length && !Object.keys(responses).length) {
+    preview.innerHTML = `<p class="help-text">${t("admin.previewEmpty")}</p>`;
+    return;
+  }
+
+  const active = getActiveProfile();
+  const score = (profile) =>
+    computeReportModel({ responses, contextResponses, QUESTIONNAIRE: activeQuestionnaire, profile });
+  const activeModel = score(active);
+  const draftModel = draftValid ? score(draft) : null;
+
+  const cell = (model, render) => (model ? render(model) : "—");
+  const status = (model, profile) => {
+    const s = getAdequacyStatus(model.adequacyGap, profile.adequacyBand);
+    return `<span class="chip ${s.className}">${t(`status.${s.className}`)}</span>`;
+  };
+  const flags = (model) =>
+    model.risks.flags.length
+      ? `<ul>${model.risks.flags.map((flag) => `<li>${escapeAttr(flag.label)}</li>`).join("")}</ul>`
+      : t("common.none");
+
+  preview.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th scope="col">${t("admin.metric")}</th>
+          <th scope="col">${t("admin.activeColumn", { label: escapeAttr(active.label) })}</th>
+          <th scope="col">${t("admin.editedColumn", { label: escapeAttr(draft.label || t("admin.editedFallback")) })}</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr><th scope="row">${t("kpi.ssi")}</th><td>${formatScore(activeModel.SSI)}</td><td>${cell(draftModel, (m) => formatScore(m.SSI))}</td></tr>
+        <tr><th scope="row">${t("kpi.opi")}</th><td>${formatScore(activeModel.operationalPressure.OPI)}</td><td>${cell(draftModel, (m) => formatScore(m.operationalPressure.OPI))}</td></tr>
+        <tr><th scope="row">${t("kpi.gap")}</th><td>${formatScore(activeModel.adequacyGap)}</td><td>${cell(draftModel, (m) => formatScore(m.adequacyGap))}</td></tr>
+        <tr><th scope="row">${t("admin.status")}</th><td>${status(activeModel, active)}</td><td>${cell(draftModel, (m) => status(m, draft))}</td></tr>
+        <tr><th scope="row">${t("report.riskFlags")}</th><td>${flags(activeModel)}</td><td>${cell(draftModel, flags)}</td></tr>
+      </tbody>
+    </table>
+    ${draftValid ? "" : `<p class="help-text">${t("admin.previewInvalid")}</p>`}
+  `;
+}
+
+function handleInput(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLInputElement) || !target.dataset.field) return;
+
+  if (target.dataset.field === "weight") {
+    draft.weights = { ...draft.weights, [target.dataset.factor]: Number(target.value) };
+  } else if (target.dataset.field === "label") {
+    draft.label = target.value;
+  } else {
+    draft[target.dataset.field] = Number(target.value);
+  }
+  renderDraftFeedback();
+}
+
+function handleChange(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLSelectElement)) return;
+
+  if (target.id === "activeProfileSelect") {
+    setActiveProfileId(target.value);
+    clearValidation();
+    render();
+    return;
+  }
+
+  if (target.id === "editProfileSelect") {
+    const profile = findProfile(target.value);
+    if (!profile) return;
+    editingId = profile.id;
+    draft = snapshotScoringProfile(profile);
+    clearValidation();
+    render();
+  }
+}
+
+function handleClick(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLButtonElement)) return;
+
+  if (target.id === "saveNewProfileBtn") {
+    const profile = { ...snapshotScoringProfile(draft), id: uniqueProfileId(draft.label) };
+    if (!validateScoringProfile(profile).valid) return;
+    saveCustomProfiles([...loadCustomProfiles(), profile]);
+    editingId = profile.id;
+    draft = snapshotScoringProfile(profile);
+    setValidation(t("admin.saved", { label: profile.label }));
+    render();
+    return;
+  }
+
+  if (target.id === "updateProfileBtn") {
+    const profile = { ...snapshotScoringProfile(draft), id: editingId };
+    if (!validateScoringProfile(profile).valid) return;
+    saveCustomProfiles(
+      loadCustomProfiles().map((existing) => (existing.id === editingId ? profile : existing))
+    );
+    clearValidation();
+    render();
+    return;
+  }
+
+  if (target.id === "deleteProfileBtn") {
+    saveCustomProfiles(loadCustomProfiles().filter((profile) => profile.id !== editingId));
+    const active = getActiveProfile();
+    editingId = active.id;
+    draft = snapshotScoringProfile(active);
+    clearValidation();
+    render();
+  }
+}
+
+applyStaticTranslations();
+adminContent.addEventListener("input", handleInput);
+adminContent.addEventListener("change", handleChange);
+adminContent.addEventListener("click", handleClick);
+render();
@@ -1,22 +1,135 @@
 import { QUESTIONNAIRE } from "./questionnaire.js";
-import { computeReportModel } from "./scoring.js";
+import {
+  loadActiveQuestionnaire,
+  parseQuestionnaireDefinition,
+  formatQuestionnaireErrors,
+  saveUploadedQuestionnaire,
+  clearUploadedQuestionnaire,
+} from "./questionnaireSource.js";
+import {
+  ADEQUACY_BAND,
+  UNSCORED_ANSWERS,
+  DONT_KNOW,
+  NOT_APPLICABLE,
+  computeReportModel,
+  getAdequacyStatus,
+  isScoredAnswer,
+} from "./scoring.js";
 import {
   generateSummary,
   generateStrengths,
   generateWeaknesses,
   generateGuidance,
+  generateCoverageWarnings,
+  flattenGuidance,
 } from "./report.js";
-
-const STORAGE_KEY = "ds_diag_wizard_state_v1";
+import { filterReportsByDateRange, buildTrendSeries } from "./history.js";
+import { diffAssessments } from "./compare.js";
+import { computeTeamReport } from "./team.js";
+import { getActiveProfile } from "./profileStore.js";
+import { snapshotScoringProfile } from "./scoringProfiles.js";
+import { riskFlagLabel } from "./rules.js";
+import {
+  WIZARD_STATE_STORAGE_KEY,
+  LOCALE_STORAGE_KEY,
+  readStorage,
+  writeStorage,
+  readStoredArray,
+} from "./storage.js";
+import {
+  escapeAttr,
+  infoTip,
+  formatLocalTimestamp,
+  downloadTextFile,
+  copyTextToClipboard,
+} from "./ui.js";
+import { formatReportMarkdown, formatReportHtml } from "./reportFormat.js";
+import { buildReportsCsv, parseAnswersCsv } from "./reportCsv.js";
+import {
+  parseReportPayload,
+  buildReportPayload,
+  serializeDimensionScores,
+  serializeRiskFlags,
+} from "./reportImport.js";
+import { parseEvidenceLinks, createEvidenceEntry, listEvidence } from "./evidence.js";
+import {
+  hasTargets,
+  dimensionTargetLine,
+  computeTargetGaps,
+  planTargetMoves,
+  buildTargetProgress,
+} from "./targets.js";
+import { applyScenario, compareScenario, rankImprovements } from "./simulator.js";
+import { MAX_HORIZON_MONTHS, projectGrowthScenarios } from "./growth.js";
+import { MIN_BENCHMARK_PEERS, readBenchmarkDataset, computeBenchmark } from "./benchmark.js";
+import { loadActiveBenchmark, saveUploadedBenchmark, clearUploadedBenchmark } from "./benchmarkSource.js";
+import {
+  ACTION_STATUSES,
+  MAX_ACTION_OWNER_LENGTH,
+  listGuidanceItems,
+  addActionItems,
+  updateActionItem,
+  summarizeActionPlan,
+  isOpenAction,
+  formatActionPlanMarkdown,
+  buildActionPlanCsv,
+} from "./actionPlan.js";
+import {
+  encodeShareHash,
+  decodeShareHash,
+  hasShareHash,
+  stripShareHash,
+  ShareLinkError,
+} from "./shareLink.js";
+import { parseRoute, buildRouteHash, dimensionAnchorId } from "./router.js";
+import { loadChartLibrary } from "./chartLoader.js";
+import { registerServiceWorker, applyUpdate } from "./pwa.js";
+import {
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  translate,
+  formatNumber,
+  dimensionTitle,
+  localizeQuestionnaire,
+} from "./i18n.js";
+
+const STORAGE_KEY = WIZARD_STATE_STORAGE_KEY;
 const REPORTS_STORAGE_KEY = "ds_diag_reports_v1";
+const TEAM_STORAGE_KEY = "ds_diag_team_v1";
 const MAX_SAVED_REPORTS = 25;
+/** Number of ranked single-question improvements listed in the what-if sandbox. */
+const SANDBOX_IMPROVEMENT_COUNT = 5;
 const TOTAL_STEPS = 3;
 const FEEDBACK_FORM_URL = (document.body?.dataset.feedbackFormUrl || "").trim();
+const QUESTIONNAIRE_URL = (document.body?.dataset.questionnaireUrl || "").trim();
+const BENCHMARK_URL = (document.body?.dataset.benchmarkUrl || "").trim();
+/** Service worker that caches the app for offline use; it must sit at the app root. */
+const SERVICE_WORKER_URL = "./sw.js";
+
+/** Questionnaire as loaded (built-in, configured or uploaded), before localization. */
+let baseQuestionnaire = QUESTIONNAIRE;
+/** Questionnaire driving the wizard: the base questionnaire in the active locale. */
+let activeQuestionnaire = QUESTIONNAIRE;
+/** @type {"builtin" | "url" | "upload"} */
+let activeQuestionnaireSource = "builtin";
+/**
+ * Peer dataset the results are benchmarked against.
+ * @type {import("./benchmarkSource.js").BenchmarkLoadResult}
+ */
+let activeBenchmark = { dataset: null, source: "none", errors: [] };
 
 const state = {
   currentStep: 1,
   contextResponses: {},
   responses: {},
+  /** @type {import("./evidence.js").Evidence} */
+  evidence: {},
+  /** @type {import("./targets.js").Targets} */
+  targets: { dimensions: {} },
+  /** @type {import("./growth.js").GrowthScenario[]} */
+  growthScenarios: [],
+  /** @type {import("./actionPlan.js").ActionItem[]} */
+  actionPlan: [],
 };
 
 const wizardContent = document.getElementById("wizardContent");
@@ -25,29 +138,87 @@ const backBtn = document.getElementById("backBtn");
 const nextBtn = document.getElementById("nextBtn");
 const stepLabel = document.getElementById("stepLabel");
 const progressFill = document.getElementById("progressFill");
+const importReportBtn = document.getElementById("importReportBtn");
+const importReportInput = document.getElementById("importReportInput");
+const loadQuestionnaireBtn = document.getElementById("loadQuestionnaireBtn");
+const loadQuestionnaireInput = document.getElementById("loadQuestionnaireInput");
+const resetQuestionnaireBtn = document.getElementById("resetQuestionnaireBtn");
+const questionnaireLabel = document.getElementById("questionnaireLabel");
+const copyShareLinkBtn = document.getElementById("copyShareLinkBtn");
+const shareBanner = document.getElementById("shareBanner");
+const updateBanner = document.getElementById("updateBanner");
+const localeSelect = document.getElementById("localeSelect");
+const skipLink = document.getElementById("skipLink");
+
+/** Language of the interface, questionnaire text and report narrative. */
+let activeLocale = resolveLocale(readStorage(LOCALE_STORAGE_KEY) || navigator.language);
+
+function t(key, params) {
+  return translate(activeLocale, key, params);
+}
+
+function dimensionName(key) {
+  return dimensionTitle(key, activeQuestionnaire.dimensionLabels);
+}
+
+/** Locale message keys for the "Don't know" and "N/A" answers. */
+const UNSCORED_ANSWER_KEYS = {
+  [DONT_KNOW]: "answer.dontKnow",
+  [NOT_APPLICABLE]: "answer.notApplicable",
+};
+
+function answerLabel(value) {
+  return isScoredAnswer(value) ? formatScore(value, 0) : t(UNSCORED_ANSWER_KEYS[value]);
+}
+
+function confidenceChip(score) {
+  const confidence = score.confidence ?? "high";
+  return `<span class="chip confidence-${confidence}">${t(`confidence.${confidence}`)}</span>`;
+}
+
+function statusLabel(status) {
+  return t(`status.${status.className}`);
+}
+
+function formatTimestamp(isoString) {
+  return formatLocalTimestamp(isoString, activeLocale);
+}
 
-/** @type {{ maturity: Chart | null, dimensions: Chart | null }} */
+/** @type {{ maturity: Chart | null, dimensions: Chart | null, trend: Chart | null, sandbox: Chart | null }} */
 const chartInstances = {
   maturity: null,
   dimensions: null,
+  trend: null,
+  sandbox: null,
 };
 
-function readStorage(key) {
-  try {
-    return localStorage.getItem(key);
-  } catch {
-    return null;
-  }
-}
+/**
+ * What-if answers tried in the results sandbox, keyed by question id. They never touch
+ * `state.responses` and are dropped when the wizard leaves the results step.
+ * @type {Record<string, number | string>}
+ */
+let sandboxOverrides = {};
 
-function writeStorage(key, value) {
-  try {
-    localStorage.setItem(key, value);
-    return true;
-  } catch {
-    return false;
-  }
-}
+/** Records picked in the compare panel: "current" or a saved report timestamp. */
+const compareSelection = {
+  before: "",
+  after: "current",
+};
+
+/** Answers from an opened share link, waiting for the user to replace, merge or ignore. */
+let pendingShare = null;
+
+/** Service worker registration, once the browser has accepted it. */
+let serviceWorkerRegistration = null;
+
+/** Update waiting for the user to reload: "app", "data" or null. */
+let pendingUpdate = null;
+
+/** Date range applied to the trend panel; values are `yyyy-mm-dd` strings. */
+const trendFilter = {
+  from: "",
+  to: "",
+};
 
 function restoreState() {
   try {
@@ -63,10 +234,18 @@ function restoreState() {
 
     state.contextResponses = parsed.contextResponses || {};
     state.responses = parsed.responses || {};
+    state.evidence = parsed.evidence || {};
+    state.targets = parsed.targets || { dimensions: {} };
+    state.growthScenarios = Array.isArray(parsed.growthScenarios) ? parsed.growthScenarios : [];
+    state.actionPlan = Array.isArray(parsed.actionPlan) ? parsed.actionPlan : [];
   } catch {
     state.currentStep = 1;
     state.contextResponses = {};
     state.responses = {};
+    state.evidence = {};
+    state.targets = { dimensions: {} };
+    state.growthScenarios = [];
+    state.actionPlan = [];
   }
 }
 
@@ -77,28 +256,14 @@ function persistState() {
       currentStep: state.currentStep,
       contextResponses: state.contextResponses,
       responses: state.responses,
+      evidence: state.evidence,
+      targets: state.targets,
+      growthScenarios: state.growthScenarios,
+      actionPlan: state.actionPlan,
     })
   );
 }
 
-function titleCase(value) {
-  if (!value) return "";
-  return value.charAt(0).toUpperCase() + value.slice(1);
-}
-
-function escapeAttr(value) {
-  return String(value)
-    .replace(/&/g, "&amp;")
-    .replace(/"/g, "&quot;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
-}
-
-function infoTip(text) {
-  const safeText = escapeAttr(text);
-  return `<span class="info-tip" tabindex="0" role="img" aria-label="${safeText}" data-tooltip="${safeText}" title="${safeText}">i</span>`;
-}
-
 function clearValidation() {
   validationMessage.textContent = "";
 }
@@ -108,24 +273,26 @@ function setValidation(message) {
 }
 
 function updateProgress() {
-  stepLabel.textContent = `Step ${state.currentStep}/${TOTAL_STEPS}`;
+  // The step label is a live region; rewriting the same text would announce it again.
+  const stepText = t("nav.step", { step: state.currentStep, total: TOTAL_STEPS });
+  if (stepLabel.textContent !== stepText) stepLabel.textContent = stepText;
   progressFill.style.width = `${(state.currentStep / TOTAL_STEPS) * 100}%`;
 
   backBtn.disabled = state.currentStep === 1;
   if (state.currentStep === 3) {
-    nextBtn.textContent = "Start Over";
+    nextBtn.textContent = t("nav.startOver");
   } else if (state.currentStep === 2) {
-    nextBtn.textContent = "View Results";
+    nextBtn.textContent = t("nav.viewResults");
   } else {
-    nextBtn.textContent = "Continue";
+    nextBtn.textContent = t("nav.continue");
   }
 }
 
 function renderContextStep() {
-  const { title, description, questions } = QUESTIONNAIRE.operationalContext;
+  const { title, description, questions } = activeQuestionnaire.operationalContext;
   const html = `
-    <h2 class="section-title">${title}</h2>
-    <p class="section-subtitle">${description}</p>
+    <h2 class="section-title" tabindex="-1">${escapeAttr(title)}</h2>
+    <p class="section-subtitle">${escapeAttr(description)}</p>
     ${questions
       .map((q) => {
         const options = q.options
@@ -135,13 +302,13 @@ function renderContextStep() {
               <label class="option">
                 <input
                   type="radio"
-                  name="${q.id}"
+                  name="${escapeAttr(q.id)}"
                   value="${opt.score}"
                   data-type="context"
-                  data-id="${q.id}"
+                  data-id="${escapeAttr(q.id)}"
                   ${checked ? "checked" : ""}
                 />
-                <span>${opt.label}</span>
+                <span>${escapeAttr(opt.label)}</span>
               </label>
             `;
           })
@@ -149,8 +316,8 @@ function renderContextStep() {
 
         return `
           <fieldset class="question">
-            <legend class="question-title">${q.prompt}</legend>
-            <p class="help-text">Choose the option that best reflects your current operating context.</p>
+            <legend class="question-title">${escapeAttr(q.prompt)}</legend>
+            <p class="help-text">${t("wizard.contextHelp")}</p>
             <div class="option-list">
               ${options}
             </div>
@@ -164,12 +331,24 @@ function renderContextStep() {
 }
 
 function renderStructuralStep() {
-  const { title, description, dimensions, behavioralQuestions } = QUESTIONNAIRE.structuralMaturity;
+  const { title, description, dimensions, behavioralQuestions } =
+    activeQuestionnaire.structuralMaturity;
 
   const html = `
-    <h2 class="section-title">${title}</h2>
-    <p class="section-subtitle">${description}</p>
-    <p class="help-text">Scoring guide: 0 = Absent, 1 = Informal/ad hoc, 2 = Defined but inconsistent, 3 = Operationalized/enforced.</p>
+    <h2 class="section-title" tabindex="-1">${escapeAttr(title)}</h2>
+    <p class="section-subtitle">${escapeAttr(description)}</p>
+    <p class="help-text">${t("wizard.scoringGuide")}</p>
+    <p class="help-text">${t("wizard.unscoredHelp")}</p>
+    <nav class="inline-actions" aria-label="${escapeAttr(t("wizard.dimensionNav"))}">
+      ${dimensions
+        .map(
+          (dimension) =>
+            `<a class="btn btn-secondary btn-small btn-link" href="${escapeAttr(buildRouteHash(2, dimension))}">${escapeAttr(
+              activeQuestionnaire.dimensionLabels?.[dimension.toLowerCase()] || dimension
+            )}</a>`
+        )
+        .join("")}
+    </nav>
     ${dimensions
       .map((dimension) => {
         const key = dimension.toLowerCase();
@@ -178,37 +357,41 @@ function renderStructuralStep() {
         );
 
         return `
-          <section class="group">
-            <h3 class="section-title">${dimension}</h3>
+          <section class="group" id="${escapeAttr(dimensionAnchorId(key))}">
+            <h3 class="section-title" tabindex="-1">${escapeAttr(
+              activeQuestionnaire.dimensionLabels?.[key] || dimension
+            )}</h3>
             ${questions
               .map((q) => {
                 const labels = q.scoringLabels || {};
-                const radioHtml = [0, 1, 2, 3]
+                const radioHtml = [0, 1, 2, 3, ...UNSCORED_ANSWERS]
                   .map((value) => {
-                    const checked = Number(state.responses[q.id]) === value;
+                    const checked = String(state.responses[q.id]) === String(value);
+                    const label = isScoredAnswer(value) ? `${value} - ${escapeAttr(labels[value])}` : answerLabel(value);
                     return `
                       <label class="option">
                         <input
                           type="radio"
-                          name="${q.id}"
+                          name="${escapeAttr(q.id)}"
                           value="${value}"
                           data-type="maturity"
-                          data-id="${q.id}"
+                          data-id="${escapeAttr(q.id)}"
                           ${checked ? "checked" : ""}
                         />
-                        <span>${value} - ${labels[value]}</span>
+                        <span>${label}</span>
                       </label>
                     `;
                   })
                   .join("");
 
                 return `
-                  <fieldset class="question">
-                    <legend class="question-title">${q.prompt}</legend>
-                    <p class="help-text">${q.helpText}</p>
+                  <fieldset class="question" aria-describedby="help-${escapeAttr(q.id)}">
+                    <legend class="question-title">${escapeAttr(q.prompt)}</legend>
+                    <p id="help-${escapeAttr(q.id)}" class="help-text">${escapeAttr(q.helpText)}</p>
                     <div class="option-list">
                       ${radioHtml}
                     </div>
+                    ${renderEvidenceFields(q.id)}
                   </fieldset>
                 `;
               })
@@ -222,14 +405,51 @@ function renderStructuralStep() {
   wizardContent.innerHTML = html;
 }
 
-function getAdequacyStatus(gap) {
-  if (gap < -10) {
-    return { label: "Underbuilt", className: "underbuilt" };
-  }
-  if (gap > 10) {
-    return { label: "Overbuilt", className: "overbuilt" };
+function renderEvidenceFields(questionId) {
+  const entry = state.evidence[questionId] || {};
+  const count = (entry.note ? 1 : 0) + (entry.links?.length || 0);
+  return `
+    <details class="details evidence-fields" ${count ? "open" : ""}>
+      <summary>${count ? t("evidence.summaryCount", { count }) : t("evidence.summary")}</summary>
+      <label class="field">
+        <span>${t("evidence.note")}</span>
+        <textarea rows="2" data-type="evidence-note" data-id="${escapeAttr(questionId)}">${escapeAttr(entry.note || "")}</textarea>
+      </label>
+      <label class="field">
+        <span>${t("evidence.links")}</span>
+        <textarea rows="2" data-type="evidence-links" data-id="${escapeAttr(questionId)}" placeholder="https://">${escapeAttr(
+          (entry.links || []).join("\n")
+        )}</textarea>
+      </label>
+    </details>
+  `;
+}
+
+/**
+ * Stores the note or links typed for one question. Text that is not an http(s) link is
+ * dropped from the field and reported, so only followable links reach the exports.
+ * @param {HTMLTextAreaElement} target
+ */
+function updateEvidence(target) {
+  const id = target.dataset.id;
+  const current = state.evidence[id] || {};
+  let note = current.note || "";
+  let links = current.links || [];
+  let invalid = [];
+  if (target.dataset.type === "evidence-note") {
+    note = target.value;
+  } else {
+    ({ links, invalid } = parseEvidenceLinks(target.value));
+    target.value = links.join("\n");
   }
-  return { label: "Balanced", className: "balanced" };
+
+  const entry = createEvidenceEntry(note, links);
+  if (entry) state.evidence[id] = entry;
+  else delete state.evidence[id];
+  persistState();
+
+  if (invalid.length) setValidation(t("evidence.invalidLinks", { links: invalid.join(", ") }));
+  else clearValidation();
 }
 
 /**
@@ -258,14 +478,16 @@ function createGradientFill(colors) {
   };
 }
 
-function destroyCharts() {
-  if (chartInstances.maturity) {
-    chartInstances.maturity.destroy();
-    chartInstances.maturity = null;
+function destroyChart(key) {
+  if (chartInstances[key]) {
+    chartInstances[key].destroy();
+    chartInstances[key] = null;
   }
-  if (chartInstances.dimensions) {
-    chartInstances.dimensions.destroy();
-    chartInstances.dimensions = null;
+}
+
+function destroyCharts() {
+  for (const key of Object.keys(chartInstances)) {
+    destroyChart(key);
   }
 }
 
@@ -286,317 +508,2387 @@ function getComputedReport() {
   const reportModel = computeReportModel({
     responses: state.responses,
     contextResponses: state.contextResponses,
-    QUESTIONNAIRE,
+    QUESTIONNAIRE: activeQuestionnaire,
+    profile: getActiveProfile(),
   });
 
-  const summary = generateSummary(reportModel);
-  const guidance = generateGuidance(reportModel);
+  const summary = generateSummary(reportModel, { locale: activeLocale });
+  const guidance = generateGuidance(reportModel, {
+    QUESTIONNAIRE: activeQuestionnaire,
+    responses: state.responses,
+    locale: activeLocale,
+  });
   const risks = reportModel?.risks?.flags || [];
 
   return { reportModel, summary, guidance, risks };
 }
 
-function getStateFingerprint() {
-  const context = Object.entries(state.contextResponses)
+function getAnswersFingerprint(contextResponses, responses) {
+  const context = Object.entries(contextResponses)
     .sort(([a], [b]) => a.localeCompare(b))
     .map(([k, v]) => `${k}:${v}`)
     .join("|");
-  const maturity = Object.entries(state.responses)
+  const maturity = Object.entries(responses)
     .sort(([a], [b]) => a.localeCompare(b))
     .map(([k, v]) => `${k}:${v}`)
     .join("|");
   return `${context}::${maturity}`;
 }
 
-function loadSavedReports() {
-  try {
-    const raw = readStorage(REPORTS_STORAGE_KEY);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    return [];
-  }
+function getStateFingerprint() {
+  return getAnswersFingerprint(state.contextResponses, state.responses);
 }
 
-function saveReportSnapshot(reportModel, summary, guidance) {
-  const reports = loadSavedReports();
-  const fingerprint = getStateFingerprint();
-  const existing = reports[0];
-  if (existing && existing.fingerprint === fingerprint) {
-    return reports;
-  }
+function loadSavedReports() {
+  return readStoredArray(REPORTS_STORAGE_KEY);
+}
 
-  const record = {
+function buildReportRecord(
+  reportModel,
+  summary,
+  guidance,
+  {
+    contextResponses,
+    responses,
+    evidence = {},
+    targets = { dimensions: {} },
+    growthScenarios = [],
+    actionPlan = [],
+    timestamp,
+  } = {
+    contextResponses: state.contextResponses,
+    responses: state.responses,
+    evidence: state.evidence,
+    targets: state.targets,
+    growthScenarios: state.growthScenarios,
+    actionPlan: state.actionPlan,
     timestamp: new Date().toISOString(),
-    fingerprint,
+  }
+) {
+  return {
+    timestamp,
+    fingerprint: getAnswersFingerprint(contextResponses, responses),
+    locale: activeLocale,
     summary,
     SSI: Number(reportModel.SSI || 0),
     OPI: Number(reportModel.operationalPressure?.OPI || 0),
     adequacyGap: Number(reportModel.adequacyGap || 0),
-    risks: [...(reportModel.risks?.flags || [])],
-    guidance: [...guidance],
+    dimensionScores: serializeDimensionScores(reportModel),
+    scoringProfile: snapshotScoringProfile(reportModel.scoringProfile),
+    contextResponses: { ...contextResponses },
+    responses: { ...responses },
+    evidence,
+    targets,
+    growthScenarios,
+    actionPlan,
+    risks: serializeRiskFlags(reportModel),
+    guidance: flattenGuidance(guidance),
+    guidanceItems: listGuidanceItems(guidance).map(({ id, text }) => ({ id, text })),
   };
+}
+
+function saveReportSnapshot(reportModel, summary, guidance) {
+  const reports = loadSavedReports();
+  const record = buildReportRecord(reportModel, summary, guidance);
+  const existing = reports[0];
+  if (
+    existing &&
+    existing.fingerprint === record.fingerprint &&
+    existing.scoringProfile?.id === record.scoringProfile.id
+  ) {
+    return reports;
+  }
 
   const next = [record, ...reports].slice(0, MAX_SAVED_REPORTS);
   writeStorage(REPORTS_STORAGE_KEY, JSON.stringify(next));
   return next;
 }
 
-function formatLocalTimestamp(isoString) {
-  const date = new Date(isoString);
-  if (Number.isNaN(date.getTime())) return "Unknown time";
-  return date.toLocaleString();
+function loadTeamRespondents() {
+  return readStoredArray(TEAM_STORAGE_KEY);
 }
 
-function buildExportPayload(reportModel, guidance) {
-  /** @type {Record<string, {avg: number, score100: number}>} */
-  const dimensionScores = {};
-  for (const [dimension, score] of Object.entries(reportModel.dimensionScores || {})) {
-    dimensionScores[dimension] = {
-      avg: Number(score.avg || 0),
-      score100: Number(score.score100 || 0),
-    };
-  }
+function saveTeamRespondents(respondents) {
+  writeStorage(TEAM_STORAGE_KEY, JSON.stringify(respondents));
+}
 
-  return {
-    timestamp: new Date().toISOString(),
-    contextResponses: { ...state.contextResponses },
-    dimensionScores,
-    SSI: Number(reportModel.SSI || 0),
-    OPI: Number(reportModel.operationalPressure?.OPI || 0),
-    adequacyGap: Number(reportModel.adequacyGap || 0),
-    riskFlags: [...(reportModel.risks?.flags || [])],
-    guidanceTips: [...guidance],
-  };
+function createRespondentId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Adds a respondent to the team, replacing an earlier entry with the same name.
+ * @param {{ name: string, contextResponses: Record<string, number>, responses: Record<string, number> }} entry
+ */
+function upsertTeamRespondent(entry) {
+  const name = entry.name.trim();
+  const respondents = loadTeamRespondents().filter(
+    (r) => r.name.toLowerCase() !== name.toLowerCase()
+  );
+  respondents.push({
+    id: createRespondentId(),
+    name,
+    addedAt: new Date().toISOString(),
+    contextResponses: { ...entry.contextResponses },
+    responses: { ...entry.responses },
+  });
+  saveTeamRespondents(respondents);
 }
 
 function downloadReportJson() {
   const { reportModel, guidance } = getComputedReport();
-  const payload = buildExportPayload(reportModel, guidance);
+  const payload = buildReportPayload({
+    reportModel,
+    guidance,
+    QUESTIONNAIRE: activeQuestionnaire,
+    contextResponses: state.contextResponses,
+    responses: state.responses,
+    evidence: state.evidence,
+    targets: state.targets,
+    growthScenarios: state.growthScenarios,
+    actionPlan: state.actionPlan,
+    locale: activeLocale,
+  });
   const json = JSON.stringify(payload, null, 2);
-  const blob = new Blob([json], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-
   const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-  const link = document.createElement("a");
-  link.href = url;
-  link.download = `ds-maturity-report-${stamp}.json`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+  downloadTextFile(json, `ds-maturity-report-${stamp}.json`, "application/json");
 }
 
-function buildCopySummaryText(reportModel, summary) {
-  const lines = [
-    summary,
-    "",
-    `SSI: ${Number(reportModel.SSI || 0).toFixed(1)}`,
-    `OPI: ${Number(reportModel.operationalPressure?.OPI || 0).toFixed(1)}`,
-    `Adequacy Gap: ${Number(reportModel.adequacyGap || 0).toFixed(1)}`,
-  ];
-  return lines.join("\n");
+function getFirstIncompleteStep() {
+  const contextDone = activeQuestionnaire.operationalContext.questions.every(
+    (q) => state.contextResponses[q.id] !== undefined
+  );
+  if (!contextDone) return 1;
+  const structuralDone = activeQuestionnaire.structuralMaturity.behavioralQuestions.every(
+    (q) => state.responses[q.id] !== undefined
+  );
+  return structuralDone ? 3 : 2;
 }
 
-async function copySummaryToClipboard() {
-  const { reportModel, summary } = getComputedReport();
-  const text = buildCopySummaryText(reportModel, summary);
+// Answers or evidence an import would overwrite.
+function hasAnswersInProgress() {
+  return [state.contextResponses, state.responses, state.evidence].some(
+    (entries) => Object.keys(entries).length > 0
+  );
+}
 
-  if (navigator.clipboard?.writeText) {
-    await navigator.clipboard.writeText(text);
-    return;
+async function importReportFile(file) {
+  let payload;
+  try {
+    payload = JSON.parse(await file.text());
+  } catch {
+    throw new Error(t("import.invalidJson"));
   }
 
-  const textarea = document.createElement("textarea");
-  textarea.value = text;
-  textarea.setAttribute("readonly", "true");
-  textarea.style.position = "absolute";
-  textarea.style.left = "-9999px";
-  document.body.appendChild(textarea);
-  textarea.select();
-  document.execCommand("copy");
-  document.body.removeChild(textarea);
-}
+  const imported = parseReportPayload(payload, activeQuestionnaire);
+  if (hasAnswersInProgress() && !window.confirm(t("import.confirmReplace"))) return;
+  state.contextResponses = imported.contextResponses;
+  state.responses = imported.responses;
+  state.evidence = imported.evidence;
+  if (hasTargets(imported.targets)) state.targets = imported.targets;
+  if (imported.growthScenarios.length) state.growthScenarios = imported.growthScenarios;
+  if (imported.actionPlan.length) state.actionPlan = imported.actionPlan;
+  sandboxOverrides = {};
+  state.currentStep = getFirstIncompleteStep();
+  persistState();
+  render();
 
-function renderResultsStep() {
-  const { reportModel, summary, guidance, risks } = getComputedReport();
-  const savedReports = saveReportSnapshot(reportModel, summary, guidance);
-  const feedbackEmbedUrl = getFeedbackEmbedUrl();
-  const feedbackConfigured = Boolean(feedbackEmbedUrl);
-  const strengths = generateStrengths(reportModel);
-  const weaknesses = generateWeaknesses(reportModel);
-  const adequacyStatus = getAdequacyStatus(reportModel.adequacyGap);
+  if (imported.version < 2) {
+    setValidation(t("import.legacy"));
+  }
+}
 
-  const strengthsHtml = strengths
-    .map((item) => `<li>${item.dimension} (${item.score100.toFixed(1)})</li>`)
-    .join("");
-  const weaknessesHtml = weaknesses
-    .map((item) => `<li>${item.dimension} (${item.score100.toFixed(1)})</li>`)
-    .join("");
-  const risksHtml = risks.length
-    ? risks.map((risk) => `<li>${risk}</li>`).join("")
-    : '<li class="good">No strong gap signals were detected in this response set.</li>';
-  const guidanceHtml = guidance.map((tip) => `<li>${tip}</li>`).join("");
-  const historyHtml = savedReports.length
-    ? savedReports
-        .map((item) => {
-          const status = getAdequacyStatus(Number(item.adequacyGap || 0));
-          return `<li>
-            <strong>${formatLocalTimestamp(item.timestamp)}</strong>
-            <span> · SSI ${Number(item.SSI || 0).toFixed(1)}</span>
-            <span> · OPI ${Number(item.OPI || 0).toFixed(1)}</span>
-            <span> · Gap ${Number(item.adequacyGap || 0).toFixed(1)}</span>
-            <span class="chip ${status.className}">${status.label}</span>
-          </li>`;
-        })
-        .join("")
-    : "<li>No saved report yet.</li>";
+async function handleImportInputChange() {
+  const file = importReportInput.files?.[0];
+  importReportInput.value = "";
+  if (!file) return;
 
-  wizardContent.innerHTML = `
-    <div class="results-grid">
-      <h2 class="section-title">Results</h2>
-      <p class="section-subtitle">${summary}</p>
-      <p class="disclaimer">This tool describes alignment between system practices and operational pressure. It is a reflective diagnostic, not an audit.</p>
+  try {
+    await importReportFile(file);
+  } catch (error) {
+    setValidation(
+      t("import.failed", { message: error instanceof Error ? error.message : String(error) })
+    );
+  }
+}
 
-      <div class="kpis">
-        <div class="kpi">
-          <div class="kpi-label">SSI ${infoTip("System Strength Index. Overall structural maturity score from your responses, normalized to 0-100.")}</div>
-          <div class="kpi-value">${reportModel.SSI.toFixed(1)}</div>
-        </div>
-        <div class="kpi">
-          <div class="kpi-label">OPI ${infoTip("Operational Pressure Index. Context-derived pressure based on team scale, complexity, release pace, AI use, and tooling fragmentation.")}</div>
-          <div class="kpi-value">${reportModel.operationalPressure.OPI.toFixed(1)}</div>
-        </div>
-        <div class="kpi">
-          <div class="kpi-label">Adequacy Gap ${infoTip("SSI minus OPI. Negative means maturity is below current pressure; positive means maturity exceeds current pressure.")}</div>
-          <div class="kpi-value ${reportModel.adequacyGap < 0 ? "risk" : "good"}">${reportModel.adequacyGap.toFixed(
-            1
-          )}</div>
-          <div class="gap-indicator ${adequacyStatus.className}">
-            <span class="gap-dot" aria-hidden="true"></span>
-            <span>${adequacyStatus.label}</span>
-          </div>
-        </div>
-      </div>
+function updateQuestionnaireLabel() {
+  questionnaireLabel.textContent =
+    activeQuestionnaireSource === "builtin"
+      ? ""
+      : t(`header.questionnaire.${activeQuestionnaireSource}`, {
+          id: baseQuestionnaire.id,
+          version: baseQuestionnaire.version,
+        });
+}
 
-      <div class="panel">
-        <h3>Actual maturity vs operational pressure (OPI) ${infoTip("Blue bars show current maturity by dimension. Red bars show pressure threshold (OPI). Bigger shortfalls indicate higher delivery risk.")}</h3>
-        <div class="chart-shell">
-          <canvas id="resultsChart"></canvas>
-        </div>
-      </div>
+function setActiveQuestionnaire(questionnaire, source) {
+  baseQuestionnaire = questionnaire;
+  activeQuestionnaire = localizeQuestionnaire(questionnaire, activeLocale);
+  activeQuestionnaireSource = source;
 
-      <div class="panel">
-        <h3>Multi-dimension profile ${infoTip("Radar view of all dimensions at once. Wider blue area indicates stronger overall design system capability.")}</h3>
-        <div class="chart-shell chart-shell-radar">
-          <canvas id="dimensionsChart"></canvas>
-        </div>
-      </div>
+  updateQuestionnaireLabel();
+  resetQuestionnaireBtn.hidden = source !== "upload";
+}
 
-      <div class="panel">
-        <h3>Stronger signals</h3>
-        <ul>${strengthsHtml}</ul>
-      </div>
+function applyStaticTranslations() {
+  document.documentElement.lang = activeLocale;
+  document.title = t("app.documentTitle");
+  for (const element of document.querySelectorAll("[data-i18n]")) {
+    element.textContent = t(element.dataset.i18n);
+  }
+}
 
-      <div class="panel">
-        <h3>Emerging signals</h3>
-        <ul>${weaknessesHtml}</ul>
-      </div>
+function renderLocaleOptions() {
+  localeSelect.innerHTML = SUPPORTED_LOCALES.map(
+    (locale) =>
+      `<option value="${locale.id}" ${locale.id === activeLocale ? "selected" : ""}>${escapeAttr(
+        locale.label
+      )}</option>`
+  ).join("");
+}
 
-      <div class="panel">
-        <h3>Potential signals to monitor ${infoTip("These are risk flags inferred from combinations of context pressure and structural maturity answers.")}</h3>
-        <ul>${risksHtml}</ul>
-      </div>
+function setLocale(locale) {
+  activeLocale = resolveLocale(locale);
+  writeStorage(LOCALE_STORAGE_KEY, activeLocale);
+  setActiveQuestionnaire(baseQuestionnaire, activeQuestionnaireSource);
+  applyStaticTranslations();
+  renderLocaleOptions();
+  renderShareBanner();
+  renderUpdateBanner();
+  render();
+}
 
-      <div class="panel">
-        <h3>Actionable next steps</h3>
-        <ul>${guidanceHtml}</ul>
-      </div>
+async function initQuestionnaire() {
+  const result = await loadActiveQuestionnaire(QUESTIONNAIRE_URL);
+  setActiveQuestionnaire(result.questionnaire, result.source);
+  return result.errors;
+}
 
-      <div class="panel">
-        <h3>Report actions</h3>
-        <div class="inline-actions">
-          <button id="downloadReportBtn" class="btn btn-secondary" type="button">
-            Download report (JSON)
-          </button>
-          <button id="copySummaryBtn" class="btn btn-secondary" type="button">
-            Copy summary
-          </button>
-          <button id="newResponseBtn" class="btn btn-secondary" type="button">
-            New response
-          </button>
-          <button id="openFeedbackBtn" class="btn btn-primary feedback-cta" type="button">
-            Leave anonymous feedback
-          </button>
-        </div>
-      </div>
+async function handleQuestionnaireInputChange() {
+  const file = loadQuestionnaireInput.files?.[0];
+  loadQuestionnaireInput.value = "";
+  if (!file) return;
 
-      <div class="panel">
-        <h3>Saved reports on this browser</h3>
-        <ul class="history-list">${historyHtml}</ul>
-      </div>
-    </div>
+  let definition;
+  try {
+    definition = JSON.parse(await file.text());
+  } catch {
+    setValidation(t("questionnaire.invalidJson"));
+    return;
+  }
 
-    <div id="feedbackModal" class="modal-backdrop hidden" role="dialog" aria-modal="true" aria-labelledby="feedbackTitle">
-      <div class="modal-card">
-        <h3 id="feedbackTitle">Anonymous feedback</h3>
-        <p class="help-text">Your response will be submitted through Google Forms.</p>
-        ${
-          feedbackConfigured
-            ? `<iframe
-                id="feedbackFrame"
-                class="feedback-iframe"
-                src="${feedbackEmbedUrl}"
-                title="Anonymous feedback form"
-                loading="lazy"
-              ></iframe>`
-            : `<p class="risk">Feedback form is not configured yet. Add the form URL in <code>index.html</code> body <code>data-feedback-form-url</code>.</p>`
-        }
-        <div class="inline-actions">
-          <button id="closeFeedbackBtn" class="btn btn-secondary" type="button">Close</button>
-          ${
-            feedbackConfigured
-              ? `<a id="openFeedbackExternalLink" class="btn btn-primary feedback-link-btn" target="_blank" rel="noopener noreferrer" href="${FEEDBACK_FORM_URL}">Open in new tab</a>`
-              : ""
-          }
-        </div>
-      </div>
-    </div>
-  `;
+  const { questionnaire, errors } = parseQuestionnaireDefinition(definition);
+  if (!questionnaire) {
+    setValidation(t("questionnaire.rejected", { errors: formatQuestionnaireErrors(errors) }));
+    return;
+  }
 
-  renderResultsChart(reportModel);
+  saveUploadedQuestionnaire(definition);
+  setActiveQuestionnaire(questionnaire, "upload");
+  state.currentStep = 1;
+  persistState();
+  render();
 }
 
-function renderResultsChart(reportModel) {
-  const canvas = document.getElementById("resultsChart");
-  const dimensionsCanvas = document.getElementById("dimensionsChart");
-  if (!canvas) return;
-  if (!dimensionsCanvas) return;
-  if (typeof Chart === "undefined") {
-    const panel = canvas.closest(".panel");
-    if (panel) {
-      panel.insertAdjacentHTML(
-        "beforeend",
-        '<p class="help-text">Chart unavailable. Your report metrics are still listed above.</p>'
-      );
-    }
-    return;
+async function resetQuestionnaire() {
+  clearUploadedQuestionnaire();
+  const errors = await initQuestionnaire();
+  state.currentStep = 1;
+  persistState();
+  render();
+  if (errors.length) {
+    setValidation(t("questionnaire.configuredIgnored", { errors: formatQuestionnaireErrors(errors) }));
   }
+}
 
-  destroyCharts();
+function buildShareUrl() {
+  const hash = encodeShareHash(
+    { contextResponses: state.contextResponses, responses: state.responses },
+    activeQuestionnaire
+  );
+  return `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`;
+}
+
+function clearShareHash() {
+  const rest = stripShareHash(window.location.hash);
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${window.location.search}${
+      rest ? `#${rest}` : buildRouteHash(state.currentStep)
+    }`
+  );
+}
+
+function countDifferentAnswers(shared) {
+  let count = 0;
+  for (const [local, incoming] of [
+    [state.contextResponses, shared.contextResponses],
+    [state.responses, shared.responses],
+  ]) {
+    for (const [id, value] of Object.entries(incoming)) {
+      if (Object.prototype.hasOwnProperty.call(local, id) && String(local[id]) !== String(value)) {
+        count += 1;
+      }
+    }
+  }
+  return count;
+}
+
+function applySharedAnswers(shared, mode) {
+  if (mode === "replace") {
+    state.contextResponses = { ...shared.contextResponses };
+    state.responses = { ...shared.responses };
+    state.evidence = {};
+  } else {
+    state.contextResponses = { ...shared.contextResponses, ...state.contextResponses };
+    state.responses = { ...shared.responses, ...state.responses };
+  }
+  state.currentStep = getFirstIncompleteStep();
+  sandboxOverrides = {};
+  persistState();
+  render();
+}
+
+function renderShareBanner() {
+  if (!pendingShare) {
+    shareBanner.hidden = true;
+    shareBanner.innerHTML = "";
+    return;
+  }
+  const total =
+    Object.keys(pendingShare.contextResponses).length + Object.keys(pendingShare.responses).length;
+  const different = countDifferentAnswers(pendingShare);
+  shareBanner.hidden = false;
+  shareBanner.innerHTML = `
+    <h2 id="shareBannerTitle" class="section-title">${t("share.title")}</h2>
+    <p class="help-text">${t("share.body", {
+      answers: t("share.answers", { count: total }),
+      differ: different ? t("share.differ", { count: different }) : "",
+    })}</p>
+    <div class="inline-actions">
+      <button class="btn btn-primary" type="button" data-share-action="replace">${t("share.replace")}</button>
+      <button class="btn btn-secondary" type="button" data-share-action="merge">${t("share.merge")}</button>
+      <button class="btn btn-secondary" type="button" data-share-action="ignore">${t("share.ignore")}</button>
+    </div>
+  `;
+}
+
+function renderUpdateBanner() {
+  if (!pendingUpdate) {
+    updateBanner.hidden = true;
+    updateBanner.innerHTML = "";
+    return;
+  }
+  updateBanner.hidden = false;
+  updateBanner.innerHTML = `
+    <h2 id="updateBannerTitle" class="section-title">${t("update.title")}</h2>
+    <p class="help-text">${t(`update.${pendingUpdate}`)}</p>
+    <div class="inline-actions">
+      <button class="btn btn-primary" type="button" data-update-action="reload">${t("update.reload")}</button>
+      <button class="btn btn-secondary" type="button" data-update-action="later">${t("update.later")}</button>
+    </div>
+  `;
+}
+
+// A new app version outranks changed data: reloading onto it refreshes both.
+function handleUpdateAvailable(kind) {
+  pendingUpdate = kind === "app" || pendingUpdate === "app" ? "app" : "data";
+  renderUpdateBanner();
+}
+
+function handleUpdateBannerClick(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLButtonElement) || !pendingUpdate) return;
+  const action = target.dataset.updateAction;
+  if (!action) return;
+
+  if (action === "reload") {
+    // Answers are already saved on every change, so the reload keeps the assessment in progress.
+    applyUpdate(serviceWorkerRegistration);
+    return;
+  }
+  pendingUpdate = null;
+  renderUpdateBanner();
+}
+
+function handleShareBannerClick(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLButtonElement) || !pendingShare) return;
+  const action = target.dataset.shareAction;
+  if (!action) return;
+
+  const shared = pendingShare;
+  pendingShare = null;
+  renderShareBanner();
+  if (action !== "ignore") applySharedAnswers(shared, action);
+}
+
+function handleShareHash() {
+  if (!hasShareHash(window.location.hash)) return;
+  let shared;
+  try {
+    shared = decodeShareHash(window.location.hash, activeQuestionnaire);
+  } catch (error) {
+    clearShareHash();
+    const message =
+      error instanceof ShareLinkError
+        ? t(error.key, error.params)
+        : error instanceof Error
+          ? error.message
+          : String(error);
+    setValidation(t("share.ignored", { message }));
+    return;
+  }
+  clearShareHash();
+
+  const hasLocalAnswers =
+    Object.keys(state.contextResponses).length > 0 || Object.keys(state.responses).length > 0;
+  const sameAnswers =
+    getAnswersFingerprint(state.contextResponses, state.responses) ===
+    getAnswersFingerprint(shared.contextResponses, shared.responses);
+  if (!hasLocalAnswers || sameAnswers) {
+    applySharedAnswers(shared, "replace");
+    return;
+  }
+
+  pendingShare = shared;
+  renderShareBanner();
+}
+
+function buildCopySummaryText(reportModel, summary) {
+  const lines = [
+    summary,
+    "",
+    `${t("kpi.ssi")}: ${formatScore(reportModel.SSI || 0)}`,
+    `${t("kpi.opi")}: ${formatScore(reportModel.operationalPressure?.OPI || 0)}`,
+    `${t("kpi.gap")}: ${formatScore(reportModel.adequacyGap || 0)}`,
+  ];
+  return lines.join("\n");
+}
+
+async function copySummaryToClipboard() {
+  const { reportModel, summary } = getComputedReport();
+  await copyTextToClipboard(buildCopySummaryText(reportModel, summary));
+}
+
+function buildMarkdownReport() {
+  const { reportModel, summary, guidance } = getComputedReport();
+  return formatReportMarkdown({
+    reportModel,
+    summary,
+    guidance,
+    locale: activeLocale,
+    timestamp: formatTimestamp(new Date().toISOString()),
+    QUESTIONNAIRE: activeQuestionnaire,
+    contextResponses: state.contextResponses,
+    responses: state.responses,
+    evidence: state.evidence,
+    targets: state.targets,
+    growthScenarios: state.growthScenarios,
+  });
+}
+
+function downloadReportMarkdown() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  downloadTextFile(buildMarkdownReport(), `ds-maturity-report-${stamp}.md`, "text/markdown");
+}
+
+function captureChartImage(canvasId) {
+  const canvas = document.getElementById(canvasId);
+  if (!(canvas instanceof HTMLCanvasElement)) return "";
+  try {
+    const src = canvas.toDataURL("image/png");
+    return typeof src === "string" && src.startsWith("data:image/") ? src : "";
+  } catch {
+    return "";
+  }
+}
+
+function describeDimensionScores(reportModel) {
+  return Object.entries(reportModel.dimensionScores)
+    .map(
+      ([dimension, score]) =>
+        `${dimensionName(dimension)} ${
+          score.confidence === "none" ? t("confidence.none") : formatScore(score.score100)
+        }`
+    )
+    .join(", ");
+}
+
+function downloadReportHtml() {
+  const { reportModel, summary, guidance } = getComputedReport();
+  const scores = describeDimensionScores(reportModel);
+  const html = formatReportHtml({
+    reportModel,
+    summary,
+    guidance,
+    locale: activeLocale,
+    timestamp: formatTimestamp(new Date().toISOString()),
+    QUESTIONNAIRE: activeQuestionnaire,
+    contextResponses: state.contextResponses,
+    responses: state.responses,
+    evidence: state.evidence,
+    targets: state.targets,
+    growthScenarios: state.growthScenarios,
+    charts: [
+      {
+        title: t("results.chartTitle"),
+        src: captureChartImage("resultsChart"),
+        alt: t("chart.barAlt", { OPI: formatScore(reportModel.operationalPressure.OPI), scores }),
+      },
+      {
+        title: t("results.radarTitle"),
+        src: captureChartImage("dimensionsChart"),
+        alt: t("chart.radarAlt", { scores }),
+      },
+    ],
+  });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  downloadTextFile(html, `ds-maturity-report-${stamp}.html`, "text/html");
+}
+
+/** Details elements opened for printing, closed again once the print dialog is done. */
+const detailsOpenedForPrint = new Set();
+
+function expandDetailsForPrint() {
+  for (const details of wizardContent.querySelectorAll("details:not([open])")) {
+    details.open = true;
+    detailsOpenedForPrint.add(details);
+  }
+}
+
+function restoreDetailsAfterPrint() {
+  for (const details of detailsOpenedForPrint) details.open = false;
+  detailsOpenedForPrint.clear();
+}
+
+async function flashCopyResult(button, copy) {
+  const originalLabel = button.textContent;
+  try {
+    await copy();
+    button.textContent = t("copy.done");
+  } catch {
+    button.textContent = t("copy.failed");
+  }
+  window.setTimeout(() => {
+    button.textContent = originalLabel;
+  }, 1200);
+}
+
+function renderGuidanceItem(item) {
+  const meta = [];
+  if (item.kind === "question") {
+    meta.push(
+      escapeAttr(t("guidance.uplift", { points: formatScore(item.uplift), dimension: dimensionName(item.dimension) }))
+    );
+    meta.push(escapeAttr(t("guidance.scored", { score: item.score, prompt: item.prompt })));
+  } else if (item.kind === "risk") {
+    meta.push(escapeAttr(t("guidance.addresses", { flag: item.flagLabel })));
+  }
+  return `<li data-guidance-id="${escapeAttr(item.id)}">
+    ${escapeAttr(item.text)}
+    ${meta.length ? `<p class="help-text">${meta.join(" · ")}</p>` : ""}
+    <span class="print-hidden">${renderTrackControl(item.id)}</span>
+  </li>`;
+}
+
+/**
+ * Shows a Track button for guidance not in the action plan yet, or a Tracked chip.
+ * @param {string} guidanceId
+ * @returns {string}
+ */
+function renderTrackControl(guidanceId) {
+  return state.actionPlan.some((item) => item.id === guidanceId)
+    ? `<span class="chip balanced">${t("actionPlan.tracked")}</span>`
+    : `<button class="btn btn-secondary btn-small" type="button" data-action="track-guidance" data-guidance-id="${escapeAttr(
+        guidanceId
+      )}">${t("actionPlan.track")}</button>`;
+}
+
+/**
+ * Names what an action addresses, linking questions and dimensions to their labels.
+ * @param {import("./actionPlan.js").ActionItem} item
+ * @returns {string}
+ */
+function describeActionTarget(item) {
+  const dimension = item.dimension ? dimensionName(item.dimension) : "";
+  if (item.questionId) {
+    return escapeAttr(
+      t("actionPlan.addressesQuestion", { dimension, prompt: item.prompt || item.questionId, id: item.questionId })
+    );
+  }
+  if (item.flagId) {
+    return escapeAttr(t("actionPlan.addressesFlag", { flag: item.flagLabel || item.flagId, id: item.flagId }));
+  }
+  return dimension ? escapeAttr(t("actionPlan.addressesDimension", { dimension })) : "";
+}
+
+/**
+ * Lists the tracked actions with editable owner, due date and status, and the progress
+ * since they were added: actions done, overdue, and open actions the current answers no
+ * longer call for.
+ * @param {import("./report.js").GuidancePlan} [guidance]
+ */
+function renderActionPlan(guidance = getComputedReport().guidance) {
+  const container = document.getElementById("actionPlanContent");
+  if (!container) return;
+  if (!state.actionPlan.length) {
+    container.innerHTML = `<p class="help-text">${t("actionPlan.empty")}</p>`;
+    return;
+  }
+
+  const progress = summarizeActionPlan(state.actionPlan, guidance);
+  const overdue = new Set(progress.overdue);
+  const addressed = new Set(progress.addressed);
+  const notes = [
+    t("actionPlan.progress", { done: progress.counts.done, count: progress.total }),
+    ...(progress.counts["in-progress"]
+      ? [t("actionPlan.inProgressCount", { count: progress.counts["in-progress"] })]
+      : []),
+    ...(progress.overdue.length ? [t("actionPlan.overdueCount", { count: progress.overdue.length })] : []),
+  ];
+  const rows = state.actionPlan
+    .map((item) => {
+      const id = escapeAttr(item.id);
+      const chips = [
+        ...(overdue.has(item.id) ? [`<span class="chip underbuilt">${t("actionPlan.overdue")}</span>`] : []),
+        ...(addressed.has(item.id) ? [`<span class="chip balanced">${t("actionPlan.addressed")}</span>`] : []),
+      ];
+      const target = describeActionTarget(item);
+      const statusOptions = ACTION_STATUSES.map(
+        (status) =>
+          `<option value="${status}" ${item.status === status ? "selected" : ""}>${t(`actionPlan.status.${status}`)}</option>`
+      ).join("");
+      return `<tr class="${overdue.has(item.id) ? "row-flagged" : ""}">
+        <th scope="row">
+          ${isOpenAction(item) ? escapeAttr(item.text) : `<s>${escapeAttr(item.text)}</s>`}
+          ${target ? `<div class="help-text">${target}</div>` : ""}
+          ${chips.join(" ")}
+        </th>
+        <td><input type="text" maxlength="${MAX_ACTION_OWNER_LENGTH}" autocomplete="off" data-type="action-owner" data-action-id="${id}" value="${escapeAttr(
+          item.owner
+        )}" placeholder="${escapeAttr(t("actionPlan.ownerPlaceholder"))}" aria-label="${escapeAttr(t("actionPlan.owner"))}" /></td>
+        <td><input type="date" data-type="action-due" data-action-id="${id}" value="${escapeAttr(
+          item.dueDate
+        )}" aria-label="${escapeAttr(t("actionPlan.due"))}" /></td>
+        <td><select data-type="action-status" data-action-id="${id}" aria-label="${escapeAttr(
+          t("actionPlan.status")
+        )}">${statusOptions}</select></td>
+        <td class="print-hidden"><button class="btn btn-secondary btn-small" type="button" data-action="remove-action" data-action-id="${id}">${t(
+          "actionPlan.remove"
+        )}</button></td>
+      </tr>`;
+    })
+    .join("");
+
+  container.innerHTML = `
+    <p>${notes.join(" · ")}</p>
+    ${progress.addressed.length ? `<p class="help-text good">${t("actionPlan.addressedCount", { count: progress.addressed.length })}</p>` : ""}
+    <table class="data-table action-table">
+      <thead><tr>
+        <th scope="col">${t("actionPlan.action")}</th>
+        <th scope="col">${t("actionPlan.owner")}</th>
+        <th scope="col">${t("actionPlan.due")}</th>
+        <th scope="col">${t("actionPlan.status")}</th>
+        <th scope="col" class="print-hidden"><span class="visually-hidden">${t("actionPlan.remove")}</span></th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/**
+ * Redraws the Track button or Tracked chip of the given guidance items.
+ * @param {string[]} ids
+ */
+function refreshTrackControls(ids) {
+  for (const id of ids) {
+    for (const holder of document.querySelectorAll(`[data-guidance-id="${id}"] > .print-hidden`)) {
+      holder.innerHTML = renderTrackControl(id);
+    }
+  }
+}
+
+/**
+ * Adds guidance items to the action plan and swaps their Track buttons for chips.
+ * @param {import("./report.js").GuidanceItem[]} items
+ */
+function trackGuidance(items) {
+  state.actionPlan = addActionItems(state.actionPlan, items);
+  persistState();
+  refreshTrackControls(items.map((item) => item.id));
+  renderActionPlan();
+}
+
+/**
+ * Saves an owner, due date or status edit from the action plan table.
+ * @param {HTMLInputElement | HTMLSelectElement} target
+ */
+function updateAction(target) {
+  const field = { "action-owner": "owner", "action-due": "dueDate", "action-status": "status" }[target.dataset.type];
+  try {
+    state.actionPlan = updateActionItem(state.actionPlan, target.dataset.actionId, { [field]: target.value });
+  } catch {
+    setValidation(t("actionPlan.invalidDue"));
+    return;
+  }
+  clearValidation();
+  persistState();
+  if (field !== "owner") renderActionPlan();
+}
+
+function downloadActionPlan(format) {
+  const options = { locale: activeLocale, dimensionLabels: activeQuestionnaire.dimensionLabels };
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  if (format === "csv") {
+    downloadTextFile(buildActionPlanCsv(state.actionPlan, options), `ds-action-plan-${stamp}.csv`, "text/csv");
+  } else {
+    downloadTextFile(
+      formatActionPlanMarkdown(state.actionPlan, options),
+      `ds-action-plan-${stamp}.md`,
+      "text/markdown"
+    );
+  }
+}
+
+function renderGuidancePlan(plan) {
+  const sections = [];
+  if (plan.topActions.length) {
+    sections.push(`<h4>${t("guidance.topActions")}</h4>
+      <ol class="guidance-list">${plan.topActions.map(renderGuidanceItem).join("")}</ol>`);
+  }
+  if (plan.riskActions.length) {
+    sections.push(`<h4>${t("guidance.riskActions")}</h4>
+      <ul class="guidance-list">${plan.riskActions.map(renderGuidanceItem).join("")}</ul>`);
+  }
+  for (const group of plan.dimensions) {
+    sections.push(`<details class="details">
+      <summary>${escapeAttr(group.title)} (${formatScore(group.score100)}) · ${t(
+        "guidance.behaviorsToRaise",
+        { count: group.items.length }
+      )}</summary>
+      <ul class="guidance-list">${group.items.map(renderGuidanceItem).join("")}</ul>
+    </details>`);
+  }
+  if (plan.general.length) {
+    sections.push(`<ul class="guidance-list">${plan.general.map(renderGuidanceItem).join("")}</ul>`);
+  }
+  return sections.join("");
+}
+
+/**
+ * Lists the evidence notes and links next to the answer and dimension score they back up.
+ * @param {ReturnType<typeof computeReportModel>} reportModel
+ * @returns {string}
+ */
+function renderEvidenceTable(reportModel) {
+  const items = listEvidence(state.evidence, activeQuestionnaire);
+  if (!items.length) return `<p class="help-text">${t("evidence.empty")}</p>`;
+  return `<table class="data-table">
+      <thead>
+        <tr>
+          <th scope="col">${t("report.dimension")}</th>
+          <th scope="col">${t("report.question")}</th>
+          <th scope="col">${t("report.answer")}</th>
+          <th scope="col">${t("report.evidence")}</th>
+        </tr>
+      </thead>
+      <tbody>${items
+        .map((item) => {
+          const score = reportModel.dimensionScores[item.dimension];
+          const value = state.responses[item.id];
+          return `<tr>
+            <th scope="row">${escapeAttr(dimensionName(item.dimension))}${
+              score && score.confidence !== "none" ? ` (${formatScore(score.score100)})` : ""
+            }</th>
+            <td>${escapeAttr(item.prompt)}</td>
+            <td>${value === undefined ? t("report.notAnswered") : answerLabel(value)}</td>
+            <td>
+              ${item.note ? `<p class="evidence-note">${escapeAttr(item.note)}</p>` : ""}
+              ${
+                item.links.length
+                  ? `<ul class="evidence-links">${item.links
+                      .map(
+                        (link) =>
+                          `<li><a href="${escapeAttr(link)}" target="_blank" rel="noopener noreferrer">${escapeAttr(link)}</a></li>`
+                      )
+                      .join("")}</ul>`
+                  : ""
+              }
+            </td>
+          </tr>`;
+        })
+        .join("")}</tbody>
+    </table>`;
+}
+
+function renderTargetInputs(reportModel) {
+  const field = (name, key, value) => `
+    <label class="field">
+      <span>${escapeAttr(name)}</span>
+      <input type="number" min="0" max="100" step="5" inputmode="decimal" data-type="target" data-target="${escapeAttr(
+        key
+      )}" value="${value ?? ""}" placeholder="—" />
+    </label>`;
+  return [
+    field(t("kpi.ssi"), "SSI", state.targets.SSI),
+    ...Object.keys(reportModel.dimensionScores).map((key) =>
+      field(dimensionName(key), key, state.targets.dimensions[key])
+    ),
+  ].join("");
+}
+
+/**
+ * Shows current vs target scores, the answers that have to move up to reach the targets
+ * and how saved reports tracked against them.
+ * @param {ReturnType<typeof computeReportModel>} reportModel
+ * @param {Array<Record<string, any>>} [savedReports]
+ */
+function renderTargetSummary(reportModel, savedReports = loadSavedReports()) {
+  const container = document.getElementById("targetSummary");
+  if (!container) return;
+  if (!hasTargets(state.targets)) {
+    container.innerHTML = `<p class="help-text">${t("targets.empty")}</p>`;
+    return;
+  }
+
+  const gaps = computeTargetGaps(reportModel, state.targets);
+  const gapRow = (name, gap) => `<tr>
+      <th scope="row">${escapeAttr(name)}</th>
+      <td>${gap.current === null ? "—" : formatScore(gap.current)}</td>
+      <td>${formatScore(gap.target)}</td>
+      <td>${
+        gap.met
+          ? `<span class="chip balanced">${t("targets.met")}</span>`
+          : gap.gap === null
+            ? "—"
+            : formatScore(gap.gap)
+      }</td>
+    </tr>`;
+  const rows = [
+    ...(gaps.SSI ? [gapRow(t("kpi.ssi"), gaps.SSI)] : []),
+    ...gaps.dimensions.map((gap) => gapRow(dimensionName(gap.dimension), gap)),
+  ].join("");
+
+  const plan = planTargetMoves(state.targets, {
+    QUESTIONNAIRE: activeQuestionnaire,
+    responses: state.responses,
+  });
+  const movesHtml = [
+    ...plan.moves.map(
+      (move) => `<li>
+        <strong>${escapeAttr(dimensionName(move.dimension))}</strong>: ${escapeAttr(move.prompt)}
+        <span class="chip">${formatScore(move.from, 0)} → ${formatScore(move.to, 0)}</span>
+      </li>`
+    ),
+    ...plan.unscored.map(
+      (dimension) => `<li class="risk">${t("targets.unscored", { dimension: escapeAttr(dimensionName(dimension)) })}</li>`
+    ),
+  ].join("");
+
+  const progress = buildTargetProgress(savedReports, state.targets);
+  const progressHtml = progress.length
+    ? `<h4>${t("targets.progress")}</h4>
+      <ul class="history-list">${progress
+        .map(
+          (point) => `<li>
+            <strong>${formatTimestamp(point.timestamp)}</strong>
+            ${point.gaps.SSI ? `<span> · ${t("kpi.ssi")} ${formatScore(point.gaps.SSI.current)}</span>` : ""}
+            <span> · ${t("targets.metCount", { met: point.gaps.met, count: point.gaps.total })}</span>
+          </li>`
+        )
+        .join("")}</ul>`
+    : "";
+
+  container.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th scope="col">${t("targets.measure")}</th>
+          <th scope="col">${t("targets.current")}</th>
+          <th scope="col">${t("targets.target")}</th>
+          <th scope="col">${t("targets.gap")}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <h4>${t("targets.moves")}</h4>
+    ${movesHtml ? `<ul>${movesHtml}</ul>` : `<p class="help-text good">${t("targets.allMet")}</p>`}
+    ${progressHtml}
+  `;
+}
+
+/**
+ * Stores one target from its number field; an empty field removes the target.
+ * @param {HTMLInputElement} target
+ */
+function updateTarget(target) {
+  const key = target.dataset.target;
+  const raw = target.value.trim();
+  const value = Number(raw);
+  if (raw && (!Number.isFinite(value) || value < 0 || value > 100)) {
+    setValidation(t("targets.invalid"));
+    const current = key === "SSI" ? state.targets.SSI : state.targets.dimensions[key];
+    target.value = current === undefined ? "" : String(current);
+    return;
+  }
+
+  if (key === "SSI") {
+    if (raw) state.targets.SSI = value;
+    else delete state.targets.SSI;
+  } else if (raw) {
+    state.targets.dimensions[key] = value;
+  } else {
+    delete state.targets.dimensions[key];
+  }
+  persistState();
+  clearValidation();
+  refreshTargets();
+}
+
+function refreshTargets() {
+  const { reportModel } = getComputedReport();
+  renderResultsChart(reportModel);
+  renderTargetSummary(reportModel);
+  renderTrendChart();
+}
+
+function renderSandboxInputs() {
+  const { dimensions, behavioralQuestions } = activeQuestionnaire.structuralMaturity;
+  return dimensions
+    .map((dimension) => {
+      const key = dimension.toLowerCase();
+      const fields = behavioralQuestions
+        .filter((q) => q.dimension.toLowerCase() === key)
+        .map((q) => {
+          const value = String(sandboxOverrides[q.id] ?? state.responses[q.id] ?? "");
+          const options = [0, 1, 2, 3, ...UNSCORED_ANSWERS]
+            .map(
+              (answer) =>
+                `<option value="${answer}" ${value === String(answer) ? "selected" : ""}>${answerLabel(answer)}</option>`
+            )
+            .join("");
+          return `<label class="field sandbox-field">
+            <span>${escapeAttr(q.prompt)}</span>
+            <select data-type="sandbox-answer" data-id="${escapeAttr(q.id)}">
+              ${value ? "" : `<option value="" selected>${t("report.notAnswered")}</option>`}
+              ${options}
+            </select>
+          </label>`;
+        })
+        .join("");
+      return `<h4>${escapeAttr(activeQuestionnaire.dimensionLabels?.[key] || dimension)}</h4>
+        <div class="sandbox-grid">${fields}</div>`;
+    })
+    .join("");
+}
+
+/**
+ * Recomputes the report with the sandbox answers and shows how SSI, the Adequacy Gap,
+ * dimension gaps and risk flags would move, plus the best single-question improvements
+ * from the sandbox answers.
+ * @param {ReturnType<typeof computeReportModel>} [baseModel]
+ */
+function renderSandbox(baseModel = getComputedReport().reportModel) {
+  const result = document.getElementById("sandboxResult");
+  const improvementsEl = document.getElementById("sandboxImprovements");
+  const summaryEl = document.getElementById("sandboxSummary");
+  if (!result || !improvementsEl || !summaryEl) return;
+
+  const changed = Object.keys(sandboxOverrides).length;
+  summaryEl.textContent = changed ? t("sandbox.changed", { count: changed }) : t("sandbox.edit");
+  for (const select of document.querySelectorAll('select[data-type="sandbox-answer"]')) {
+    select.classList.toggle(
+      "sandbox-changed",
+      Object.prototype.hasOwnProperty.call(sandboxOverrides, select.dataset.id)
+    );
+  }
+
+  const scenarioInput = {
+    contextResponses: state.contextResponses,
+    responses: applyScenario(state.responses, sandboxOverrides),
+    QUESTIONNAIRE: activeQuestionnaire,
+    profile: getActiveProfile(),
+  };
+  const scenario = computeReportModel(scenarioInput);
+  const diff = compareScenario(baseModel, scenario);
+  const band = scenario.scoringProfile.adequacyBand;
+  const totalRow = (label, entry, withStatus) => `<tr>
+      <th scope="row">${label}</th>
+      <td>${formatScore(entry.before)}</td>
+      <td>${formatScore(entry.after)}${
+        withStatus
+          ? ` <span class="chip ${getAdequacyStatus(entry.after, band).className}">${statusLabel(
+              getAdequacyStatus(entry.after, band)
+            )}</span>`
+          : ""
+      }</td>
+      <td class="${deltaClassName(entry.delta)}">${formatDelta(entry.delta)}</td>
+    </tr>`;
+  const dimensionRows = diff.dimensions
+    .map((entry) => {
+      const delta = entry.gapAfter - entry.gapBefore;
+      return `<tr>
+        <th scope="row">${escapeAttr(dimensionName(entry.dimension))}</th>
+        <td>${formatScore(entry.before)} <span class="muted">(${formatDelta(entry.gapBefore)})</span></td>
+        <td>${formatScore(entry.after)} <span class="muted">(${formatDelta(entry.gapAfter)})</span></td>
+        <td class="${deltaClassName(delta)}">${formatDelta(delta)}</td>
+      </tr>`;
+    })
+    .join("");
+
+  result.innerHTML = `
+    <table class="data-table">
+      <thead><tr><th scope="col">${t("report.score")}</th><th scope="col">${t("sandbox.actual")}</th><th scope="col">${t("sandbox.whatIf")}</th><th scope="col">${t("compare.change")}</th></tr></thead>
+      <tbody>
+        ${totalRow(t("kpi.ssi"), diff.SSI, false)}
+        ${totalRow(t("kpi.gap"), diff.adequacyGap, true)}
+        ${dimensionRows}
+      </tbody>
+    </table>
+    <p class="help-text">${t("sandbox.gapNote")}</p>
+    <div class="diff-columns">
+      <div>
+        <h4>${t("sandbox.clearedFlags")}</h4>
+        <ul>${renderDiffList(diff.risks.cleared.map((flag) => `<span class="good">${escapeAttr(flag.label)}</span>`), t("common.none"))}</ul>
+      </div>
+      <div>
+        <h4>${t("sandbox.raisedFlags")}</h4>
+        <ul>${renderDiffList(diff.risks.raised.map((flag) => `<span class="risk">${escapeAttr(flag.label)}</span>`), t("common.none"))}</ul>
+      </div>
+    </div>
+  `;
+
+  const improvements = rankImprovements(scenarioInput, { limit: SANDBOX_IMPROVEMENT_COUNT });
+  improvementsEl.innerHTML = improvements.length
+    ? `<ol class="guidance-list">${improvements
+        .map((item) => {
+          const effects = [
+            ...item.clearedFlags.map((flag) => t("sandbox.clears", { flag: escapeAttr(flag.label) })),
+            ...(item.adequacyGapDelta > 0 ? [t("sandbox.gapEffect", { points: formatDelta(item.adequacyGapDelta) })] : []),
+            ...(item.shortfallReduction > 0
+              ? [t("sandbox.shortfallEffect", { points: formatScore(item.shortfallReduction) })]
+              : []),
+          ];
+          return `<li>
+            <strong>${dimensionName(item.dimension)}</strong>: ${escapeAttr(item.prompt)}
+            <span class="chip">${answerLabel(item.from)} → ${answerLabel(item.to)}</span>
+            <p class="help-text">${effects.join(" · ")}</p>
+            <button class="btn btn-secondary btn-small" type="button" data-action="try-improvement" data-question-id="${escapeAttr(
+              item.questionId
+            )}" data-answer="${item.to}">${t("sandbox.try")}</button>
+          </li>`;
+        })
+        .join("")}</ol>`
+    : `<p class="help-text">${t("sandbox.noImprovements")}</p>`;
+
+  renderSandboxChart(baseModel, scenario);
+}
+
+function renderSandboxChart(baseModel, scenario) {
+  const canvas = document.getElementById("sandboxChart");
+  if (!canvas || typeof Chart === "undefined") return;
+  destroyChart("sandbox");
+
+  const dimensions = Object.keys(baseModel.dimensionScores);
+  const scoresOf = (model) =>
+    dimensions.map((key) =>
+      model.dimensionScores[key].confidence === "none" ? null : model.dimensionScores[key].score100
+    );
+  chartInstances.sandbox = new Chart(canvas, {
+    type: "bar",
+    data: {
+      labels: dimensions.map((d) => dimensionName(d)),
+      datasets: [
+        {
+          label: t("sandbox.actual"),
+          data: scoresOf(baseModel),
+          backgroundColor: "rgba(31, 111, 235, 0.45)",
+          borderColor: "rgba(31, 111, 235, 1)",
+          borderWidth: 1,
+        },
+        {
+          label: t("sandbox.whatIf"),
+          data: scoresOf(scenario),
+          backgroundColor: "rgba(124, 58, 237, 0.55)",
+          borderColor: "rgba(124, 58, 237, 1)",
+          borderWidth: 1,
+        },
+        {
+          label: t("chart.opi"),
+          data: dimensions.map(() => scenario.operationalPressure.OPI),
+          backgroundColor: "rgba(180, 35, 24, 0.35)",
+          borderColor: "rgba(180, 35, 24, 0.95)",
+          borderWidth: 1,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      indexAxis: "y",
+      scales: {
+        x: {
+          beginAtZero: true,
+          max: 100,
+          title: {
+            display: true,
+            text: t("chart.axis"),
+          },
+        },
+      },
+      plugins: {
+        legend: {
+          position: "bottom",
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Records one sandbox answer; picking the real answer again removes the override.
+ * @param {string} questionId
+ * @param {string} raw
+ */
+function setSandboxAnswer(questionId, raw) {
+  const value = UNSCORED_ANSWERS.includes(raw) ? raw : Number(raw);
+  if (raw === "" || String(state.responses[questionId]) === String(value)) {
+    delete sandboxOverrides[questionId];
+  } else {
+    sandboxOverrides[questionId] = value;
+  }
+  renderSandbox();
+}
+
+/**
+ * Places the current report among its benchmark peers, or null without a dataset.
+ * @param {ReturnType<typeof computeReportModel>} reportModel
+ * @returns {import("./benchmark.js").BenchmarkResult | null}
+ */
+function getBenchmark(reportModel) {
+  if (!activeBenchmark.dataset) return null;
+  return computeBenchmark(reportModel, state.contextResponses, activeBenchmark.dataset);
+}
+
+/**
+ * Names the answer bands peers were matched on, using the option labels.
+ * @param {string[]} criteria
+ * @returns {string}
+ */
+function describePeerBands(criteria) {
+  return criteria
+    .map((id) => {
+      const q = activeQuestionnaire.operationalContext.questions.find((question) => question.id === id);
+      const option = q?.options.find((opt) => Number(opt.score) === Number(state.contextResponses[id]));
+      return escapeAttr(option?.label ?? String(state.contextResponses[id]));
+    })
+    .join(" · ");
+}
+
+function renderBenchmark(reportModel) {
+  const container = document.getElementById("benchmarkSummary");
+  if (!container) return;
+  const benchmark = getBenchmark(reportModel);
+  if (!benchmark) {
+    container.innerHTML = `<p class="help-text">${t("benchmark.unavailable")}</p>${
+      activeBenchmark.errors.length
+        ? `<ul>${activeBenchmark.errors.map((error) => `<li class="risk">${escapeAttr(error)}</li>`).join("")}</ul>`
+        : ""
+    }`;
+    return;
+  }
+
+  const row = (name, entry) => `<tr>
+      <th scope="row">${escapeAttr(name)}</th>
+      <td>${formatScore(entry.score)}</td>
+      <td>${formatScore(entry.median)}</td>
+      <td>${entry.percentile === null ? "—" : formatScore(entry.percentile, 0)}</td>
+    </tr>`;
+  container.innerHTML = `
+    <p class="help-text">${t(
+      activeBenchmark.source === "upload" ? "benchmark.datasetUploaded" : "benchmark.dataset",
+      { name: escapeAttr(benchmark.name), count: benchmark.total }
+    )}</p>
+    ${benchmark.description ? `<p class="help-text">${escapeAttr(benchmark.description)}</p>` : ""}
+    <p>${t("benchmark.peers", { count: benchmark.peerCount, bands: describePeerBands(benchmark.criteria) })}</p>
+    ${benchmark.enough ? "" : `<p class="help-text risk">${t("benchmark.tooFew", { min: MIN_BENCHMARK_PEERS })}</p>`}
+    <table class="data-table">
+      <thead><tr>
+        <th scope="col">${t("report.score")}</th>
+        <th scope="col">${t("benchmark.yours")}</th>
+        <th scope="col">${t("benchmark.median")}</th>
+        <th scope="col">${t("benchmark.percentile")}</th>
+      </tr></thead>
+      <tbody>
+        ${row(t("kpi.ssi"), benchmark.SSI)}
+        ${row(t("kpi.opi"), benchmark.OPI)}
+        ${benchmark.dimensions.map((entry) => row(dimensionName(entry.dimension), entry)).join("")}
+      </tbody>
+    </table>`;
+}
+
+async function handleBenchmarkInput(input) {
+  const file = input.files?.[0];
+  input.value = "";
+  if (!file) return;
+
+  let source;
+  try {
+    source = JSON.parse(await file.text());
+  } catch {
+    setValidation(t("benchmark.invalidJson"));
+    return;
+  }
+  try {
+    readBenchmarkDataset(source);
+  } catch (error) {
+    setValidation(t("benchmark.rejected", { message: error instanceof Error ? error.message : String(error) }));
+    return;
+  }
+  if (!saveUploadedBenchmark(source)) {
+    setValidation(t("benchmark.notStored"));
+    return;
+  }
+  clearValidation();
+  activeBenchmark = await loadActiveBenchmark(BENCHMARK_URL);
+  render();
+}
+
+async function resetBenchmark() {
+  clearUploadedBenchmark();
+  activeBenchmark = await loadActiveBenchmark(BENCHMARK_URL);
+  render();
+}
+
+function renderGrowthInputs() {
+  const fields = activeQuestionnaire.operationalContext.questions
+    .map((q) => {
+      const options = q.options
+        .map(
+          (opt) =>
+            `<option value="${opt.score}" ${
+              Number(state.contextResponses[q.id]) === Number(opt.score) ? "selected" : ""
+            }>${escapeAttr(opt.label)}</option>`
+        )
+        .join("");
+      return `<label class="field">
+        <span>${escapeAttr(q.prompt)}</span>
+        <select data-type="growth-context" data-id="${escapeAttr(q.id)}">${options}</select>
+      </label>`;
+    })
+    .join("");
+  return `<div class="filter-row">
+      <label class="field">
+        <span>${t("growth.name")}</span>
+        <input id="growthName" type="text" autocomplete="off" placeholder="${escapeAttr(t("growth.namePlaceholder"))}" />
+      </label>
+      <label class="field">
+        <span>${t("growth.horizonMonths")}</span>
+        <input id="growthHorizon" type="number" min="1" max="${MAX_HORIZON_MONTHS}" step="1" inputmode="numeric" placeholder="12" />
+      </label>
+    </div>
+    <div class="sandbox-grid">${fields}</div>`;
+}
+
+/**
+ * Lists the context answers a growth scenario changes from today's answers.
+ * @param {import("./growth.js").GrowthScenario} scenario
+ * @returns {string}
+ */
+function describeGrowthChanges(scenario) {
+  return activeQuestionnaire.operationalContext.questions
+    .filter(
+      (q) =>
+        scenario.contextResponses[q.id] !== undefined &&
+        Number(scenario.contextResponses[q.id]) !== Number(state.contextResponses[q.id])
+    )
+    .map((q) => {
+      const option = q.options.find((opt) => Number(opt.score) === Number(scenario.contextResponses[q.id]));
+      return `${escapeAttr(q.prompt)}: ${escapeAttr(option?.label ?? scenario.contextResponses[q.id])}`;
+    })
+    .join(" · ");
+}
+
+/**
+ * Projects each growth scenario against today's structural answers: the future OPI,
+ * Adequacy Gap, the SSI growth needed to stay Balanced, dimensions that would be at risk
+ * and risk flags that are not raised today.
+ */
+function renderGrowthProjections() {
+  const container = document.getElementById("growthProjections");
+  if (!container) return;
+  if (!state.growthScenarios.length) {
+    container.innerHTML = `<p class="help-text">${t("growth.empty")}</p>`;
+    return;
+  }
+
+  const projections = projectGrowthScenarios(
+    {
+      contextResponses: state.contextResponses,
+      responses: state.responses,
+      QUESTIONNAIRE: activeQuestionnaire,
+      profile: getActiveProfile(),
+    },
+    state.growthScenarios
+  );
+  const rows = projections
+    .map((projection) => {
+      const { scenario } = projection;
+      const changes = describeGrowthChanges(scenario);
+      const atRisk = projection.atRiskDimensions.length
+        ? projection.atRiskDimensions
+            .map(
+              (entry) =>
+                `${escapeAttr(dimensionName(entry.dimension))} (${formatDelta(entry.pointsNeeded)})${
+                  entry.isNew ? ` <span class="chip underbuilt">${t("growth.newRisk")}</span>` : ""
+                }`
+            )
+            .join("<br />")
+        : t("common.none");
+      const flags = projection.newFlags.length
+        ? projection.newFlags.map((flag) => escapeAttr(flag.label)).join("<br />")
+        : t("common.none");
+      return `<tr>
+        <th scope="row">
+          ${escapeAttr(scenario.name)}
+          ${scenario.horizonMonths ? `<span class="help-text"> · ${t("growth.months", { count: scenario.horizonMonths })}</span>` : ""}
+          <div class="help-text">${changes || t("growth.noChange")}</div>
+        </th>
+        <td>${formatScore(projection.OPI)} <span class="${deltaClassName(-projection.OPIDelta)}">(${formatDelta(
+          projection.OPIDelta
+        )})</span></td>
+        <td>${formatScore(projection.adequacyGap)} <span class="chip ${projection.status.className}">${statusLabel(
+          projection.status
+        )}</span></td>
+        <td>${projection.ssiGrowthNeeded > 0 ? formatDelta(projection.ssiGrowthNeeded) : t("growth.noGrowth")}</td>
+        <td>${atRisk}</td>
+        <td>${flags}</td>
+        <td class="print-hidden">
+          <button class="btn btn-secondary btn-small" type="button" data-action="remove-growth" data-scenario-id="${escapeAttr(
+            scenario.id
+          )}">${t("growth.remove")}</button>
+        </td>
+      </tr>`;
+    })
+    .join("");
+
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr>
+        <th scope="col">${t("growth.scenario")}</th>
+        <th scope="col">${t("growth.projectedOpi")}</th>
+        <th scope="col">${t("kpi.gap")}</th>
+        <th scope="col">${t("growth.ssiGrowth")}</th>
+        <th scope="col">${t("growth.atRisk")}</th>
+        <th scope="col">${t("growth.newFlags")}</th>
+        <th scope="col" class="print-hidden"><span class="visually-hidden">${t("growth.remove")}</span></th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/**
+ * Adds a growth scenario from the panel form; context answers are stored as picked so
+ * the scenario describes an absolute future state.
+ */
+function addGrowthScenario() {
+  const nameInput = document.getElementById("growthName");
+  const horizonInput = document.getElementById("growthHorizon");
+  const name = nameInput instanceof HTMLInputElement ? nameInput.value.trim() : "";
+  if (!name) {
+    setValidation(t("growth.nameRequired"));
+    return;
+  }
+  const rawHorizon = horizonInput instanceof HTMLInputElement ? horizonInput.value.trim() : "";
+  const horizonMonths = rawHorizon ? Number(rawHorizon) : undefined;
+  if (
+    horizonMonths !== undefined &&
+    (!Number.isInteger(horizonMonths) || horizonMonths < 1 || horizonMonths > MAX_HORIZON_MONTHS)
+  ) {
+    setValidation(t("growth.invalidHorizon", { max: MAX_HORIZON_MONTHS }));
+    return;
+  }
+
+  /** @type {Record<string, number>} */
+  const contextResponses = {};
+  for (const select of document.querySelectorAll('select[data-type="growth-context"]')) {
+    contextResponses[select.dataset.id] = Number(select.value);
+  }
+  clearValidation();
+  state.growthScenarios.push({
+    id: `scenario-${Date.now().toString(36)}`,
+    name,
+    ...(horizonMonths ? { horizonMonths } : {}),
+    contextResponses,
+  });
+  persistState();
+  if (nameInput instanceof HTMLInputElement) nameInput.value = "";
+  if (horizonInput instanceof HTMLInputElement) horizonInput.value = "";
+  renderGrowthProjections();
+}
+
+function renderResultsStep() {
+  const { reportModel, summary, guidance, risks } = getComputedReport();
+  const savedReports = saveReportSnapshot(reportModel, summary, guidance);
+  const feedbackEmbedUrl = getFeedbackEmbedUrl();
+  const feedbackConfigured = Boolean(feedbackEmbedUrl);
+  const strengths = generateStrengths(reportModel);
+  const weaknesses = generateWeaknesses(reportModel);
+  const adequacyStatus = getAdequacyStatus(
+    reportModel.adequacyGap,
+    reportModel.scoringProfile.adequacyBand
+  );
+
+  const strengthsHtml = strengths
+    .map((item) => `<li>${escapeAttr(item.dimension)} (${formatScore(item.score100)})</li>`)
+    .join("");
+  const weaknessesHtml = weaknesses
+    .map((item) => `<li>${escapeAttr(item.dimension)} (${formatScore(item.score100)})</li>`)
+    .join("");
+  const risksHtml = risks.length
+    ? risks
+        .map(
+          (risk) => `<li>
+            <span class="severity severity-${risk.severity}">${t(`severity.${risk.severity}`)}</span>
+            <strong>${escapeAttr(risk.label)}</strong>
+            ${
+              risk.lowConfidence
+                ? `<span class="chip confidence-low">${t("report.lowConfidence")}</span> ${infoTip(
+                    t("results.lowConfidenceTip")
+                  )}`
+                : ""
+            }
+            <p class="help-text">${escapeAttr(risk.explanation)}</p>
+          </li>`
+        )
+        .join("")
+    : `<li class="good">${t("report.noRisks")}</li>`;
+  const coverageWarnings = generateCoverageWarnings(reportModel, { locale: activeLocale });
+  const coverageHtml = `${
+    coverageWarnings.length
+      ? `<ul>${coverageWarnings
+          .map((warning) => `<li class="risk">${escapeAttr(warning.text)}</li>`)
+          .join("")}</ul>`
+      : ""
+  }
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th scope="col">${t("report.dimension")}</th>
+          <th scope="col">${t("report.answered")}</th>
+          <th scope="col">${t("answer.dontKnow")}</th>
+          <th scope="col">${t("answer.notApplicable")}</th>
+          <th scope="col">${t("report.confidence")}</th>
+        </tr>
+      </thead>
+      <tbody>${Object.entries(reportModel.dimensionScores)
+        .map(
+          ([key, score]) => `<tr>
+            <th scope="row">${escapeAttr(dimensionName(key))}</th>
+            <td>${score.answered}/${score.total}</td>
+            <td>${score.dontKnow}</td>
+            <td>${score.notApplicable}</td>
+            <td>${confidenceChip(score)}</td>
+          </tr>`
+        )
+        .join("")}</tbody>
+    </table>`;
+  const evidenceHtml = renderEvidenceTable(reportModel);
+  const guidanceHtml = renderGuidancePlan(guidance);
+  const historyHtml = savedReports.length
+    ? savedReports
+        .map((item) => {
+          const status = getAdequacyStatus(
+            Number(item.adequacyGap || 0),
+            item.scoringProfile?.adequacyBand ?? ADEQUACY_BAND
+          );
+          return `<li>
+            <strong>${formatTimestamp(item.timestamp)}</strong>
+            <span> · ${t("kpi.ssi")} ${formatScore(item.SSI || 0)}</span>
+            <span> · ${t("kpi.opi")} ${formatScore(item.OPI || 0)}</span>
+            <span> · ${t("saved.gap")} ${formatScore(item.adequacyGap || 0)}</span>
+            <span class="chip ${status.className}">${statusLabel(status)}</span>
+          </li>`;
+        })
+        .join("")
+    : `<li>${t("saved.empty")}</li>`;
+
+  wizardContent.innerHTML = `
+    <div class="results-grid">
+      <h2 class="section-title" tabindex="-1">${t("results.title")}</h2>
+      <p class="section-subtitle">${summary}</p>
+      <p class="disclaimer">${t("results.disclaimer")}</p>
+      <p class="disclaimer">${t("report.scoringProfile")}: <strong>${escapeAttr(reportModel.scoringProfile.label)}</strong><span class="print-hidden"> · <a href="./admin.html">${t("results.manageProfiles")}</a></span></p>
+      <p class="disclaimer print-only">${t("report.generated", { time: formatTimestamp(new Date().toISOString()) })}</p>
+
+      <div class="kpis">
+        <div class="kpi">
+          <div class="kpi-label">${t("kpi.ssi")} ${infoTip(t("kpi.ssiTip"))}</div>
+          <div class="kpi-value">${formatScore(reportModel.SSI)}</div>
+        </div>
+        <div class="kpi">
+          <div class="kpi-label">${t("kpi.opi")} ${infoTip(t("kpi.opiTip"))}</div>
+          <div class="kpi-value">${formatScore(reportModel.operationalPressure.OPI)}</div>
+        </div>
+        <div class="kpi">
+          <div class="kpi-label">${t("kpi.gap")} ${infoTip(t("kpi.gapTip"))}</div>
+          <div class="kpi-value ${reportModel.adequacyGap < 0 ? "risk" : "good"}">${formatScore(
+            reportModel.adequacyGap
+          )}</div>
+          <div class="gap-indicator ${adequacyStatus.className}">
+            <span class="gap-dot" aria-hidden="true"></span>
+            <span>${statusLabel(adequacyStatus)}</span>
+          </div>
+        </div>
+      </div>
+
+      <div class="panel">
+        <h3>${t("results.chartTitle")} ${infoTip(t("results.chartTip"))}</h3>
+        <div class="chart-shell">
+          <canvas id="resultsChart" role="img"></canvas>
+        </div>
+        ${renderChartTableToggle("resultsChartTable")}
+      </div>
+
+      <div class="panel">
+        <h3>${t("results.radarTitle")} ${infoTip(t("results.radarTip"))}</h3>
+        <div class="chart-shell chart-shell-radar">
+          <canvas id="dimensionsChart" role="img"></canvas>
+        </div>
+        ${renderChartTableToggle("dimensionsChartTable")}
+      </div>
+
+      <div class="panel">
+        <h3>${t("benchmark.title")} ${infoTip(t("benchmark.tip"))}</h3>
+        <div id="benchmarkSummary"></div>
+        <div class="inline-actions print-hidden">
+          <button id="loadBenchmarkBtn" class="btn btn-secondary" type="button">${t("benchmark.load")}</button>
+          <input id="loadBenchmarkInput" class="visually-hidden" type="file" accept="application/json,.json" tabindex="-1" data-type="benchmark-import" />
+          ${
+            activeBenchmark.source === "upload"
+              ? `<button id="resetBenchmarkBtn" class="btn btn-secondary" type="button">${t("benchmark.reset")}</button>`
+              : ""
+          }
+        </div>
+      </div>
+
+      <div class="panel">
+        <h3>${t("targets.title")} ${infoTip(t("targets.tip"))}</h3>
+        <div class="filter-row print-hidden">${renderTargetInputs(reportModel)}</div>
+        <div class="inline-actions print-hidden">
+          <button id="clearTargetsBtn" class="btn btn-secondary" type="button">${t("targets.clear")}</button>
+        </div>
+        <div id="targetSummary"></div>
+      </div>
+
+      <div class="panel">
+        <h3>${t("report.coverage")} ${infoTip(t("results.coverageTip"))}</h3>
+        ${coverageHtml}
+      </div>
+
+      <div class="panel">
+        <h3>${t("report.evidence")} ${infoTip(t("results.evidenceTip"))}</h3>
+        ${evidenceHtml}
+      </div>
+
+      <div class="panel">
+        <h3>${t("report.strengths")}</h3>
+        <ul>${strengthsHtml}</ul>
+      </div>
+
+      <div class="panel">
+        <h3>${t("report.weaknesses")}</h3>
+        <ul>${weaknessesHtml}</ul>
+      </div>
+
+      <div class="panel">
+        <h3>${t("results.risksTitle")} ${infoTip(t("results.risksTip"))}</h3>
+        <ul>${risksHtml}</ul>
+      </div>
+
+      <div class="panel print-hidden">
+        <h3>${t("sandbox.title")} ${infoTip(t("sandbox.tip"))}</h3>
+        <details class="details">
+          <summary id="sandboxSummary"></summary>
+          ${renderSandboxInputs()}
+        </details>
+        <div class="inline-actions">
+          <button id="resetSandboxBtn" class="btn btn-secondary" type="button">${t("sandbox.reset")}</button>
+        </div>
+        <div id="sandboxResult"></div>
+        <div class="chart-shell">
+          <canvas id="sandboxChart" role="img" aria-label="${escapeAttr(t("chart.sandboxAlt"))}"></canvas>
+        </div>
+        <h4>${t("sandbox.improvements")} ${infoTip(t("sandbox.improvementsTip"))}</h4>
+        <div id="sandboxImprovements"></div>
+      </div>
+
+      <div class="panel">
+        <h3>${t("growth.title")} ${infoTip(t("growth.tip"))}</h3>
+        <details class="details print-hidden">
+          <summary>${t("growth.define")}</summary>
+          ${renderGrowthInputs()}
+          <div class="inline-actions">
+            <button id="addGrowthBtn" class="btn btn-secondary" type="button">${t("growth.add")}</button>
+          </div>
+        </details>
+        <div id="growthProjections"></div>
+      </div>
+
+      <div class="panel">
+        <h3>${t("report.nextSteps")} ${infoTip(t("results.guidanceTip"))}</h3>
+        ${guidanceHtml}
+      </div>
+
+      <div class="panel">
+        <h3>${t("actionPlan.title")} ${infoTip(t("actionPlan.tip"))}</h3>
+        <div id="actionPlanContent"></div>
+        <div class="inline-actions print-hidden">
+          <button id="trackAllGuidanceBtn" class="btn btn-secondary" type="button">${t("actionPlan.trackAll")}</button>
+          <button id="exportActionsMarkdownBtn" class="btn btn-secondary" type="button">${t("actionPlan.exportMarkdown")}</button>
+          <button id="exportActionsCsvBtn" class="btn btn-secondary" type="button">${t("actionPlan.exportJira")}</button>
+        </div>
+      </div>
+
+      <div class="panel print-hidden">
+        <h3>${t("actions.title")}</h3>
+        <div class="inline-actions">
+          <button id="downloadReportBtn" class="btn btn-secondary" type="button">
+            ${t("actions.downloadJson")}
+          </button>
+          <button id="downloadMarkdownBtn" class="btn btn-secondary" type="button">
+            ${t("actions.downloadMarkdown")}
+          </button>
+          <button id="downloadHtmlBtn" class="btn btn-secondary" type="button">
+            ${t("actions.downloadHtml")}
+          </button>
+          <button id="printReportBtn" class="btn btn-secondary" type="button">
+            ${t("actions.print")}
+          </button>
+          <button id="copySummaryBtn" class="btn btn-secondary" type="button">
+            ${t("actions.copySummary")}
+          </button>
+          <button id="copyMarkdownBtn" class="btn btn-secondary" type="button">
+            ${t("actions.copyMarkdown")}
+          </button>
+          <button id="newResponseBtn" class="btn btn-secondary" type="button">
+            ${t("actions.newResponse")}
+          </button>
+          <button id="openFeedbackBtn" class="btn btn-primary feedback-cta" type="button">
+            ${t("actions.feedback")}
+          </button>
+        </div>
+      </div>
+
+      <div class="panel print-hidden">
+        <h3>${t("team.title")} ${infoTip(t("team.tip"))}</h3>
+        <div class="filter-row">
+          <label class="field">
+            <span>${t("team.respondentName")}</span>
+            <input id="respondentName" type="text" autocomplete="off" placeholder="${escapeAttr(t("team.namePlaceholder"))}" />
+          </label>
+        </div>
+        <div class="inline-actions">
+          <button id="addRespondentBtn" class="btn btn-secondary" type="button">
+            ${t("team.add")}
+          </button>
+          <button id="importRespondentsBtn" class="btn btn-secondary" type="button">
+            ${t("team.import")}
+          </button>
+          <input id="importRespondentsInput" class="visually-hidden" type="file" accept="application/json,.json" multiple tabindex="-1" data-type="team-import" />
+          <button id="clearTeamBtn" class="btn btn-secondary" type="button">
+            ${t("team.clear")}
+          </button>
+        </div>
+        <ul id="teamRespondents" class="history-list"></ul>
+        <div id="teamReport"></div>
+      </div>
+
+      <div class="panel print-hidden">
+        <h3>${t("compare.title")} ${infoTip(t("compare.tip"))}</h3>
+        <div class="filter-row">
+          <label class="field">
+            <span>${t("compare.before")}</span>
+            <select id="compareBefore" data-type="compare-select" data-side="before"></select>
+          </label>
+          <label class="field">
+            <span>${t("compare.after")}</span>
+            <select id="compareAfter" data-type="compare-select" data-side="after"></select>
+          </label>
+        </div>
+        <div id="compareResult"></div>
+      </div>
+
+      <div class="panel print-hidden">
+        <h3>${t("trend.title")} ${infoTip(t("trend.tip"))}</h3>
+        <div class="filter-row">
+          <label class="field">
+            <span>${t("trend.from")}</span>
+            <input id="trendFrom" type="date" data-type="trend-filter" data-bound="from" value="${trendFilter.from}" />
+          </label>
+          <label class="field">
+            <span>${t("trend.to")}</span>
+            <input id="trendTo" type="date" data-type="trend-filter" data-bound="to" value="${trendFilter.to}" />
+          </label>
+        </div>
+        <div class="chart-shell">
+          <canvas id="trendChart" role="img" aria-label="${escapeAttr(t("chart.trendAlt"))}"></canvas>
+        </div>
+        <p id="trendMessage" class="help-text"></p>
+        <ul id="trendStatusChanges" class="history-list"></ul>
+      </div>
+
+      <div class="panel print-hidden">
+        <h3>${t("saved.title")} ${infoTip(t("saved.tip"))}</h3>
+        <ul class="history-list">${historyHtml}</ul>
+        <div class="inline-actions">
+          <label class="checkbox-field">
+            <input id="csvIncludeAnswers" type="checkbox" />
+            <span>${t("saved.includeAnswers")}</span>
+          </label>
+          <button id="exportCsvBtn" class="btn btn-secondary" type="button">
+            ${t("saved.exportCsv")}
+          </button>
+          <button id="importCsvBtn" class="btn btn-secondary" type="button">
+            ${t("saved.importCsv")}
+          </button>
+          <input id="importCsvInput" class="visually-hidden" type="file" accept="text/csv,.csv" tabindex="-1" data-type="reports-csv-import" />
+        </div>
+      </div>
+    </div>
+
+    <div id="feedbackModal" class="modal-backdrop hidden" role="dialog" aria-modal="true" aria-labelledby="feedbackTitle">
+      <div class="modal-card">
+        <h3 id="feedbackTitle">${t("feedback.title")}</h3>
+        <p class="help-text">${t("feedback.intro")}</p>
+        ${
+          feedbackConfigured
+            ? `<iframe
+                id="feedbackFrame"
+                class="feedback-iframe"
+                src="${feedbackEmbedUrl}"
+                title="${escapeAttr(t("feedback.frameTitle"))}"
+                loading="lazy"
+              ></iframe>`
+            : `<p class="risk">${t("feedback.missing")}</p>`
+        }
+        <div class="inline-actions">
+          <button id="closeFeedbackBtn" class="btn btn-secondary" type="button">${t("feedback.close")}</button>
+          ${
+            feedbackConfigured
+              ? `<a id="openFeedbackExternalLink" class="btn btn-primary feedback-link-btn" target="_blank" rel="noopener noreferrer" href="${FEEDBACK_FORM_URL}">${t("feedback.openTab")}</a>`
+              : ""
+          }
+        </div>
+      </div>
+    </div>
+  `;
+
+  renderResultsChart(reportModel);
+  renderBenchmark(reportModel);
+  renderTargetSummary(reportModel, savedReports);
+  renderSandbox(reportModel);
+  renderGrowthProjections();
+  renderActionPlan(guidance);
+  renderTrendChart();
+  renderComparePanel(savedReports);
+  renderTeamPanel();
+}
+
+function formatTeamAnswers(stats) {
+  return [...stats.answers, ...(stats.unscored || [])]
+    .map((answer) => `${escapeAttr(answer.name)} ${answerLabel(answer.value)}`)
+    .join(" · ");
+}
+
+function renderTeamPanel() {
+  const list = document.getElementById("teamRespondents");
+  const report = document.getElementById("teamReport");
+  if (!list || !report) return;
+
+  const respondents = loadTeamRespondents();
+  list.innerHTML = respondents.length
+    ? respondents
+        .map(
+          (r) => `<li>
+            <strong>${escapeAttr(r.name)}</strong>
+            <span> · ${t("team.added", { time: formatTimestamp(r.addedAt) })}</span>
+            <button class="btn btn-secondary btn-small" type="button" data-action="remove-respondent" data-respondent-id="${escapeAttr(r.id)}">${t("team.remove")}</button>
+          </li>`
+        )
+        .join("")
+    : `<li>${t("team.empty")}</li>`;
+
+  if (respondents.length < 2) {
+    report.innerHTML =
+      `<p class="help-text">${t("team.needTwo")}</p>`;
+    return;
+  }
+
+  const team = computeTeamReport(respondents, activeQuestionnaire, getActiveProfile());
+  const { reportModel } = team;
+  const status = getAdequacyStatus(
+    reportModel.adequacyGap,
+    reportModel.scoringProfile.adequacyBand
+  );
+  const flags = reportModel.risks?.flags || [];
+  const topicsHtml = team.discussionTopics.length
+    ? team.discussionTopics
+        .map(
+          (stats) => `<li>
+            <strong>${escapeAttr(stats.prompt)}</strong>
+            <span class="muted"> · ${t("team.spread", { value: formatScore(stats.spread) })} · ${formatTeamAnswers(stats)}</span>
+          </li>`
+        )
+        .join("")
+    : `<li>${t("team.noTopics")}</li>`;
+  const statsRowsHtml = team.questionStats
+    .map(
+      (stats) => `<tr class="${stats.disagreement ? "row-flagged" : ""}">
+        <th scope="row"><span class="muted">${
+          stats.section === "context" ? t("team.context") : escapeAttr(dimensionName(stats.dimension))
+        } ·</span> ${escapeAttr(stats.prompt)}</th>
+        <td>${formatScore(stats.mean, 2)}</td>
+        <td>${formatScore(stats.spread)}</td>
+        <td>${formatScore(stats.stdDev, 2)}</td>
+        <td>${
+          stats.outliers.length
+            ? stats.outliers.map((o) => `${escapeAttr(o.name)} (${o.value})`).join(", ")
+            : "—"
+        }</td>
+      </tr>`
+    )
+    .join("");
+
+  report.innerHTML = `
+    <h4>${t("team.reportTitle", { count: respondents.length })}</h4>
+    <table class="data-table">
+      <tbody>
+        <tr><th scope="row">${t("team.ssi")}</th><td>${formatScore(reportModel.SSI)}</td></tr>
+        <tr><th scope="row">${t("team.opi")}</th><td>${formatScore(reportModel.operationalPressure.OPI)}</td></tr>
+        <tr>
+          <th scope="row">${t("kpi.gap")}</th>
+          <td>${formatScore(reportModel.adequacyGap)} <span class="chip ${status.className}">${statusLabel(status)}</span></td>
+        </tr>
+      </tbody>
+    </table>
+    <h4>${t("team.flags")}</h4>
+    <ul>${
+      flags.length
+        ? flags.map((flag) => `<li>${escapeAttr(riskFlagLabel(flag))}</li>`).join("")
+        : `<li>${t("common.none")}</li>`
+    }</ul>
+    <h4>${t("team.topics")} ${infoTip(t("team.topicsTip"))}</h4>
+    <ul>${topicsHtml}</ul>
+    <details class="details">
+      <summary>${t("team.consensus")}</summary>
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th scope="col">${t("report.question")}</th>
+            <th scope="col">${t("team.mean")}</th>
+            <th scope="col">${t("team.spreadColumn")}</th>
+            <th scope="col">${t("team.stdDev")}</th>
+            <th scope="col">${t("team.outliers")}</th>
+          </tr>
+        </thead>
+        <tbody>${statsRowsHtml}</tbody>
+      </table>
+    </details>
+  `;
+}
+
+async function importTeamRespondentFiles(files) {
+  const failures = [];
+  for (const file of files) {
+    try {
+      const imported = parseReportPayload(JSON.parse(await file.text()), activeQuestionnaire);
+      if (imported.version < 2) {
+        throw new Error(t("team.noAnswers"));
+      }
+      upsertTeamRespondent({
+        name: file.name.replace(/\.json$/i, ""),
+        contextResponses: imported.contextResponses,
+        responses: imported.responses,
+      });
+    } catch (error) {
+      failures.push(`${file.name}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  renderTeamPanel();
+  if (failures.length) {
+    setValidation(t("team.importFailed", { failures: failures.join("; ") }));
+  }
+}
+
+function exportReportsCsv() {
+  const includeAnswers = document.getElementById("csvIncludeAnswers")?.checked === true;
+  const { reportModel, summary, guidance } = getComputedReport();
+  const current = buildReportRecord(reportModel, summary, guidance);
+  const saved = loadSavedReports();
+  const alreadySaved =
+    saved[0]?.fingerprint === current.fingerprint &&
+    saved[0]?.scoringProfile?.id === current.scoringProfile.id;
+  const reports = [{ ...current, source: "current" }, ...(alreadySaved ? saved.slice(1) : saved)];
+
+  const csv = buildReportsCsv(reports, activeQuestionnaire, {
+    includeAnswers,
+    unscoredLabels: {
+      [DONT_KNOW]: t(UNSCORED_ANSWER_KEYS[DONT_KNOW]),
+      [NOT_APPLICABLE]: t(UNSCORED_ANSWER_KEYS[NOT_APPLICABLE]),
+    },
+  });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  downloadTextFile(
+    csv,
+    `ds-maturity-${includeAnswers ? "answers" : "scores"}-${stamp}.csv`,
+    "text/csv"
+  );
+}
+
+async function importReportsCsv(file) {
+  const entries = parseAnswersCsv(await file.text(), activeQuestionnaire);
+  const profile = getActiveProfile();
+  const saved = loadSavedReports();
+  const imported = [];
+
+  for (const entry of entries) {
+    const reportModel = computeReportModel({
+      responses: entry.responses,
+      contextResponses: entry.contextResponses,
+      QUESTIONNAIRE: activeQuestionnaire,
+      profile,
+    });
+    const guidance = generateGuidance(reportModel, {
+      QUESTIONNAIRE: activeQuestionnaire,
+      responses: entry.responses,
+      locale: activeLocale,
+    });
+    const summary = generateSummary(reportModel, { locale: activeLocale });
+    const record = buildReportRecord(reportModel, summary, guidance, entry);
+    const duplicate = saved.some(
+      (report) => report.timestamp === record.timestamp && report.fingerprint === record.fingerprint
+    );
+    if (!duplicate) imported.push(record);
+  }
+
+  const next = [...imported, ...saved]
+    .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())
+    .slice(0, MAX_SAVED_REPORTS);
+  writeStorage(REPORTS_STORAGE_KEY, JSON.stringify(next));
+  // Rows older than the kept history are parsed but never saved, so they are not counted.
+  const kept = imported.filter((record) => next.includes(record)).length;
+  return {
+    imported: kept,
+    skipped: entries.length - imported.length,
+    dropped: imported.length - kept,
+  };
+}
+
+async function handleReportsCsvInput(input) {
+  const file = input.files?.[0];
+  input.value = "";
+  if (!file) return;
+
+  try {
+    const { imported, skipped, dropped } = await importReportsCsv(file);
+    render();
+    setValidation(
+      t("csv.imported", {
+        count: imported,
+        skipped: skipped ? t("csv.skipped", { count: skipped }) : "",
+        dropped: dropped ? t("csv.dropped", { count: dropped, max: MAX_SAVED_REPORTS }) : "",
+      })
+    );
+  } catch (error) {
+    setValidation(
+      t("csv.importFailed", { message: error instanceof Error ? error.message : String(error) })
+    );
+  }
+}
+
+function formatScore(value, digits = 1) {
+  if (value === null || value === undefined) return "—";
+  return formatNumber(value, activeLocale, digits);
+}
+
+function formatDelta(value, digits = 1) {
+  const formatted = formatScore(value, digits);
+  return value > 0 ? `+${formatted}` : formatted;
+}
+
+function deltaClassName(value) {
+  if (!value) return "";
+  return value > 0 ? "good" : "risk";
+}
+
+function resolveCompareRecord(value, savedReports) {
+  if (value === "current") {
+    const { reportModel, summary, guidance } = getComputedReport();
+    return buildReportRecord(reportModel, summary, guidance);
+  }
+  return savedReports.find((report) => report.timestamp === value) || null;
+}
+
+function pickDefaultBefore(savedReports) {
+  const fingerprint = getStateFingerprint();
+  const previous = savedReports.find((report) => report.fingerprint !== fingerprint);
+  return previous ? previous.timestamp : "";
+}
+
+function renderDiffList(items, emptyText) {
+  if (!items.length) return `<li>${emptyText}</li>`;
+  return items.map((item) => `<li>${item}</li>`).join("");
+}
+
+function renderComparePanel(savedReports = loadSavedReports()) {
+  const beforeSelect = document.getElementById("compareBefore");
+  const afterSelect = document.getElementById("compareAfter");
+  const result = document.getElementById("compareResult");
+  if (!beforeSelect || !afterSelect || !result) return;
+
+  const values = ["current", ...savedReports.map((report) => report.timestamp)];
+  if (!values.includes(compareSelection.before)) {
+    compareSelection.before = pickDefaultBefore(savedReports);
+  }
+  if (!values.includes(compareSelection.after)) {
+    compareSelection.after = "current";
+  }
+
+  const optionsHtml = (selected) =>
+    [
+      `<option value="current" ${selected === "current" ? "selected" : ""}>${t("compare.currentRun")}</option>`,
+      ...savedReports.map(
+        (report) =>
+          `<option value="${escapeAttr(report.timestamp)}" ${
+            selected === report.timestamp ? "selected" : ""
+          }>${formatTimestamp(report.timestamp)} · ${t("kpi.ssi")} ${formatScore(report.SSI || 0)}</option>`
+      ),
+    ].join("");
+  beforeSelect.innerHTML = `<option value="" ${compareSelection.before ? "" : "selected"}>${t("compare.choose")}</option>${optionsHtml(compareSelection.before)}`;
+  afterSelect.innerHTML = optionsHtml(compareSelection.after);
+
+  const before = compareSelection.before
+    ? resolveCompareRecord(compareSelection.before, savedReports)
+    : null;
+  const after = resolveCompareRecord(compareSelection.after, savedReports);
+  if (!before || !after) {
+    result.innerHTML = `<p class="help-text">${t("compare.needMore")}</p>`;
+    return;
+  }
+
+  const diff = diffAssessments(before, after, activeQuestionnaire);
+  const beforeProfile = before.scoringProfile?.id ?? "default";
+  const afterProfile = after.scoringProfile?.id ?? "default";
+  const profileNote =
+    beforeProfile === afterProfile
+      ? ""
+      : `<p class="help-text risk">${t("compare.profileMismatch", {
+          before: escapeAttr(before.scoringProfile?.label ?? "Default"),
+          after: escapeAttr(after.scoringProfile?.label ?? "Default"),
+        })}</p>`;
+  // A rising OPI means more operational pressure, so its delta is colored the other way round.
+  const totalsHtml = [
+    [t("kpi.ssi"), diff.totals.SSI, 1],
+    [t("kpi.opi"), diff.totals.OPI, -1],
+    [t("kpi.gap"), diff.totals.adequacyGap, 1],
+  ]
+    .map(
+      ([label, entry, direction]) => `<tr>
+        <th scope="row">${label}</th>
+        <td>${formatScore(entry.before)}</td>
+        <td>${formatScore(entry.after)}</td>
+        <td class="${deltaClassName(direction * entry.delta)}">${formatDelta(entry.delta)}</td>
+      </tr>`
+    )
+    .join("");
+  const dimensionsHtml = diff.dimensions
+    .map(
+      (entry) => `<tr>
+        <th scope="row">${escapeAttr(dimensionName(entry.dimension))}</th>
+        <td>${formatScore(entry.before)}</td>
+        <td>${formatScore(entry.after)}</td>
+        <td class="${deltaClassName(entry.delta)}">${formatDelta(entry.delta)}</td>
+      </tr>`
+    )
+    .join("");
+
+  let questionsHtml = `<p class="help-text">${t("compare.needAnswers")}</p>`;
+  if (diff.questions) {
+    questionsHtml = diff.questions.length
+      ? `<table class="data-table">
+          <thead><tr><th scope="col">${t("report.question")}</th><th scope="col">${t("compare.before")}</th><th scope="col">${t("compare.after")}</th><th scope="col">${t("compare.change")}</th></tr></thead>
+          <tbody>${diff.questions
+            .map(
+              (q) => `<tr>
+                <th scope="row"><span class="muted">${escapeAttr(dimensionName(q.dimension))} ·</span> ${escapeAttr(q.prompt)}</th>
+                <td>${q.beforeAnswer === null ? "—" : answerLabel(q.beforeAnswer)}</td>
+                <td>${q.afterAnswer === null ? "—" : answerLabel(q.afterAnswer)}</td>
+                <td class="${deltaClassName(q.delta)}">${formatDelta(q.delta, 0)}</td>
+              </tr>`
+            )
+            .join("")}</tbody>
+        </table>`
+      : `<p class="help-text">${t("compare.noAnswerChanges")}</p>`;
+  }
+
+  result.innerHTML = `
+    ${profileNote}
+    <table class="data-table">
+      <thead><tr><th scope="col">${t("report.score")}</th><th scope="col">${t("compare.before")}</th><th scope="col">${t("compare.after")}</th><th scope="col">${t("compare.change")}</th></tr></thead>
+      <tbody>${totalsHtml}${dimensionsHtml}</tbody>
+    </table>
+    <div class="diff-columns">
+      <div>
+        <h4>${t("compare.newFlags")}</h4>
+        <ul>${renderDiffList(diff.risks.added.map((entry) => escapeAttr(entry.label)), t("common.none"))}</ul>
+      </div>
+      <div>
+        <h4>${t("compare.clearedFlags")}</h4>
+        <ul>${renderDiffList(diff.risks.removed.map((entry) => escapeAttr(entry.label)), t("common.none"))}</ul>
+      </div>
+      <div>
+        <h4>${t("compare.addedGuidance")}</h4>
+        <ul>${renderDiffList(diff.guidance.added.map((entry) => escapeAttr(entry.label)), t("common.none"))}</ul>
+      </div>
+      <div>
+        <h4>${t("compare.removedGuidance")}</h4>
+        <ul>${renderDiffList(diff.guidance.removed.map((entry) => escapeAttr(entry.label)), t("common.none"))}</ul>
+      </div>
+    </div>
+    <h4>${t("compare.movedQuestions")}</h4>
+    ${questionsHtml}
+  `;
+}
+
+function renderTrendChart() {
+  const canvas = document.getElementById("trendChart");
+  const message = document.getElementById("trendMessage");
+  const changesList = document.getElementById("trendStatusChanges");
+  if (!canvas || !message || !changesList) return;
+
+  destroyChart("trend");
+
+  const { points, statusChanges } = buildTrendSeries(
+    filterReportsByDateRange(loadSavedReports(), trendFilter)
+  );
+
+  // History reports statuses by their English label; map them back to the locale.
+  const statusText = (label) => t(`status.${label.toLowerCase()}`);
+  changesList.innerHTML = statusChanges
+    .map(
+      (change) => `<li>
+        <strong>${formatTimestamp(change.timestamp)}</strong>
+        <span> · ${statusText(change.from)} → ${statusText(change.to)}</span>
+      </li>`
+    )
+    .join("");
+
+  if (points.length < 2) {
+    message.textContent = t("trend.needTwo");
+    canvas.hidden = true;
+    return;
+  }
+  if (typeof Chart === "undefined") {
+    message.textContent = t("trend.unavailable");
+    canvas.hidden = true;
+    return;
+  }
+
+  message.textContent = statusChanges.length ? t("trend.changes") : t("trend.noChanges");
+  canvas.hidden = false;
+
+  const changeByIndex = new Map(statusChanges.map((change) => [change.index, change]));
+  const gapPointStyle = points.map((_, index) => (changeByIndex.has(index) ? "rectRot" : "circle"));
+  const gapPointRadius = points.map((_, index) => (changeByIndex.has(index) ? 7 : 3));
+
+  chartInstances.trend = new Chart(canvas, {
+    type: "line",
+    data: {
+      labels: points.map((point) => formatTimestamp(point.timestamp)),
+      datasets: [
+        {
+          label: t("kpi.ssi"),
+          data: points.map((point) => point.SSI),
+          borderColor: "rgba(31, 111, 235, 0.95)",
+          backgroundColor: "rgba(31, 111, 235, 0.95)",
+          tension: 0.25,
+        },
+        {
+          label: t("kpi.opi"),
+          data: points.map((point) => point.OPI),
+          borderColor: "rgba(180, 35, 24, 0.85)",
+          backgroundColor: "rgba(180, 35, 24, 0.85)",
+          tension: 0.25,
+        },
+        {
+          label: t("kpi.gap"),
+          data: points.map((point) => point.adequacyGap),
+          borderColor: "rgba(181, 71, 8, 0.9)",
+          backgroundColor: "rgba(181, 71, 8, 0.9)",
+          borderDash: [6, 4],
+          pointStyle: gapPointStyle,
+          pointRadius: gapPointRadius,
+          tension: 0.25,
+        },
+        ...(state.targets.SSI !== undefined
+          ? [
+              {
+                label: t("chart.ssiTarget"),
+                data: points.map(() => state.targets.SSI),
+                borderColor: "rgba(2, 122, 72, 0.9)",
+                backgroundColor: "rgba(2, 122, 72, 0.9)",
+                borderDash: [2, 3],
+                pointRadius: 0,
+              },
+            ]
+          : []),
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        y: {
+          min: -100,
+          max: 100,
+          title: {
+            display: true,
+            text: t("report.score"),
+          },
+        },
+      },
+      plugins: {
+        legend: {
+          position: "bottom",
+        },
+        tooltip: {
+          callbacks: {
+            afterBody: (items) => {
+              const change = changeByIndex.get(items[0]?.dataIndex);
+              return change
+                ? t("trend.statusChange", { from: statusText(change.from), to: statusText(change.to) })
+                : "";
+            },
+          },
+        },
+      },
+    },
+  });
+}
+
+// Each chart gets a data table behind a toggle; the canvas alone says nothing to a screen reader.
+function renderChartTableToggle(tableId) {
+  return `
+    <div class="inline-actions print-hidden">
+      <button class="btn btn-secondary btn-small" type="button" data-action="toggle-chart-table" aria-expanded="false" aria-controls="${tableId}">
+        ${t("chart.showTable")}
+      </button>
+    </div>
+    <div id="${tableId}" hidden></div>
+  `;
+}
+
+function renderChartTable(tableId, labels, series) {
+  const container = document.getElementById(tableId);
+  if (!container) return;
+  container.innerHTML = `
+    <table class="data-table">
+      <thead><tr>
+        <th scope="col">${t("report.dimension")}</th>
+        ${series.map((entry) => `<th scope="col">${escapeAttr(entry.label)}</th>`).join("")}
+      </tr></thead>
+      <tbody>
+        ${labels
+          .map(
+            (label, index) => `
+              <tr>
+                <th scope="row">${escapeAttr(label)}</th>
+                ${series
+                  .map((entry) => {
+                    const value = entry.data[index];
+                    return `<td>${value === null || value === undefined ? "—" : formatScore(value)}</td>`;
+                  })
+                  .join("")}
+              </tr>
+            `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function toggleChartTable(button) {
+  const table = document.getElementById(button.getAttribute("aria-controls") || "");
+  if (!table) return;
+  const open = button.getAttribute("aria-expanded") !== "true";
+  table.hidden = !open;
+  button.setAttribute("aria-expanded", String(open));
+  button.textContent = t(open ? "chart.hideTable" : "chart.showTable");
+}
+
+function renderResultsChart(reportModel) {
+  const canvas = document.getElementById("resultsChart");
+  const dimensionsCanvas = document.getElementById("dimensionsChart");
+  if (!canvas) return;
+  if (!dimensionsCanvas) return;
 
   const dimensions = Object.keys(reportModel.dimensionScores || {});
-  const actualScores = dimensions.map((key) => reportModel.dimensionScores[key].score100);
+  const labels = dimensions.map((d) => dimensionName(d));
+  // Dimensions without scored answers have no score; Chart.js leaves null values out.
+  const actualScores = dimensions.map((key) =>
+    reportModel.dimensionScores[key].confidence === "none"
+      ? null
+      : reportModel.dimensionScores[key].score100
+  );
   const opiThreshold = dimensions.map(() => reportModel.operationalPressure.OPI);
+  const targetLine = dimensions.map((key) => dimensionTargetLine(state.targets, key));
+  const showTargets = hasTargets(state.targets);
+  const benchmark = getBenchmark(reportModel);
+  const peerMedians = benchmark?.enough ? benchmark.dimensions.map((entry) => entry.median) : null;
+
+  const scores = describeDimensionScores(reportModel);
+  canvas.setAttribute(
+    "aria-label",
+    t("chart.barAlt", { OPI: formatScore(reportModel.operationalPressure.OPI), scores })
+  );
+  dimensionsCanvas.setAttribute("aria-label", t("chart.radarAlt", { scores }));
+  const barSeries = [
+    { label: t("chart.actual"), data: actualScores },
+    { label: t("chart.opi"), data: opiThreshold },
+    ...(showTargets ? [{ label: t("chart.target"), data: targetLine }] : []),
+  ];
+  renderChartTable("resultsChartTable", labels, barSeries);
+  renderChartTable("dimensionsChartTable", labels, [
+    ...barSeries,
+    ...(peerMedians ? [{ label: t("chart.peerMedian"), data: peerMedians }] : []),
+  ]);
+
+  if (typeof Chart === "undefined") {
+    const panel = canvas.closest(".panel");
+    if (panel) {
+      panel.insertAdjacentHTML(
+        "beforeend",
+        `<p class="help-text">${t("chart.unavailable")}</p>`
+      );
+    }
+    return;
+  }
+
+  destroyChart("maturity");
+  destroyChart("dimensions");
 
   chartInstances.maturity = new Chart(canvas, {
     type: "bar",
     data: {
-      labels: dimensions.map((d) => titleCase(d)),
+      labels,
       datasets: [
         {
-          label: "Actual maturity",
+          label: t("chart.actual"),
           data: actualScores,
           backgroundColor: createGradientFill([
             "rgba(31, 111, 235, 0.75)",
@@ -606,12 +2898,23 @@ function renderResultsChart(reportModel) {
           borderWidth: 1,
         },
         {
-          label: "Operational pressure (OPI)",
+          label: t("chart.opi"),
           data: opiThreshold,
           backgroundColor: "rgba(180, 35, 24, 0.35)",
           borderColor: "rgba(180, 35, 24, 0.95)",
           borderWidth: 1,
         },
+        ...(showTargets
+          ? [
+              {
+                label: t("chart.target"),
+                data: targetLine,
+                backgroundColor: "rgba(2, 122, 72, 0.35)",
+                borderColor: "rgba(2, 122, 72, 0.95)",
+                borderWidth: 1,
+              },
+            ]
+          : []),
       ],
     },
     options: {
@@ -624,7 +2927,7 @@ function renderResultsChart(reportModel) {
           max: 100,
           title: {
             display: true,
-            text: "Score (0-100)",
+            text: t("chart.axis"),
           },
         },
       },
@@ -639,10 +2942,10 @@ function renderResultsChart(reportModel) {
   chartInstances.dimensions = new Chart(dimensionsCanvas, {
     type: "radar",
     data: {
-      labels: dimensions.map((d) => titleCase(d)),
+      labels,
       datasets: [
         {
-          label: "Actual maturity",
+          label: t("chart.actual"),
           data: actualScores,
           fill: true,
           backgroundColor: "rgba(31, 111, 235, 0.22)",
@@ -651,7 +2954,7 @@ function renderResultsChart(reportModel) {
           pointRadius: 3,
         },
         {
-          label: "Operational pressure (OPI)",
+          label: t("chart.opi"),
           data: opiThreshold,
           fill: true,
           backgroundColor: "rgba(180, 35, 24, 0.14)",
@@ -659,6 +2962,32 @@ function renderResultsChart(reportModel) {
           pointBackgroundColor: "rgba(180, 35, 24, 0.95)",
           pointRadius: 3,
         },
+        ...(showTargets
+          ? [
+              {
+                label: t("chart.target"),
+                data: targetLine,
+                fill: false,
+                borderColor: "rgba(2, 122, 72, 0.95)",
+                borderDash: [6, 4],
+                pointBackgroundColor: "rgba(2, 122, 72, 1)",
+                pointRadius: 3,
+              },
+            ]
+          : []),
+        ...(peerMedians
+          ? [
+              {
+                label: t("chart.peerMedian"),
+                data: peerMedians,
+                fill: false,
+                borderColor: "rgba(107, 70, 193, 0.9)",
+                borderDash: [2, 3],
+                pointBackgroundColor: "rgba(107, 70, 193, 1)",
+                pointRadius: 3,
+              },
+            ]
+          : []),
       ],
     },
     options: {
@@ -683,27 +3012,32 @@ function renderResultsChart(reportModel) {
   });
 }
 
+// Moves keyboard and screen reader focus to the first option of an unanswered question.
+function focusQuestion(questionId) {
+  wizardContent.querySelector(`input[type="radio"][name="${questionId}"]`)?.focus();
+}
+
 function validateStep() {
   if (state.currentStep === 1) {
-    const missing = QUESTIONNAIRE.operationalContext.questions.filter(
+    const missing = activeQuestionnaire.operationalContext.questions.filter(
       (q) => state.contextResponses[q.id] === undefined
     );
 
     if (missing.length) {
-      setValidation(`Please answer all context questions (${missing.length} left).`);
+      setValidation(t("validation.contextMissing", { count: missing.length }));
+      focusQuestion(missing[0].id);
       return false;
     }
   }
 
   if (state.currentStep === 2) {
-    const missing = QUESTIONNAIRE.structuralMaturity.behavioralQuestions.filter(
+    const missing = activeQuestionnaire.structuralMaturity.behavioralQuestions.filter(
       (q) => state.responses[q.id] === undefined
     );
 
     if (missing.length) {
-      setValidation(
-        `Please answer all structural maturity questions (${missing.length} left).`
-      );
+      setValidation(t("validation.structuralMissing", { count: missing.length }));
+      focusQuestion(missing[0].id);
       return false;
     }
   }
@@ -712,14 +3046,80 @@ function validateStep() {
   return true;
 }
 
+/** Element focused before the feedback modal opened; focus returns to it on close. */
+let feedbackModalOpener = null;
+
+function getModalFocusables(modal) {
+  return Array.from(
+    modal.querySelectorAll("button:not([disabled]), a[href], iframe, input, select, textarea")
+  );
+}
+
 function toggleFeedbackModal(open) {
   const modal = document.getElementById("feedbackModal");
   if (!modal) return;
+  const isOpen = !modal.classList.contains("hidden");
+  if (open === isOpen) return;
   modal.classList.toggle("hidden", !open);
+
+  if (open) {
+    feedbackModalOpener = document.activeElement;
+    document.getElementById("closeFeedbackBtn")?.focus();
+    return;
+  }
+  if (feedbackModalOpener instanceof HTMLElement && feedbackModalOpener.isConnected) {
+    feedbackModalOpener.focus();
+  }
+  feedbackModalOpener = null;
+}
+
+// Escape hides an open tooltip without moving the pointer or focus; it shows again next time.
+function dismissInfoTips() {
+  for (const tip of document.querySelectorAll(".info-tip:hover, .info-tip:focus")) {
+    tip.classList.add("info-tip-dismissed");
+  }
+}
+
+// Keeps Tab and Shift+Tab inside the open feedback modal.
+function trapModalFocus(event) {
+  const modal = document.getElementById("feedbackModal");
+  if (event.key !== "Tab" || !modal || modal.classList.contains("hidden")) return;
+  const focusables = getModalFocusables(modal);
+  if (!focusables.length) return;
+  const first = focusables[0];
+  const last = focusables[focusables.length - 1];
+  const inside = modal.contains(document.activeElement);
+  if (event.shiftKey && (document.activeElement === first || !inside)) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && (document.activeElement === last || !inside)) {
+    event.preventDefault();
+    first.focus();
+  }
 }
 
 function handleAnswerChange(event) {
   const target = event.target;
+  if (target instanceof HTMLSelectElement && target.dataset.type === "compare-select") {
+    compareSelection[target.dataset.side] = target.value;
+    renderComparePanel();
+    return;
+  }
+  if (target instanceof HTMLSelectElement && target.dataset.type === "sandbox-answer") {
+    setSandboxAnswer(target.dataset.id, target.value);
+    return;
+  }
+  if (target instanceof HTMLTextAreaElement && target.dataset.type?.startsWith("evidence-")) {
+    updateEvidence(target);
+    return;
+  }
+  if (
+    (target instanceof HTMLInputElement || target instanceof HTMLSelectElement) &&
+    ["action-owner", "action-due", "action-status"].includes(target.dataset.type)
+  ) {
+    updateAction(target);
+    return;
+  }
   if (!(target instanceof HTMLInputElement)) return;
 
   if (target.dataset.type === "context") {
@@ -730,9 +3130,41 @@ function handleAnswerChange(event) {
   }
 
   if (target.dataset.type === "maturity") {
-    state.responses[target.dataset.id] = Number(target.value);
+    state.responses[target.dataset.id] = UNSCORED_ANSWERS.includes(target.value)
+      ? target.value
+      : Number(target.value);
     persistState();
     clearValidation();
+    return;
+  }
+
+  if (target.dataset.type === "team-import") {
+    const files = Array.from(target.files || []);
+    target.value = "";
+    if (files.length) {
+      void importTeamRespondentFiles(files);
+    }
+    return;
+  }
+
+  if (target.dataset.type === "reports-csv-import") {
+    void handleReportsCsvInput(target);
+    return;
+  }
+
+  if (target.dataset.type === "benchmark-import") {
+    void handleBenchmarkInput(target);
+    return;
+  }
+
+  if (target.dataset.type === "target") {
+    updateTarget(target);
+    return;
+  }
+
+  if (target.dataset.type === "trend-filter") {
+    trendFilter[target.dataset.bound] = target.value;
+    renderTrendChart();
   }
 }
 
@@ -745,17 +3177,46 @@ async function handleWizardClick(event) {
     return;
   }
 
+  if (target.id === "printReportBtn") {
+    window.print();
+    return;
+  }
+
+  if (target.id === "downloadHtmlBtn") {
+    downloadReportHtml();
+    return;
+  }
+
+  if (target.id === "downloadMarkdownBtn") {
+    downloadReportMarkdown();
+    return;
+  }
+
   if (target.id === "copySummaryBtn") {
-    const originalLabel = target.textContent;
-    try {
-      await copySummaryToClipboard();
-      target.textContent = "Copied";
-    } catch {
-      target.textContent = "Copy failed";
-    }
-    window.setTimeout(() => {
-      target.textContent = originalLabel;
-    }, 1200);
+    await flashCopyResult(target, copySummaryToClipboard);
+    return;
+  }
+
+  if (target.id === "copyMarkdownBtn") {
+    await flashCopyResult(target, () => copyTextToClipboard(buildMarkdownReport()));
+    return;
+  }
+
+  if (target.id === "exportCsvBtn") {
+    exportReportsCsv();
+    return;
+  }
+
+  if (target.id === "importCsvBtn") {
+    document.getElementById("importCsvInput")?.click();
+    return;
+  }
+
+  if (target.id === "clearTargetsBtn") {
+    state.targets = { dimensions: {} };
+    persistState();
+    for (const input of document.querySelectorAll('input[data-type="target"]')) input.value = "";
+    refreshTargets();
     return;
   }
 
@@ -763,16 +3224,127 @@ async function handleWizardClick(event) {
     state.currentStep = 1;
     state.contextResponses = {};
     state.responses = {};
+    state.evidence = {};
     persistState();
     render();
     return;
   }
 
+  if (target.id === "addRespondentBtn") {
+    const nameInput = document.getElementById("respondentName");
+    const name = nameInput instanceof HTMLInputElement ? nameInput.value.trim() : "";
+    if (!name) {
+      setValidation(t("team.nameRequired"));
+      return;
+    }
+    clearValidation();
+    upsertTeamRespondent({
+      name,
+      contextResponses: state.contextResponses,
+      responses: state.responses,
+    });
+    if (nameInput instanceof HTMLInputElement) nameInput.value = "";
+    renderTeamPanel();
+    return;
+  }
+
+  if (target.id === "importRespondentsBtn") {
+    document.getElementById("importRespondentsInput")?.click();
+    return;
+  }
+
+  if (target.id === "clearTeamBtn") {
+    saveTeamRespondents([]);
+    renderTeamPanel();
+    return;
+  }
+
+  if (target.id === "resetSandboxBtn") {
+    sandboxOverrides = {};
+    for (const select of document.querySelectorAll('select[data-type="sandbox-answer"]')) {
+      select.value = String(state.responses[select.dataset.id] ?? "");
+    }
+    renderSandbox();
+    return;
+  }
+
+  if (target.dataset.action === "toggle-chart-table") {
+    toggleChartTable(target);
+    return;
+  }
+
+  if (target.dataset.action === "try-improvement") {
+    const { questionId, answer } = target.dataset;
+    const select = document.querySelector(`select[data-type="sandbox-answer"][data-id="${questionId}"]`);
+    if (select instanceof HTMLSelectElement) select.value = answer;
+    setSandboxAnswer(questionId, answer);
+    return;
+  }
+
+  if (target.dataset.action === "track-guidance") {
+    const item = listGuidanceItems(getComputedReport().guidance).find(
+      (entry) => entry.id === target.dataset.guidanceId
+    );
+    if (item) trackGuidance([item]);
+    return;
+  }
+
+  if (target.id === "trackAllGuidanceBtn") {
+    trackGuidance(listGuidanceItems(getComputedReport().guidance));
+    return;
+  }
+
+  if (target.dataset.action === "remove-action") {
+    state.actionPlan = state.actionPlan.filter((item) => item.id !== target.dataset.actionId);
+    persistState();
+    refreshTrackControls([target.dataset.actionId]);
+    renderActionPlan();
+    return;
+  }
+
+  if (target.id === "exportActionsMarkdownBtn") {
+    downloadActionPlan("markdown");
+    return;
+  }
+
+  if (target.id === "exportActionsCsvBtn") {
+    downloadActionPlan("csv");
+    return;
+  }
+
+  if (target.id === "loadBenchmarkBtn") {
+    document.getElementById("loadBenchmarkInput")?.click();
+    return;
+  }
+
+  if (target.id === "resetBenchmarkBtn") {
+    void resetBenchmark();
+    return;
+  }
+
+  if (target.id === "addGrowthBtn") {
+    addGrowthScenario();
+    return;
+  }
+
+  if (target.dataset.action === "remove-growth") {
+    state.growthScenarios = state.growthScenarios.filter((scenario) => scenario.id !== target.dataset.scenarioId);
+    persistState();
+    renderGrowthProjections();
+    return;
+  }
+
+  if (target.dataset.action === "remove-respondent") {
+    saveTeamRespondents(
+      loadTeamRespondents().filter((r) => r.id !== target.dataset.respondentId)
+    );
+    renderTeamPanel();
+    return;
+  }
+
   if (target.id === "openFeedbackBtn") {
     if (!getFeedbackEmbedUrl()) {
-      setValidation(
-        "Feedback form is not configured. Add your Google Form URL to data-feedback-form-url in index.html."
-      );
+      setValidation(t("feedback.notConfigured"));
       return;
     }
     clearValidation();
@@ -788,7 +3360,9 @@ async function handleWizardClick(event) {
 
 function render() {
   updateProgress();
+  syncRoute();
   clearValidation();
+  if (state.currentStep !== 3) sandboxOverrides = {};
 
   if (state.currentStep === 1) {
     destroyCharts();
@@ -805,18 +3379,27 @@ function render() {
   renderResultsStep();
 }
 
+// After a step change, focus lands on the new step's heading instead of the page top.
+function focusStepHeading() {
+  wizardContent.querySelector("h2")?.focus();
+}
+
 function goBack() {
   if (state.currentStep <= 1) return;
   state.currentStep -= 1;
   persistState();
+  syncRoute("push");
   render();
+  focusStepHeading();
 }
 
 function goNext() {
   if (state.currentStep === 3) {
     state.currentStep = 1;
     persistState();
+    syncRoute("push");
     render();
+    focusStepHeading();
     return;
   }
 
@@ -824,7 +3407,67 @@ function goNext() {
 
   state.currentStep += 1;
   persistState();
+  syncRoute("push");
   render();
+  focusStepHeading();
+}
+
+/**
+ * Points the location hash at the current step. Back/Next add a history entry so the
+ * browser's Back and Forward walk the wizard; other step changes replace the entry. A
+ * route already on the current step keeps its dimension, and share links are left to
+ * `handleShareHash`.
+ * @param {"push" | "replace"} [mode]
+ */
+function syncRoute(mode = "replace") {
+  const hash = window.location.hash;
+  if (hasShareHash(hash) || parseRoute(hash)?.step === state.currentStep) return;
+  const url = `${window.location.pathname}${window.location.search}${buildRouteHash(state.currentStep)}`;
+  if (mode === "push") {
+    window.history.pushState(null, "", url);
+  } else {
+    window.history.replaceState(null, "", url);
+  }
+}
+
+// A route never lands past the first step with unanswered questions.
+function getRouteStep(route) {
+  return Math.min(route.step, getFirstIncompleteStep());
+}
+
+function finishRoute(route) {
+  if (state.currentStep < route.step) {
+    validateStep();
+    return;
+  }
+  const section = route.dimension ? document.getElementById(dimensionAnchorId(route.dimension)) : null;
+  if (section && state.currentStep === 2) {
+    section.scrollIntoView?.({ block: "start" });
+    section.querySelector("h3")?.focus({ preventScroll: true });
+  }
+}
+
+function handleRouteChange() {
+  if (hasShareHash(window.location.hash)) {
+    handleShareHash();
+    return;
+  }
+  const route = parseRoute(window.location.hash);
+  if (!route) {
+    syncRoute();
+    return;
+  }
+
+  const step = getRouteStep(route);
+  if (step !== state.currentStep) {
+    state.currentStep = step;
+    persistState();
+    render();
+    focusStepHeading();
+  } else {
+    syncRoute();
+  }
+  finishRoute(route);
 }
 
 function bindEvents() {
@@ -839,12 +3482,61 @@ function bindEvents() {
   document.addEventListener("keydown", (event) => {
     if (event.key === "Escape") {
       toggleFeedbackModal(false);
+      dismissInfoTips();
     }
+    trapModalFocus(event);
+  });
+  for (const type of ["focusout", "mouseout"]) {
+    document.addEventListener(type, (event) => {
+      const target = event.target;
+      if (target instanceof HTMLElement && target.classList.contains("info-tip")) {
+        target.classList.remove("info-tip-dismissed");
+      }
+    });
+  }
+  skipLink.addEventListener("click", (event) => {
+    // The hash holds the wizard route, so focus the questionnaire without following the link.
+    event.preventDefault();
+    wizardContent.focus();
   });
   backBtn.addEventListener("click", goBack);
   nextBtn.addEventListener("click", goNext);
+  importReportBtn.addEventListener("click", () => importReportInput.click());
+  importReportInput.addEventListener("change", handleImportInputChange);
+  loadQuestionnaireBtn.addEventListener("click", () => loadQuestionnaireInput.click());
+  loadQuestionnaireInput.addEventListener("change", handleQuestionnaireInputChange);
+  resetQuestionnaireBtn.addEventListener("click", () => {
+    void resetQuestionnaire();
+  });
+  copyShareLinkBtn.addEventListener("click", () => {
+    void flashCopyResult(copyShareLinkBtn, () => copyTextToClipboard(buildShareUrl()));
+  });
+  shareBanner.addEventListener("click", handleShareBannerClick);
+  updateBanner.addEventListener("click", handleUpdateBannerClick);
+  localeSelect.addEventListener("change", () => setLocale(localeSelect.value));
+  // Route entries differ only in their hash, so Back/Forward over them fire `hashchange`
+  // too; listening to `popstate` as well would handle every navigation twice.
+  window.addEventListener("hashchange", handleRouteChange);
+  window.addEventListener("beforeprint", expandDetailsForPrint);
+  window.addEventListener("afterprint", restoreDetailsAfterPrint);
 }
 
 restoreState();
 bindEvents();
+const [questionnaireErrors] = await Promise.all([initQuestionnaire(), loadChartLibrary()]);
+activeBenchmark = await loadActiveBenchmark(BENCHMARK_URL);
+applyStaticTranslations();
+renderLocaleOptions();
+const initialRoute = parseRoute(window.location.hash);
+if (initialRoute) state.currentStep = getRouteStep(initialRoute);
 render();
+handleShareHash();
+if (initialRoute) finishRoute(initialRoute);
+if (questionnaireErrors.length) {
+  setValidation(
+    t(`questionnaire.customIgnored.${activeQuestionnaireSource === "url" ? "url" : "builtin"}`, {
+      errors: formatQuestionnaireErrors(questionnaireErrors),
+    })
+  );
+}
+serviceWorkerRegistration = await registerServiceWorker(SERVICE_WORKER_URL, handleUpdateAvailable);
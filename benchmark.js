@@ -0,0 +1,211 @@
+/**
+ * @typedef {{
+ *   contextResponses: Record<string, number>,
+ *   SSI: number,
+ *   OPI: number,
+ *   dimensionScores: Record<string, number>
+ * }} BenchmarkReport
+ *
+ * @typedef {{ name: string, description: string, reports: BenchmarkReport[] }} BenchmarkDataset
+ *
+ * @typedef {{ score: number | null, percentile: number | null, median: number | null, peers: number }} BenchmarkMeasure
+ *
+ * @typedef {{
+ *   name: string,
+ *   description: string,
+ *   total: number,
+ *   peerCount: number,
+ *   criteria: string[],
+ *   enough: boolean,
+ *   SSI: BenchmarkMeasure,
+ *   OPI: BenchmarkMeasure,
+ *   dimensions: Array<{ dimension: string } & BenchmarkMeasure>
+ * }} BenchmarkResult
+ */
+
+/** Context questions whose answer band a peer has to share to be compared. */
+export const BENCHMARK_PEER_QUESTIONS = ["oc_team_size", "oc_product_complexity"];
+
+/** Fewest peers a percentile is shown for; below this one peer moves it too far. */
+export const MIN_BENCHMARK_PEERS = 5;
+
+/** Rounding slack so a score of 66.666… ties with a peer score stored as 66.7. */
+const TIE_TOLERANCE = 0.05;
+
+/**
+ * Reads a 0-100 score from a benchmark report field.
+ * @param {unknown} value
+ * @param {string} label
+ * @returns {number}
+ */
+function readScore(value, label) {
+  const n = typeof value === "number" ? value : Number.NaN;
+  if (!Number.isFinite(n) || n < 0 || n > 100) {
+    throw new Error(`${label} must be a number from 0 to 100.`);
+  }
+  return n;
+}
+
+/**
+ * Reads one dimension score: a plain number, or the `{ score100, confidence }` entry of a
+ * downloaded JSON report. Dimensions without scored answers return null.
+ * @param {unknown} value
+ * @param {string} label
+ * @returns {number | null}
+ */
+function readDimensionScore(value, label) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    if (value.confidence === "none") return null;
+    return readScore(value.score100, label);
+  }
+  return readScore(value, label);
+}
+
+/**
+ * Validates a benchmark dataset: `{ name, description, reports }` or a plain list of
+ * reports. Each report carries its context answers, SSI, OPI and dimension scores, so
+ * downloaded JSON reports and saved report records can be pooled into a dataset as-is.
+ * @param {unknown} source
+ * @returns {BenchmarkDataset}
+ */
+export function readBenchmarkDataset(source) {
+  const wrapper = Array.isArray(source) ? { reports: source } : source;
+  if (!wrapper || typeof wrapper !== "object" || !Array.isArray(wrapper.reports)) {
+    throw new Error("A benchmark dataset must be a list of reports or an object with a reports list.");
+  }
+  if (!wrapper.reports.length) throw new Error("The benchmark dataset has no reports.");
+
+  const reports = wrapper.reports.map((entry, index) => {
+    const label = `Benchmark report ${index + 1}`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`${label} must be an object.`);
+    }
+    const context = entry.contextResponses;
+    if (!context || typeof context !== "object" || Array.isArray(context)) {
+      throw new Error(`${label} needs contextResponses.`);
+    }
+    /** @type {Record<string, number>} */
+    const contextResponses = {};
+    for (const [id, value] of Object.entries(context)) {
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw new Error(`${label} has a non-numeric context answer for "${id}".`);
+      contextResponses[id] = n;
+    }
+
+    const scores = entry.dimensionScores ?? {};
+    if (typeof scores !== "object" || Array.isArray(scores)) {
+      throw new Error(`${label} has dimension scores that are not an object.`);
+    }
+    /** @type {Record<string, number>} */
+    const dimensionScores = {};
+    for (const [dimension, value] of Object.entries(scores)) {
+      const score = readDimensionScore(value, `${label} "${dimension}" score`);
+      if (score !== null) dimensionScores[dimension.toLowerCase()] = score;
+    }
+
+    return {
+      contextResponses,
+      SSI: readScore(entry.SSI, `${label} SSI`),
+      OPI: readScore(entry.OPI, `${label} OPI`),
+      dimensionScores,
+    };
+  });
+
+  return {
+    name: typeof wrapper.name === "string" && wrapper.name.trim() ? wrapper.name.trim() : "Benchmark",
+    description: typeof wrapper.description === "string" ? wrapper.description.trim() : "",
+    reports,
+  };
+}
+
+/**
+ * Keeps the reports in the same team size and product complexity bands as the given
+ * context answers. A peer question the current context has not answered does not filter.
+ * @param {BenchmarkDataset} dataset
+ * @param {Record<string, number>} contextResponses
+ * @returns {{ peers: BenchmarkReport[], criteria: string[] }}
+ */
+export function selectPeers(dataset, contextResponses) {
+  const criteria = BENCHMARK_PEER_QUESTIONS.filter((id) => contextResponses?.[id] !== undefined);
+  const peers = dataset.reports.filter((report) =>
+    criteria.every((id) => Number(report.contextResponses[id]) === Number(contextResponses[id]))
+  );
+  return { peers, criteria };
+}
+
+/**
+ * Percentile rank of a value among peer values: the share of peers below it, counting
+ * ties as half, so the peer median lands on 50. Scores within rounding of each other tie.
+ * @param {number[]} values
+ * @param {number} value
+ * @returns {number | null}
+ */
+export function computePercentile(values, value) {
+  if (!values.length) return null;
+  const equal = values.filter((v) => Math.abs(v - value) <= TIE_TOLERANCE).length;
+  const below = values.filter((v) => v < value - TIE_TOLERANCE).length;
+  return ((below + equal / 2) / values.length) * 100;
+}
+
+/**
+ * Middle value of a list, or null for an empty list.
+ * @param {number[]} values
+ * @returns {number | null}
+ */
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Places a report among its peers: the percentile and peer median of SSI, OPI and every
+ * dimension score. Dimensions without scored answers, or with fewer than
+ * `MIN_BENCHMARK_PEERS` peer scores, get no percentile.
+ * @param {{ SSI: number, operationalPressure: { OPI: number }, dimensionScores: Record<string, { score100: number, confidence?: string }> }} reportModel
+ * @param {Record<string, number>} contextResponses
+ * @param {BenchmarkDataset} dataset
+ * @returns {BenchmarkResult}
+ */
+export function computeBenchmark(reportModel, contextResponses, dataset) {
+  const { peers, criteria } = selectPeers(dataset, contextResponses);
+
+  /**
+   * @param {number | null} score
+   * @param {number[]} values
+   * @returns {BenchmarkMeasure}
+   */
+  const measure = (score, values) => {
+    const enoughPeers = values.length >= MIN_BENCHMARK_PEERS;
+    return {
+      score,
+      percentile: enoughPeers && score !== null ? computePercentile(values, score) : null,
+      median: enoughPeers ? median(values) : null,
+      peers: values.length,
+    };
+  };
+
+  return {
+    name: dataset.name,
+    description: dataset.description || "",
+    total: dataset.reports.length,
+    peerCount: peers.length,
+    criteria,
+    enough: peers.length >= MIN_BENCHMARK_PEERS,
+    SSI: measure(Number(reportModel.SSI || 0), peers.map((peer) => peer.SSI)),
+    OPI: measure(
+      Number(reportModel.operationalPressure?.OPI || 0),
+      peers.map((peer) => peer.OPI)
+    ),
+    dimensions: Object.entries(reportModel.dimensionScores).map(([dimension, score]) => ({
+      dimension,
+      ...measure(
+        score.confidence === "none" ? null : Number(score.score100 || 0),
+        peers
+          .map((peer) => peer.dimensionScores[dimension])
+          .filter((value) => value !== undefined)
+      ),
+    })),
+  };
+}
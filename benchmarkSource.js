@@ -0,0 +1,71 @@
+import { readBenchmarkDataset } from "./benchmark.js";
+import { readStorage, writeStorage } from "./storage.js";
+
+const CUSTOM_BENCHMARK_STORAGE_KEY = "ds_diag_benchmark_v1";
+
+/**
+ * @typedef {{
+ *   dataset: import("./benchmark.js").BenchmarkDataset | null,
+ *   source: "upload" | "url" | "none",
+ *   errors: string[]
+ * }} BenchmarkLoadResult
+ */
+
+/**
+ * Stores an uploaded dataset so it replaces the bundled one on this browser.
+ * @param {unknown} dataset
+ * @returns {boolean}
+ */
+export function saveUploadedBenchmark(dataset) {
+  return writeStorage(CUSTOM_BENCHMARK_STORAGE_KEY, JSON.stringify(dataset));
+}
+
+/**
+ * Removes the uploaded dataset so the dataset at the page URL applies again.
+ */
+export function clearUploadedBenchmark() {
+  try {
+    localStorage.removeItem(CUSTOM_BENCHMARK_STORAGE_KEY);
+  } catch {
+    // Storage unavailable: nothing was stored either.
+  }
+}
+
+/**
+ * Resolves the benchmark dataset to use: an uploaded dataset first, then the URL set on
+ * the page (the bundled `benchmark.json` by default). Invalid sources fall through with
+ * errors; without any valid dataset the benchmark is switched off.
+ * @param {string} [url]
+ * @returns {Promise<BenchmarkLoadResult>}
+ */
+export async function loadActiveBenchmark(url = "") {
+  /** @type {string[]} */
+  const errors = [];
+
+  const stored = readStorage(CUSTOM_BENCHMARK_STORAGE_KEY);
+  if (stored) {
+    try {
+      return { dataset: readBenchmarkDataset(JSON.parse(stored)), source: "upload", errors };
+    } catch (error) {
+      errors.push(
+        `The stored benchmark dataset is not valid (${error instanceof Error ? error.message : String(error)}).`
+      );
+    }
+  }
+
+  if (url) {
+    try {
+      const response = await fetch(url, { cache: "no-cache" });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return { dataset: readBenchmarkDataset(await response.json()), source: "url", errors };
+    } catch (error) {
+      errors.push(
+        `Could not load the benchmark dataset from ${url} (${error instanceof Error ? error.message : String(error)}).`
+      );
+    }
+  }
+
+  return { dataset: null, source: "none", errors };
+}
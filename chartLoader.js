@@ -0,0 +1,45 @@
+/** Chart.js 4.4.1 UMD build shipped with the app, so charts render without a network connection. */
+export const VENDORED_CHART_URL = "./vendor/chart.umd.js";
+
+/** The same Chart.js release on the CDN, only tried if the vendored copy fails to load. */
+export const CDN_CHART_URL = "https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.js";
+
+/** How long one source may take before the next is tried; slow workshop networks stall rather than fail. */
+const CHART_LOAD_TIMEOUT_MS = 5000;
+
+/**
+ * Appends a classic script and settles once it has loaded, failed or timed out.
+ * @param {string} src
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+  return new Promise((resolve) => {
+    const script = document.createElement("script");
+    const timer = setTimeout(resolve, CHART_LOAD_TIMEOUT_MS);
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    script.src = src;
+    script.addEventListener("load", done);
+    script.addEventListener("error", () => {
+      script.remove();
+      done();
+    });
+    document.head.append(script);
+  });
+}
+
+/**
+ * Makes the `Chart` global available: the vendored build first, then the CDN. Charts fall
+ * back to their "Chart unavailable" note when no source loads.
+ * @param {string[]} [sources]
+ * @returns {Promise<boolean>} Whether Chart.js is available.
+ */
+export async function loadChartLibrary(sources = [VENDORED_CHART_URL, CDN_CHART_URL]) {
+  for (const src of sources) {
+    if (typeof Chart !== "undefined") break;
+    await loadScript(src);
+  }
+  return typeof Chart !== "undefined";
+}
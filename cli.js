@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+/**
+ * Headless scoring for answer files: `ds-diag score <file-or-directory>... [options]`.
+ * Reads downloaded JSON reports (or any `{ contextResponses, responses }` file), runs the
+ * same scoring, summary and guidance as the browser wizard, and prints or writes reports.
+ */
+import { readFile, readdir, stat, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { QUESTIONNAIRE } from "./questionnaire.js";
+import { computeReportModel, DEFAULT_SCORING_PROFILE } from "./scoring.js";
+import { generateSummary, generateGuidance } from "./report.js";
+import { parseReportPayload, buildReportPayload } from "./reportImport.js";
+import { parseQuestionnaireDefinition, formatQuestionnaireErrors } from "./questionnaireSource.js";
+import { BUILT_IN_SCORING_PROFILES, validateScoringProfile } from "./scoringProfiles.js";
+import { formatReportText, formatReportMarkdown } from "./reportFormat.js";
+import { resolveRiskRules } from "./rules.js";
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, localizeQuestionnaire, translate } from "./i18n.js";
+
+/** Exit codes: success, a `--fail-on` flag was raised, bad usage or unreadable input. */
+const EXIT_OK = 0;
+const EXIT_FLAGGED = 1;
+const EXIT_ERROR = 2;
+
+const FORMATS = {
+  text: { extension: "txt" },
+  md: { extension: "md" },
+  json: { extension: "json" },
+};
+
+const USAGE = `Usage: ds-diag score <file-or-directory>... [options]
+
+Scores answer files (downloaded JSON reports or { contextResponses, responses } files).
+Directories are scanned for *.json files (not recursively).
+
+Options:
+  -f, --format <text|md|json>  Output format (default: text)
+  -o, --out <path>             Write to a file (one input) or a directory (several inputs)
+  -p, --profile <id|file>      Scoring profile id (${BUILT_IN_SCORING_PROFILES.map((p) => p.id).join(", ")}) or profile JSON file
+  -q, --questionnaire <file>   Custom questionnaire definition (JSON)
+  -l, --locale <id>            Report language (${SUPPORTED_LOCALES.map((l) => l.id).join(", ")}; default: ${DEFAULT_LOCALE})
+      --fail-on <ids>          Comma-separated risk rule or flag ids (e.g. entropy, dimension-gap:governance),
+                               or "any"; exit ${EXIT_FLAGGED} when one is raised
+  -h, --help                   Show this help
+`;
+
+/**
+ * Reads and parses a JSON file, naming the file in any error.
+ * @param {string} file
+ * @returns {Promise<unknown>}
+ */
+async function readJson(file) {
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (error) {
+    throw new Error(`${file}: cannot be read (${error.code || error.message}).`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${file}: is not valid JSON.`);
+  }
+}
+
+/**
+ * Resolves `--questionnaire`, falling back to the built-in definition.
+ * @param {string | undefined} file
+ * @returns {Promise<typeof QUESTIONNAIRE>}
+ */
+async function resolveQuestionnaire(file) {
+  if (!file) return QUESTIONNAIRE;
+  const { questionnaire, errors } = parseQuestionnaireDefinition(await readJson(file));
+  if (!questionnaire) throw new Error(`${file}: ${formatQuestionnaireErrors(errors)}`);
+  return questionnaire;
+}
+
+/**
+ * Resolves `--profile` as a built-in profile id or a profile JSON file.
+ * @param {string | undefined} value
+ * @returns {Promise<import("./scoring.js").ScoringProfile>}
+ */
+async function resolveProfile(value) {
+  if (!value) return DEFAULT_SCORING_PROFILE;
+  const builtIn = BUILT_IN_SCORING_PROFILES.find((profile) => profile.id === value);
+  if (builtIn) return builtIn;
+  if (!value.endsWith(".json")) {
+    throw new Error(
+      `Unknown scoring profile "${value}". Use one of ${BUILT_IN_SCORING_PROFILES.map((p) => p.id).join(", ")} or a .json file.`
+    );
+  }
+  const profile = await readJson(value);
+  const { valid, errors } = validateScoringProfile(profile);
+  if (!valid) throw new Error(`${value}: ${errors.join(" ")}`);
+  return /** @type {import("./scoring.js").ScoringProfile} */ (profile);
+}
+
+/**
+ * Expands directories into their JSON files, keeping the order given on the command line.
+ * @param {string[]} inputs
+ * @returns {Promise<string[]>}
+ */
+async function collectInputFiles(inputs) {
+  /** @type {string[]} */
+  const files = [];
+  for (const input of inputs) {
+    let info;
+    try {
+      info = await stat(input);
+    } catch {
+      throw new Error(`${input}: no such file or directory.`);
+    }
+    if (!info.isDirectory()) {
+      files.push(input);
+      continue;
+    }
+    const entries = (await readdir(input))
+      .filter((name) => name.toLowerCase().endsWith(".json"))
+      .sort((a, b) => a.localeCompare(b));
+    files.push(...entries.map((name) => path.join(input, name)));
+  }
+  return files;
+}
+
+/**
+ * Scores one answer file.
+ * @param {string} file
+ * @param {{ questionnaire: typeof QUESTIONNAIRE, profile: import("./scoring.js").ScoringProfile, locale: string }} options
+ */
+async function scoreFile(file, { questionnaire, profile, locale }) {
+  let parsed;
+  try {
+    parsed = parseReportPayload(await readJson(file), questionnaire);
+  } catch (error) {
+    throw new Error(error.message.startsWith(file) ? error.message : `${file}: ${error.message}`);
+  }
+
+  const reportModel = computeReportModel({
+    responses: parsed.responses,
+    contextResponses: parsed.contextResponses,
+    QUESTIONNAIRE: questionnaire,
+    profile,
+  });
+  const summary = generateSummary(reportModel, { locale });
+  const guidance = generateGuidance(reportModel, {
+    QUESTIONNAIRE: questionnaire,
+    responses: parsed.responses,
+    locale,
+  });
+
+  return { file, parsed, reportModel, summary, guidance };
+}
+
+/**
+ * Renders one scored file in the requested format.
+ * @param {Awaited<ReturnType<typeof scoreFile>>} scored
+ * @param {keyof typeof FORMATS} format
+ * @param {typeof QUESTIONNAIRE} questionnaire
+ * @param {string} locale
+ * @returns {string | Record<string, unknown>}
+ */
+function renderScored(scored, format, questionnaire, locale) {
+  const { file, parsed, reportModel, summary, guidance } = scored;
+  if (format === "json") {
+    return {
+      source: file,
+      ...buildReportPayload({
+        reportModel,
+        guidance,
+        QUESTIONNAIRE: questionnaire,
+        contextResponses: parsed.contextResponses,
+        responses: parsed.responses,
+        evidence: parsed.evidence,
+        targets: parsed.targets,
+        growthScenarios: parsed.growthScenarios,
+        actionPlan: parsed.actionPlan,
+        locale,
+      }),
+      summary,
+    };
+  }
+  const title = translate(locale, "report.titleFor", { name: path.basename(file, path.extname(file)) });
+  if (format === "md") {
+    return formatReportMarkdown({
+      reportModel,
+      summary,
+      guidance,
+      locale,
+      title,
+      QUESTIONNAIRE: questionnaire,
+      contextResponses: parsed.contextResponses,
+      responses: parsed.responses,
+      evidence: parsed.evidence,
+      targets: parsed.targets,
+      growthScenarios: parsed.growthScenarios,
+    });
+  }
+  return formatReportText({ reportModel, summary, guidance, locale, title });
+}
+
+/**
+ * Lists the ids `--fail-on` accepts for a questionnaire: `any`, every active risk rule id,
+ * and `<rule id>:<dimension>` for rules raised per dimension.
+ * @param {typeof QUESTIONNAIRE} questionnaire
+ * @returns {string[]}
+ */
+function listFailOnIds(questionnaire) {
+  const dimensions = [
+    ...new Set(
+      questionnaire.structuralMaturity.behavioralQuestions.map((q) =>
+        String(q.dimension || "").toLowerCase()
+      )
+    ),
+  ];
+  const ids = ["any"];
+  for (const rule of resolveRiskRules(questionnaire.riskRules)) {
+    ids.push(rule.id);
+    if (rule.forEachDimension) ids.push(...dimensions.map((dimension) => `${rule.id}:${dimension}`));
+  }
+  return ids;
+}
+
+/**
+ * Lists the `--fail-on` flags raised by a report. A rule id matches every flag of that
+ * rule; a flag id matches only that flag.
+ * @param {ReturnType<typeof computeReportModel>} reportModel
+ * @param {string[]} failOn
+ * @returns {string[]}
+ */
+function matchFailOn(reportModel, failOn) {
+  const { flags } = reportModel.risks;
+  if (failOn.includes("any")) return flags.map((flag) => flag.id);
+  return flags
+    .filter((flag) => failOn.includes(flag.id) || failOn.includes(flag.ruleId))
+    .map((flag) => flag.id);
+}
+
+/**
+ * Writes rendered reports to stdout, a file, or a directory of files.
+ * @param {Array<{ file: string, output: string | Record<string, unknown> }>} rendered
+ * @param {keyof typeof FORMATS} format
+ * @param {string | undefined} out
+ */
+async function writeOutputs(rendered, format, out) {
+  const serialize = (output) =>
+    typeof output === "string" ? output : `${JSON.stringify(output, null, 2)}\n`;
+
+  if (!out) {
+    if (format === "json") {
+      const outputs = rendered.map((r) => r.output);
+      process.stdout.write(serialize(outputs.length === 1 ? outputs[0] : outputs));
+      return;
+    }
+    process.stdout.write(rendered.map((r) => serialize(r.output)).join("\n"));
+    return;
+  }
+
+  if (rendered.length === 1 && path.extname(out)) {
+    await mkdir(path.dirname(out), { recursive: true });
+    await writeFile(out, serialize(rendered[0].output));
+    return;
+  }
+
+  await mkdir(out, { recursive: true });
+  for (const { file, output } of rendered) {
+    const name = `${path.basename(file, path.extname(file))}.report.${FORMATS[format].extension}`;
+    await writeFile(path.join(out, name), serialize(output));
+  }
+}
+
+/**
+ * Runs the CLI and returns its exit code.
+ * @param {string[]} argv
+ * @returns {Promise<number>}
+ */
+async function main(argv) {
+  let parsedArgs;
+  try {
+    parsedArgs = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: "string", short: "f", default: "text" },
+        out: { type: "string", short: "o" },
+        profile: { type: "string", short: "p" },
+        questionnaire: { type: "string", short: "q" },
+        locale: { type: "string", short: "l", default: DEFAULT_LOCALE },
+        "fail-on": { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = parsedArgs;
+  const [command, ...inputs] = positionals;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  if (command !== "score" || !inputs.length) {
+    process.stderr.write(USAGE);
+    return EXIT_ERROR;
+  }
+  const format = /** @type {keyof typeof FORMATS} */ (values.format);
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    process.stderr.write(`Unknown format "${format}". Use text, md or json.\n`);
+    return EXIT_ERROR;
+  }
+  const locale = values.locale;
+  if (!SUPPORTED_LOCALES.some((l) => l.id === locale)) {
+    process.stderr.write(
+      `Unknown locale "${locale}". Use ${SUPPORTED_LOCALES.map((l) => l.id).join(", ")}.\n`
+    );
+    return EXIT_ERROR;
+  }
+  const failOn = (values["fail-on"] || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  let questionnaire;
+  let profile;
+  let files;
+  try {
+    questionnaire = localizeQuestionnaire(await resolveQuestionnaire(values.questionnaire), locale);
+    profile = await resolveProfile(values.profile);
+    files = await collectInputFiles(inputs);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return EXIT_ERROR;
+  }
+  const failOnIds = listFailOnIds(questionnaire);
+  const unknownFailOn = failOn.filter((id) => !failOnIds.includes(id));
+  if (unknownFailOn.length) {
+    process.stderr.write(
+      `Unknown --fail-on id ${unknownFailOn.map((id) => `"${id}"`).join(", ")}. Use ${failOnIds.join(", ")}.\n`
+    );
+    return EXIT_ERROR;
+  }
+  if (!files.length) {
+    process.stderr.write("No JSON answer files found.\n");
+    return EXIT_ERROR;
+  }
+
+  let exitCode = EXIT_OK;
+  /** @type {Array<{ file: string, output: string | Record<string, unknown> }>} */
+  const rendered = [];
+  for (const file of files) {
+    let scored;
+    try {
+      scored = await scoreFile(file, { questionnaire, profile, locale });
+    } catch (error) {
+      process.stderr.write(`${error.message}\n`);
+      exitCode = EXIT_ERROR;
+      continue;
+    }
+
+    const { missingContext, missingResponses } = scored.parsed;
+    if (missingContext || missingResponses) {
+      process.stderr.write(
+        `${file}: scored with ${missingContext} context and ${missingResponses} structural answers missing.\n`
+      );
+    }
+    const matched = matchFailOn(scored.reportModel, failOn);
+    if (matched.length) {
+      process.stderr.write(`${file}: raised ${matched.join(", ")}.\n`);
+      if (exitCode === EXIT_OK) exitCode = EXIT_FLAGGED;
+    }
+    rendered.push({ file, output: renderScored(scored, format, questionnaire, locale) });
+  }
+
+  if (rendered.length) {
+    try {
+      await writeOutputs(rendered, format, values.out);
+    } catch (error) {
+      process.stderr.write(`Cannot write output: ${error.message}\n`);
+      return EXIT_ERROR;
+    }
+  }
+  return exitCode;
+}
+
+process.exitCode = await main(process.argv.slice(2));
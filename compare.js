@@ -0,0 +1,163 @@
+import { riskFlagLabel } from "./rules.js";
+import { isScoredAnswer } from "./scoring.js";
+
+/**
+ * @typedef {{
+ *   timestamp?: string,
+ *   SSI?: number,
+ *   OPI?: number,
+ *   adequacyGap?: number,
+ *   dimensionScores?: Record<string, { score100: number, confidence?: import("./scoring.js").Confidence }>,
+ *   responses?: Record<string, number | string>,
+ *   risks?: Array<import("./rules.js").RiskFlag | string>,
+ *   guidance?: string[],
+ *   guidanceItems?: Array<{ id: string, text: string }>
+ * }} AssessmentRecord
+ *
+ * @typedef {{ id: string, label: string }} DiffEntry
+ * @typedef {{ added: DiffEntry[], removed: DiffEntry[], unchanged: DiffEntry[] }} EntryDiff
+ */
+
+/**
+ * Builds a before/after/delta triple; missing values produce a null delta.
+ * @param {unknown} before
+ * @param {unknown} after
+ * @returns {{ before: number | null, after: number | null, delta: number | null }}
+ */
+function toDelta(before, after) {
+  const a = before === undefined || before === null ? null : Number(before);
+  const b = after === undefined || after === null ? null : Number(after);
+  return {
+    before: a,
+    after: b,
+    delta: a === null || b === null ? null : b - a,
+  };
+}
+
+/**
+ * Splits two entry lists into added, removed and unchanged entries by id. Labels are
+ * display text only: added and unchanged entries keep the after label, removed ones the
+ * before label.
+ * @param {DiffEntry[]} before
+ * @param {DiffEntry[]} after
+ * @returns {EntryDiff}
+ */
+function diffEntries(before = [], after = []) {
+  const beforeIds = new Set(before.map((entry) => entry.id));
+  const afterIds = new Set(after.map((entry) => entry.id));
+  const distinct = (entries) =>
+    entries.filter((entry, index) => entries.findIndex((other) => other.id === entry.id) === index);
+  return {
+    added: distinct(after).filter((entry) => !beforeIds.has(entry.id)),
+    removed: distinct(before).filter((entry) => !afterIds.has(entry.id)),
+    unchanged: distinct(after).filter((entry) => beforeIds.has(entry.id)),
+  };
+}
+
+/**
+ * Risk flags of both records as diff entries. Flags are matched on their stable id, so a
+ * different locale or scoring profile threshold in the label does not count as a change;
+ * older snapshots that stored plain labels are matched on the label instead.
+ * @param {AssessmentRecord} before
+ * @param {AssessmentRecord} after
+ * @returns {[DiffEntry[], DiffEntry[]]}
+ */
+function riskEntries(before, after) {
+  const beforeRisks = before?.risks || [];
+  const afterRisks = after?.risks || [];
+  const byId = [...beforeRisks, ...afterRisks].every((flag) => typeof flag !== "string" && flag?.id);
+  const toEntry = (flag) => {
+    const label = riskFlagLabel(flag);
+    return { id: byId ? String(/** @type {any} */ (flag).id) : label, label };
+  };
+  return [beforeRisks.map(toEntry), afterRisks.map(toEntry)];
+}
+
+/**
+ * Guidance of both records as diff entries, matched on guidance item ids when both records
+ * carry them and on the (localized) tip text otherwise.
+ * @param {AssessmentRecord} before
+ * @param {AssessmentRecord} after
+ * @returns {[DiffEntry[], DiffEntry[]]}
+ */
+function guidanceEntries(before, after) {
+  if (Array.isArray(before?.guidanceItems) && Array.isArray(after?.guidanceItems)) {
+    const toEntry = (item) => ({ id: String(item.id), label: String(item.text) });
+    return [before.guidanceItems.map(toEntry), after.guidanceItems.map(toEntry)];
+  }
+  const toEntry = (text) => ({ id: String(text), label: String(text) });
+  return [(before?.guidance || []).map(toEntry), (after?.guidance || []).map(toEntry)];
+}
+
+/**
+ * Compares two assessments down to dimension scores, risk flags, guidance and
+ * (when both records carry raw answers) individual behavioral questions. Question deltas
+ * only use scores; `beforeAnswer`/`afterAnswer` keep "Don't know" and "N/A" answers.
+ * @param {AssessmentRecord} before
+ * @param {AssessmentRecord} after
+ * @param {{ structuralMaturity?: { dimensions?: string[], behavioralQuestions?: Array<{id: string, dimension: string, prompt: string}> } }} QUESTIONNAIRE
+ * @returns {{
+ *   totals: { SSI: ReturnType<typeof toDelta>, OPI: ReturnType<typeof toDelta>, adequacyGap: ReturnType<typeof toDelta> },
+ *   dimensions: Array<{ dimension: string } & ReturnType<typeof toDelta>>,
+ *   risks: EntryDiff,
+ *   guidance: EntryDiff,
+ *   questions: Array<{
+ *     id: string,
+ *     dimension: string,
+ *     prompt: string,
+ *     beforeAnswer: number | string | null,
+ *     afterAnswer: number | string | null
+ *   } & ReturnType<typeof toDelta>> | null
+ * }}
+ */
+export function diffAssessments(before, after, QUESTIONNAIRE) {
+  const declared = (QUESTIONNAIRE?.structuralMaturity?.dimensions || []).map((d) =>
+    d.toLowerCase()
+  );
+  const beforeScores = before?.dimensionScores || {};
+  const afterScores = after?.dimensionScores || {};
+  const dimensionKeys = Array.from(
+    new Set([...declared, ...Object.keys(beforeScores), ...Object.keys(afterScores)])
+  );
+
+  // A dimension without scored answers has no score to compare.
+  const scoreOf = (scores, dimension) =>
+    scores[dimension]?.confidence === "none" ? null : scores[dimension]?.score100;
+  const dimensions = dimensionKeys.map((dimension) => ({
+    dimension,
+    ...toDelta(scoreOf(beforeScores, dimension), scoreOf(afterScores, dimension)),
+  }));
+
+  let questions = null;
+  if (before?.responses && after?.responses) {
+    questions = (QUESTIONNAIRE?.structuralMaturity?.behavioralQuestions || [])
+      .map((q) => {
+        const beforeAnswer = before.responses[q.id] ?? null;
+        const afterAnswer = after.responses[q.id] ?? null;
+        return {
+          id: q.id,
+          dimension: q.dimension.toLowerCase(),
+          prompt: q.prompt,
+          beforeAnswer,
+          afterAnswer,
+          ...toDelta(
+            isScoredAnswer(beforeAnswer) ? beforeAnswer : null,
+            isScoredAnswer(afterAnswer) ? afterAnswer : null
+          ),
+        };
+      })
+      .filter((q) => String(q.beforeAnswer) !== String(q.afterAnswer));
+  }
+
+  return {
+    totals: {
+      SSI: toDelta(before?.SSI, after?.SSI),
+      OPI: toDelta(before?.OPI, after?.OPI),
+      adequacyGap: toDelta(before?.adequacyGap, after?.adequacyGap),
+    },
+    dimensions,
+    risks: diffEntries(...riskEntries(before, after)),
+    guidance: diffEntries(...guidanceEntries(before, after)),
+    questions,
+  };
+}
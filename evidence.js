@@ -0,0 +1,108 @@
+/**
+ * @typedef {{ note?: string, links?: string[] }} EvidenceEntry
+ * @typedef {Record<string, EvidenceEntry>} Evidence
+ */
+
+/** Longest note kept per question, so a pasted document cannot bloat saved state. */
+export const MAX_EVIDENCE_NOTE_LENGTH = 2000;
+
+/**
+ * Reads a URL, returning its normalized form when it is an http(s) link.
+ * @param {string} value
+ * @returns {string | null}
+ */
+function toEvidenceUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Splits free text (one link per line, or separated by spaces) into http(s) links and
+ * entries that are not valid links.
+ * @param {string} text
+ * @returns {{ links: string[], invalid: string[] }}
+ */
+export function parseEvidenceLinks(text) {
+  /** @type {string[]} */
+  const links = [];
+  /** @type {string[]} */
+  const invalid = [];
+  for (const value of String(text || "").split(/\s+/).filter(Boolean)) {
+    const url = toEvidenceUrl(value);
+    if (!url) invalid.push(value);
+    else if (!links.includes(url)) links.push(url);
+  }
+  return { links, invalid };
+}
+
+/**
+ * Builds an evidence entry from a note and links, or null when both are empty.
+ * @param {string} note
+ * @param {string[]} links
+ * @returns {EvidenceEntry | null}
+ */
+export function createEvidenceEntry(note, links) {
+  const trimmed = String(note || "").trim().slice(0, MAX_EVIDENCE_NOTE_LENGTH);
+  if (!trimmed && !links.length) return null;
+  return { ...(trimmed ? { note: trimmed } : {}), ...(links.length ? { links: [...links] } : {}) };
+}
+
+/**
+ * Validates evidence read from a report or saved state, keeping only known behavioral
+ * question ids with a string note and http(s) links.
+ * @param {unknown} source
+ * @param {{ structuralMaturity: { behavioralQuestions: Array<{ id: string }> } }} QUESTIONNAIRE
+ * @returns {Evidence}
+ */
+export function readEvidence(source, QUESTIONNAIRE) {
+  if (source === undefined || source === null) return {};
+  if (typeof source !== "object" || Array.isArray(source)) {
+    throw new Error("Evidence must be an object keyed by question id.");
+  }
+
+  /** @type {Evidence} */
+  const out = {};
+  for (const q of QUESTIONNAIRE.structuralMaturity.behavioralQuestions) {
+    if (!Object.prototype.hasOwnProperty.call(source, q.id)) continue;
+    const entry = source[q.id];
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`Evidence for "${q.id}" must be an object with a note and/or links.`);
+    }
+    if (entry.note !== undefined && typeof entry.note !== "string") {
+      throw new Error(`Evidence note for "${q.id}" must be text.`);
+    }
+    if (entry.links !== undefined && !Array.isArray(entry.links)) {
+      throw new Error(`Evidence links for "${q.id}" must be a list of URLs.`);
+    }
+    const links = (entry.links || []).map((link) => {
+      const url = typeof link === "string" ? toEvidenceUrl(link) : null;
+      if (!url) throw new Error(`Evidence for "${q.id}" has a link that is not an http(s) URL (${link}).`);
+      return url;
+    });
+    const normalized = createEvidenceEntry(entry.note || "", links);
+    if (normalized) out[q.id] = normalized;
+  }
+  return out;
+}
+
+/**
+ * Lists behavioral questions that carry evidence, in questionnaire order.
+ * @param {Evidence} evidence
+ * @param {{ structuralMaturity: { behavioralQuestions: Array<{ id: string, dimension: string, prompt: string }> } }} QUESTIONNAIRE
+ * @returns {Array<{ id: string, dimension: string, prompt: string, note: string, links: string[] }>}
+ */
+export function listEvidence(evidence, QUESTIONNAIRE) {
+  return QUESTIONNAIRE.structuralMaturity.behavioralQuestions
+    .filter((q) => evidence?.[q.id])
+    .map((q) => ({
+      id: q.id,
+      dimension: String(q.dimension || "").toLowerCase(),
+      prompt: q.prompt,
+      note: evidence[q.id].note || "",
+      links: [...(evidence[q.id].links || [])],
+    }));
+}
@@ -0,0 +1,156 @@
+import { computeReportModel, getAdequacyStatus, DEFAULT_SCORING_PROFILE } from "./scoring.js";
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   horizonMonths?: number,
+ *   contextResponses: Record<string, number>
+ * }} GrowthScenario
+ *
+ * @typedef {{
+ *   dimension: string,
+ *   score100: number,
+ *   gap: number,
+ *   pointsNeeded: number,
+ *   isNew: boolean
+ * }} ProjectedDimensionRisk
+ *
+ * @typedef {{
+ *   scenario: GrowthScenario,
+ *   OPI: number,
+ *   OPIDelta: number,
+ *   adequacyGap: number,
+ *   status: ReturnType<typeof getAdequacyStatus>,
+ *   requiredSSI: number,
+ *   ssiGrowthNeeded: number,
+ *   atRiskDimensions: ProjectedDimensionRisk[],
+ *   newFlags: import("./rules.js").RiskFlag[]
+ * }} GrowthProjection
+ */
+
+/** Longest horizon a scenario may name, in months. */
+export const MAX_HORIZON_MONTHS = 120;
+
+/**
+ * Validates growth scenarios read from a report or saved state. Each scenario names the
+ * context answers expected at a future point; context questions it leaves out keep
+ * today's answer.
+ * @param {unknown} source
+ * @param {{ operationalContext: { questions: Array<{ id: string, options: Array<{ score: number }> }> } }} QUESTIONNAIRE
+ * @returns {GrowthScenario[]}
+ */
+export function readGrowthScenarios(source, QUESTIONNAIRE) {
+  if (source === undefined || source === null) return [];
+  if (!Array.isArray(source)) throw new Error("Growth scenarios must be a list.");
+
+  return source.map((entry, index) => {
+    const label = `Growth scenario ${index + 1}`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      throw new Error(`${label} must be an object.`);
+    }
+    const name = typeof entry.name === "string" ? entry.name.trim() : "";
+    if (!name) throw new Error(`${label} needs a name.`);
+
+    const horizon = entry.horizonMonths;
+    if (
+      horizon !== undefined &&
+      horizon !== null &&
+      (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON_MONTHS)
+    ) {
+      throw new Error(`${label} has a horizon that is not a whole number of months from 1 to ${MAX_HORIZON_MONTHS}.`);
+    }
+
+    const answers = entry.contextResponses ?? {};
+    if (typeof answers !== "object" || Array.isArray(answers)) {
+      throw new Error(`${label} has context answers that are not an object.`);
+    }
+    /** @type {Record<string, number>} */
+    const contextResponses = {};
+    for (const q of QUESTIONNAIRE.operationalContext.questions) {
+      if (!Object.prototype.hasOwnProperty.call(answers, q.id)) continue;
+      const value = Number(answers[q.id]);
+      if (!q.options.some((opt) => Number(opt.score) === value)) {
+        throw new Error(`${label} has an unsupported value for "${q.id}" (${answers[q.id]}).`);
+      }
+      contextResponses[q.id] = value;
+    }
+
+    return {
+      id: typeof entry.id === "string" && entry.id ? entry.id : `scenario-${index + 1}`,
+      name,
+      ...(horizon ? { horizonMonths: horizon } : {}),
+      contextResponses,
+    };
+  });
+}
+
+/**
+ * Projects today's structural answers into a future context: the OPI the scenario's
+ * context answers would produce, the resulting Adequacy Gap and status, the dimensions
+ * `classifyRisks` would flag (and how many points each needs to clear the profile's risk
+ * gap), risk flags that are not raised today, and how far SSI must grow to stay Balanced.
+ * @param {{
+ *   contextResponses: Record<string, number>,
+ *   responses: Record<string, number | string>,
+ *   QUESTIONNAIRE: Parameters<typeof computeReportModel>[0]["QUESTIONNAIRE"],
+ *   profile?: import("./scoring.js").ScoringProfile
+ * }} input
+ * @param {GrowthScenario} scenario
+ * @returns {GrowthProjection}
+ */
+export function projectGrowthScenario(
+  { contextResponses, responses, QUESTIONNAIRE, profile = DEFAULT_SCORING_PROFILE },
+  scenario
+) {
+  const today = computeReportModel({ contextResponses, responses, QUESTIONNAIRE, profile });
+  const future = computeReportModel({
+    contextResponses: { ...contextResponses, ...scenario.contextResponses },
+    responses,
+    QUESTIONNAIRE,
+    profile,
+  });
+
+  const OPI = future.operationalPressure.OPI;
+  const riskThreshold = OPI + profile.dimensionRiskGap;
+  const requiredSSI = Math.max(0, OPI - profile.adequacyBand);
+  const todayFlagIds = new Set(today.risks.flags.map((flag) => flag.id));
+
+  return {
+    scenario,
+    OPI,
+    OPIDelta: OPI - today.operationalPressure.OPI,
+    adequacyGap: future.adequacyGap,
+    status: getAdequacyStatus(future.adequacyGap, profile.adequacyBand),
+    requiredSSI,
+    ssiGrowthNeeded: Math.max(0, requiredSSI - future.SSI),
+    atRiskDimensions: Object.entries(future.risks.byDimension)
+      .filter(([, entry]) => entry.risk)
+      .map(([dimension, entry]) => ({
+        dimension,
+        score100: future.dimensionScores[dimension].score100,
+        gap: entry.gap,
+        pointsNeeded: riskThreshold - future.dimensionScores[dimension].score100,
+        isNew: !today.risks.byDimension[dimension]?.risk,
+      })),
+    newFlags: future.risks.flags.filter((flag) => !todayFlagIds.has(flag.id)),
+  };
+}
+
+/**
+ * Projects every scenario, nearest horizon first; scenarios without a horizon keep
+ * their order at the end.
+ * @param {Parameters<typeof projectGrowthScenario>[0]} input
+ * @param {GrowthScenario[]} scenarios
+ * @returns {GrowthProjection[]}
+ */
+export function projectGrowthScenarios(input, scenarios) {
+  return [...(scenarios || [])]
+    .map((scenario, order) => ({ scenario, order }))
+    .sort(
+      (a, b) =>
+        (a.scenario.horizonMonths ?? Infinity) - (b.scenario.horizonMonths ?? Infinity) ||
+        a.order - b.order
+    )
+    .map(({ scenario }) => projectGrowthScenario(input, scenario));
+}
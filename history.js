@@ -0,0 +1,90 @@
+import { ADEQUACY_BAND, getAdequacyStatus } from "./scoring.js";
+
+/**
+ * @typedef {{
+ *   timestamp: string,
+ *   SSI?: number,
+ *   OPI?: number,
+ *   adequacyGap?: number,
+ *   scoringProfile?: { adequacyBand?: number }
+ * }} SavedReport
+ */
+
+/**
+ * Parses a `yyyy-mm-dd` date input value as the start or end of that local day.
+ * @param {string} value
+ * @param {boolean} endOfDay
+ * @returns {number | null}
+ */
+function parseDayBoundary(value, endOfDay) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ""));
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  const date = endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999)
+    : new Date(year, month - 1, day, 0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Keeps saved reports whose timestamp falls inside an inclusive date range.
+ * Empty bounds leave that side of the range open.
+ * @param {SavedReport[]} reports
+ * @param {{ from?: string, to?: string }} range
+ * @returns {SavedReport[]}
+ */
+export function filterReportsByDateRange(reports, { from = "", to = "" } = {}) {
+  const start = parseDayBoundary(from, false);
+  const end = parseDayBoundary(to, true);
+
+  return (reports || []).filter((report) => {
+    const time = new Date(report.timestamp).getTime();
+    if (Number.isNaN(time)) return false;
+    if (start !== null && time < start) return false;
+    if (end !== null && time > end) return false;
+    return true;
+  });
+}
+
+/**
+ * Builds chronological SSI/OPI/gap points and the moments the adequacy status flipped.
+ * @param {SavedReport[]} reports
+ * @returns {{
+ *   points: Array<{ timestamp: string, SSI: number, OPI: number, adequacyGap: number, status: string }>,
+ *   statusChanges: Array<{ index: number, timestamp: string, from: string, to: string }>
+ * }}
+ */
+export function buildTrendSeries(reports) {
+  const points = (reports || [])
+    .filter((report) => !Number.isNaN(new Date(report.timestamp).getTime()))
+    .map((report) => {
+      const adequacyGap = Number(report.adequacyGap || 0);
+      return {
+        timestamp: report.timestamp,
+        SSI: Number(report.SSI || 0),
+        OPI: Number(report.OPI || 0),
+        adequacyGap,
+        status: getAdequacyStatus(
+          adequacyGap,
+          report.scoringProfile?.adequacyBand ?? ADEQUACY_BAND
+        ).label,
+      };
+    })
+    .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+
+  const statusChanges = [];
+  for (let index = 1; index < points.length; index += 1) {
+    const previous = points[index - 1].status;
+    const current = points[index].status;
+    if (previous !== current) {
+      statusChanges.push({
+        index,
+        timestamp: points[index].timestamp,
+        from: previous,
+        to: current,
+      });
+    }
+  }
+
+  return { points, statusChanges };
+}
@@ -0,0 +1,173 @@
+import { DEFAULT_RISK_RULES } from "./rules.js";
+import { LOCALE_PACK as EN } from "./locales/en.js";
+import { LOCALE_PACK as DE } from "./locales/de.js";
+import { LOCALE_PACK as JA } from "./locales/ja.js";
+
+/**
+ * @typedef {string | { one?: string, other: string }} LocaleMessage
+ *
+ * @typedef {{
+ *   prompt?: string,
+ *   helpText?: string,
+ *   recommendation?: string,
+ *   options?: Record<string, string>
+ * }} QuestionTranslation
+ *
+ * @typedef {{
+ *   operationalContext?: { title?: string, description?: string },
+ *   structuralMaturity?: { title?: string, description?: string },
+ *   dimensions?: Record<string, string>,
+ *   scoringLabels?: Record<string, string>,
+ *   questions?: Record<string, QuestionTranslation>
+ * }} QuestionnaireTranslation
+ *
+ * @typedef {{
+ *   id: string,
+ *   label: string,
+ *   messages: Record<string, LocaleMessage>,
+ *   questionnaires?: Record<string, QuestionnaireTranslation>,
+ *   riskRules?: Record<string, { label?: string, explanation?: string, guidance?: string[] }>
+ * }} LocalePack
+ */
+
+/** English is the source language: its messages are the fallback for every other pack. */
+export const DEFAULT_LOCALE = "en";
+
+/** @type {Record<string, LocalePack>} */
+const LOCALE_PACKS = { en: EN, de: DE, ja: JA };
+
+/** Locales offered by the language switcher, in display order. */
+export const SUPPORTED_LOCALES = Object.values(LOCALE_PACKS).map((pack) => ({
+  id: pack.id,
+  label: pack.label,
+}));
+
+/**
+ * Maps a stored or browser locale (`de`, `de-AT`, `ja-JP`) to a supported locale id.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function resolveLocale(value) {
+  const tag = String(value || "").toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(LOCALE_PACKS, tag)) return tag;
+  const language = tag.split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(LOCALE_PACKS, language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Checks whether the source pack defines a message key.
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+  return Object.prototype.hasOwnProperty.call(LOCALE_PACKS[DEFAULT_LOCALE].messages, key);
+}
+
+/**
+ * Looks up a message, fills `{name}` placeholders and picks the plural form for
+ * `params.count`. Missing keys fall back to English, then to the key itself.
+ * @param {string} locale
+ * @param {string} key
+ * @param {Record<string, string | number>} [params]
+ * @returns {string}
+ */
+export function translate(locale, key, params = {}) {
+  const id = resolveLocale(locale);
+  /** @type {LocaleMessage | undefined} */
+  let message = LOCALE_PACKS[id].messages[key] ?? LOCALE_PACKS[DEFAULT_LOCALE].messages[key];
+  if (message === undefined) return key;
+  if (typeof message === "object") {
+    const form = new Intl.PluralRules(id).select(Number(params.count ?? 0));
+    message = message[form] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  );
+}
+
+/**
+ * Formats a score with a fixed number of decimals using the locale's separators.
+ * @param {number} value
+ * @param {string} locale
+ * @param {number} [digits]
+ * @returns {string}
+ */
+export function formatNumber(value, locale, digits = 1) {
+  return new Intl.NumberFormat(resolveLocale(locale), {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(Number(value || 0));
+}
+
+/**
+ * Returns the display name of a dimension key, preferring a localized label.
+ * @param {string} key
+ * @param {Record<string, string>} [labels]
+ * @returns {string}
+ */
+export function dimensionTitle(key, labels = {}) {
+  if (!key) return "";
+  return labels[key] || key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * Returns a copy of a questionnaire with prompts, help text, recommendations, option and
+ * scoring labels from the locale pack, plus `dimensionLabels` for display. Question ids,
+ * scores and dimension keys stay untouched, so answers and scores do not depend on the
+ * language. Default risk rules are translated and listed ahead of the questionnaire's own
+ * rules, which still replace them by id. Text without a translation stays as defined.
+ * @template {Record<string, any>} Q
+ * @param {Q} QUESTIONNAIRE
+ * @param {string} locale
+ * @returns {Q & { dimensionLabels?: Record<string, string> }}
+ */
+export function localizeQuestionnaire(QUESTIONNAIRE, locale) {
+  const pack = LOCALE_PACKS[resolveLocale(locale)];
+  const content = pack.questionnaires?.[QUESTIONNAIRE.id];
+  const ruleText = pack.riskRules || {};
+  if (!content && !Object.keys(ruleText).length) return QUESTIONNAIRE;
+
+  const questionText = content?.questions || {};
+  const translateQuestion = (q) => {
+    const text = questionText[q.id];
+    if (!text) return q;
+    return {
+      ...q,
+      ...(text.prompt ? { prompt: text.prompt } : {}),
+      ...(text.helpText ? { helpText: text.helpText } : {}),
+      ...(text.recommendation ? { recommendation: text.recommendation } : {}),
+      ...(q.options
+        ? {
+            options: q.options.map((opt) => ({
+              ...opt,
+              label: text.options?.[String(opt.score)] || opt.label,
+            })),
+          }
+        : {}),
+      ...(q.scoringLabels && content?.scoringLabels
+        ? { scoringLabels: { ...q.scoringLabels, ...content.scoringLabels } }
+        : {}),
+    };
+  };
+
+  const translatedDefaults = DEFAULT_RISK_RULES.filter((rule) => ruleText[rule.id]).map((rule) => ({
+    ...rule,
+    ...ruleText[rule.id],
+  }));
+
+  return {
+    ...QUESTIONNAIRE,
+    operationalContext: {
+      ...QUESTIONNAIRE.operationalContext,
+      ...content?.operationalContext,
+      questions: QUESTIONNAIRE.operationalContext.questions.map(translateQuestion),
+    },
+    structuralMaturity: {
+      ...QUESTIONNAIRE.structuralMaturity,
+      ...content?.structuralMaturity,
+      behavioralQuestions: QUESTIONNAIRE.structuralMaturity.behavioralQuestions.map(translateQuestion),
+    },
+    ...(content?.dimensions ? { dimensionLabels: { ...content.dimensions } } : {}),
+    riskRules: [...translatedDefaults, ...(QUESTIONNAIRE.riskRules || [])],
+  };
+}
@@ -0,0 +1,791 @@
+/**
+ * German locale pack: interface and narrative messages, the built-in questionnaire and
+ * the default risk rules. Missing keys fall back to English.
+ * @type {import("../i18n.js").LocalePack}
+ */
+export const LOCALE_PACK = {
+  id: "de",
+  label: "Deutsch",
+  messages: {
+    "app.documentTitle": "Fragebogen zur Design-System-Reife",
+    "app.title": "Design-System-Reifecheck",
+    "app.subtitle": "Kontextdruck und strukturelle Bereitschaft bewerten.",
+    "header.language": "Sprache",
+    "header.importReport": "Bericht importieren (JSON)",
+    "header.loadQuestionnaire": "Fragebogen laden (JSON)",
+    "header.resetQuestionnaire": "Standardfragebogen verwenden",
+    "header.copyShareLink": "Freigabelink kopieren",
+    "header.portfolio": "Portfolio",
+    "header.scoringProfiles": "Bewertungsprofile",
+    "header.questionnaire.upload": "Fragebogen: {id} v{version} (hochgeladen)",
+    "header.questionnaire.url": "Fragebogen: {id} v{version} (konfiguriert)",
+    "nav.back": "Zurück",
+    "nav.continue": "Weiter",
+    "nav.viewResults": "Ergebnisse anzeigen",
+    "nav.startOver": "Neu beginnen",
+    "nav.step": "Schritt {step}/{total}",
+    "nav.skipToContent": "Zum Fragebogen springen",
+    "time.unknown": "Unbekannte Zeit",
+    "common.none": "Keine",
+    "copy.done": "Kopiert",
+    "copy.failed": "Kopieren fehlgeschlagen",
+
+    "wizard.contextHelp": "Wählen Sie die Option, die Ihren aktuellen Arbeitskontext am besten beschreibt.",
+    "wizard.scoringGuide":
+      "Bewertung: 0 = Nicht vorhanden, 1 = Informell/ad hoc, 2 = Definiert, aber uneinheitlich, 3 = Operationalisiert/durchgesetzt.",
+    "wizard.unscoredHelp":
+      "Wählen Sie „Weiß nicht“, wenn Sie es nicht beurteilen können, oder „Nicht zutreffend“, wenn die Praxis für Ihr Team nicht relevant ist. Beides zählt nicht zur Bewertung, aber „Weiß nicht“ senkt die Verlässlichkeit der Dimension.",
+    "wizard.dimensionNav": "Zur Dimension springen",
+    "validation.contextMissing": "Bitte beantworten Sie alle Kontextfragen (noch {count} offen).",
+    "validation.structuralMissing":
+      "Bitte beantworten Sie alle Fragen zur strukturellen Reife (noch {count} offen). Wählen Sie „Weiß nicht“, wenn Sie unsicher sind.",
+
+    "import.invalidJson": "Die ausgewählte Datei ist kein gültiges JSON.",
+    "import.failed": "Import fehlgeschlagen: {message}",
+    "import.confirmReplace":
+      "Der Import dieses Berichts ersetzt die laufenden Antworten und Nachweise. Fortfahren?",
+    "import.legacy":
+      "Dieser Bericht wurde exportiert, bevor Antworten enthalten waren. Die Kontextantworten wurden wiederhergestellt; bitte beantworten Sie die Strukturfragen erneut.",
+    "questionnaire.invalidJson": "Fragebogen abgelehnt: Die ausgewählte Datei ist kein gültiges JSON.",
+    "questionnaire.rejected": "Fragebogen abgelehnt. {errors}",
+    "questionnaire.configuredIgnored": "Konfigurierter Fragebogen ignoriert. {errors}",
+    "questionnaire.customIgnored.url":
+      "Eigener Fragebogen ignoriert; der konfigurierte Fragebogen wird verwendet. {errors}",
+    "questionnaire.customIgnored.builtin":
+      "Eigener Fragebogen ignoriert; der integrierte Fragebogen wird verwendet. {errors}",
+
+    "share.title": "Geteilte Bewertung",
+    "share.answers": { one: "{count} Antwort", other: "{count} Antworten" },
+    "share.differ": ", davon weichen {count} von den in diesem Browser gespeicherten Antworten ab",
+    "share.body":
+      "Dieser Link enthält {answers}{differ}. Ihre gespeicherten Antworten bleiben unverändert, bis Sie eine Auswahl treffen.",
+    "share.replace": "Meine Antworten ersetzen",
+    "share.merge": "Zusammenführen (meine behalten, Lücken füllen)",
+    "share.ignore": "Link ignorieren",
+    "share.ignored": "Geteilter Link ignoriert: {message}",
+    "share.error.invalidVersion": "Der Link hat eine ungültige Freigabeversion.",
+    "share.error.newerVersion":
+      "Der Link wurde mit einer neueren Version dieses Tools erstellt (Freigabe v{version}).",
+    "share.error.questionnaire":
+      "Der Link wurde für den Fragebogen „{linked}“ erstellt, aktiv ist aber „{active}“.",
+    "share.error.missingQuestionnaireVersion":
+      "Der Link gibt nicht an, für welche Fragebogenversion er erstellt wurde.",
+    "share.error.questionnaireVersion":
+      "Der Link wurde für Version „{linked}“ dieses Fragebogens erstellt, aktiv ist aber Version „{active}“.",
+    "share.error.answerCount": {
+      one: "Der Link enthält {count} Antwort, dieser Fragebogen hat aber {questions} Fragen.",
+      other: "Der Link enthält {count} Antworten, dieser Fragebogen hat aber {questions} Fragen.",
+    },
+    "share.error.unreadableAnswer": "Der Link enthält eine unlesbare Antwort für „{id}“.",
+    "share.error.invalidAnswers":
+      "Der Link enthält Antworten, die dieser Fragebogen nicht akzeptiert.",
+    "update.title": "Aktualisierung verfügbar",
+    "update.app":
+      "Eine neue Version der Diagnose ist bereit. Laden Sie die Seite neu, um sie zu verwenden; Ihre Antworten bleiben gespeichert.",
+    "update.data":
+      "Der Fragebogen oder die Benchmark-Daten haben sich seit dem Zwischenspeichern geändert. Laden Sie die Seite neu, um die neue Version zu verwenden; Ihre Antworten bleiben gespeichert.",
+    "update.reload": "Neu laden",
+    "update.later": "Später",
+
+    "report.title": "Design-System-Diagnose",
+    "report.titleFor": "Design-System-Diagnose: {name}",
+    "report.generated": "Erstellt {time}",
+    "report.scoringProfile": "Bewertungsprofil",
+    "report.language": "Sprache",
+    "report.strengths": "Stärkere Signale",
+    "report.weaknesses": "Aufkommende Signale",
+    "report.riskFlags": "Risikohinweise",
+    "report.noRisks": "In diesen Antworten wurden keine deutlichen Lückensignale erkannt.",
+    "report.nextSteps": "Konkrete nächste Schritte",
+    "report.guidance": "Empfehlungen",
+    "report.dimensions": "Dimensionen",
+    "report.dimension": "Dimension",
+    "report.score": "Wert",
+    "report.answered": "Beantwortet",
+    "report.answeredCount": "{answered}/{total} beantwortet",
+    "report.metric": "Kennzahl",
+    "report.value": "Wert",
+    "report.charts": "Diagramme",
+    "report.contextAnswers": "Kontextantworten",
+    "report.question": "Frage",
+    "report.answer": "Antwort",
+    "report.notAnswered": "Nicht beantwortet",
+    "report.evidence": "Nachweise",
+    "report.confidence": "Verlässlichkeit",
+    "report.coverage": "Antwortabdeckung",
+    "report.lowConfidence": "geringe Verlässlichkeit",
+    "answer.dontKnow": "Weiß nicht",
+    "answer.notApplicable": "Nicht zutreffend",
+    "evidence.summary": "Nachweis hinzufügen (optional)",
+    "evidence.summaryCount": { one: "Nachweise ({count} Eintrag)", other: "Nachweise ({count} Einträge)" },
+    "evidence.note": "Notiz",
+    "evidence.links": "Links (eine URL pro Zeile)",
+    "evidence.invalidLinks": "Als Nachweis werden nur http(s)-Links übernommen. Entfernt: {links}",
+    "evidence.empty":
+      "Keine Nachweise erfasst. Ergänzen Sie Notizen oder Links zu den Strukturantworten, damit eine spätere Neubewertung dieselben Quellen prüfen kann.",
+    "targets.title": "Ziele",
+    "targets.tip":
+      "Legen Sie einen Zielwert (0-100) für den SSI oder einzelne Dimensionen fest. Ziele werden mit Ihren Antworten und Exporten gespeichert, in den Diagrammen eingezeichnet und mit jedem gespeicherten Bericht abgeglichen.",
+    "targets.clear": "Ziele löschen",
+    "targets.empty":
+      "Keine Ziele festgelegt. Geben Sie oben einen Ziel-SSI oder Dimensionswert ein, um den Abstand und die nötigen Antwortänderungen zu sehen.",
+    "targets.measure": "Kennzahl",
+    "targets.current": "Aktuell",
+    "targets.target": "Ziel",
+    "targets.gap": "Abstand zum Ziel",
+    "targets.met": "Erreicht",
+    "targets.moves": "Zu verbessernde Antworten",
+    "targets.allMet": "Alle Ziele sind erreicht.",
+    "targets.unscored":
+      "{dimension} hat noch keine bewerteten Antworten; bewerten Sie zuerst ihre Verhaltensweisen, um auf ihr Ziel hinzuplanen.",
+    "targets.progress": "Fortschritt über gespeicherte Berichte",
+    "targets.metCount": { one: "{met} von {count} Ziel erreicht", other: "{met} von {count} Zielen erreicht" },
+    "targets.invalid": "Ziele müssen Zahlen von 0 bis 100 sein.",
+    "benchmark.title": "Vergleich mit anderen Teams",
+    "benchmark.tip":
+      "Vergleicht Ihre Werte mit anonymisierten Berichten von Teams mit gleicher Teamgröße und Produktkomplexität. Ein Perzentil von 50 entspricht dem Median der Vergleichsteams; ein hohes OPI-Perzentil bedeutet mehr operativen Druck als bei den meisten Vergleichsteams.",
+    "benchmark.dataset": { one: "Datensatz: {name} ({count} Bericht)", other: "Datensatz: {name} ({count} Berichte)" },
+    "benchmark.datasetUploaded": { one: "Datensatz: {name} ({count} Bericht, in diesem Browser hochgeladen)", other: "Datensatz: {name} ({count} Berichte, in diesem Browser hochgeladen)" },
+    "benchmark.peers": { one: "{count} Vergleichsteam in Ihren Bereichen: {bands}", other: "{count} Vergleichsteams in Ihren Bereichen: {bands}" },
+    "benchmark.tooFew":
+      "Perzentile brauchen mindestens {min} Vergleichswerte in denselben Bereichen.",
+    "benchmark.yours": "Ihr Wert",
+    "benchmark.median": "Median der Vergleichsteams",
+    "benchmark.percentile": "Perzentil",
+    "benchmark.load": "Vergleichsdaten laden (JSON)",
+    "benchmark.reset": "Mitgelieferte Vergleichsdaten verwenden",
+    "benchmark.unavailable":
+      "Keine Vergleichsdaten geladen. Laden Sie eine Datensatzdatei, um mit anderen Teams zu vergleichen.",
+    "benchmark.invalidJson": "Die Vergleichsdatei ist kein gültiges JSON.",
+    "benchmark.rejected": "Der Vergleichsdatensatz wurde abgelehnt: {message}",
+    "benchmark.notStored":
+      "Der Vergleichsdatensatz konnte in diesem Browser nicht gespeichert werden (möglicherweise ist er zu groß).",
+    "actionPlan.title": "Maßnahmenplan",
+    "actionPlan.tip":
+      "Verfolgen Sie Empfehlungen als Maßnahmen mit verantwortlicher Person, Fälligkeitsdatum und Status. Der Plan wird mit dem Assessment gespeichert und bleibt bei einer neuen Antwort erhalten, sodass der nächste Durchlauf zeigt, was erledigt ist, was überfällig ist und welche offenen Maßnahmen die neuen Antworten nicht mehr erfordern.",
+    "actionPlan.empty":
+      "Noch keine verfolgten Maßnahmen. Nutzen Sie „Verfolgen“ bei einer Empfehlung oder „Alle Empfehlungen verfolgen“.",
+    "actionPlan.track": "Verfolgen",
+    "actionPlan.tracked": "Verfolgt",
+    "actionPlan.trackAll": "Alle Empfehlungen verfolgen",
+    "actionPlan.action": "Maßnahme",
+    "actionPlan.owner": "Verantwortlich",
+    "actionPlan.ownerPlaceholder": "z. B. @alex",
+    "actionPlan.unassigned": "Nicht zugewiesen",
+    "actionPlan.due": "Fällig",
+    "actionPlan.status": "Status",
+    "actionPlan.status.todo": "Offen",
+    "actionPlan.status.in-progress": "In Arbeit",
+    "actionPlan.status.done": "Erledigt",
+    "actionPlan.status.dropped": "Verworfen",
+    "actionPlan.remove": "Entfernen",
+    "actionPlan.addresses": "Betrifft",
+    "actionPlan.addressesQuestion": "{dimension}: {prompt} ({id})",
+    "actionPlan.addressesFlag": "Risikosignal {flag} ({id})",
+    "actionPlan.addressesDimension": "Dimension {dimension}",
+    "actionPlan.labels": "Labels",
+    "actionPlan.progress": { one: "{done} von {count} Maßnahme erledigt", other: "{done} von {count} Maßnahmen erledigt" },
+    "actionPlan.inProgressCount": { one: "{count} in Arbeit", other: "{count} in Arbeit" },
+    "actionPlan.overdueCount": { one: "{count} überfällig", other: "{count} überfällig" },
+    "actionPlan.overdue": "Überfällig",
+    "actionPlan.addressed": "Nicht mehr empfohlen",
+    "actionPlan.addressedCount": { one: "{count} offene Maßnahme wird nach den aktuellen Antworten nicht mehr empfohlen. Markieren Sie sie als erledigt, wenn die Arbeit abgeschlossen ist.", other: "{count} offene Maßnahmen werden nach den aktuellen Antworten nicht mehr empfohlen. Markieren Sie sie als erledigt, wenn die Arbeit abgeschlossen ist." },
+    "actionPlan.exportMarkdown": "GitHub-Issues herunterladen (Markdown)",
+    "actionPlan.exportJira": "Jira-CSV herunterladen",
+    "actionPlan.invalidDue": "Geben Sie das Fälligkeitsdatum als JJJJ-MM-TT ein.",
+    "confidence.high": "Hoch",
+    "confidence.medium": "Mittel",
+    "confidence.low": "Niedrig",
+    "confidence.none": "Keine Daten",
+    "confidence.value": "{level} ({percent} % abgedeckt)",
+    "coverage.low":
+      "{dimension} beruht auf nur {answered} von {applicable} zutreffenden Antworten; der Wert und die Risikohinweise, die ihn nutzen, sind daher wenig verlässlich.",
+    "coverage.none":
+      "{dimension} hat keine bewerteten Antworten und fließt daher nicht in SSI und Risikohinweise ein.",
+    "kpi.gap": "Angemessenheitslücke",
+    "kpi.ssiTip":
+      "System Strength Index. Gesamtwert der strukturellen Reife aus Ihren Antworten, normiert auf 0-100.",
+    "kpi.opiTip":
+      "Operational Pressure Index. Aus dem Kontext abgeleiteter Druck aus Teamgröße, Komplexität, Release-Tempo, KI-Nutzung und Tool-Fragmentierung.",
+    "kpi.gapTip":
+      "SSI minus OPI. Negativ bedeutet, dass die Reife unter dem aktuellen Druck liegt; positiv, dass sie ihn übersteigt.",
+    "status.underbuilt": "Unterentwickelt",
+    "status.balanced": "Ausgewogen",
+    "status.overbuilt": "Überentwickelt",
+    "severity.low": "Niedrig",
+    "severity.medium": "Mittel",
+    "severity.high": "Hoch",
+
+    "summary.text":
+      "Die aktuellen Reifesignale (SSI {SSI}) {relationship} (OPI {OPI}, AG {AG}). Bei Teamgrößen-Stufe {teamSize} und KI-Nutzungsstufe {aiUsage} zeigt dies, wo die Einheitlichkeit der Praktiken bei steigendem Liefertempo gestärkt werden sollte.",
+    "summary.relationship.above": "liegen tendenziell über dem aktuellen operativen Druck",
+    "summary.relationship.slightlyAbove": "liegen leicht über dem aktuellen operativen Druck",
+    "summary.relationship.slightlyBelow": "liegen leicht unter dem aktuellen operativen Druck",
+    "summary.relationship.gap": "deuten auf eine deutliche Lücke zum aktuellen operativen Druck hin",
+
+    "guidance.topActions": "Wirksamste Schritte",
+    "guidance.riskActions": "Maßnahmen zu Risiken",
+    "guidance.other": "Weitere Schritte",
+    "guidance.uplift": "+{points} Pkt. {dimension}",
+    "guidance.scored": "bewertet mit {score}: {prompt}",
+    "guidance.questionScored": "{questionId} bewertet mit {score}",
+    "guidance.addresses": "betrifft {flag}",
+    "guidance.behaviorsToRaise": {
+      one: "{count} Verhalten zu verbessern",
+      other: "{count} Verhaltensweisen zu verbessern",
+    },
+    "guidance.dimensionTip.governance":
+      "Legen Sie fest, wer Token- und Komponentenänderungen freigibt, und führen Sie ein einfaches Anfrageformular ein, damit Anfragen einem sichtbaren Weg folgen.",
+    "guidance.dimensionTip.distribution":
+      "Richten Sie einen wiederholbaren Veröffentlichungsablauf ein (Version, Notizen, Paket-Release) und behandeln Sie fehlgeschlagene Releases als nachverfolgten Vorfall.",
+    "guidance.dimensionTip.documentation":
+      "Aktualisieren Sie die Dokumentation im selben Pull Request wie die Komponentenänderung, inklusive Beispielen für Lade-, Leer- und Fehlerzustände.",
+    "guidance.dimensionTip.components":
+      "Vereinheitlichen Sie Komponenten-APIs (Zustände, Varianten, Benennung) und ergänzen Sie vor dem Merge eine Prüfung der Barrierefreiheits-Grundlagen.",
+    "guidance.dimensionTip.foundations":
+      "Überführen Sie zentrale Stilwerte in gemeinsame Tokens und ergänzen Sie eine Lint- oder Review-Prüfung gegen fest codierte Farb- und Abstandswerte.",
+    "guidance.dimensionTip.adoption":
+      "Setzen Sie ein Quartalsziel für die Nutzung in zwei stark frequentierten Abläufen und prüfen Sie den Fortschritt mit konkreten Nutzungskennzahlen.",
+    "guidance.dimensionTip.generic":
+      "Wählen Sie das am niedrigsten bewertete Verhalten in {dimension}, benennen Sie eine verantwortliche Person und vereinbaren Sie ein beobachtbares Signal, das zeigt, dass es umgesetzt ist.",
+    "guidance.sprint":
+      "Wählen Sie pro Dimension ein niedrig bewertetes Verhalten und führen Sie einen zweiwöchigen Verbesserungssprint mit klarer Verantwortung und beobachtbarem Erfolgssignal durch.",
+
+    "results.title": "Ergebnisse",
+    "results.disclaimer":
+      "Dieses Werkzeug beschreibt, wie gut Systempraktiken und operativer Druck zusammenpassen. Es ist eine Selbstreflexion, kein Audit.",
+    "results.manageProfiles": "Profile verwalten",
+    "results.chartTitle": "Tatsächliche Reife vs. operativer Druck (OPI)",
+    "results.chartTip":
+      "Blaue Balken zeigen die aktuelle Reife je Dimension, rote Balken die Druckschwelle (OPI). Größere Defizite bedeuten ein höheres Lieferrisiko.",
+    "results.radarTitle": "Profil über alle Dimensionen",
+    "results.radarTip":
+      "Radaransicht aller Dimensionen. Eine größere blaue Fläche steht für eine insgesamt stärkere Design-System-Fähigkeit.",
+    "results.risksTitle": "Zu beobachtende Signale",
+    "results.risksTip":
+      "Risikohinweise, die aus Kombinationen von Kontextdruck und Antworten zur strukturellen Reife abgeleitet werden.",
+    "results.guidanceTip":
+      "Empfehlungen für Verhaltensweisen mit Bewertung 0-1, sortiert danach, wie stark die Anhebung auf den Höchstwert den Dimensionswert steigern würde, sowie Maßnahmen zu Risikohinweisen.",
+    "results.coverageTip":
+      "Anteil der zutreffenden Fragen je Dimension mit einer Antwort von 0-3. „Weiß nicht“ und offene Fragen senken die Abdeckung; „Nicht zutreffend“ wird nicht mitgezählt.",
+    "results.evidenceTip":
+      "Notizen und Links zu den Strukturantworten. Sie werden mit Ihren Antworten gespeichert und in die JSON-, Markdown- und HTML-Berichte übernommen.",
+    "results.lowConfidenceTip":
+      "Dieser Hinweis nutzt eine Dimension mit wenigen bewerteten Antworten. Prüfen Sie ihn, bevor Sie handeln.",
+    "chart.actual": "Tatsächliche Reife",
+    "chart.opi": "Operativer Druck (OPI)",
+    "chart.target": "Ziel",
+    "chart.ssiTarget": "SSI-Ziel",
+    "chart.peerMedian": "Median der Vergleichsteams",
+    "chart.axis": "Wert (0-100)",
+    "chart.unavailable": "Diagramm nicht verfügbar. Die Kennzahlen stehen weiterhin oben.",
+    "chart.barAlt": "Balkendiagramm der Reife je Dimension im Vergleich zum OPI {OPI}: {scores}.",
+    "chart.radarAlt": "Radardiagramm der Reife je Dimension: {scores}.",
+    "chart.sandboxAlt":
+      "Balkendiagramm der Dimensionswerte heute und mit den Was-wäre-wenn-Antworten. Die Tabelle darüber enthält dieselben Werte.",
+    "chart.trendAlt":
+      "Liniendiagramm von SSI, OPI und Angemessenheitslücke über die gespeicherten Berichte. Die Liste der gespeicherten Berichte unten enthält dieselben Werte.",
+    "chart.showTable": "Datentabelle anzeigen",
+    "chart.hideTable": "Datentabelle ausblenden",
+
+    "actions.title": "Berichtsaktionen",
+    "actions.downloadJson": "Bericht herunterladen (JSON)",
+    "actions.downloadMarkdown": "Bericht herunterladen (Markdown)",
+    "actions.downloadHtml": "Bericht herunterladen (HTML)",
+    "actions.print": "Drucken / Als PDF speichern",
+    "actions.copySummary": "Zusammenfassung kopieren",
+    "actions.copyMarkdown": "Als Markdown kopieren",
+    "actions.newResponse": "Neue Antwort",
+    "actions.feedback": "Anonymes Feedback geben",
+
+    "team.title": "Teambewertung",
+    "team.tip":
+      "Sammeln Sie mehrere Antwortende aus demselben Team, indem Sie jede ausgefüllte Antwort hinzufügen oder deren JSON-Berichte importieren. Der Teambericht verwendet die mittlere Antwort je Frage und markiert Fragen mit starker Uneinigkeit.",
+    "team.respondentName": "Name der antwortenden Person",
+    "team.namePlaceholder": "z. B. Alex (Design)",
+    "team.add": "Diese Antwort zum Team hinzufügen",
+    "team.import": "Berichte von Antwortenden importieren (JSON)",
+    "team.clear": "Team leeren",
+    "team.added": "hinzugefügt {time}",
+    "team.remove": "Entfernen",
+    "team.empty": "Noch keine Antwortenden.",
+    "team.needTwo": "Fügen Sie mindestens zwei Antwortende hinzu, um den zusammengeführten Teambericht zu sehen.",
+    "team.reportTitle": {
+      one: "Teambericht ({count} antwortende Person)",
+      other: "Teambericht ({count} antwortende Personen)",
+    },
+    "team.ssi": "Team-SSI",
+    "team.opi": "Team-OPI",
+    "team.flags": "Risikohinweise des Teams",
+    "team.topics": "Gesprächsthemen",
+    "team.topicsTip":
+      "Fragen, bei denen die Antworten um zwei oder mehr Stufen abweichen, z. B. eine Person antwortet 0 und eine andere 2 oder 3.",
+    "team.spread": "Spannweite {value}",
+    "team.noTopics": "Keine starken Meinungsunterschiede. Das Team ist sich bei allen Fragen weitgehend einig.",
+    "team.consensus": "Übereinstimmung je Frage",
+    "team.context": "Kontext",
+    "team.mean": "Mittelwert",
+    "team.spreadColumn": "Spannweite",
+    "team.stdDev": "Std.-Abw.",
+    "team.outliers": "Ausreißer",
+    "team.nameRequired":
+      "Geben Sie einen Namen ein, bevor Sie diese Antwort zum Team hinzufügen.",
+    "team.noAnswers": "Bericht enthält keine Antworten je Frage",
+    "team.importFailed": "Einige Berichte konnten nicht zum Team hinzugefügt werden. {failures}",
+
+    "compare.title": "Bewertungen vergleichen",
+    "compare.tip":
+      "Wählen Sie zwei gespeicherte Berichte oder den aktuellen Durchlauf und einen gespeicherten Bericht, um Wertänderungen, Risikohinweise, Empfehlungen und geänderte Antworten zu sehen.",
+    "compare.before": "Vorher",
+    "compare.after": "Nachher",
+    "compare.change": "Änderung",
+    "compare.currentRun": "Aktueller Durchlauf",
+    "compare.choose": "Bericht auswählen",
+    "compare.needMore": "Speichern Sie einen weiteren Bericht in diesem Browser, um Durchläufe zu vergleichen.",
+    "compare.profileMismatch":
+      "Diese Berichte wurden mit unterschiedlichen Profilen bewertet ({before} vs. {after}); OPI und Risikohinweise sind daher nicht direkt vergleichbar.",
+    "compare.needAnswers": "Änderungen je Frage setzen voraus, dass beide Berichte ihre Antworten enthalten.",
+    "compare.noAnswerChanges": "Keine Verhaltensantworten haben sich geändert.",
+    "compare.newFlags": "Neue Risikohinweise",
+    "compare.clearedFlags": "Entfallene Risikohinweise",
+    "compare.addedGuidance": "Neue Empfehlungen",
+    "compare.removedGuidance": "Entfallene Empfehlungen",
+    "compare.movedQuestions": "Veränderte Verhaltensfragen",
+    "sandbox.title": "Was-wäre-wenn-Sandbox",
+    "sandbox.tip":
+      "Probieren Sie andere Antworten aus, ohne Ihre echten zu ändern. Werte, Abstände, Risikosignale und Diagramm werden bei jeder Änderung neu berechnet; die Sandbox wird geleert, wenn Sie die Ergebnisse verlassen.",
+    "sandbox.edit": "Antworten ändern",
+    "sandbox.changed": { one: "Antworten ändern ({count} geändert)", other: "Antworten ändern ({count} geändert)" },
+    "sandbox.reset": "Sandbox zurücksetzen",
+    "sandbox.actual": "Ist",
+    "sandbox.whatIf": "Was wäre wenn",
+    "sandbox.gapNote": "Abstände der Dimensionen zum OPI stehen in Klammern.",
+    "sandbox.clearedFlags": "Aufgehobene Signale",
+    "sandbox.raisedFlags": "Neue Signale",
+    "sandbox.improvements": "Wirksamste Einzeländerungen",
+    "sandbox.improvementsTip":
+      "Jede bewertete Antwort unter 3 wird einzeln auf 3 angehoben, ausgehend von den Sandbox-Antworten. Änderungen, die ein Risikosignal aufheben, stehen vorn, danach jene, die eine negative Angemessenheitslücke am stärksten verringern, dann jene, die den Rückstand der Dimensionen zum OPI am stärksten verkleinern.",
+    "sandbox.clears": "hebt {flag} auf",
+    "sandbox.gapEffect": "Angemessenheitslücke {points}",
+    "sandbox.shortfallEffect": "{points} Pkt. weniger unter OPI",
+    "sandbox.try": "In der Sandbox testen",
+    "sandbox.noImprovements":
+      "Keine einzelne Antwortänderung hebt ein Risikosignal auf oder verringert einen negativen Abstand.",
+    "growth.title": "Wachstumsszenarien",
+    "growth.tip":
+      "Beschreiben Sie den operativen Kontext, den Sie später erwarten, zum Beispiel mehr Personen, schnellere Releases oder KI im Produktivbetrieb. Jedes Szenario zeigt den prognostizierten OPI, die Dimensionen, die die Risikoregeln dann markieren würden, und wie stark der SSI wachsen muss, um ausgewogen zu bleiben.",
+    "growth.define": "Szenario festlegen",
+    "growth.name": "Name des Szenarios",
+    "growth.namePlaceholder": "z. B. In 12 Monaten",
+    "growth.horizonMonths": "Zeithorizont (Monate)",
+    "growth.horizon": "Zeithorizont",
+    "growth.months": { one: "{count} Monat", other: "{count} Monate" },
+    "growth.add": "Szenario hinzufügen",
+    "growth.remove": "Entfernen",
+    "growth.empty":
+      "Noch keine Wachstumsszenarien. Wählen Sie den Kontext, den Sie künftig erwarten, und fügen Sie ihn als Szenario hinzu.",
+    "growth.nameRequired": "Geben Sie einen Namen für das Szenario ein, bevor Sie es hinzufügen.",
+    "growth.invalidHorizon":
+      "Der Zeithorizont muss eine ganze Zahl von Monaten zwischen 1 und {max} sein.",
+    "growth.scenario": "Szenario",
+    "growth.noChange": "Gleicher Kontext wie heute",
+    "growth.projectedOpi": "Prognostizierter OPI",
+    "growth.ssiGrowth": "Nötiges SSI-Wachstum für Ausgewogenheit",
+    "growth.noGrowth": "Nicht nötig",
+    "growth.atRisk": "Gefährdete Dimensionen",
+    "growth.newRisk": "neu",
+    "growth.newFlags": "Neue Risikosignale",
+
+    "trend.title": "Entwicklung über die Zeit",
+    "trend.tip":
+      "SSI, OPI und Angemessenheitslücke aus den in diesem Browser gespeicherten Berichten. Rauten markieren, wo der Status zwischen Unterentwickelt, Ausgewogen und Überentwickelt wechselte.",
+    "trend.from": "Von",
+    "trend.to": "Bis",
+    "trend.needTwo": "Speichern Sie mindestens zwei Berichte in diesem Zeitraum, um einen Verlauf zu sehen.",
+    "trend.unavailable": "Diagramm nicht verfügbar. Gespeicherte Berichte stehen weiterhin unten.",
+    "trend.changes": "Statuswechsel in diesem Zeitraum:",
+    "trend.noChanges": "Keine Statuswechsel in diesem Zeitraum.",
+    "trend.statusChange": "Status: {from} → {to}",
+
+    "saved.title": "In diesem Browser gespeicherte Berichte",
+    "saved.tip":
+      "Der CSV-Export umfasst den aktuellen Durchlauf und alle gespeicherten Berichte, mit Dimensionsspalten in Fragebogenreihenfolge. Mit Antworten entsteht eine Zeile je Antwort; dieses Format kann wieder importiert werden.",
+    "saved.empty": "Noch kein gespeicherter Bericht.",
+    "saved.gap": "Lücke",
+    "saved.includeAnswers": "Antworten einschließen (eine Zeile je Frage)",
+    "saved.exportCsv": "CSV exportieren",
+    "saved.importCsv": "CSV importieren",
+    "csv.imported": {
+      one: "{count} Bericht aus CSV importiert{skipped}{dropped}.",
+      other: "{count} Berichte aus CSV importiert{skipped}{dropped}.",
+    },
+    "csv.skipped": " ({count} bereits gespeichert)",
+    "csv.dropped": " ({count} nicht übernommen: der Verlauf behält die {max} neuesten Berichte)",
+    "csv.importFailed": "CSV-Import fehlgeschlagen: {message}",
+
+    "feedback.title": "Anonymes Feedback",
+    "feedback.intro": "Ihre Antwort wird über Google Forms übermittelt.",
+    "feedback.frameTitle": "Anonymes Feedbackformular",
+    "feedback.missing":
+      "Das Feedbackformular ist noch nicht konfiguriert. Tragen Sie die Formular-URL in <code>index.html</code> im Attribut <code>data-feedback-form-url</code> des body ein.",
+    "feedback.notConfigured":
+      "Das Feedbackformular ist nicht konfiguriert. Tragen Sie Ihre Google-Forms-URL in data-feedback-form-url in index.html ein.",
+    "feedback.close": "Schließen",
+    "feedback.openTab": "In neuem Tab öffnen",
+
+    "nav.backToDiagnostic": "Zurück zur Diagnose",
+
+    "portfolio.documentTitle": "Designsystem-Portfolio",
+    "portfolio.title": "Designsystem-Portfolio",
+    "portfolio.subtitle":
+      "Strukturelle Stärke und operativen Druck über Produktteams hinweg vergleichen.",
+    "portfolio.import": "Teamberichte importieren (JSON)",
+    "portfolio.clear": "Portfolio leeren",
+    "portfolio.emptyTitle": "Noch keine Teams",
+    "portfolio.emptyHelp":
+      "Importieren Sie die aus der Diagnose heruntergeladenen JSON-Berichte, einen pro Team. Der Teamname ist zunächst der Dateiname und lässt sich danach ändern.",
+    "portfolio.heading": { one: "Portfolio ({count} Team)", other: "Portfolio ({count} Teams)" },
+    "portfolio.profile":
+      "Bewertungsprofil: {profile}. Berichte mit Antworten werden mit diesem Profil bewertet; Berichte nur mit Werten behalten die Werte und Risikohinweise ihrer Datei.",
+    "portfolio.chartTitle": "SSI vs. OPI",
+    "portfolio.chartTip":
+      "Jeder Punkt ist ein Team. Das schattierte diagonale Band markiert eine ausgewogene Angemessenheitslücke (innerhalb ±{band}). Teams oberhalb des Bands stehen unter mehr Druck, als ihre Struktur trägt.",
+    "portfolio.chartUnavailable": "Diagramm nicht verfügbar. Die Teamwerte stehen weiterhin unten.",
+    "portfolio.balancedBand": "Ausgewogenes Band (±{band})",
+    "portfolio.axisSSI": "SSI (strukturelle Stärke)",
+    "portfolio.axisOPI": "OPI (operativer Druck)",
+    "portfolio.point": "{team}: SSI {SSI}, OPI {OPI}",
+    "portfolio.teams": "Teams",
+    "portfolio.team": "Team",
+    "portfolio.teamName": "Teamname",
+    "portfolio.reportDate": "Berichtsdatum",
+    "portfolio.actions": "Aktionen",
+    "portfolio.remove": "Entfernen",
+    "portfolio.sharedFlags": "Gemeinsame Risikohinweise",
+    "portfolio.sharedFlagsTip":
+      "Teams gruppiert nach den Risikohinweisen ihrer Berichte, die verbreitetsten zuerst.",
+    "portfolio.flagTeams": { one: "{count} Team", other: "{count} Teams" },
+    "portfolio.noFlags": "Derzeit löst kein Team einen Risikohinweis aus.",
+    "portfolio.flagsFrom": "aus {profile}",
+    "portfolio.flagsFromFile": "aus der Berichtsdatei",
+    "portfolio.importFailed": "Einige Berichte konnten nicht importiert werden. {failures}",
+
+    "admin.documentTitle": "Bewertungsprofile",
+    "admin.title": "Bewertungsprofile",
+    "admin.subtitle":
+      "OPI-Gewichte und Risikoschwellen anpassen und die Wirkung auf die aktuellen Antworten prüfen.",
+    "admin.factor.teamSize": "Teamgröße",
+    "admin.factor.productComplexity": "Produktkomplexität",
+    "admin.factor.aiUsage": "KI-Nutzung",
+    "admin.factor.releaseFrequency": "Release-Frequenz",
+    "admin.factor.toolingFragmentation": "Tool-Fragmentierung",
+    "admin.builtIn": "{label} (integriert)",
+    "admin.activeTitle": "Aktives Profil",
+    "admin.activeTip":
+      "Neue Berichte, gespeicherte Stände und Exporte werden mit dem aktiven Profil bewertet und vermerken es, damit spätere Vergleiche die verwendeten Einstellungen kennen.",
+    "admin.activeSelect": "Profil für die Bewertung",
+    "admin.editTitle": "Profil bearbeiten",
+    "admin.startFrom": "Ausgehend von",
+    "admin.name": "Name",
+    "admin.weights": "OPI-Gewichte",
+    "admin.weightSum": "Summe der Gewichte {sum} (muss 1,00 sein).",
+    "admin.thresholds": "Schwellenwerte",
+    "admin.riskGap": "Dimensionsrisiko bei Lücke unter",
+    "admin.band": "Ausgewogenes Band (± Lücke)",
+    "admin.saveNew": "Als neues Profil speichern",
+    "admin.update": "„{label}“ aktualisieren",
+    "admin.delete": "„{label}“ löschen",
+    "admin.readOnly":
+      "Integrierte Profile sind schreibgeschützt; speichern Sie Ihre Änderungen als neues Profil.",
+    "admin.saved": "„{label}“ gespeichert. Wählen Sie es als aktives Profil, um damit zu bewerten.",
+    "admin.previewTitle": "Vorschau mit den aktuellen Antworten",
+    "admin.previewTip":
+      "Bewertet die aktuellen Antworten der Diagnose mit dem aktiven und mit dem bearbeiteten Profil.",
+    "admin.previewEmpty":
+      "Beantworten Sie zuerst die Diagnose; die Vorschau nutzt die in diesem Browser gespeicherten Antworten.",
+    "admin.previewInvalid": "Beheben Sie die Profilfehler oben, um die Vorschau zu sehen.",
+    "admin.metric": "Kennzahl",
+    "admin.status": "Status",
+    "admin.activeColumn": "{label} (aktiv)",
+    "admin.editedColumn": "{label} (bearbeitet)",
+    "admin.editedFallback": "Bearbeitetes Profil",
+  },
+  questionnaires: {
+    "ds-diag-default": {
+      operationalContext: {
+        title: "Operativer Kontext",
+        description: "Wählen Sie die Option, die am besten beschreibt, wie Ihr Team derzeit arbeitet.",
+      },
+      structuralMaturity: {
+        title: "Strukturelle Reife",
+        description: "Bewerten Sie jedes Verhalten danach, was im Lieferalltag derzeit sichtbar ist.",
+      },
+      dimensions: {
+        foundations: "Grundlagen",
+        components: "Komponenten",
+        documentation: "Dokumentation",
+        governance: "Governance",
+        distribution: "Auslieferung",
+        adoption: "Adoption",
+      },
+      scoringLabels: {
+        0: "Nicht vorhanden",
+        1: "Informell / ad hoc",
+        2: "Definiert, aber uneinheitlich",
+        3: "Operationalisiert / durchgesetzt",
+      },
+      questions: {
+        oc_team_size: {
+          prompt: "Wie groß ist das Team, das das Produkt entwickelt und pflegt?",
+          options: {
+            1: "1-3 Personen",
+            2: "4-8 Personen",
+            3: "9-20 Personen",
+            4: "21+ Personen oder mehrere Squads",
+          },
+        },
+        oc_product_complexity: {
+          prompt: "Wie komplex ist die Produktoberfläche, die Ihr Team betreut?",
+          options: {
+            1: "Ein einzelner Ablauf oder wenige einfache Screens",
+            2: "Mehrere Kernabläufe mit mäßiger Variation",
+            3: "Viele vernetzte Abläufe und Rollen",
+            4: "Ökosystem aus mehreren Produkten mit hoher Variation",
+          },
+        },
+        oc_release_frequency: {
+          prompt: "Wie oft veröffentlicht das Team UI- oder Produktänderungen?",
+          options: {
+            1: "Monatlich oder seltener",
+            2: "Alle 2-4 Wochen",
+            3: "Wöchentlich",
+            4: "Täglich oder Continuous Delivery",
+          },
+        },
+        oc_ai_usage: {
+          prompt: "Wie stark wird KI in Produkt-, Design- oder Systemabläufen eingesetzt?",
+          options: {
+            1: "Kaum oder keine KI-Nutzung",
+            2: "Gelegentliche KI-gestützte Aufgaben einzelner Personen",
+            3: "Regelmäßige KI-Nutzung in mehreren Teamabläufen",
+            4: "KI ist fest in zentrale Lieferprozesse eingebettet",
+          },
+        },
+        oc_tooling_fragmentation: {
+          prompt: "Wie fragmentiert sind Ihre Design- und Frontend-Werkzeuge?",
+          options: {
+            1: "Überwiegend eine gemeinsame Toolchain",
+            2: "Einige parallele Werkzeuge oder Muster",
+            3: "Mehrere Teams mit unterschiedlichen Stacks",
+            4: "Stark fragmentierte Werkzeuge mit wenig Abstimmung",
+          },
+        },
+        foundations_1: {
+          prompt: "Design-Tokens (Farbe, Typografie, Abstände) sind in einer gemeinsamen Quelle definiert.",
+          helpText: "Achten Sie auf eine gepflegte Token-Quelle, die über ein einzelnes Projekt hinaus genutzt wird.",
+          recommendation:
+            "Führen Sie Farb-, Typografie- und Abstandswerte in einer Token-Quelle zusammen (z. B. einem Token-JSON-Paket), die jedes Produkt-Repository nutzt.",
+        },
+        foundations_2: {
+          prompt: "Zentrale Tokens sind versioniert und Änderungen werden über die Zeit nachverfolgt.",
+          helpText: "Prüfen Sie, ob Token-Änderungen über Changelogs oder Versionshistorie sichtbar sind.",
+          recommendation:
+            "Versionieren Sie das Token-Paket und veröffentlichen Sie für jede Token-Änderung einen Changelog-Eintrag, damit Nutzende sehen, was sich warum geändert hat.",
+        },
+        foundations_3: {
+          prompt: "Themes oder Markenvarianten werden über dasselbe Token-Modell abgebildet.",
+          helpText: "Achten Sie auf explizite Unterstützung für Modi, Marken oder Plattformen, ohne alles zu duplizieren.",
+          recommendation:
+            "Bilden Sie Themes und Marken als Token-Sets auf denselben Kern-Tokens ab, statt ganze Paletten je Marke zu kopieren.",
+        },
+        foundations_4: {
+          prompt: "Die Token-Nutzung ist mit der Implementierung verbunden (nicht nur mit Designdateien).",
+          helpText: "Prüfen Sie, ob Produktcode Token-Ausgaben statt fest codierter Werte referenziert.",
+          recommendation:
+            "Erzeugen Sie Code-Ausgaben (CSS-Variablen, Plattformdateien) aus der Token-Quelle und ersetzen Sie fest codierte Werte zuerst in den meistgenutzten Screens.",
+        },
+        foundations_5: {
+          prompt: "Teams können prüfen, ob neue Oberflächen den grundlegenden Stilen folgen.",
+          helpText: "Achten Sie auf Linting, Prüfungen oder Review-Kriterien, die Abweichungen von den Grundlagen erkennen.",
+          recommendation:
+            "Ergänzen Sie eine Lint-Regel oder einen Review-Checklistenpunkt, der rohe Farb-, Abstands- und Schriftwerte in neuem UI-Code markiert.",
+        },
+        components_1: {
+          prompt: "Es gibt eine wiederverwendbare Komponentenbibliothek für gängige UI-Muster.",
+          helpText: "Achten Sie auf gemeinsame Komponenten, die in mehr als einem Funktionsbereich genutzt werden.",
+          recommendation:
+            "Lagern Sie die drei am häufigsten duplizierten UI-Muster in gemeinsame Komponenten aus und veröffentlichen Sie sie aus einer Bibliothek.",
+        },
+        components_2: {
+          prompt: "Komponenten bieten einheitliche APIs (Props, Zustände, Varianten).",
+          helpText: "Prüfen Sie, ob ähnliche Komponenten vergleichbaren Benennungs- und Verhaltensmustern folgen.",
+          recommendation:
+            "Schreiben Sie eine kurze Konvention für Komponenten-APIs (Prop-Namen, Zustände, Varianten) und richten Sie die meistgenutzten Komponenten daran aus.",
+        },
+        components_3: {
+          prompt: "Barrierefreiheit ist standardmäßig in die Kernkomponenten eingebaut.",
+          helpText: "Achten Sie auf Tastatur-, Fokus- und Semantikmuster, die auf Komponentenebene umgesetzt sind.",
+          recommendation:
+            "Bauen Sie Tastatur-, Fokus- und Semantikverhalten in die Kernkomponenten ein und dokumentieren Sie, welche Barrierefreiheitsprüfungen jede abdeckt.",
+        },
+        components_4: {
+          prompt: "Die Komponentenqualität wird mit automatisierten Tests oder visuellen Prüfungen abgesichert.",
+          helpText: "Prüfen Sie, ob wiederholbare Prüfungen vor jedem Release laufen.",
+          recommendation:
+            "Ergänzen Sie automatisierte Tests oder visuelle Regressionsprüfungen für Kernkomponenten und führen Sie sie vor jedem Release aus.",
+        },
+        components_5: {
+          prompt: "Inkompatible Komponentenänderungen werden über klare Versionierung gesteuert.",
+          helpText: "Achten Sie auf Hinweise zu Deprecations, Migrationsnotizen und Release-Signale.",
+          recommendation:
+            "Führen Sie eine Deprecation-Richtlinie ein: inkompatible Änderungen vorab kennzeichnen, Migrationsnotizen liefern und semantische Versionierung einhalten.",
+        },
+        documentation_1: {
+          prompt: "Es gibt Nutzungshinweise für grundlegende Stile und Komponenten.",
+          helpText: "Prüfen Sie, ob Teams praktische Hinweise finden, ohne auf Stammeswissen angewiesen zu sein.",
+          recommendation:
+            "Veröffentlichen Sie Nutzungshinweise (wann verwenden, wann nicht) für die Grundlagen und die zehn meistgenutzten Komponenten.",
+        },
+        documentation_2: {
+          prompt: "Beispiele zeigen echte Zustände und Randfälle, nicht nur Standardansichten.",
+          helpText: "Achten Sie auf dokumentierte Lade-, Fehler-, Leer- und deaktivierte Zustände.",
+          recommendation:
+            "Ergänzen Sie auf jeder Komponentenseite Beispiele für Lade-, Leer-, Fehler- und deaktivierte Zustände.",
+        },
+        documentation_3: {
+          prompt: "Die Dokumentation wird im Rahmen von Funktions- oder Komponentenänderungen aktualisiert.",
+          helpText: "Prüfen Sie, ob Aktualisierungen im selben Ablauf wie Code- oder Designänderungen erfolgen.",
+          recommendation:
+            "Aktualisieren Sie die Dokumentation im selben Pull Request wie Komponentenänderungen und machen Sie das zum Teil der Review-Checkliste.",
+        },
+        documentation_4: {
+          prompt: "Ein Beitragsleitfaden erklärt, wie Systemänderungen vorgeschlagen und umgesetzt werden.",
+          helpText: "Achten Sie auf einen klaren Weg, Ergänzungen oder Änderungen vorzuschlagen, zu prüfen und freizugeben.",
+          recommendation:
+            "Schreiben Sie einen Beitragsleitfaden, der erklärt, wie eine Systemänderung vorgeschlagen, geprüft und umgesetzt wird, mit einer Vorlage für Vorschläge.",
+        },
+        documentation_5: {
+          prompt: "Teams finden schnell das aktuell empfohlene Muster für einen UI-Bedarf.",
+          helpText: "Prüfen Sie Durchsuchbarkeit, Navigation und die Klarheit der empfohlenen Optionen.",
+          recommendation:
+            "Verbessern Sie Suche und Navigation der Dokumentation, sodass das empfohlene Muster für einen UI-Bedarf mit zwei Klicks auffindbar ist.",
+        },
+        governance_1: {
+          prompt: "Rollen für Pflege und Freigabe von Systemänderungen sind klar definiert.",
+          helpText: "Achten Sie auf ausdrückliche Verantwortlichkeiten statt informeller Übergaben.",
+          recommendation:
+            "Benennen Sie die Verantwortlichen und Freigebenden für Tokens und Komponenten und veröffentlichen Sie, wer was entscheidet.",
+        },
+        governance_2: {
+          prompt: "Es gibt einen einheitlichen Eingangsprozess für Komponenten- oder Token-Anfragen.",
+          helpText: "Prüfen Sie, ob Anfragen einem sichtbaren Ablauf mit Triage folgen.",
+          recommendation:
+            "Richten Sie ein Anfrageformular oder eine Issue-Vorlage für Komponenten- und Token-Anfragen ein, mit einem festen Triage-Termin.",
+        },
+        governance_3: {
+          prompt: "Entscheidungskriterien dafür, was ins System kommt, sich ändert oder es verlässt, sind dokumentiert.",
+          helpText: "Achten Sie auf transparente Standards, auf die Teams verweisen können.",
+          recommendation:
+            "Dokumentieren Sie die Kriterien für das Hinzufügen, Ändern oder Ausmustern von Systembestandteilen, damit Entscheidungen vorhersehbar sind.",
+        },
+        governance_4: {
+          prompt: "Der Zustand des Systems wird in regelmäßigen Abständen überprüft.",
+          helpText: "Prüfen Sie, ob Adoption, Qualität und Backlog-Prioritäten wiederkehrend überprüft werden.",
+          recommendation:
+            "Halten Sie ein wiederkehrendes System-Review zu Adoption, Qualitätssignalen und Backlog-Prioritäten ab.",
+        },
+        governance_5: {
+          prompt: "Ausnahmen werden erfasst und mit klarem Ablaufdatum oder Nachverfolgung erneut geprüft.",
+          helpText: "Achten Sie auf eine sichtbare Liste von Ausnahmen und darauf, ob sie mit der Zeit aufgelöst werden.",
+          recommendation:
+            "Erfassen Sie Ausnahmen mit verantwortlicher Person und Ablaufdatum und prüfen Sie offene Ausnahmen im System-Review.",
+        },
+        distribution_1: {
+          prompt: "Design-System-Bestandteile werden über einen wiederholbaren Release-Mechanismus ausgeliefert.",
+          helpText: "Prüfen Sie, ob Paketierung und Veröffentlichung automatisiert oder standardisiert sind.",
+          recommendation:
+            "Automatisieren Sie Paketierung und Veröffentlichung, sodass jedes Release dieselbe Pipeline durchläuft.",
+        },
+        distribution_2: {
+          prompt: "Nutzende Teams können zuverlässig auf versionierte Pakete oder Artefakte zugreifen.",
+          helpText: "Achten Sie auf verlässliche Kanäle wie Paket-Registries oder fixierte Releases.",
+          recommendation:
+            "Veröffentlichen Sie versionierte Pakete in einer Registry und bitten Sie nutzende Teams, Versionen zu fixieren, statt Code zu kopieren.",
+        },
+        distribution_3: {
+          prompt: "Release Notes vermitteln, was sich geändert hat und wer betroffen ist.",
+          helpText: "Prüfen Sie, ob Änderungsübersichten Planung und Upgrades unterstützen.",
+          recommendation:
+            "Schreiben Sie zu jedem Release Notes, die sagen, was sich geändert hat und welche Teams betroffen sind.",
+        },
+        distribution_4: {
+          prompt: "Teams erhalten Unterstützung bei der Migration zwischen Hauptversionen.",
+          helpText: "Achten Sie auf Upgrade-Leitfäden, Codemods oder schrittweise Migrationshilfe.",
+          recommendation:
+            "Stellen Sie für jede Hauptversion Upgrade-Leitfäden (und wo sinnvoll Codemods) bereit.",
+        },
+        distribution_5: {
+          prompt: "Die Zuverlässigkeit von Releases ist messbar (Fehlschläge, Rollbacks, Zeit bis zur Behebung).",
+          helpText: "Prüfen Sie, ob die Leistung der Auslieferung beobachtet und verbessert wird.",
+          recommendation:
+            "Erfassen Sie fehlgeschlagene Releases, Rollbacks und die Zeit bis zur Behebung und werten Sie sie nach jedem Release aus.",
+        },
+        adoption_1: {
+          prompt: "Teams nutzen für neue UI-Arbeit aktiv die gemeinsamen Komponenten.",
+          helpText: "Achten Sie darauf, ob aktuelle Projekte Systemkomponenten als Standardweg wählen.",
+          recommendation:
+            "Machen Sie Systemkomponenten zum Standard in Projektvorlagen und Design-Kickoff-Checklisten für neue UI-Arbeit.",
+        },
+        adoption_2: {
+          prompt: "Bestehende Produkte haben einen sichtbaren Plan, sich gemeinsamen Mustern anzunähern.",
+          helpText: "Prüfen Sie, ob Roadmap- oder Backlog-Einträge an die Angleichung geknüpft sind.",
+          recommendation:
+            "Vereinbaren Sie mit den Produktteams einen Angleichungsplan, der die zu migrierenden Altoberflächen und Termine auflistet.",
+        },
+        adoption_3: {
+          prompt: "Der Fortschritt der Adoption wird mit beobachtbaren Indikatoren gemessen.",
+          helpText: "Achten Sie auf Kennzahlen wie Abdeckung, Nutzungsraten oder Anzahl der Ausnahmen.",
+          recommendation:
+            "Messen Sie die Adoption mit ein oder zwei beobachtbaren Indikatoren, etwa Komponentenabdeckung oder Ausnahmen, und teilen Sie sie monatlich.",
+        },
+        adoption_4: {
+          prompt: "Teams erhalten Onboarding-Unterstützung, um das System wirksam zu nutzen.",
+          helpText: "Prüfen Sie, ob es Einstiegsleitfäden, Sprechstunden oder direkte Supportkanäle gibt.",
+          recommendation:
+            "Bieten Sie neuen nutzenden Teams ein Onboarding an: einen Einstiegsleitfaden plus regelmäßige Sprechstunden oder einen Supportkanal.",
+        },
+        adoption_5: {
+          prompt: "Rückmeldungen der nutzenden Teams prägen regelmäßig die Prioritäten des Systems.",
+          helpText: "Achten Sie auf wiederkehrende Kanäle für Rückmeldungen, die Roadmap-Entscheidungen beeinflussen.",
+          recommendation:
+            "Richten Sie eine wiederkehrende Feedbackschleife ein (Umfrage, Forum oder Roadmap-Review) und zeigen Sie, welche Anfragen die Prioritäten geprägt haben.",
+        },
+      },
+    },
+  },
+  riskRules: {
+    "dimension-gap": {
+      label: "Risiko {Dimension} (Lücke < {profile.dimensionRiskGap})",
+      explanation:
+        "Die Reife in {Dimension} liegt deutlich unter dem aktuellen operativen Druck; die Praktiken in diesem Bereich brechen daher bei steigendem Tempo wahrscheinlich zuerst ein.",
+    },
+    entropy: {
+      label: "Entropierisiko (KI-Tempo > Governance)",
+      explanation:
+        "KI wird regelmäßig eingesetzt, während Governance-Verhalten informell ist; Änderungen können daher schneller ins System gelangen, als sie geprüft werden.",
+      guidance: [
+        "Führen Sie eine RFC-Vorlage für Beiträge und ein Review-Gate ein, damit KI-gestützte Änderungen mit klaren Verantwortlichen und Entscheidungskriterien triagiert werden.",
+        "Richten Sie einen wöchentlichen Governance-Termin ein, der eingehende Systemänderungen, Ausnahmen und Folgemaßnahmen prüft.",
+      ],
+    },
+    drift: {
+      label: "Driftrisiko (Größe > Release-Disziplin)",
+      explanation:
+        "Ein größeres Team nutzt das System, während Releases noch nicht diszipliniert ablaufen; Produktoberflächen driften daher zwischen Versionen tendenziell auseinander.",
+      guidance: [
+        "Veröffentlichen Sie System-Releases in festem Rhythmus mit Release Notes und einer schlanken Migrations-Checkliste für nutzende Teams.",
+        "Verfolgen Sie nach jedem Release Paketnutzung und Brüche, damit Auslieferungsprobleme innerhalb eines Sprints sichtbar werden.",
+      ],
+    },
+  },
+};
@@ -0,0 +1,502 @@
+/**
+ * English locale pack. English is the source language: questionnaire and risk rule text
+ * live in questionnaire.js and rules.js, so this pack only holds interface and narrative
+ * messages. Every other pack falls back to these messages for keys it does not define.
+ * @type {import("../i18n.js").LocalePack}
+ */
+export const LOCALE_PACK = {
+  id: "en",
+  label: "English",
+  messages: {
+    "app.documentTitle": "Design System Maturity Questionnaire",
+    "app.title": "Design System Maturity Check",
+    "app.subtitle": "Assess context pressure and structural readiness.",
+    "header.language": "Language",
+    "header.importReport": "Import report (JSON)",
+    "header.loadQuestionnaire": "Load questionnaire (JSON)",
+    "header.resetQuestionnaire": "Use default questionnaire",
+    "header.copyShareLink": "Copy share link",
+    "header.portfolio": "Portfolio",
+    "header.scoringProfiles": "Scoring profiles",
+    "header.questionnaire.upload": "Questionnaire: {id} v{version} (uploaded)",
+    "header.questionnaire.url": "Questionnaire: {id} v{version} (configured)",
+    "nav.back": "Back",
+    "nav.continue": "Continue",
+    "nav.viewResults": "View Results",
+    "nav.startOver": "Start Over",
+    "nav.step": "Step {step}/{total}",
+    "nav.skipToContent": "Skip to questionnaire",
+    "time.unknown": "Unknown time",
+    "common.none": "None",
+    "copy.done": "Copied",
+    "copy.failed": "Copy failed",
+
+    "wizard.contextHelp": "Choose the option that best reflects your current operating context.",
+    "wizard.scoringGuide":
+      "Scoring guide: 0 = Absent, 1 = Informal/ad hoc, 2 = Defined but inconsistent, 3 = Operationalized/enforced.",
+    "wizard.unscoredHelp":
+      "Pick “Don't know” when you cannot tell, or “Not applicable” when the practice does not apply to your team. Neither counts towards the score, but “Don't know” lowers the dimension's confidence.",
+    "wizard.dimensionNav": "Jump to dimension",
+    "validation.contextMissing": "Please answer all context questions ({count} left).",
+    "validation.structuralMissing":
+      "Please answer all structural maturity questions ({count} left). Pick “Don't know” where you are unsure.",
+
+    "import.invalidJson": "The selected file is not valid JSON.",
+    "import.failed": "Import failed: {message}",
+    "import.confirmReplace":
+      "Importing this report replaces the answers and evidence in progress. Continue?",
+    "import.legacy":
+      "This report was exported before answers were included. Context answers were restored; please answer the structural questions again.",
+    "questionnaire.invalidJson": "Questionnaire rejected: the selected file is not valid JSON.",
+    "questionnaire.rejected": "Questionnaire rejected. {errors}",
+    "questionnaire.configuredIgnored": "Configured questionnaire ignored. {errors}",
+    "questionnaire.customIgnored.url":
+      "Custom questionnaire ignored; using the configured questionnaire. {errors}",
+    "questionnaire.customIgnored.builtin":
+      "Custom questionnaire ignored; using the built-in questionnaire. {errors}",
+
+    "share.title": "Shared assessment",
+    "share.answers": { one: "{count} answer", other: "{count} answers" },
+    "share.differ": ", {count} of which differ from the answers saved on this browser",
+    "share.body": "This link carries {answers}{differ}. Your saved answers stay unchanged until you choose.",
+    "share.replace": "Replace my answers",
+    "share.merge": "Merge (keep mine, fill gaps)",
+    "share.ignore": "Ignore link",
+    "share.ignored": "Shared link ignored: {message}",
+    "share.error.invalidVersion": "The link has an invalid share version.",
+    "share.error.newerVersion":
+      "The link was made by a newer version of this tool (share v{version}).",
+    "share.error.questionnaire":
+      "The link was made for questionnaire \"{linked}\", but \"{active}\" is active.",
+    "share.error.missingQuestionnaireVersion":
+      "The link does not say which questionnaire version it was made for.",
+    "share.error.questionnaireVersion":
+      "The link was made for version \"{linked}\" of this questionnaire, but version \"{active}\" is active.",
+    "share.error.answerCount": {
+      one: "The link carries {count} answer, but this questionnaire has {questions} questions.",
+      other: "The link carries {count} answers, but this questionnaire has {questions} questions.",
+    },
+    "share.error.unreadableAnswer": "The link has an unreadable answer for \"{id}\".",
+    "share.error.invalidAnswers": "The link carries answers this questionnaire does not accept.",
+    "update.title": "Update available",
+    "update.app":
+      "A new version of the diagnostic is ready. Reload to use it; your answers stay saved.",
+    "update.data":
+      "The questionnaire or benchmark data changed since it was cached. Reload to use the new version; your answers stay saved.",
+    "update.reload": "Reload",
+    "update.later": "Later",
+
+    "report.title": "Design system diagnostic",
+    "report.titleFor": "Design system diagnostic: {name}",
+    "report.generated": "Generated {time}",
+    "report.scoringProfile": "Scoring profile",
+    "report.language": "Language",
+    "report.strengths": "Stronger signals",
+    "report.weaknesses": "Emerging signals",
+    "report.riskFlags": "Risk flags",
+    "report.noRisks": "No strong gap signals were detected in this response set.",
+    "report.nextSteps": "Actionable next steps",
+    "report.guidance": "Guidance",
+    "report.dimensions": "Dimensions",
+    "report.dimension": "Dimension",
+    "report.score": "Score",
+    "report.answered": "Answered",
+    "report.answeredCount": "{answered}/{total} answered",
+    "report.metric": "Metric",
+    "report.value": "Value",
+    "report.charts": "Charts",
+    "report.contextAnswers": "Context answers",
+    "report.question": "Question",
+    "report.answer": "Answer",
+    "report.notAnswered": "Not answered",
+    "report.evidence": "Evidence",
+    "report.confidence": "Confidence",
+    "report.coverage": "Answer coverage",
+    "report.lowConfidence": "low confidence",
+    "answer.dontKnow": "Don't know",
+    "answer.notApplicable": "Not applicable",
+    "evidence.summary": "Add evidence (optional)",
+    "evidence.summaryCount": { one: "Evidence ({count} item)", other: "Evidence ({count} items)" },
+    "evidence.note": "Note",
+    "evidence.links": "Links (one URL per line)",
+    "evidence.invalidLinks": "Only http(s) links are kept as evidence. Removed: {links}",
+    "evidence.empty":
+      "No evidence recorded. Add notes or links to structural answers so a later reassessment can check the same sources.",
+    "targets.title": "Targets",
+    "targets.tip":
+      "Set a target score (0-100) for SSI or any dimension. Targets are saved with your answers and exports, drawn on the charts and checked against every saved report.",
+    "targets.clear": "Clear targets",
+    "targets.empty":
+      "No targets set. Enter a target SSI or dimension score above to see the gap and the answers that have to move.",
+    "targets.measure": "Measure",
+    "targets.current": "Current",
+    "targets.target": "Target",
+    "targets.gap": "Gap to target",
+    "targets.met": "Met",
+    "targets.moves": "Answers to raise",
+    "targets.allMet": "All targets are met.",
+    "targets.unscored":
+      "{dimension} has no scored answers yet; score its behaviors before planning towards its target.",
+    "targets.progress": "Progress across saved reports",
+    "targets.metCount": { one: "{met} of {count} target met", other: "{met} of {count} targets met" },
+    "targets.invalid": "Targets must be numbers from 0 to 100.",
+    "benchmark.title": "Peer benchmark",
+    "benchmark.tip":
+      "Compares your scores with anonymised reports from teams in the same team size and product complexity bands. A percentile of 50 is the peer median; a high OPI percentile means more operational pressure than most peers.",
+    "benchmark.dataset": { one: "Dataset: {name} ({count} report)", other: "Dataset: {name} ({count} reports)" },
+    "benchmark.datasetUploaded": { one: "Dataset: {name} ({count} report, uploaded on this browser)", other: "Dataset: {name} ({count} reports, uploaded on this browser)" },
+    "benchmark.peers": { one: "{count} peer in your bands: {bands}", other: "{count} peers in your bands: {bands}" },
+    "benchmark.tooFew": "Percentiles need at least {min} peer scores in the same bands.",
+    "benchmark.yours": "Your score",
+    "benchmark.median": "Peer median",
+    "benchmark.percentile": "Percentile",
+    "benchmark.load": "Load benchmark (JSON)",
+    "benchmark.reset": "Use bundled benchmark",
+    "benchmark.unavailable":
+      "No benchmark dataset is loaded. Load a dataset file to compare with peers.",
+    "benchmark.invalidJson": "The benchmark file is not valid JSON.",
+    "benchmark.rejected": "The benchmark dataset was rejected: {message}",
+    "benchmark.notStored":
+      "The benchmark dataset could not be stored in this browser (it may be too large).",
+    "actionPlan.title": "Action plan",
+    "actionPlan.tip":
+      "Track guidance items as actions with an owner, due date and status. The plan is saved with the assessment and kept when you start a new response, so the next run shows what was done, what is overdue and which open actions the new answers no longer call for.",
+    "actionPlan.empty":
+      "No tracked actions yet. Use Track on a guidance item or Track all guidance.",
+    "actionPlan.track": "Track",
+    "actionPlan.tracked": "Tracked",
+    "actionPlan.trackAll": "Track all guidance",
+    "actionPlan.action": "Action",
+    "actionPlan.owner": "Owner",
+    "actionPlan.ownerPlaceholder": "e.g. @alex",
+    "actionPlan.unassigned": "Unassigned",
+    "actionPlan.due": "Due",
+    "actionPlan.status": "Status",
+    "actionPlan.status.todo": "To do",
+    "actionPlan.status.in-progress": "In progress",
+    "actionPlan.status.done": "Done",
+    "actionPlan.status.dropped": "Dropped",
+    "actionPlan.remove": "Remove",
+    "actionPlan.addresses": "Addresses",
+    "actionPlan.addressesQuestion": "{dimension}: {prompt} ({id})",
+    "actionPlan.addressesFlag": "Risk flag {flag} ({id})",
+    "actionPlan.addressesDimension": "{dimension} dimension",
+    "actionPlan.labels": "Labels",
+    "actionPlan.progress": { one: "{done} of {count} action done", other: "{done} of {count} actions done" },
+    "actionPlan.inProgressCount": { one: "{count} in progress", other: "{count} in progress" },
+    "actionPlan.overdueCount": { one: "{count} overdue", other: "{count} overdue" },
+    "actionPlan.overdue": "Overdue",
+    "actionPlan.addressed": "No longer recommended",
+    "actionPlan.addressedCount": { one: "{count} open action is no longer recommended by the current answers. Mark it done if the work is finished.", other: "{count} open actions are no longer recommended by the current answers. Mark them done if the work is finished." },
+    "actionPlan.exportMarkdown": "Download GitHub issues (Markdown)",
+    "actionPlan.exportJira": "Download Jira CSV",
+    "actionPlan.invalidDue": "Enter the due date as YYYY-MM-DD.",
+    "confidence.high": "High",
+    "confidence.medium": "Medium",
+    "confidence.low": "Low",
+    "confidence.none": "No data",
+    "confidence.value": "{level} ({percent}% covered)",
+    "coverage.low":
+      "{dimension} rests on only {answered} of {applicable} applicable answers, so its score and the risk flags that use it are low-confidence.",
+    "coverage.none": "{dimension} has no scored answers, so it is left out of SSI and risk flags.",
+    "kpi.ssi": "SSI",
+    "kpi.opi": "OPI",
+    "kpi.gap": "Adequacy Gap",
+    "kpi.ssiTip": "System Strength Index. Overall structural maturity score from your responses, normalized to 0-100.",
+    "kpi.opiTip":
+      "Operational Pressure Index. Context-derived pressure based on team scale, complexity, release pace, AI use, and tooling fragmentation.",
+    "kpi.gapTip":
+      "SSI minus OPI. Negative means maturity is below current pressure; positive means maturity exceeds current pressure.",
+    "status.underbuilt": "Underbuilt",
+    "status.balanced": "Balanced",
+    "status.overbuilt": "Overbuilt",
+    "severity.low": "Low",
+    "severity.medium": "Medium",
+    "severity.high": "High",
+
+    "summary.text":
+      "Current maturity signals (SSI {SSI}) {relationship} (OPI {OPI}, AG {AG}). With team size level {teamSize} and AI usage level {aiUsage}, this tends to indicate where practice consistency may need reinforcement as delivery pace changes.",
+    "summary.relationship.above": "tends to sit above current operational pressure",
+    "summary.relationship.slightlyAbove": "is slightly above current operational pressure",
+    "summary.relationship.slightlyBelow": "is slightly below current operational pressure",
+    "summary.relationship.gap": "may indicate a notable gap to current operational pressure",
+
+    "guidance.topActions": "Highest-impact moves",
+    "guidance.riskActions": "Risk follow-ups",
+    "guidance.other": "Other steps",
+    "guidance.uplift": "+{points} pts {dimension}",
+    "guidance.scored": "scored {score}: {prompt}",
+    "guidance.questionScored": "{questionId} scored {score}",
+    "guidance.addresses": "addresses {flag}",
+    "guidance.behaviorsToRaise": { one: "{count} behavior to raise", other: "{count} behaviors to raise" },
+    "guidance.dimensionTip.governance":
+      "Define who approves token/component changes and add a simple intake form so requests follow one visible path.",
+    "guidance.dimensionTip.distribution":
+      "Set up one repeatable publish workflow (version, notes, package release) and treat failed releases as a tracked incident.",
+    "guidance.dimensionTip.documentation":
+      "Update docs in the same pull request as component changes, including examples for loading, empty, and error states.",
+    "guidance.dimensionTip.components":
+      "Standardize component API patterns (states, variants, naming) and add a pre-merge check for accessibility basics.",
+    "guidance.dimensionTip.foundations":
+      "Move core style values into shared tokens and add a lint/review check to reduce hard-coded color and spacing values.",
+    "guidance.dimensionTip.adoption":
+      "Set a quarterly adoption target for two high-traffic flows and review progress with concrete usage metrics.",
+    "guidance.dimensionTip.generic":
+      "Pick the lowest-scoring {dimension} behavior, name an owner, and agree on one observable signal that shows it is in place.",
+    "guidance.sprint":
+      "Pick one low-scoring behavior per dimension and run a 2-week improvement sprint with a clear owner and observable success signal.",
+
+    "results.title": "Results",
+    "results.disclaimer":
+      "This tool describes alignment between system practices and operational pressure. It is a reflective diagnostic, not an audit.",
+    "results.manageProfiles": "Manage profiles",
+    "results.chartTitle": "Actual maturity vs operational pressure (OPI)",
+    "results.chartTip":
+      "Blue bars show current maturity by dimension. Red bars show pressure threshold (OPI). Bigger shortfalls indicate higher delivery risk.",
+    "results.radarTitle": "Multi-dimension profile",
+    "results.radarTip":
+      "Radar view of all dimensions at once. Wider blue area indicates stronger overall design system capability.",
+    "results.risksTitle": "Potential signals to monitor",
+    "results.risksTip":
+      "These are risk flags inferred from combinations of context pressure and structural maturity answers.",
+    "results.guidanceTip":
+      "Recommendations for behaviors you scored 0-1, ranked by how much raising each one to the top score would lift its dimension score, plus actions linked to risk flags.",
+    "results.coverageTip":
+      "Share of applicable questions answered 0-3 in each dimension. “Don't know” and unanswered questions lower coverage; “Not applicable” questions are not counted.",
+    "results.evidenceTip":
+      "Notes and links recorded with the structural answers. They are saved with your answers and included in the JSON, Markdown and HTML reports.",
+    "results.lowConfidenceTip":
+      "This flag uses a dimension with few scored answers. Check it before acting on it.",
+    "chart.actual": "Actual maturity",
+    "chart.opi": "Operational pressure (OPI)",
+    "chart.target": "Target",
+    "chart.ssiTarget": "SSI target",
+    "chart.peerMedian": "Peer median",
+    "chart.axis": "Score (0-100)",
+    "chart.unavailable": "Chart unavailable. Your report metrics are still listed above.",
+    "chart.barAlt": "Bar chart of maturity by dimension against OPI {OPI}: {scores}.",
+    "chart.radarAlt": "Radar chart of maturity by dimension: {scores}.",
+    "chart.sandboxAlt":
+      "Bar chart of dimension scores today and with the what-if answers. The table above lists the same scores.",
+    "chart.trendAlt":
+      "Line chart of SSI, OPI and Adequacy Gap across saved reports. The saved reports list below has the same values.",
+    "chart.showTable": "Show data table",
+    "chart.hideTable": "Hide data table",
+
+    "actions.title": "Report actions",
+    "actions.downloadJson": "Download report (JSON)",
+    "actions.downloadMarkdown": "Download report (Markdown)",
+    "actions.downloadHtml": "Download report (HTML)",
+    "actions.print": "Print / Save as PDF",
+    "actions.copySummary": "Copy summary",
+    "actions.copyMarkdown": "Copy as Markdown",
+    "actions.newResponse": "New response",
+    "actions.feedback": "Leave anonymous feedback",
+
+    "team.title": "Team assessment",
+    "team.tip":
+      "Collect several respondents from the same team, by adding each completed response or importing their JSON reports. The team report uses the mean answer per question and flags questions with strong disagreement.",
+    "team.respondentName": "Respondent name",
+    "team.namePlaceholder": "e.g. Alex (design)",
+    "team.add": "Add this response to team",
+    "team.import": "Import respondent reports (JSON)",
+    "team.clear": "Clear team",
+    "team.added": "added {time}",
+    "team.remove": "Remove",
+    "team.empty": "No respondents yet.",
+    "team.needTwo": "Add at least two respondents to see the merged team report.",
+    "team.reportTitle": { one: "Team report ({count} respondent)", other: "Team report ({count} respondents)" },
+    "team.ssi": "Team SSI",
+    "team.opi": "Team OPI",
+    "team.flags": "Team risk flags",
+    "team.topics": "Discussion topics",
+    "team.topicsTip":
+      "Questions where answers differ by two or more steps, for example one person answered 0 and another 2 or 3.",
+    "team.spread": "spread {value}",
+    "team.noTopics": "No strong disagreements. The team broadly agrees on every question.",
+    "team.consensus": "Per-question consensus",
+    "team.context": "Context",
+    "team.mean": "Mean",
+    "team.spreadColumn": "Spread",
+    "team.stdDev": "Std dev",
+    "team.outliers": "Outliers",
+    "team.nameRequired": "Enter a respondent name before adding this response to the team.",
+    "team.noAnswers": "report has no per-question answers",
+    "team.importFailed": "Some reports could not be added to the team. {failures}",
+
+    "compare.title": "Compare assessments",
+    "compare.tip":
+      "Pick two saved reports, or the current run and a saved report, to see score deltas, risk flags, guidance and answers that changed.",
+    "compare.before": "Before",
+    "compare.after": "After",
+    "compare.change": "Change",
+    "compare.currentRun": "Current run",
+    "compare.choose": "Choose a report",
+    "compare.needMore": "Save another report on this browser to compare runs.",
+    "compare.profileMismatch":
+      "These reports were scored with different profiles ({before} vs {after}), so OPI and risk flags are not directly comparable.",
+    "compare.needAnswers": "Question-level changes need both reports to include their answers.",
+    "compare.noAnswerChanges": "No behavioral answers changed.",
+    "compare.newFlags": "New risk flags",
+    "compare.clearedFlags": "Cleared risk flags",
+    "compare.addedGuidance": "Added guidance",
+    "compare.removedGuidance": "Removed guidance",
+    "compare.movedQuestions": "Behavioral questions that moved",
+    "sandbox.title": "What-if sandbox",
+    "sandbox.tip":
+      "Try other answers without changing your real ones. Scores, gaps, risk flags and the chart are recomputed as you change answers; the sandbox is cleared when you leave the results.",
+    "sandbox.edit": "Change answers",
+    "sandbox.changed": { one: "Change answers ({count} changed)", other: "Change answers ({count} changed)" },
+    "sandbox.reset": "Reset sandbox",
+    "sandbox.actual": "Actual",
+    "sandbox.whatIf": "What-if",
+    "sandbox.gapNote": "Dimension gaps to OPI are shown in brackets.",
+    "sandbox.clearedFlags": "Flags cleared",
+    "sandbox.raisedFlags": "Flags raised",
+    "sandbox.improvements": "Best single-question improvements",
+    "sandbox.improvementsTip":
+      "Each scored answer below 3 is raised to 3 on its own, starting from the sandbox answers. Changes that clear a risk flag rank first, then those that most reduce a negative Adequacy Gap, then those that most reduce how far dimensions fall below OPI.",
+    "sandbox.clears": "clears {flag}",
+    "sandbox.gapEffect": "Adequacy Gap {points}",
+    "sandbox.shortfallEffect": "{points} pts less below OPI",
+    "sandbox.try": "Try in sandbox",
+    "sandbox.noImprovements":
+      "No single answer change clears a risk flag or reduces a negative gap.",
+    "growth.title": "Growth scenarios",
+    "growth.tip":
+      "Describe the operational context you expect later, for example more people, faster releases or AI in production. Each scenario shows the projected OPI, the dimensions the risk rules would flag against it, and how much SSI has to grow to stay Balanced.",
+    "growth.define": "Define a scenario",
+    "growth.name": "Scenario name",
+    "growth.namePlaceholder": "e.g. In 12 months",
+    "growth.horizonMonths": "Horizon (months)",
+    "growth.horizon": "Horizon",
+    "growth.months": { one: "{count} month", other: "{count} months" },
+    "growth.add": "Add scenario",
+    "growth.remove": "Remove",
+    "growth.empty":
+      "No growth scenarios yet. Pick the context you expect in the future and add it as a scenario.",
+    "growth.nameRequired": "Enter a scenario name before adding it.",
+    "growth.invalidHorizon": "The horizon must be a whole number of months from 1 to {max}.",
+    "growth.scenario": "Scenario",
+    "growth.noChange": "Same context as today",
+    "growth.projectedOpi": "Projected OPI",
+    "growth.ssiGrowth": "SSI growth to stay Balanced",
+    "growth.noGrowth": "None needed",
+    "growth.atRisk": "At-risk dimensions",
+    "growth.newRisk": "new",
+    "growth.newFlags": "New risk flags",
+
+    "trend.title": "Progress over time",
+    "trend.tip":
+      "SSI, OPI and Adequacy Gap from reports saved on this browser. Diamond markers show where the status changed between Underbuilt, Balanced and Overbuilt.",
+    "trend.from": "From",
+    "trend.to": "To",
+    "trend.needTwo": "Save at least two reports in this date range to see a trend.",
+    "trend.unavailable": "Chart unavailable. Saved reports are still listed below.",
+    "trend.changes": "Status changes in this range:",
+    "trend.noChanges": "No status changes in this range.",
+    "trend.statusChange": "Status: {from} → {to}",
+
+    "saved.title": "Saved reports on this browser",
+    "saved.tip":
+      "CSV export covers the current run and every saved report, with dimension columns in questionnaire order. Include answers to get one row per question answer; that layout can be imported back.",
+    "saved.empty": "No saved report yet.",
+    "saved.gap": "Gap",
+    "saved.includeAnswers": "Include answers (one row per question)",
+    "saved.exportCsv": "Export CSV",
+    "saved.importCsv": "Import CSV",
+    "csv.imported": {
+      one: "Imported {count} report from CSV{skipped}{dropped}.",
+      other: "Imported {count} reports from CSV{skipped}{dropped}.",
+    },
+    "csv.skipped": " ({count} already saved)",
+    "csv.dropped": " ({count} not kept: history holds the {max} most recent reports)",
+    "csv.importFailed": "CSV import failed: {message}",
+
+    "feedback.title": "Anonymous feedback",
+    "feedback.intro": "Your response will be submitted through Google Forms.",
+    "feedback.frameTitle": "Anonymous feedback form",
+    "feedback.missing":
+      "Feedback form is not configured yet. Add the form URL in <code>index.html</code> body <code>data-feedback-form-url</code>.",
+    "feedback.notConfigured":
+      "Feedback form is not configured. Add your Google Form URL to data-feedback-form-url in index.html.",
+    "feedback.close": "Close",
+    "feedback.openTab": "Open in new tab",
+
+    "nav.backToDiagnostic": "Back to diagnostic",
+
+    "portfolio.documentTitle": "Design System Portfolio",
+    "portfolio.title": "Design System Portfolio",
+    "portfolio.subtitle":
+      "Compare structural strength and operational pressure across product teams.",
+    "portfolio.import": "Import team reports (JSON)",
+    "portfolio.clear": "Clear portfolio",
+    "portfolio.emptyTitle": "No teams yet",
+    "portfolio.emptyHelp":
+      "Import the JSON reports downloaded from the diagnostic, one per team. The team name defaults to the file name and can be edited afterwards.",
+    "portfolio.heading": { one: "Portfolio ({count} team)", other: "Portfolio ({count} teams)" },
+    "portfolio.profile":
+      "Scoring profile: {profile}. Reports with answers are scored with this profile; reports with scores only keep the scores and flags of their file.",
+    "portfolio.chartTitle": "SSI vs OPI",
+    "portfolio.chartTip":
+      "Each dot is a team. The shaded diagonal band marks a Balanced Adequacy Gap (within ±{band}). Teams above the band face more pressure than their structure supports.",
+    "portfolio.chartUnavailable": "Chart unavailable. Team scores are still listed below.",
+    "portfolio.balancedBand": "Balanced band (±{band})",
+    "portfolio.axisSSI": "SSI (structural strength)",
+    "portfolio.axisOPI": "OPI (operational pressure)",
+    "portfolio.point": "{team}: SSI {SSI}, OPI {OPI}",
+    "portfolio.teams": "Teams",
+    "portfolio.team": "Team",
+    "portfolio.teamName": "Team name",
+    "portfolio.reportDate": "Report date",
+    "portfolio.actions": "Actions",
+    "portfolio.remove": "Remove",
+    "portfolio.sharedFlags": "Shared risk flags",
+    "portfolio.sharedFlagsTip":
+      "Teams grouped by the risk flags their reports raise, most widespread first.",
+    "portfolio.flagTeams": { one: "{count} team", other: "{count} teams" },
+    "portfolio.noFlags": "No team currently raises a risk flag.",
+    "portfolio.flagsFrom": "from {profile}",
+    "portfolio.flagsFromFile": "from the report file",
+    "portfolio.importFailed": "Some reports could not be imported. {failures}",
+
+    "admin.documentTitle": "Scoring Profiles",
+    "admin.title": "Scoring Profiles",
+    "admin.subtitle":
+      "Tune OPI weights and risk thresholds, and preview the effect on the current answers.",
+    "admin.factor.teamSize": "Team size",
+    "admin.factor.productComplexity": "Product complexity",
+    "admin.factor.aiUsage": "AI usage",
+    "admin.factor.releaseFrequency": "Release frequency",
+    "admin.factor.toolingFragmentation": "Tooling fragmentation",
+    "admin.builtIn": "{label} (built-in)",
+    "admin.activeTitle": "Active profile",
+    "admin.activeTip":
+      "New reports, saved snapshots and exports are scored with the active profile and record it, so later comparisons know which settings were used.",
+    "admin.activeSelect": "Profile used for scoring",
+    "admin.editTitle": "Edit profile",
+    "admin.startFrom": "Start from",
+    "admin.name": "Name",
+    "admin.weights": "OPI weights",
+    "admin.weightSum": "Weights total {sum} (must be 1.00).",
+    "admin.thresholds": "Thresholds",
+    "admin.riskGap": "Dimension risk when gap is below",
+    "admin.band": "Balanced band (± gap)",
+    "admin.saveNew": "Save as new profile",
+    "admin.update": "Update “{label}”",
+    "admin.delete": "Delete “{label}”",
+    "admin.readOnly": "Built-in profiles are read-only; save your changes as a new profile.",
+    "admin.saved": "Saved “{label}”. Select it as the active profile to use it for scoring.",
+    "admin.previewTitle": "Preview on current answers",
+    "admin.previewTip":
+      "Scores the answers currently in the diagnostic with the active profile and with the profile being edited.",
+    "admin.previewEmpty":
+      "Answer the diagnostic first; the preview uses the answers saved in this browser.",
+    "admin.previewInvalid": "Fix the profile errors above to preview it.",
+    "admin.metric": "Metric",
+    "admin.status": "Status",
+    "admin.activeColumn": "{label} (active)",
+    "admin.editedColumn": "{label} (edited)",
+    "admin.editedFallback": "Edited profile",
+  },
+};
@@ -0,0 +1,731 @@
+/**
+ * Japanese locale pack: interface and narrative messages, the built-in questionnaire and
+ * the default risk rules. Missing keys fall back to English.
+ * @type {import("../i18n.js").LocalePack}
+ */
+export const LOCALE_PACK = {
+  id: "ja",
+  label: "日本語",
+  messages: {
+    "app.documentTitle": "デザインシステム成熟度アンケート",
+    "app.title": "デザインシステム成熟度チェック",
+    "app.subtitle": "運用上のプレッシャーと構造的な準備状況を評価します。",
+    "header.language": "言語",
+    "header.importReport": "レポートを読み込む (JSON)",
+    "header.loadQuestionnaire": "アンケートを読み込む (JSON)",
+    "header.resetQuestionnaire": "既定のアンケートを使う",
+    "header.copyShareLink": "共有リンクをコピー",
+    "header.portfolio": "ポートフォリオ",
+    "header.scoringProfiles": "スコアリングプロファイル",
+    "header.questionnaire.upload": "アンケート: {id} v{version}（アップロード）",
+    "header.questionnaire.url": "アンケート: {id} v{version}（設定済み）",
+    "nav.back": "戻る",
+    "nav.continue": "次へ",
+    "nav.viewResults": "結果を見る",
+    "nav.startOver": "最初からやり直す",
+    "nav.step": "ステップ {step}/{total}",
+    "nav.skipToContent": "質問票へ移動",
+    "time.unknown": "不明な日時",
+    "common.none": "なし",
+    "copy.done": "コピーしました",
+    "copy.failed": "コピーできませんでした",
+
+    "wizard.contextHelp": "現在のチームの状況に最も近い選択肢を選んでください。",
+    "wizard.scoringGuide":
+      "評価基準: 0 = なし、1 = 非公式/場当たり的、2 = 定義済みだが一貫していない、3 = 運用・徹底されている。",
+    "wizard.unscoredHelp":
+      "判断できない場合は「わからない」、チームに当てはまらない場合は「該当しない」を選んでください。どちらもスコアには含まれませんが、「わからない」はディメンションの信頼度を下げます。",
+    "wizard.dimensionNav": "ディメンションへ移動",
+    "validation.contextMissing": "すべての状況に関する質問に回答してください（残り {count} 問）。",
+    "validation.structuralMissing":
+      "すべての構造的成熟度の質問に回答してください（残り {count} 問）。判断できない場合は「わからない」を選んでください。",
+
+    "import.invalidJson": "選択したファイルは有効な JSON ではありません。",
+    "import.failed": "読み込みに失敗しました: {message}",
+    "import.confirmReplace": "このレポートを読み込むと、入力中の回答とエビデンスが置き換えられます。続行しますか？",
+    "import.legacy":
+      "このレポートは回答が含まれる前の形式で書き出されています。状況の回答は復元されました。構造に関する質問にもう一度回答してください。",
+    "questionnaire.invalidJson": "アンケートを読み込めません: 選択したファイルは有効な JSON ではありません。",
+    "questionnaire.rejected": "アンケートを読み込めません。{errors}",
+    "questionnaire.configuredIgnored": "設定済みのアンケートを無視しました。{errors}",
+    "questionnaire.customIgnored.url":
+      "カスタムアンケートを無視し、設定済みのアンケートを使用します。{errors}",
+    "questionnaire.customIgnored.builtin":
+      "カスタムアンケートを無視し、組み込みのアンケートを使用します。{errors}",
+
+    "share.title": "共有された評価",
+    "share.answers": { other: "{count} 件の回答" },
+    "share.differ": "（うち {count} 件はこのブラウザーに保存された回答と異なります）",
+    "share.body": "このリンクには{answers}が含まれています{differ}。選択するまで、保存済みの回答は変更されません。",
+    "share.replace": "自分の回答を置き換える",
+    "share.merge": "統合する（自分の回答を残し、未回答を埋める）",
+    "share.ignore": "リンクを無視する",
+    "share.ignored": "共有リンクを無視しました: {message}",
+    "share.error.invalidVersion": "リンクの共有バージョンが無効です。",
+    "share.error.newerVersion": "このリンクは新しいバージョンのツールで作成されています（共有 v{version}）。",
+    "share.error.questionnaire": "このリンクは質問票「{linked}」用ですが、現在は「{active}」が有効です。",
+    "share.error.missingQuestionnaireVersion": "このリンクには、どの質問票バージョン用かが記載されていません。",
+    "share.error.questionnaireVersion": "このリンクはこの質問票のバージョン「{linked}」用ですが、現在はバージョン「{active}」が有効です。",
+    "share.error.answerCount": { other: "このリンクには {count} 件の回答がありますが、この質問票には {questions} 問あります。" },
+    "share.error.unreadableAnswer": "このリンクには「{id}」の読み取れない回答があります。",
+    "share.error.invalidAnswers": "このリンクには、この質問票で受け付けられない回答が含まれています。",
+    "update.title": "更新があります",
+    "update.app": "診断ツールの新しいバージョンを利用できます。再読み込みすると適用されます。回答は保存されたままです。",
+    "update.data": "キャッシュ後にアンケートまたはベンチマークのデータが変更されました。再読み込みすると新しいバージョンを使用します。回答は保存されたままです。",
+    "update.reload": "再読み込み",
+    "update.later": "後で",
+
+    "report.title": "デザインシステム診断",
+    "report.titleFor": "デザインシステム診断: {name}",
+    "report.generated": "作成日時 {time}",
+    "report.scoringProfile": "スコアリングプロファイル",
+    "report.language": "言語",
+    "report.strengths": "強みのシグナル",
+    "report.weaknesses": "伸びしろのシグナル",
+    "report.riskFlags": "リスクフラグ",
+    "report.noRisks": "この回答では目立ったギャップのシグナルは検出されませんでした。",
+    "report.nextSteps": "実行可能な次のステップ",
+    "report.guidance": "推奨事項",
+    "report.dimensions": "ディメンション",
+    "report.dimension": "ディメンション",
+    "report.score": "スコア",
+    "report.answered": "回答数",
+    "report.answeredCount": "{answered}/{total} 回答済み",
+    "report.metric": "指標",
+    "report.value": "値",
+    "report.charts": "グラフ",
+    "report.contextAnswers": "状況の回答",
+    "report.question": "質問",
+    "report.answer": "回答",
+    "report.notAnswered": "未回答",
+    "report.evidence": "エビデンス",
+    "report.confidence": "信頼度",
+    "report.coverage": "回答カバー率",
+    "report.lowConfidence": "信頼度低",
+    "answer.dontKnow": "わからない",
+    "answer.notApplicable": "該当しない",
+    "evidence.summary": "エビデンスを追加（任意）",
+    "evidence.summaryCount": { one: "エビデンス（{count} 件）", other: "エビデンス（{count} 件）" },
+    "evidence.note": "メモ",
+    "evidence.links": "リンク（1 行に 1 つの URL）",
+    "evidence.invalidLinks": "エビデンスには http(s) のリンクのみ保存されます。削除されたもの: {links}",
+    "evidence.empty": "エビデンスは記録されていません。後の再評価で同じ情報源を確認できるよう、構造面の回答にメモやリンクを追加してください。",
+    "targets.title": "目標",
+    "targets.tip":
+      "SSI または各ディメンションの目標スコア（0-100）を設定します。目標は回答やエクスポートと一緒に保存され、チャートに表示され、保存済みレポートごとに照合されます。",
+    "targets.clear": "目標をクリア",
+    "targets.empty": "目標は設定されていません。上で SSI またはディメンションの目標を入力すると、差分と引き上げるべき回答が表示されます。",
+    "targets.measure": "指標",
+    "targets.current": "現在",
+    "targets.target": "目標",
+    "targets.gap": "目標までの差",
+    "targets.met": "達成",
+    "targets.moves": "引き上げる回答",
+    "targets.allMet": "すべての目標を達成しています。",
+    "targets.unscored": "{dimension} にはまだスコア付きの回答がありません。目標に向けて計画する前に、その行動を評価してください。",
+    "targets.progress": "保存済みレポートの進捗",
+    "targets.metCount": { one: "{count} 件中 {met} 件の目標を達成", other: "{count} 件中 {met} 件の目標を達成" },
+    "targets.invalid": "目標は 0 から 100 の数値で入力してください。",
+    "benchmark.title": "ピアベンチマーク",
+    "benchmark.tip":
+      "チーム規模とプロダクトの複雑さが同じ帯のチームの匿名化レポートとスコアを比較します。パーセンタイル 50 がピアの中央値です。OPI のパーセンタイルが高いほど、多くのピアより運用上のプレッシャーが大きいことを示します。",
+    "benchmark.dataset": { one: "データセット: {name}（{count} 件のレポート）", other: "データセット: {name}（{count} 件のレポート）" },
+    "benchmark.datasetUploaded": { one: "データセット: {name}（{count} 件のレポート、このブラウザーでアップロード）", other: "データセット: {name}（{count} 件のレポート、このブラウザーでアップロード）" },
+    "benchmark.peers": { one: "同じ帯のピア {count} 件: {bands}", other: "同じ帯のピア {count} 件: {bands}" },
+    "benchmark.tooFew": "パーセンタイルには同じ帯のピアのスコアが {min} 件以上必要です。",
+    "benchmark.yours": "自チームのスコア",
+    "benchmark.median": "ピアの中央値",
+    "benchmark.percentile": "パーセンタイル",
+    "benchmark.load": "ベンチマークを読み込む（JSON）",
+    "benchmark.reset": "同梱のベンチマークを使用",
+    "benchmark.unavailable": "ベンチマークのデータセットが読み込まれていません。ピアと比較するにはデータセットファイルを読み込んでください。",
+    "benchmark.invalidJson": "ベンチマークファイルが有効な JSON ではありません。",
+    "benchmark.rejected": "ベンチマークのデータセットは受け付けられませんでした: {message}",
+    "benchmark.notStored": "ベンチマークのデータセットをこのブラウザーに保存できませんでした（サイズが大きすぎる可能性があります）。",
+    "actionPlan.title": "アクションプラン",
+    "actionPlan.tip":
+      "ガイダンスを担当者・期日・ステータス付きのアクションとして追跡します。プランはアセスメントと一緒に保存され、新しい回答を始めても残るため、次回の実行で完了したもの、期限切れのもの、新しい回答ではもう必要ない未完了のアクションを確認できます。",
+    "actionPlan.empty": "追跡中のアクションはまだありません。ガイダンス項目の「追跡」または「すべてのガイダンスを追跡」を使用してください。",
+    "actionPlan.track": "追跡",
+    "actionPlan.tracked": "追跡中",
+    "actionPlan.trackAll": "すべてのガイダンスを追跡",
+    "actionPlan.action": "アクション",
+    "actionPlan.owner": "担当者",
+    "actionPlan.ownerPlaceholder": "例: @alex",
+    "actionPlan.unassigned": "未割り当て",
+    "actionPlan.due": "期日",
+    "actionPlan.status": "ステータス",
+    "actionPlan.status.todo": "未着手",
+    "actionPlan.status.in-progress": "進行中",
+    "actionPlan.status.done": "完了",
+    "actionPlan.status.dropped": "中止",
+    "actionPlan.remove": "削除",
+    "actionPlan.addresses": "対象",
+    "actionPlan.addressesQuestion": "{dimension}: {prompt}（{id}）",
+    "actionPlan.addressesFlag": "リスクフラグ {flag}（{id}）",
+    "actionPlan.addressesDimension": "{dimension} ディメンション",
+    "actionPlan.labels": "ラベル",
+    "actionPlan.progress": { one: "{count} 件中 {done} 件のアクションが完了", other: "{count} 件中 {done} 件のアクションが完了" },
+    "actionPlan.inProgressCount": { one: "{count} 件進行中", other: "{count} 件進行中" },
+    "actionPlan.overdueCount": { one: "{count} 件期限切れ", other: "{count} 件期限切れ" },
+    "actionPlan.overdue": "期限切れ",
+    "actionPlan.addressed": "推奨対象外",
+    "actionPlan.addressedCount": { one: "未完了のアクション {count} 件は、現在の回答ではもう推奨されていません。作業が終わっていれば完了にしてください。", other: "未完了のアクション {count} 件は、現在の回答ではもう推奨されていません。作業が終わっていれば完了にしてください。" },
+    "actionPlan.exportMarkdown": "GitHub Issue をダウンロード（Markdown）",
+    "actionPlan.exportJira": "Jira CSV をダウンロード",
+    "actionPlan.invalidDue": "期日は YYYY-MM-DD 形式で入力してください。",
+    "confidence.high": "高",
+    "confidence.medium": "中",
+    "confidence.low": "低",
+    "confidence.none": "データなし",
+    "confidence.value": "{level}（カバー率 {percent}%）",
+    "coverage.low":
+      "{dimension} は該当する {applicable} 問のうち {answered} 問の回答にしか基づいていないため、スコアとそれを使うリスクフラグの信頼度は低くなります。",
+    "coverage.none": "{dimension} には採点された回答がないため、SSI とリスクフラグから除外されます。",
+    "kpi.gap": "適合ギャップ",
+    "kpi.ssiTip": "System Strength Index。回答から算出した構造的成熟度の総合スコア（0-100 に正規化）。",
+    "kpi.opiTip":
+      "Operational Pressure Index。チーム規模、複雑さ、リリース頻度、AI 活用、ツールの分散度から算出した状況由来のプレッシャー。",
+    "kpi.gapTip":
+      "SSI から OPI を引いた値。マイナスは成熟度が現在のプレッシャーを下回ること、プラスは上回ることを示します。",
+    "status.underbuilt": "整備不足",
+    "status.balanced": "均衡",
+    "status.overbuilt": "過剰整備",
+    "severity.low": "低",
+    "severity.medium": "中",
+    "severity.high": "高",
+
+    "summary.text":
+      "現在の成熟度シグナル（SSI {SSI}）は{relationship}（OPI {OPI}、AG {AG}）。チーム規模レベル {teamSize}、AI 活用レベル {aiUsage} を踏まえると、デリバリーのペースが変わるにつれて実践の一貫性を補強すべき領域が見えてきます。",
+    "summary.relationship.above": "現在の運用プレッシャーを上回る傾向にあります",
+    "summary.relationship.slightlyAbove": "現在の運用プレッシャーをやや上回っています",
+    "summary.relationship.slightlyBelow": "現在の運用プレッシャーをやや下回っています",
+    "summary.relationship.gap": "現在の運用プレッシャーとの間に大きなギャップがある可能性を示しています",
+
+    "guidance.topActions": "最も効果の高い施策",
+    "guidance.riskActions": "リスクへの対応",
+    "guidance.other": "その他のステップ",
+    "guidance.uplift": "{dimension} +{points} pt",
+    "guidance.scored": "評価 {score}: {prompt}",
+    "guidance.questionScored": "{questionId} の評価 {score}",
+    "guidance.addresses": "対象: {flag}",
+    "guidance.behaviorsToRaise": { other: "改善すべき行動 {count} 件" },
+    "guidance.dimensionTip.governance":
+      "トークンやコンポーネントの変更を誰が承認するかを決め、シンプルな受付フォームを用意して、依頼が目に見える一本の経路をたどるようにしましょう。",
+    "guidance.dimensionTip.distribution":
+      "再現可能な公開ワークフロー（バージョン、リリースノート、パッケージ公開）を整え、リリース失敗は追跡対象のインシデントとして扱いましょう。",
+    "guidance.dimensionTip.documentation":
+      "コンポーネントの変更と同じプルリクエストでドキュメントを更新し、読み込み中・空・エラー状態の例も含めましょう。",
+    "guidance.dimensionTip.components":
+      "コンポーネント API のパターン（状態、バリアント、命名）を標準化し、マージ前にアクセシビリティの基本チェックを追加しましょう。",
+    "guidance.dimensionTip.foundations":
+      "主要なスタイル値を共有トークンに移し、ハードコードされた色や余白を減らすための lint やレビューのチェックを追加しましょう。",
+    "guidance.dimensionTip.adoption":
+      "利用の多い 2 つのフローについて四半期ごとの導入目標を設定し、具体的な利用指標で進捗を確認しましょう。",
+    "guidance.dimensionTip.generic":
+      "{dimension} で最も評価の低い行動を選び、担当者を決め、定着を示す観測可能なシグナルを 1 つ合意しましょう。",
+    "guidance.sprint":
+      "ディメンションごとに評価の低い行動を 1 つ選び、明確な担当者と観測可能な成功シグナルを決めて 2 週間の改善スプリントを実施しましょう。",
+
+    "results.title": "結果",
+    "results.disclaimer":
+      "このツールは、システムの実践と運用上のプレッシャーの整合を示すものです。振り返りのための診断であり、監査ではありません。",
+    "results.manageProfiles": "プロファイルを管理",
+    "results.chartTitle": "実際の成熟度と運用プレッシャー（OPI）",
+    "results.chartTip":
+      "青いバーはディメンションごとの現在の成熟度、赤いバーはプレッシャーの閾値（OPI）を示します。不足が大きいほどデリバリーのリスクが高くなります。",
+    "results.radarTitle": "ディメンション別プロファイル",
+    "results.radarTip":
+      "すべてのディメンションを一度に表示するレーダーチャートです。青い領域が広いほど、デザインシステム全体の能力が高いことを示します。",
+    "results.risksTitle": "注視すべきシグナル",
+    "results.risksTip": "状況のプレッシャーと構造的成熟度の回答の組み合わせから推定したリスクフラグです。",
+    "results.guidanceTip":
+      "0-1 と評価した行動への推奨事項です。最高評価に引き上げたときにディメンションのスコアがどれだけ上がるかの順に並べ、リスクフラグに関連する施策も含めています。",
+    "results.coverageTip": "各ディメンションで 0-3 で回答された該当質問の割合です。「わからない」と未回答はカバー率を下げ、「該当しない」は数えません。",
+    "results.evidenceTip": "構造面の回答に記録したメモとリンクです。回答と一緒に保存され、JSON・Markdown・HTML レポートに含まれます。",
+    "results.lowConfidenceTip": "このフラグは採点済みの回答が少ないディメンションを使っています。対応する前に確認してください。",
+    "chart.actual": "実際の成熟度",
+    "chart.opi": "運用プレッシャー（OPI）",
+    "chart.target": "目標",
+    "chart.ssiTarget": "SSI 目標",
+    "chart.peerMedian": "ピアの中央値",
+    "chart.axis": "スコア（0-100）",
+    "chart.unavailable": "グラフを表示できません。レポートの指標は上に表示されています。",
+    "chart.barAlt": "ディメンション別の成熟度と OPI {OPI} を比較した棒グラフ: {scores}。",
+    "chart.radarAlt": "ディメンション別の成熟度のレーダーチャート: {scores}。",
+    "chart.sandboxAlt": "現在と仮定の回答でのディメンションスコアの棒グラフ。上の表に同じスコアがあります。",
+    "chart.trendAlt": "保存済みレポートにおける SSI、OPI、適合ギャップの折れ線グラフ。下の保存済みレポート一覧に同じ値があります。",
+    "chart.showTable": "データ表を表示",
+    "chart.hideTable": "データ表を隠す",
+
+    "actions.title": "レポートの操作",
+    "actions.downloadJson": "レポートをダウンロード (JSON)",
+    "actions.downloadMarkdown": "レポートをダウンロード (Markdown)",
+    "actions.downloadHtml": "レポートをダウンロード (HTML)",
+    "actions.print": "印刷 / PDF として保存",
+    "actions.copySummary": "概要をコピー",
+    "actions.copyMarkdown": "Markdown としてコピー",
+    "actions.newResponse": "新しい回答",
+    "actions.feedback": "匿名でフィードバックを送る",
+
+    "team.title": "チーム評価",
+    "team.tip":
+      "同じチームの複数の回答者を集めます。完了した回答を追加するか、各自の JSON レポートを読み込んでください。チームレポートは質問ごとの平均回答を使い、意見が大きく分かれた質問を示します。",
+    "team.respondentName": "回答者名",
+    "team.namePlaceholder": "例: Alex（デザイン）",
+    "team.add": "この回答をチームに追加",
+    "team.import": "回答者のレポートを読み込む (JSON)",
+    "team.clear": "チームをクリア",
+    "team.added": "{time} に追加",
+    "team.remove": "削除",
+    "team.empty": "まだ回答者がいません。",
+    "team.needTwo": "統合されたチームレポートを見るには、回答者を 2 人以上追加してください。",
+    "team.reportTitle": { other: "チームレポート（回答者 {count} 人）" },
+    "team.ssi": "チーム SSI",
+    "team.opi": "チーム OPI",
+    "team.flags": "チームのリスクフラグ",
+    "team.topics": "話し合うべきテーマ",
+    "team.topicsTip": "回答が 2 段階以上離れている質問です。たとえば 1 人が 0、別の人が 2 や 3 と回答した場合です。",
+    "team.spread": "ばらつき {value}",
+    "team.noTopics": "大きな意見の相違はありません。チームはすべての質問でおおむね一致しています。",
+    "team.consensus": "質問ごとの合意度",
+    "team.context": "状況",
+    "team.mean": "平均",
+    "team.spreadColumn": "ばらつき",
+    "team.stdDev": "標準偏差",
+    "team.outliers": "外れ値",
+    "team.nameRequired": "この回答をチームに追加する前に回答者名を入力してください。",
+    "team.noAnswers": "レポートに質問ごとの回答が含まれていません",
+    "team.importFailed": "一部のレポートをチームに追加できませんでした。{failures}",
+
+    "compare.title": "評価を比較",
+    "compare.tip":
+      "保存済みのレポートを 2 つ、または現在の結果と保存済みレポートを選ぶと、スコアの差分、リスクフラグ、推奨事項、変更された回答を確認できます。",
+    "compare.before": "変更前",
+    "compare.after": "変更後",
+    "compare.change": "変化",
+    "compare.currentRun": "現在の結果",
+    "compare.choose": "レポートを選択",
+    "compare.needMore": "比較するには、このブラウザーにもう 1 つレポートを保存してください。",
+    "compare.profileMismatch":
+      "これらのレポートは異なるプロファイル（{before} と {after}）で採点されているため、OPI とリスクフラグは直接比較できません。",
+    "compare.needAnswers": "質問ごとの変化を見るには、両方のレポートに回答が含まれている必要があります。",
+    "compare.noAnswerChanges": "行動に関する回答は変わっていません。",
+    "compare.newFlags": "新しいリスクフラグ",
+    "compare.clearedFlags": "解消したリスクフラグ",
+    "compare.addedGuidance": "追加された推奨事項",
+    "compare.removedGuidance": "削除された推奨事項",
+    "compare.movedQuestions": "変化した行動に関する質問",
+    "sandbox.title": "What-if サンドボックス",
+    "sandbox.tip":
+      "実際の回答を変えずに別の回答を試せます。回答を変えるたびにスコア、差分、リスクフラグ、チャートが再計算されます。結果画面を離れるとサンドボックスはクリアされます。",
+    "sandbox.edit": "回答を変更",
+    "sandbox.changed": { one: "回答を変更（{count} 件変更）", other: "回答を変更（{count} 件変更）" },
+    "sandbox.reset": "サンドボックスをリセット",
+    "sandbox.actual": "実際",
+    "sandbox.whatIf": "What-if",
+    "sandbox.gapNote": "括弧内は各ディメンションの OPI との差です。",
+    "sandbox.clearedFlags": "解消されるフラグ",
+    "sandbox.raisedFlags": "新たに出るフラグ",
+    "sandbox.improvements": "効果の大きい単一質問の改善",
+    "sandbox.improvementsTip":
+      "サンドボックスの回答を起点に、3 未満のスコア付き回答を 1 つずつ 3 に引き上げます。リスクフラグを解消する変更を最優先し、次にマイナスの適合ギャップを最も縮める変更、次にディメンションが OPI を下回る幅を最も縮める変更の順に並べます。",
+    "sandbox.clears": "{flag} を解消",
+    "sandbox.gapEffect": "適合ギャップ {points}",
+    "sandbox.shortfallEffect": "OPI を下回る幅が {points} pt 縮小",
+    "sandbox.try": "サンドボックスで試す",
+    "sandbox.noImprovements": "リスクフラグを解消したりマイナスの差を縮めたりする単一の回答変更はありません。",
+    "growth.title": "成長シナリオ",
+    "growth.tip":
+      "人数の増加、リリースの高速化、本番環境での AI 活用など、今後想定される運用コンテキストを記述します。各シナリオでは予測 OPI、リスクルールがその OPI に対してフラグを立てるディメンション、「均衡」を保つために必要な SSI の伸びを表示します。",
+    "growth.define": "シナリオを定義",
+    "growth.name": "シナリオ名",
+    "growth.namePlaceholder": "例: 12 か月後",
+    "growth.horizonMonths": "期間（か月）",
+    "growth.horizon": "期間",
+    "growth.months": { one: "{count} か月", other: "{count} か月" },
+    "growth.add": "シナリオを追加",
+    "growth.remove": "削除",
+    "growth.empty": "成長シナリオはまだありません。今後想定されるコンテキストを選び、シナリオとして追加してください。",
+    "growth.nameRequired": "追加する前にシナリオ名を入力してください。",
+    "growth.invalidHorizon": "期間は 1〜{max} か月の整数で指定してください。",
+    "growth.scenario": "シナリオ",
+    "growth.noChange": "現在と同じコンテキスト",
+    "growth.projectedOpi": "予測 OPI",
+    "growth.ssiGrowth": "均衡維持に必要な SSI の伸び",
+    "growth.noGrowth": "不要",
+    "growth.atRisk": "リスクのあるディメンション",
+    "growth.newRisk": "新規",
+    "growth.newFlags": "新しいリスクフラグ",
+
+    "trend.title": "推移",
+    "trend.tip":
+      "このブラウザーに保存されたレポートの SSI、OPI、適合ギャップです。ひし形のマーカーは、整備不足・均衡・過剰整備の間でステータスが変わった点を示します。",
+    "trend.from": "開始日",
+    "trend.to": "終了日",
+    "trend.needTwo": "推移を見るには、この期間にレポートを 2 つ以上保存してください。",
+    "trend.unavailable": "グラフを表示できません。保存済みのレポートは下に表示されています。",
+    "trend.changes": "この期間のステータス変化:",
+    "trend.noChanges": "この期間にステータスの変化はありません。",
+    "trend.statusChange": "ステータス: {from} → {to}",
+
+    "saved.title": "このブラウザーに保存されたレポート",
+    "saved.tip":
+      "CSV の書き出しには現在の結果と保存済みのすべてのレポートが含まれ、ディメンションの列はアンケートの順に並びます。回答を含めると回答ごとに 1 行になり、その形式は再度読み込めます。",
+    "saved.empty": "保存されたレポートはまだありません。",
+    "saved.gap": "ギャップ",
+    "saved.includeAnswers": "回答を含める（質問ごとに 1 行）",
+    "saved.exportCsv": "CSV を書き出す",
+    "saved.importCsv": "CSV を読み込む",
+    "csv.imported": { other: "CSV から {count} 件のレポートを読み込みました{skipped}{dropped}。" },
+    "csv.skipped": "（{count} 件は保存済み）",
+    "csv.dropped": "（{count} 件は保存されていません。履歴には新しい順に {max} 件まで残ります）",
+    "csv.importFailed": "CSV の読み込みに失敗しました: {message}",
+
+    "feedback.title": "匿名フィードバック",
+    "feedback.intro": "回答は Google フォーム経由で送信されます。",
+    "feedback.frameTitle": "匿名フィードバックフォーム",
+    "feedback.missing":
+      "フィードバックフォームがまだ設定されていません。<code>index.html</code> の body の <code>data-feedback-form-url</code> にフォームの URL を追加してください。",
+    "feedback.notConfigured":
+      "フィードバックフォームが設定されていません。index.html の data-feedback-form-url に Google フォームの URL を追加してください。",
+    "feedback.close": "閉じる",
+    "feedback.openTab": "新しいタブで開く",
+
+    "nav.backToDiagnostic": "診断に戻る",
+
+    "portfolio.documentTitle": "デザインシステム ポートフォリオ",
+    "portfolio.title": "デザインシステム ポートフォリオ",
+    "portfolio.subtitle": "プロダクトチーム間で構造的な強さと運用上のプレッシャーを比較します。",
+    "portfolio.import": "チームのレポートを読み込む（JSON）",
+    "portfolio.clear": "ポートフォリオをクリア",
+    "portfolio.emptyTitle": "まだチームがありません",
+    "portfolio.emptyHelp": "診断からダウンロードした JSON レポートをチームごとに 1 つ読み込んでください。チーム名は既定でファイル名になり、後から編集できます。",
+    "portfolio.heading": { other: "ポートフォリオ（{count} チーム）" },
+    "portfolio.profile": "スコアリングプロファイル: {profile}。回答を含むレポートはこのプロファイルでスコアリングされます。スコアのみのレポートは、ファイルのスコアとリスクフラグをそのまま使います。",
+    "portfolio.chartTitle": "SSI と OPI",
+    "portfolio.chartTip":
+      "各点が 1 チームです。斜めの網掛け帯は均衡の適合ギャップ（±{band} 以内）を示します。帯より上のチームは、構造が支えられる以上のプレッシャーを受けています。",
+    "portfolio.chartUnavailable": "グラフを表示できません。チームのスコアは下の表に記載されています。",
+    "portfolio.balancedBand": "均衡の帯（±{band}）",
+    "portfolio.axisSSI": "SSI（構造的な強さ）",
+    "portfolio.axisOPI": "OPI（運用上のプレッシャー）",
+    "portfolio.point": "{team}: SSI {SSI}、OPI {OPI}",
+    "portfolio.teams": "チーム",
+    "portfolio.team": "チーム",
+    "portfolio.teamName": "チーム名",
+    "portfolio.reportDate": "レポート日",
+    "portfolio.actions": "操作",
+    "portfolio.remove": "削除",
+    "portfolio.sharedFlags": "共通のリスクフラグ",
+    "portfolio.sharedFlagsTip": "レポートで挙がったリスクフラグごとにチームをまとめ、多いものから表示します。",
+    "portfolio.flagTeams": { other: "{count} チーム" },
+    "portfolio.noFlags": "現在リスクフラグが挙がっているチームはありません。",
+    "portfolio.flagsFrom": "{profile} による",
+    "portfolio.flagsFromFile": "レポートファイルによる",
+    "portfolio.importFailed": "一部のレポートを読み込めませんでした。{failures}",
+
+    "admin.documentTitle": "スコアリングプロファイル",
+    "admin.title": "スコアリングプロファイル",
+    "admin.subtitle": "OPI の重みとリスクのしきい値を調整し、現在の回答への影響をプレビューします。",
+    "admin.factor.teamSize": "チーム規模",
+    "admin.factor.productComplexity": "プロダクトの複雑さ",
+    "admin.factor.aiUsage": "AI の利用",
+    "admin.factor.releaseFrequency": "リリース頻度",
+    "admin.factor.toolingFragmentation": "ツールの分散",
+    "admin.builtIn": "{label}（組み込み）",
+    "admin.activeTitle": "有効なプロファイル",
+    "admin.activeTip":
+      "新しいレポート、保存したスナップショット、エクスポートは有効なプロファイルでスコアリングされ、その設定が記録されるため、後の比較で使われた設定がわかります。",
+    "admin.activeSelect": "スコアリングに使うプロファイル",
+    "admin.editTitle": "プロファイルを編集",
+    "admin.startFrom": "元にするプロファイル",
+    "admin.name": "名前",
+    "admin.weights": "OPI の重み",
+    "admin.weightSum": "重みの合計 {sum}（1.00 にする必要があります）。",
+    "admin.thresholds": "しきい値",
+    "admin.riskGap": "ギャップがこの値未満でディメンションのリスク",
+    "admin.band": "均衡の帯（± ギャップ）",
+    "admin.saveNew": "新しいプロファイルとして保存",
+    "admin.update": "「{label}」を更新",
+    "admin.delete": "「{label}」を削除",
+    "admin.readOnly": "組み込みプロファイルは読み取り専用です。変更は新しいプロファイルとして保存してください。",
+    "admin.saved": "「{label}」を保存しました。スコアリングに使うには、有効なプロファイルとして選択してください。",
+    "admin.previewTitle": "現在の回答でプレビュー",
+    "admin.previewTip": "診断に入力中の回答を、有効なプロファイルと編集中のプロファイルでスコアリングします。",
+    "admin.previewEmpty": "先に診断に回答してください。プレビューにはこのブラウザに保存された回答を使います。",
+    "admin.previewInvalid": "プレビューするには、上のプロファイルのエラーを修正してください。",
+    "admin.metric": "指標",
+    "admin.status": "ステータス",
+    "admin.activeColumn": "{label}（有効）",
+    "admin.editedColumn": "{label}（編集中）",
+    "admin.editedFallback": "編集中のプロファイル",
+  },
+  questionnaires: {
+    "ds-diag-default": {
+      operationalContext: {
+        title: "運用状況",
+        description: "チームの現在の働き方に最も近い選択肢を選んでください。",
+      },
+      structuralMaturity: {
+        title: "構造的成熟度",
+        description: "日々のデリバリーで現在見えている状態に基づいて、各行動を評価してください。",
+      },
+      dimensions: {
+        foundations: "基盤",
+        components: "コンポーネント",
+        documentation: "ドキュメント",
+        governance: "ガバナンス",
+        distribution: "配布",
+        adoption: "導入",
+      },
+      scoringLabels: {
+        0: "なし",
+        1: "非公式 / 場当たり的",
+        2: "定義済みだが一貫していない",
+        3: "運用・徹底されている",
+      },
+      questions: {
+        oc_team_size: {
+          prompt: "プロダクトを開発・保守しているチームの規模は？",
+          options: {
+            1: "1〜3 人",
+            2: "4〜8 人",
+            3: "9〜20 人",
+            4: "21 人以上、または複数のスクワッド",
+          },
+        },
+        oc_product_complexity: {
+          prompt: "チームが担当するプロダクトの画面や機能はどの程度複雑ですか？",
+          options: {
+            1: "単一のフロー、または少数のシンプルな画面",
+            2: "いくつかの主要フローと中程度のバリエーション",
+            3: "相互に関連する多数のフローとロール",
+            4: "バリエーションの多い複数プロダクトのエコシステム",
+          },
+        },
+        oc_release_frequency: {
+          prompt: "チームが UI やプロダクトの変更をリリースする頻度は？",
+          options: {
+            1: "月 1 回以下",
+            2: "2〜4 週間ごと",
+            3: "毎週",
+            4: "毎日、または継続的デリバリー",
+          },
+        },
+        oc_ai_usage: {
+          prompt: "プロダクトやデザイン/システムのワークフローで AI をどの程度使っていますか？",
+          options: {
+            1: "AI はほとんど、またはまったく使っていない",
+            2: "個人が時々 AI を使って作業している",
+            3: "複数のチームワークフローで定期的に AI を使っている",
+            4: "AI が主要なデリバリー実務に組み込まれている",
+          },
+        },
+        oc_tooling_fragmentation: {
+          prompt: "デザインとフロントエンドのツール環境はどの程度分散していますか？",
+          options: {
+            1: "ほぼ 1 つの共有ツールチェーン",
+            2: "いくつかのツールやパターンが並存",
+            3: "複数のチームが異なるスタックを使用",
+            4: "ツールが大きく分散し、ほとんど揃っていない",
+          },
+        },
+        foundations_1: {
+          prompt: "デザイントークン（色、タイポグラフィ、余白）が共有のソースで定義されている。",
+          helpText: "1 つのプロジェクトを超えて使われている、保守されたトークンのソースがあるか確認します。",
+          recommendation:
+            "色・タイポグラフィ・余白の値を 1 つのトークンソース（例: トークンの JSON パッケージ）に統合し、すべてのプロダクトリポジトリから利用しましょう。",
+        },
+        foundations_2: {
+          prompt: "主要なトークンはバージョン管理され、変更履歴が追跡されている。",
+          helpText: "トークンの変更が変更履歴やバージョン履歴で見えるか確認します。",
+          recommendation:
+            "トークンパッケージをバージョン管理し、トークンを変更するたびに変更履歴を公開して、利用者が何がなぜ変わったかを分かるようにしましょう。",
+        },
+        foundations_3: {
+          prompt: "テーマやブランドのバリエーションが同じトークンモデルで表現されている。",
+          helpText: "すべてを複製せずに、モード・ブランド・プラットフォームを明示的にサポートしているか確認します。",
+          recommendation:
+            "ブランドごとにパレット全体を複製するのではなく、テーマやブランドを共通のコアトークンの上に重ねるトークンセットとしてモデル化しましょう。",
+        },
+        foundations_4: {
+          prompt: "トークンの利用が（デザインファイルだけでなく）実装と結び付いている。",
+          helpText: "プロダクトのコードがハードコードされた値ではなく、トークンの出力を参照しているか確認します。",
+          recommendation:
+            "トークンソースからコード出力（CSS 変数、各プラットフォーム向けファイル）を生成し、利用の多い画面から順にハードコードされた値を置き換えましょう。",
+        },
+        foundations_5: {
+          prompt: "新しい UI が基盤となるスタイルに従っているかをチームが検証できる。",
+          helpText: "基盤からの逸脱を検出する lint、チェック、レビュー基準があるか確認します。",
+          recommendation:
+            "新しい UI コード内の生の色・余白・フォント値を検出する lint ルールか、レビューのチェック項目を追加しましょう。",
+        },
+        components_1: {
+          prompt: "よく使う UI パターンのための再利用可能なコンポーネントライブラリがある。",
+          helpText: "複数の機能領域で使われている共有コンポーネントがあるか確認します。",
+          recommendation:
+            "最も重複している 3 つの UI パターンを共有コンポーネントとして切り出し、1 つのライブラリから公開しましょう。",
+        },
+        components_2: {
+          prompt: "コンポーネントが一貫した API（props、状態、バリアント）を提供している。",
+          helpText: "似たコンポーネントが同等の命名と振る舞いのパターンに従っているか確認します。",
+          recommendation:
+            "コンポーネント API の短い規約（prop 名、状態、バリアント）を書き、最もよく使われるコンポーネントをそれに合わせましょう。",
+        },
+        components_3: {
+          prompt: "アクセシビリティの振る舞いが主要コンポーネントに標準で組み込まれている。",
+          helpText: "キーボード、フォーカス、セマンティクスのパターンがコンポーネント単位で実装されているか確認します。",
+          recommendation:
+            "キーボード・フォーカス・セマンティクスの振る舞いを主要コンポーネントに組み込み、各コンポーネントがどのアクセシビリティチェックを満たすかを文書化しましょう。",
+        },
+        components_4: {
+          prompt: "コンポーネントの品質が自動テストや見た目のチェックで検証されている。",
+          helpText: "リリース前に実行される再現可能なチェックがあるか確認します。",
+          recommendation:
+            "主要コンポーネントに自動テストやビジュアルリグレッションのチェックを追加し、毎回のリリース前に実行しましょう。",
+        },
+        components_5: {
+          prompt: "コンポーネントの破壊的変更が明確なバージョン管理の実践で管理されている。",
+          helpText: "非推奨の案内、移行メモ、リリースのシグナルがあるか確認します。",
+          recommendation:
+            "非推奨ポリシーを導入しましょう。破壊的変更は事前に告知し、移行メモを提供し、セマンティックバージョニングに従います。",
+        },
+        documentation_1: {
+          prompt: "基盤となるスタイルやコンポーネントの利用ガイドがある。",
+          helpText: "チームが属人的な知識に頼らずに実用的なガイドを見つけられるか確認します。",
+          recommendation:
+            "基盤と最もよく使われる 10 個のコンポーネントについて、利用ガイド（使うべき場面と使うべきでない場面）を公開しましょう。",
+        },
+        documentation_2: {
+          prompt: "例がデフォルト表示だけでなく、実際の状態やエッジケースを示している。",
+          helpText: "読み込み中・エラー・空・無効状態が文書化されているか確認します。",
+          recommendation: "各コンポーネントのページに、読み込み中・空・エラー・無効状態の例を追加しましょう。",
+        },
+        documentation_3: {
+          prompt: "機能やコンポーネントの変更の一環としてドキュメントが更新されている。",
+          helpText: "コードやデザインの変更と同じワークフローで更新されているか確認します。",
+          recommendation:
+            "コンポーネントの変更と同じプルリクエストでドキュメントを更新し、それをレビューのチェック項目に含めましょう。",
+        },
+        documentation_4: {
+          prompt: "システムの変更を提案し、取り込むまでの方法がコントリビューションガイドで説明されている。",
+          helpText: "追加や更新を提案・レビュー・承認する明確な経路があるか確認します。",
+          recommendation:
+            "システムの変更を提案・レビュー・取り込む方法を説明したコントリビューションガイドを、提案用テンプレートと合わせて作成しましょう。",
+        },
+        documentation_5: {
+          prompt: "チームが UI のニーズに対して現在推奨されているパターンをすぐに見つけられる。",
+          helpText: "検索しやすさ、ナビゲーション、推奨される選択肢の分かりやすさを確認します。",
+          recommendation:
+            "ドキュメントの検索とナビゲーションを改善し、UI のニーズに対する推奨パターンに 2 クリック以内でたどり着けるようにしましょう。",
+        },
+        governance_1: {
+          prompt: "システム変更の保守と承認の役割が明確に定義されている。",
+          helpText: "非公式な引き継ぎではなく、明示的な責任分担があるか確認します。",
+          recommendation: "トークンとコンポーネントの保守担当者と承認者を決め、誰が何を決めるのかを公開しましょう。",
+        },
+        governance_2: {
+          prompt: "コンポーネントやトークンの依頼に一貫した受付プロセスがある。",
+          helpText: "依頼がトリアージ付きの目に見えるワークフローに沿っているか確認します。",
+          recommendation:
+            "コンポーネントとトークンの依頼用に受付フォームか issue テンプレートを 1 つ用意し、定期的なトリアージの枠を設けましょう。",
+        },
+        governance_3: {
+          prompt: "何をシステムに入れ、変更し、外すかの判断基準が文書化されている。",
+          helpText: "チームが参照できる透明な基準があるか確認します。",
+          recommendation: "システムの構成要素の追加・変更・廃止の基準を文書化し、判断を予測可能にしましょう。",
+        },
+        governance_4: {
+          prompt: "システムの健全性が定期的にレビューされている。",
+          helpText: "導入状況、品質、バックログの優先度を定期的に見直しているか確認します。",
+          recommendation: "導入状況、品質のシグナル、バックログの優先度を扱う定期的なシステム健全性レビューを開催しましょう。",
+        },
+        governance_5: {
+          prompt: "例外が記録され、明確な期限やフォローアップとともに見直されている。",
+          helpText: "例外の記録が見える形で残り、時間とともに解消されているか確認します。",
+          recommendation: "例外を担当者と期限付きで記録し、未解決の例外を健全性レビューで確認しましょう。",
+        },
+        distribution_1: {
+          prompt: "デザインシステムの資産が再現可能なリリースの仕組みで提供されている。",
+          helpText: "パッケージ化と公開の手順が自動化または標準化されているか確認します。",
+          recommendation: "パッケージ化と公開を自動化し、すべてのリリースが同じパイプラインを通るようにしましょう。",
+        },
+        distribution_2: {
+          prompt: "利用者がバージョン管理されたパッケージや成果物に確実にアクセスできる。",
+          helpText: "パッケージレジストリや固定されたリリースなど、信頼できる経路があるか確認します。",
+          recommendation:
+            "バージョン付きのパッケージをレジストリに公開し、利用者にはコードをコピーせずバージョンを固定してもらいましょう。",
+        },
+        distribution_3: {
+          prompt: "リリースノートで何が変わり、誰が影響を受けるかが伝えられている。",
+          helpText: "計画やアップグレードに役立つ変更の要約があるか確認します。",
+          recommendation: "すべてのリリースで、何が変わりどのチームが影響を受けるかを記したリリースノートを書きましょう。",
+        },
+        distribution_4: {
+          prompt: "メジャーバージョン間を移行するチームへのサポートがある。",
+          helpText: "アップグレードガイド、codemod、段階的な移行支援があるか確認します。",
+          recommendation: "メジャーバージョンごとにアップグレードガイド（可能であれば codemod も）を提供しましょう。",
+        },
+        distribution_5: {
+          prompt: "リリースの信頼性が測定できる（失敗、ロールバック、修正までの時間）。",
+          helpText: "配布のパフォーマンスが監視され、改善されているか確認します。",
+          recommendation: "リリースの失敗、ロールバック、修正までの時間を記録し、リリースのたびに振り返りましょう。",
+        },
+        adoption_1: {
+          prompt: "チームが新しい UI の作業で共有コンポーネントを積極的に使っている。",
+          helpText: "現在のプロジェクトがシステムのコンポーネントを標準の選択肢にしているか確認します。",
+          recommendation:
+            "新しい UI の作業では、プロジェクトテンプレートやデザインのキックオフチェックリストでシステムのコンポーネントを標準にしましょう。",
+        },
+        adoption_2: {
+          prompt: "既存のプロダクトに、共有パターンへ収束していく目に見える計画がある。",
+          helpText: "整合に向けたロードマップ項目やバックログの取り組みがあるか確認します。",
+          recommendation: "移行すべき既存の画面と期限を列挙した収束計画を、プロダクトチームと合意しましょう。",
+        },
+        adoption_3: {
+          prompt: "導入の進捗が観測可能な指標で測定されている。",
+          helpText: "カバレッジ、利用率、例外の件数などの指標があるか確認します。",
+          recommendation:
+            "コンポーネントのカバレッジや例外の件数など、観測可能な指標 1〜2 個で導入状況を測り、毎月共有しましょう。",
+        },
+        adoption_4: {
+          prompt: "チームがシステムを効果的に使うためのオンボーディング支援を受けている。",
+          helpText: "スターターガイド、オフィスアワー、直接のサポート窓口があるか確認します。",
+          recommendation: "新しい利用者向けに、スターターガイドと定期的なオフィスアワーまたはサポート窓口を用意しましょう。",
+        },
+        adoption_5: {
+          prompt: "利用者からのフィードバックが定期的にシステムの優先度に反映されている。",
+          helpText: "ロードマップの判断に影響する定期的な意見収集の経路があるか確認します。",
+          recommendation:
+            "定期的なフィードバックの仕組み（アンケート、フォーラム、ロードマップレビュー）を設け、どの要望が優先度に反映されたかを示しましょう。",
+        },
+      },
+    },
+  },
+  riskRules: {
+    "dimension-gap": {
+      label: "{Dimension}のリスク（ギャップ < {profile.dimensionRiskGap}）",
+      explanation:
+        "{Dimension}の成熟度が現在の運用プレッシャーを大きく下回っているため、ペースが上がるとこの領域の実践が最初に崩れる可能性があります。",
+    },
+    entropy: {
+      label: "エントロピーのリスク（AI の速度 > ガバナンス）",
+      explanation:
+        "AI が定期的に使われている一方でガバナンスの行動が非公式なため、変更がレビューされるよりも速くシステムに入り込む可能性があります。",
+      guidance: [
+        "コントリビューション用の RFC テンプレートとレビューゲートを追加し、AI を使った変更が明確な担当者と判断基準でトリアージされるようにしましょう。",
+        "入ってくるシステム変更、例外、フォローアップを確認する週次のガバナンスチェックインを設けましょう。",
+      ],
+    },
+    drift: {
+      label: "ドリフトのリスク（規模 > リリースの規律）",
+      explanation:
+        "大きなチームがシステムを利用している一方でリリースがまだ規律立っていないため、バージョン間でプロダクトの画面が乖離していく傾向があります。",
+      guidance: [
+        "リリースノートと利用チーム向けの簡単な移行チェックリストを添えて、決まった周期でシステムをリリースしましょう。",
+        "リリースのたびにパッケージの導入状況と不具合を追跡し、配布の問題が 1 スプリント以内に見えるようにしましょう。",
+      ],
+    },
+  },
+};
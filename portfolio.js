@@ -0,0 +1,168 @@
+import { DEFAULT_SCORING_PROFILE, computeReportModel, getAdequacyStatus } from "./scoring.js";
+import { parseReportPayload } from "./reportImport.js";
+import { riskFlagLabel } from "./rules.js";
+
+/**
+ * `answers` is kept for reports that carry them, so the entry follows the active profile.
+ * Entries without it keep the scores and flags of the file; `scoringProfile` names the
+ * profile those came from, or is empty when the file did not record one.
+ *
+ * @typedef {{
+ *   id: string,
+ *   teamName: string,
+ *   timestamp: string,
+ *   SSI: number,
+ *   OPI: number,
+ *   adequacyGap: number,
+ *   status: string,
+ *   riskFlags: PortfolioFlag[],
+ *   scoringProfile: string,
+ *   answers?: {
+ *     contextResponses: Record<string, number>,
+ *     responses: Record<string, number | string>
+ *   }
+ * }} PortfolioEntry
+ *
+ * @typedef {{ id: string, label: string }} PortfolioFlag
+ */
+
+/**
+ * Reads a finite number from a report field.
+ * @param {unknown} value
+ * @param {string} field
+ * @returns {number}
+ */
+function requireNumber(value, field) {
+  const n = Number(value);
+  if (value === undefined || value === null || !Number.isFinite(n)) {
+    throw new Error(`The report is missing a numeric ${field}.`);
+  }
+  return n;
+}
+
+/**
+ * Keeps a flag's stable id for grouping and its label for display. Plain strings from
+ * older reports and stored entries serve as both.
+ * @param {import("./rules.js").RiskFlag | PortfolioFlag | string} flag
+ * @returns {PortfolioFlag}
+ */
+function toPortfolioFlag(flag) {
+  const label = riskFlagLabel(flag);
+  return { id: typeof flag === "string" ? flag : String(flag?.id || label), label };
+}
+
+/**
+ * Scores answers with a profile into the fields a portfolio entry shows.
+ * @param {NonNullable<PortfolioEntry["answers"]>} answers
+ * @param {Parameters<typeof parseReportPayload>[1]} QUESTIONNAIRE
+ * @param {import("./scoring.js").ScoringProfile} profile
+ */
+function scoreAnswers({ contextResponses, responses }, QUESTIONNAIRE, profile) {
+  const reportModel = computeReportModel({ responses, contextResponses, QUESTIONNAIRE, profile });
+  return {
+    SSI: reportModel.SSI,
+    OPI: reportModel.operationalPressure.OPI,
+    adequacyGap: reportModel.adequacyGap,
+    status: getAdequacyStatus(reportModel.adequacyGap, profile.adequacyBand).label,
+    riskFlags: reportModel.risks.flags.map(toPortfolioFlag),
+    scoringProfile: profile.label,
+  };
+}
+
+/**
+ * Builds a portfolio entry from a downloaded JSON report.
+ * Reports that carry raw answers are re-scored so every team uses the same engine;
+ * older reports fall back to the scores stored in the file.
+ * @param {unknown} payload
+ * @param {{ id: string, teamName: string }} meta
+ * @param {Parameters<typeof parseReportPayload>[1]} QUESTIONNAIRE
+ * @param {import("./scoring.js").ScoringProfile} [profile]
+ * @returns {PortfolioEntry}
+ */
+export function buildPortfolioEntry(
+  payload,
+  { id, teamName },
+  QUESTIONNAIRE,
+  profile = DEFAULT_SCORING_PROFILE
+) {
+  const imported = parseReportPayload(payload, QUESTIONNAIRE);
+  const report = /** @type {Record<string, any>} */ (payload);
+
+  const meta = {
+    id,
+    teamName: String(teamName || "").trim() || "Unnamed team",
+    timestamp: typeof report.timestamp === "string" ? report.timestamp : "",
+  };
+
+  if (imported.version >= 2) {
+    const answers = { contextResponses: imported.contextResponses, responses: imported.responses };
+    return { ...meta, ...scoreAnswers(answers, QUESTIONNAIRE, profile), answers };
+  }
+
+  const SSI = requireNumber(report.SSI, "SSI");
+  const OPI = requireNumber(report.OPI, "OPI");
+  const adequacyGap = SSI - OPI;
+  return {
+    ...meta,
+    SSI,
+    OPI,
+    adequacyGap,
+    status: getAdequacyStatus(adequacyGap, profile.adequacyBand).label,
+    riskFlags: Array.isArray(report.riskFlags) ? report.riskFlags.map(toPortfolioFlag) : [],
+    scoringProfile: typeof report.scoringProfile?.label === "string" ? report.scoringProfile.label : "",
+  };
+}
+
+/**
+ * Brings a stored entry in line with the active profile. Entries with answers are scored
+ * again, so scores, status and flags all come from that profile; entries without answers
+ * only take its balanced band for their status and keep the flags of their file.
+ * @param {PortfolioEntry} entry
+ * @param {Parameters<typeof parseReportPayload>[1]} QUESTIONNAIRE
+ * @param {import("./scoring.js").ScoringProfile} profile
+ * @returns {PortfolioEntry}
+ */
+export function rescorePortfolioEntry(entry, QUESTIONNAIRE, profile) {
+  if (entry.answers) return { ...entry, ...scoreAnswers(entry.answers, QUESTIONNAIRE, profile) };
+  return { ...entry, status: getAdequacyStatus(entry.adequacyGap, profile.adequacyBand).label };
+}
+
+/**
+ * Lists which teams share each risk flag, most widespread flag first. Flags are grouped on
+ * their stable id, so labels written in another language or with another profile's
+ * threshold still land in one group; the group shows the first label seen.
+ * @param {PortfolioEntry[]} entries
+ * @returns {Array<{ flag: string, label: string, teams: string[] }>}
+ */
+export function groupTeamsByRiskFlag(entries) {
+  /** @type {Map<string, { label: string, teams: Set<string> }>} */
+  const byFlag = new Map();
+  for (const entry of entries || []) {
+    for (const flag of (entry.riskFlags || []).map(toPortfolioFlag)) {
+      if (!byFlag.has(flag.id)) byFlag.set(flag.id, { label: flag.label, teams: new Set() });
+      byFlag.get(flag.id).teams.add(entry.teamName);
+    }
+  }
+
+  return [...byFlag.entries()]
+    .map(([flag, { label, teams }]) => ({
+      flag,
+      label,
+      teams: [...teams].sort((a, b) => a.localeCompare(b)),
+    }))
+    .sort((a, b) => b.teams.length - a.teams.length || a.label.localeCompare(b.label));
+}
+
+/**
+ * Counts entries per adequacy status.
+ * @param {PortfolioEntry[]} entries
+ * @returns {Record<string, number>}
+ */
+export function countByStatus(entries) {
+  /** @type {Record<string, number>} */
+  const counts = { Underbuilt: 0, Balanced: 0, Overbuilt: 0 };
+  for (const entry of entries || []) {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  }
+  return counts;
+}
@@ -0,0 +1,370 @@
+import { loadActiveQuestionnaire } from "./questionnaireSource.js";
+import { getAdequacyStatus } from "./scoring.js";
+import { getActiveProfile } from "./profileStore.js";
+import {
+  buildPortfolioEntry,
+  rescorePortfolioEntry,
+  groupTeamsByRiskFlag,
+  countByStatus,
+} from "./portfolio.js";
+import { LOCALE_STORAGE_KEY, readStorage, writeStorage, readStoredArray } from "./storage.js";
+import { escapeAttr, infoTip, formatLocalTimestamp } from "./ui.js";
+import { loadChartLibrary } from "./chartLoader.js";
+import { resolveLocale, translate, formatNumber, localizeQuestionnaire } from "./i18n.js";
+
+const PORTFOLIO_STORAGE_KEY = "ds_diag_portfolio_v1";
+const QUESTIONNAIRE_URL = (document.body?.dataset.questionnaireUrl || "").trim();
+
+const STATUS_COLORS = {
+  Underbuilt: "rgba(180, 35, 24, 0.9)",
+  Balanced: "rgba(2, 122, 72, 0.9)",
+  Overbuilt: "rgba(181, 71, 8, 0.9)",
+};
+
+const portfolioContent = document.getElementById("portfolioContent");
+const validationMessage = document.getElementById("validationMessage");
+const importPortfolioBtn = document.getElementById("importPortfolioBtn");
+const importPortfolioInput = document.getElementById("importPortfolioInput");
+const clearPortfolioBtn = document.getElementById("clearPortfolioBtn");
+
+/** Follows the language picked in the diagnostic. */
+const activeLocale = resolveLocale(readStorage(LOCALE_STORAGE_KEY) || navigator.language);
+
+/** @type {Chart | null} */
+let quadrantChart = null;
+
+/** Same questionnaire as the wizard, so imported answers are re-scored consistently. */
+const [{ questionnaire: baseQuestionnaire }] = await Promise.all([
+  loadActiveQuestionnaire(QUESTIONNAIRE_URL),
+  loadChartLibrary(),
+]);
+const activeQuestionnaire = localizeQuestionnaire(baseQuestionnaire, activeLocale);
+
+function t(key, params) {
+  return translate(activeLocale, key, params);
+}
+
+function formatScore(value) {
+  return formatNumber(value, activeLocale);
+}
+
+function applyStaticTranslations() {
+  document.documentElement.lang = activeLocale;
+  document.title = t("portfolio.documentTitle");
+  for (const element of document.querySelectorAll("[data-i18n]")) {
+    element.textContent = t(element.dataset.i18n);
+  }
+}
+
+function loadEntries() {
+  return readStoredArray(PORTFOLIO_STORAGE_KEY);
+}
+
+function saveEntries(entries) {
+  writeStorage(PORTFOLIO_STORAGE_KEY, JSON.stringify(entries));
+}
+
+function setValidation(message) {
+  validationMessage.textContent = message;
+}
+
+function clearValidation() {
+  validationMessage.textContent = "";
+}
+
+function createEntryId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function render() {
+  const profile = getActiveProfile();
+  // Entries with answers follow the active profile; the rest are marked with their source.
+  const entries = loadEntries().map((entry) =>
+    rescorePortfolioEntry(entry, activeQuestionnaire, profile)
+  );
+  const counts = countByStatus(entries);
+  const flagGroups = groupTeamsByRiskFlag(entries);
+
+  if (!entries.length) {
+    destroyChart();
+    portfolioContent.innerHTML = `
+      <h2 class="section-title">${t("portfolio.emptyTitle")}</h2>
+      <p class="section-subtitle">${t("portfolio.emptyHelp")}</p>
+    `;
+    return;
+  }
+
+  const rowsHtml = [...entries]
+    .sort((a, b) => a.adequacyGap - b.adequacyGap)
+    .map((entry) => {
+      const status = getAdequacyStatus(entry.adequacyGap, profile.adequacyBand);
+      const flagSource = entry.answers
+        ? ""
+        : ` <span class="muted">${
+            entry.scoringProfile
+              ? t("portfolio.flagsFrom", { profile: escapeAttr(entry.scoringProfile) })
+              : t("portfolio.flagsFromFile")
+          }</span>`;
+      return `<tr>
+        <th scope="row">
+          <input class="inline-input" type="text" value="${escapeAttr(entry.teamName)}" aria-label="${t("portfolio.teamName")}" data-entry-id="${escapeAttr(entry.id)}" />
+        </th>
+        <td>${formatScore(entry.SSI)}</td>
+        <td>${formatScore(entry.OPI)}</td>
+        <td>${formatScore(entry.adequacyGap)} <span class="chip ${status.className}">${t(`status.${status.className}`)}</span></td>
+        <td>${entry.riskFlags.length}${flagSource}</td>
+        <td>${entry.timestamp ? formatLocalTimestamp(entry.timestamp, activeLocale) : "—"}</td>
+        <td>
+          <button class="btn btn-secondary btn-small" type="button" data-action="remove-entry" data-entry-id="${escapeAttr(entry.id)}">${t("portfolio.remove")}</button>
+        </td>
+      </tr>`;
+    })
+    .join("");
+
+  const flagsHtml = flagGroups.length
+    ? flagGroups
+        .map(
+          (group) => `<li>
+            <strong>${escapeAttr(group.label)}</strong>
+            <span class="muted"> · ${t("portfolio.flagTeams", { count: group.teams.length })}:</span>
+            ${group.teams.map((team) => escapeAttr(team)).join(", ")}
+          </li>`
+        )
+        .join("")
+    : `<li class="good">${t("portfolio.noFlags")}</li>`;
+
+  portfolioContent.innerHTML = `
+    <div class="results-grid">
+      <h2 class="section-title">${t("portfolio.heading", { count: entries.length })}</h2>
+      <p class="disclaimer">${t("portfolio.profile", { profile: `<strong>${escapeAttr(profile.label)}</strong>` })}</p>
+
+      <div class="kpis">
+        <div class="kpi">
+          <div class="kpi-label">${t("status.underbuilt")}</div>
+          <div class="kpi-value risk">${counts.Underbuilt}</div>
+        </div>
+        <div class="kpi">
+          <div class="kpi-label">${t("status.balanced")}</div>
+          <div class="kpi-value good">${counts.Balanced}</div>
+        </div>
+        <div class="kpi">
+          <div class="kpi-label">${t("status.overbuilt")}</div>
+          <div class="kpi-value">${counts.Overbuilt}</div>
+        </div>
+      </div>
+
+      <div class="panel">
+        <h3>${t("portfolio.chartTitle")} ${infoTip(t("portfolio.chartTip", { band: profile.adequacyBand }))}</h3>
+        <div class="chart-shell chart-shell-radar">
+          <canvas id="portfolioChart"></canvas>
+        </div>
+      </div>
+
+      <div class="panel">
+        <h3>${t("portfolio.teams")}</h3>
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th scope="col">${t("portfolio.team")}</th>
+              <th scope="col">${t("kpi.ssi")}</th>
+              <th scope="col">${t("kpi.opi")}</th>
+              <th scope="col">${t("kpi.gap")}</th>
+              <th scope="col">${t("report.riskFlags")}</th>
+              <th scope="col">${t("portfolio.reportDate")}</th>
+              <th scope="col"><span class="visually-hidden">${t("portfolio.actions")}</span></th>
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </div>
+
+      <div class="panel">
+        <h3>${t("portfolio.sharedFlags")} ${infoTip(t("portfolio.sharedFlagsTip"))}</h3>
+        <ul>${flagsHtml}</ul>
+      </div>
+    </div>
+  `;
+
+  renderChart(entries, profile.adequacyBand);
+}
+
+function destroyChart() {
+  if (quadrantChart) {
+    quadrantChart.destroy();
+    quadrantChart = null;
+  }
+}
+
+function renderChart(entries, band) {
+  const canvas = document.getElementById("portfolioChart");
+  if (!canvas) return;
+  if (typeof Chart === "undefined") {
+    const panel = canvas.closest(".panel");
+    if (panel) {
+      panel.insertAdjacentHTML(
+        "beforeend",
+        `<p class="help-text">${t("portfolio.chartUnavailable")}</p>`
+      );
+    }
+    return;
+  }
+
+  destroyChart();
+
+  const byStatus = ["Underbuilt", "Balanced", "Overbuilt"].map((status) => ({
+    label: t(`status.${status.toLowerCase()}`),
+    data: entries
+      .filter((entry) => entry.status === status)
+      .map((entry) => ({ x: entry.SSI, y: entry.OPI, teamName: entry.teamName })),
+    backgroundColor: STATUS_COLORS[status],
+    borderColor: STATUS_COLORS[status],
+    pointRadius: 6,
+    pointHoverRadius: 8,
+  }));
+
+  quadrantChart = new Chart(canvas, {
+    type: "scatter",
+    data: {
+      datasets: [
+        {
+          label: t("portfolio.balancedBand", { band }),
+          data: [
+            { x: 0, y: band },
+            { x: 100 - band, y: 100 },
+          ],
+          showLine: true,
+          pointRadius: 0,
+          borderColor: "rgba(2, 122, 72, 0.45)",
+          borderWidth: 1,
+          borderDash: [4, 4],
+        },
+        {
+          data: [
+            { x: band, y: 0 },
+            { x: 100, y: 100 - band },
+          ],
+          showLine: true,
+          pointRadius: 0,
+          borderColor: "rgba(2, 122, 72, 0.45)",
+          borderWidth: 1,
+          borderDash: [4, 4],
+          backgroundColor: "rgba(2, 122, 72, 0.08)",
+          fill: "-1",
+        },
+        ...byStatus,
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: {
+          min: 0,
+          max: 100,
+          title: { display: true, text: t("portfolio.axisSSI") },
+        },
+        y: {
+          min: 0,
+          max: 100,
+          title: { display: true, text: t("portfolio.axisOPI") },
+        },
+      },
+      plugins: {
+        legend: {
+          position: "bottom",
+          labels: {
+            // The band's lower edge only shades the band; its upper edge carries the legend entry.
+            filter: (item) => item.datasetIndex !== 1,
+          },
+        },
+        tooltip: {
+          callbacks: {
+            label: (context) => {
+              const point = context.raw;
+              if (!point?.teamName) return "";
+              return t("portfolio.point", {
+                team: point.teamName,
+                SSI: formatScore(point.x),
+                OPI: formatScore(point.y),
+              });
+            },
+          },
+        },
+      },
+    },
+  });
+}
+
+async function importFiles(files) {
+  const entries = loadEntries();
+  const failures = [];
+
+  for (const file of files) {
+    try {
+      const payload = JSON.parse(await file.text());
+      const teamName =
+        typeof payload?.teamName === "string" && payload.teamName.trim()
+          ? payload.teamName
+          : file.name.replace(/\.json$/i, "");
+      entries.push(
+        buildPortfolioEntry(
+          payload,
+          { id: createEntryId(), teamName },
+          activeQuestionnaire,
+          getActiveProfile()
+        )
+      );
+    } catch (error) {
+      failures.push(`${file.name}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  saveEntries(entries);
+  render();
+  if (failures.length) {
+    setValidation(t("portfolio.importFailed", { failures: failures.join("; ") }));
+  } else {
+    clearValidation();
+  }
+}
+
+function bindEvents() {
+  importPortfolioBtn.addEventListener("click", () => importPortfolioInput.click());
+  importPortfolioInput.addEventListener("change", () => {
+    const files = Array.from(importPortfolioInput.files || []);
+    importPortfolioInput.value = "";
+    if (files.length) {
+      void importFiles(files);
+    }
+  });
+  clearPortfolioBtn.addEventListener("click", () => {
+    saveEntries([]);
+    clearValidation();
+    render();
+  });
+
+  portfolioContent.addEventListener("change", (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLInputElement) || !target.dataset.entryId) return;
+    const entries = loadEntries().map((entry) =>
+      entry.id === target.dataset.entryId
+        ? { ...entry, teamName: target.value.trim() || entry.teamName }
+        : entry
+    );
+    saveEntries(entries);
+    render();
+  });
+
+  portfolioContent.addEventListener("click", (event) => {
+    const target = event.target;
+    if (!(target instanceof HTMLButtonElement)) return;
+    if (target.dataset.action === "remove-entry") {
+      saveEntries(loadEntries().filter((entry) => entry.id !== target.dataset.entryId));
+      render();
+    }
+  });
+}
+
+applyStaticTranslations();
+bindEvents();
+render();
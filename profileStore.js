@@ -0,0 +1,57 @@
+import { DEFAULT_SCORING_PROFILE } from "./scoring.js";
+import { BUILT_IN_SCORING_PROFILES, validateScoringProfile } from "./scoringProfiles.js";
+import { readStorage, writeStorage, readStoredArray } from "./storage.js";
+
+const CUSTOM_PROFILES_STORAGE_KEY = "ds_diag_scoring_profiles_v1";
+const ACTIVE_PROFILE_STORAGE_KEY = "ds_diag_active_profile_v1";
+
+/**
+ * Returns valid custom profiles saved on this browser.
+ * @returns {Array<import("./scoring.js").ScoringProfile>}
+ */
+export function loadCustomProfiles() {
+  return readStoredArray(CUSTOM_PROFILES_STORAGE_KEY).filter(
+    (profile) => validateScoringProfile(profile).valid
+  );
+}
+
+/**
+ * Replaces the custom profiles saved on this browser.
+ * @param {Array<import("./scoring.js").ScoringProfile>} profiles
+ * @returns {boolean}
+ */
+export function saveCustomProfiles(profiles) {
+  return writeStorage(CUSTOM_PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Lists built-in profiles followed by custom ones.
+ * @returns {Array<import("./scoring.js").ScoringProfile & { builtIn: boolean }>}
+ */
+export function listScoringProfiles() {
+  return [
+    ...BUILT_IN_SCORING_PROFILES.map((profile) => ({ ...profile, builtIn: true })),
+    ...loadCustomProfiles().map((profile) => ({ ...profile, builtIn: false })),
+  ];
+}
+
+/**
+ * Stores which profile scores new reports.
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function setActiveProfileId(id) {
+  return writeStorage(ACTIVE_PROFILE_STORAGE_KEY, id);
+}
+
+/**
+ * Resolves the active profile, falling back to the default when it no longer exists.
+ * @returns {import("./scoring.js").ScoringProfile}
+ */
+export function getActiveProfile() {
+  const id = readStorage(ACTIVE_PROFILE_STORAGE_KEY) || DEFAULT_SCORING_PROFILE.id;
+  const match = listScoringProfiles().find((profile) => profile.id === id);
+  if (!match) return DEFAULT_SCORING_PROFILE;
+  const { builtIn, ...profile } = match;
+  return profile;
+}
@@ -0,0 +1,64 @@
+/**
+ * @typedef {"app" | "data"} UpdateKind
+ * `app`: a new service worker with a new app shell is waiting.
+ * `data`: a questionnaire or benchmark file changed since it was cached.
+ */
+
+/**
+ * Registers the offline service worker and reports updates. The new worker waits until the
+ * user accepts the update, so a workshop never switches versions mid-assessment.
+ * Browsers without service workers, and pages opened from `file://`, run without one.
+ * @param {string} url
+ * @param {(kind: UpdateKind) => void} onUpdate
+ * @returns {Promise<ServiceWorkerRegistration | null>}
+ */
+export async function registerServiceWorker(url, onUpdate) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return null;
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(url);
+  } catch {
+    return null;
+  }
+
+  // A first install has no controller yet; only a replacement counts as an update.
+  const reportIfWaiting = () => {
+    if (registration.waiting && navigator.serviceWorker.controller) onUpdate("app");
+  };
+  reportIfWaiting();
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker?.addEventListener("statechange", () => {
+      if (worker.state === "installed") reportIfWaiting();
+    });
+  });
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "data-updated") onUpdate("data");
+  });
+
+  // Long workshop sessions: look for a new version whenever the tab comes back into view.
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") void registration.update().catch(() => {});
+  });
+
+  return registration;
+}
+
+/**
+ * Applies an accepted update: a waiting worker takes over and the page reloads on the new
+ * version. Changed data files are already cached, so a reload is enough for them.
+ * @param {ServiceWorkerRegistration | null} registration
+ */
+export function applyUpdate(registration) {
+  const waiting = registration?.waiting;
+  if (!waiting) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), {
+    once: true,
+  });
+  waiting.postMessage({ type: "skip-waiting" });
+}
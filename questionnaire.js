@@ -1,4 +1,4 @@
-const BEHAVIORAL_SCORING_LABELS = {
+export const BEHAVIORAL_SCORING_LABELS = {
   0: "Absent",
   1: "Informal / ad hoc",
   2: "Defined but inconsistent",
@@ -6,6 +6,8 @@ const BEHAVIORAL_SCORING_LABELS = {
 };
 
 export const QUESTIONNAIRE = {
+  id: "ds-diag-default",
+  version: "1",
   operationalContext: {
     title: "Operational Context",
     description: "Select the option that best matches how your team currently operates.",
@@ -79,6 +81,8 @@ export const QUESTIONNAIRE = {
         dimension: "Foundations",
         prompt: "Design tokens (color, type, spacing) are defined in a shared source.",
         helpText: "Look for a maintained token source used beyond one project.",
+        recommendation:
+          "Consolidate color, type and spacing values into one token source (for example a tokens JSON package) that every product repo consumes.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -86,6 +90,8 @@ export const QUESTIONNAIRE = {
         dimension: "Foundations",
         prompt: "Core tokens are versioned and changes are tracked over time.",
         helpText: "Check whether token changes are visible through changelogs or version history.",
+        recommendation:
+          "Version the token package and publish a changelog entry for every token change so consumers can see what moved and why.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -93,6 +99,8 @@ export const QUESTIONNAIRE = {
         dimension: "Foundations",
         prompt: "Themes or brand variants are represented through the same token model.",
         helpText: "Look for explicit support for modes, brands, or platforms without duplicating everything.",
+        recommendation:
+          "Model themes and brands as token sets layered on the same core tokens instead of copying whole palettes per brand.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -100,6 +108,8 @@ export const QUESTIONNAIRE = {
         dimension: "Foundations",
         prompt: "Token usage is connected to implementation (not only design files).",
         helpText: "Check whether product code references token outputs rather than hard-coded values.",
+        recommendation:
+          "Generate code outputs (CSS variables, platform files) from the token source and replace hard-coded values in the highest-traffic screens first.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -107,6 +117,8 @@ export const QUESTIONNAIRE = {
         dimension: "Foundations",
         prompt: "Teams can validate whether new UI follows foundational styles.",
         helpText: "Look for linting, checks, or review criteria that catch foundational drift.",
+        recommendation:
+          "Add a lint rule or review checklist item that flags raw color, spacing and font values in new UI code.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -114,6 +126,8 @@ export const QUESTIONNAIRE = {
         dimension: "Components",
         prompt: "A reusable component library exists for common UI patterns.",
         helpText: "Look for shared components used in more than one feature area.",
+        recommendation:
+          "Extract the three most duplicated UI patterns into shared components and publish them from one library.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -121,6 +135,8 @@ export const QUESTIONNAIRE = {
         dimension: "Components",
         prompt: "Components expose consistent APIs (props, states, variants).",
         helpText: "Check whether similar components follow comparable naming and behavior patterns.",
+        recommendation:
+          "Write a short component API convention (prop names, states, variants) and align the most-used components to it.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -128,6 +144,8 @@ export const QUESTIONNAIRE = {
         dimension: "Components",
         prompt: "Accessibility behaviors are built into core components by default.",
         helpText: "Look for keyboard, focus, and semantic patterns implemented at the component level.",
+        recommendation:
+          "Build keyboard, focus and semantic behavior into core components and document which accessibility checks each one covers.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -135,6 +153,8 @@ export const QUESTIONNAIRE = {
         dimension: "Components",
         prompt: "Component quality is validated with automated tests or visual checks.",
         helpText: "Check for repeatable checks that run before release.",
+        recommendation:
+          "Add automated tests or visual regression checks for core components and run them before every release.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -142,6 +162,8 @@ export const QUESTIONNAIRE = {
         dimension: "Components",
         prompt: "Breaking component changes are managed through clear versioning practices.",
         helpText: "Look for deprecation guidance, migration notes, and release signals.",
+        recommendation:
+          "Adopt a deprecation policy: mark breaking changes in advance, ship migration notes, and follow semantic versioning.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -149,6 +171,8 @@ export const QUESTIONNAIRE = {
         dimension: "Documentation",
         prompt: "Usage guidance exists for foundational styles and components.",
         helpText: "Check whether teams can find practical guidance without relying on tribal knowledge.",
+        recommendation:
+          "Publish usage guidance (when to use, when not to) for the foundations and the ten most-used components.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -156,6 +180,8 @@ export const QUESTIONNAIRE = {
         dimension: "Documentation",
         prompt: "Examples show real states and edge cases, not only default views.",
         helpText: "Look for documented loading, error, empty, and disabled states.",
+        recommendation:
+          "Add examples for loading, empty, error and disabled states to each component page.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -163,6 +189,8 @@ export const QUESTIONNAIRE = {
         dimension: "Documentation",
         prompt: "Docs are updated as part of feature or component changes.",
         helpText: "Check whether updates happen in the same workflow as code/design changes.",
+        recommendation:
+          "Update docs in the same pull request as component changes and make it part of the review checklist.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -170,6 +198,8 @@ export const QUESTIONNAIRE = {
         dimension: "Documentation",
         prompt: "Contribution guidance explains how to propose and land system changes.",
         helpText: "Look for a clear path to suggest, review, and approve additions or updates.",
+        recommendation:
+          "Write a contribution guide that explains how to propose, review and land a system change, with a template for proposals.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -177,6 +207,8 @@ export const QUESTIONNAIRE = {
         dimension: "Documentation",
         prompt: "Teams can quickly discover the current recommended pattern for a UI need.",
         helpText: "Check searchability, navigation, and clarity of recommended options.",
+        recommendation:
+          "Improve docs search and navigation so the recommended pattern for a UI need is findable within two clicks.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -184,6 +216,8 @@ export const QUESTIONNAIRE = {
         dimension: "Governance",
         prompt: "Roles for maintaining and approving system changes are clearly defined.",
         helpText: "Look for explicit ownership rather than informal handoffs.",
+        recommendation:
+          "Name the maintainers and approvers for tokens and components, and publish who decides what.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -191,6 +225,8 @@ export const QUESTIONNAIRE = {
         dimension: "Governance",
         prompt: "There is a consistent intake process for component or token requests.",
         helpText: "Check whether requests follow a visible workflow with triage.",
+        recommendation:
+          "Set up one intake form or issue template for component and token requests, with a regular triage slot.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -198,6 +234,8 @@ export const QUESTIONNAIRE = {
         dimension: "Governance",
         prompt: "Decision criteria are documented for what enters, changes, or leaves the system.",
         helpText: "Look for transparent standards that teams can reference.",
+        recommendation:
+          "Document the criteria for adding, changing or retiring system parts so decisions are predictable.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -205,6 +243,8 @@ export const QUESTIONNAIRE = {
         dimension: "Governance",
         prompt: "System health is reviewed on a regular cadence.",
         helpText: "Check for recurring reviews of adoption, quality, and backlog priorities.",
+        recommendation:
+          "Hold a recurring system health review covering adoption, quality signals and backlog priorities.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -212,6 +252,8 @@ export const QUESTIONNAIRE = {
         dimension: "Governance",
         prompt: "Exceptions are tracked and revisited with clear expiration or follow-up.",
         helpText: "Look for a visible record of waivers and whether they are resolved over time.",
+        recommendation:
+          "Log exceptions with an owner and an expiry date, and review open exceptions in the health review.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -219,6 +261,8 @@ export const QUESTIONNAIRE = {
         dimension: "Distribution",
         prompt: "Design system assets are delivered through a repeatable release mechanism.",
         helpText: "Check for automated or standardized packaging and publishing steps.",
+        recommendation:
+          "Automate packaging and publishing so every release follows the same pipeline.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -226,6 +270,8 @@ export const QUESTIONNAIRE = {
         dimension: "Distribution",
         prompt: "Consumers can access versioned packages or artifacts reliably.",
         helpText: "Look for dependable channels such as package registries or pinned releases.",
+        recommendation:
+          "Publish versioned packages to a registry and ask consumers to pin versions instead of copying code.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -233,6 +279,8 @@ export const QUESTIONNAIRE = {
         dimension: "Distribution",
         prompt: "Release notes communicate what changed and who is affected.",
         helpText: "Check for change summaries that support planning and upgrades.",
+        recommendation:
+          "Write release notes for every release that say what changed and which teams are affected.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -240,6 +288,8 @@ export const QUESTIONNAIRE = {
         dimension: "Distribution",
         prompt: "Migration support is available for teams moving between major versions.",
         helpText: "Look for upgrade guides, codemods, or step-by-step migration help.",
+        recommendation:
+          "Provide upgrade guides (and codemods where practical) for each major version.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -247,6 +297,8 @@ export const QUESTIONNAIRE = {
         dimension: "Distribution",
         prompt: "Release reliability is measurable (failures, rollback, time-to-fix).",
         helpText: "Check whether distribution performance is monitored and improved.",
+        recommendation:
+          "Track release failures, rollbacks and time-to-fix, and review them after each release.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -254,6 +306,8 @@ export const QUESTIONNAIRE = {
         dimension: "Adoption",
         prompt: "Teams actively use shared components for new UI work.",
         helpText: "Look for current projects choosing system components as a default path.",
+        recommendation:
+          "Make system components the default in project templates and design kickoff checklists for new UI work.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -261,6 +315,8 @@ export const QUESTIONNAIRE = {
         dimension: "Adoption",
         prompt: "Existing products have a visible plan to converge toward shared patterns.",
         helpText: "Check for roadmap items or backlog efforts tied to alignment.",
+        recommendation:
+          "Agree a convergence plan with product teams that lists the legacy surfaces to migrate and by when.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -268,6 +324,8 @@ export const QUESTIONNAIRE = {
         dimension: "Adoption",
         prompt: "Adoption progress is measured with observable indicators.",
         helpText: "Look for metrics such as coverage, usage rates, or exception counts.",
+        recommendation:
+          "Measure adoption with one or two observable indicators, such as component coverage or exception counts, and share them monthly.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -275,6 +333,8 @@ export const QUESTIONNAIRE = {
         dimension: "Adoption",
         prompt: "Teams receive onboarding support for using the system effectively.",
         helpText: "Check for starter guides, office hours, or direct support channels.",
+        recommendation:
+          "Offer onboarding for new consumers: a starter guide plus regular office hours or a support channel.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
       {
@@ -282,6 +342,8 @@ export const QUESTIONNAIRE = {
         dimension: "Adoption",
         prompt: "Feedback loops from consumers regularly shape system priorities.",
         helpText: "Look for recurring input channels that influence roadmap decisions.",
+        recommendation:
+          "Set up a recurring feedback loop (survey, forum or roadmap review) and show which requests shaped priorities.",
         scoringLabels: BEHAVIORAL_SCORING_LABELS,
       },
     ],
@@ -0,0 +1,250 @@
+import { BEHAVIORAL_SCORING_LABELS } from "./questionnaire.js";
+import { CONTEXT_QUESTION_IDS } from "./scoring.js";
+import { validateRiskRules } from "./rules.js";
+
+const CONTEXT_SCORE_RANGE = { min: 1, max: 4 };
+const BEHAVIORAL_SCORE_RANGE = { min: 0, max: 3 };
+
+/**
+ * Question ids and dimensions end up in element ids, input names, URL hashes and CSV
+ * columns, so they are limited to letters, digits, `_` and `-`.
+ */
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Checks whether a value is a plain object.
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value is a non-empty string.
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+function isText(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Validates an external questionnaire definition against the shape the wizard and
+ * scoring engine expect. Every problem is reported with its path so authors can fix
+ * the file in one pass.
+ * @param {unknown} definition
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateQuestionnaire(definition) {
+  /** @type {string[]} */
+  const errors = [];
+  if (!isPlainObject(definition)) {
+    return { valid: false, errors: ["The questionnaire must be a JSON object."] };
+  }
+
+  /** @type {Set<string>} */
+  const seenIds = new Set();
+  const checkId = (id, path) => {
+    if (!isText(id)) {
+      errors.push(`${path}.id must be a non-empty string.`);
+      return;
+    }
+    if (!ID_PATTERN.test(id)) {
+      errors.push(`${path}.id "${id}" may only contain letters, digits, "_" and "-".`);
+    }
+    if (seenIds.has(id)) {
+      errors.push(`${path}.id "${id}" is used more than once; question ids must be unique.`);
+    }
+    seenIds.add(id);
+  };
+
+  const context = definition.operationalContext;
+  if (!isPlainObject(context)) {
+    errors.push("operationalContext must be an object.");
+  } else {
+    if (!isText(context.title)) errors.push("operationalContext.title must be a non-empty string.");
+    if (!Array.isArray(context.questions) || !context.questions.length) {
+      errors.push("operationalContext.questions must be a non-empty array.");
+    } else {
+      context.questions.forEach((q, index) => {
+        const path = `operationalContext.questions[${index}]`;
+        if (!isPlainObject(q)) {
+          errors.push(`${path} must be an object.`);
+          return;
+        }
+        checkId(q.id, path);
+        if (!isText(q.prompt)) errors.push(`${path}.prompt must be a non-empty string.`);
+        if (!Array.isArray(q.options) || q.options.length < 2) {
+          errors.push(`${path}.options must list at least two options.`);
+          return;
+        }
+        const scores = new Set();
+        q.options.forEach((opt, optIndex) => {
+          const optPath = `${path}.options[${optIndex}]`;
+          if (!isPlainObject(opt)) {
+            errors.push(`${optPath} must be an object.`);
+            return;
+          }
+          if (!isText(opt.label)) errors.push(`${optPath}.label must be a non-empty string.`);
+          const score = Number(opt.score);
+          if (
+            !Number.isInteger(score) ||
+            score < CONTEXT_SCORE_RANGE.min ||
+            score > CONTEXT_SCORE_RANGE.max
+          ) {
+            errors.push(
+              `${optPath}.score must be a whole number from ${CONTEXT_SCORE_RANGE.min} to ${CONTEXT_SCORE_RANGE.max} (got ${JSON.stringify(opt.score)}).`
+            );
+          } else if (scores.has(score)) {
+            errors.push(`${optPath}.score ${score} is repeated within the same question.`);
+          }
+          scores.add(score);
+        });
+      });
+
+      const contextIds = new Set(context.questions.map((q) => q?.id));
+      const missingFactors = CONTEXT_QUESTION_IDS.filter((id) => !contextIds.has(id));
+      if (missingFactors.length) {
+        errors.push(
+          `operationalContext.questions must include the pressure factors used for OPI: ${missingFactors.join(", ")}.`
+        );
+      }
+    }
+  }
+
+  const structural = definition.structuralMaturity;
+  if (!isPlainObject(structural)) {
+    errors.push("structuralMaturity must be an object.");
+  } else {
+    if (!isText(structural.title)) errors.push("structuralMaturity.title must be a non-empty string.");
+
+    /** @type {Set<string>} */
+    const dimensionKeys = new Set();
+    if (!Array.isArray(structural.dimensions) || !structural.dimensions.length) {
+      errors.push("structuralMaturity.dimensions must be a non-empty array.");
+    } else {
+      structural.dimensions.forEach((dimension, index) => {
+        if (!isText(dimension)) {
+          errors.push(`structuralMaturity.dimensions[${index}] must be a non-empty string.`);
+          return;
+        }
+        if (!ID_PATTERN.test(dimension)) {
+          errors.push(
+            `structuralMaturity.dimensions[${index}] "${dimension}" may only contain letters, digits, "_" and "-".`
+          );
+        }
+        const key = dimension.toLowerCase();
+        if (dimensionKeys.has(key)) {
+          errors.push(`structuralMaturity.dimensions[${index}] "${dimension}" is listed more than once.`);
+        }
+        dimensionKeys.add(key);
+      });
+    }
+
+    if (!Array.isArray(structural.behavioralQuestions) || !structural.behavioralQuestions.length) {
+      errors.push("structuralMaturity.behavioralQuestions must be a non-empty array.");
+    } else {
+      /** @type {Set<string>} */
+      const coveredDimensions = new Set();
+      structural.behavioralQuestions.forEach((q, index) => {
+        const path = `structuralMaturity.behavioralQuestions[${index}]`;
+        if (!isPlainObject(q)) {
+          errors.push(`${path} must be an object.`);
+          return;
+        }
+        checkId(q.id, path);
+        if (!isText(q.prompt)) errors.push(`${path}.prompt must be a non-empty string.`);
+        if (q.helpText !== undefined && typeof q.helpText !== "string") {
+          errors.push(`${path}.helpText must be a string when present.`);
+        }
+        if (q.recommendation !== undefined && !isText(q.recommendation)) {
+          errors.push(`${path}.recommendation must be a non-empty string when present.`);
+        }
+        if (!isText(q.dimension)) {
+          errors.push(`${path}.dimension must be a non-empty string.`);
+        } else if (!dimensionKeys.has(q.dimension.toLowerCase())) {
+          errors.push(
+            `${path}.dimension "${q.dimension}" is not listed in structuralMaturity.dimensions.`
+          );
+        } else {
+          coveredDimensions.add(q.dimension.toLowerCase());
+        }
+        if (q.scoringLabels !== undefined) {
+          if (!isPlainObject(q.scoringLabels)) {
+            errors.push(`${path}.scoringLabels must be an object keyed by score.`);
+          } else {
+            for (const [score, label] of Object.entries(q.scoringLabels)) {
+              const n = Number(score);
+              if (
+                !Number.isInteger(n) ||
+                n < BEHAVIORAL_SCORE_RANGE.min ||
+                n > BEHAVIORAL_SCORE_RANGE.max
+              ) {
+                errors.push(
+                  `${path}.scoringLabels has score "${score}" outside ${BEHAVIORAL_SCORE_RANGE.min}-${BEHAVIORAL_SCORE_RANGE.max}.`
+                );
+              } else if (!isText(label)) {
+                errors.push(`${path}.scoringLabels["${score}"] must be a non-empty string.`);
+              }
+            }
+          }
+        }
+      });
+
+      for (const key of dimensionKeys) {
+        if (!coveredDimensions.has(key)) {
+          errors.push(`structuralMaturity.dimensions "${key}" has no behavioral questions.`);
+        }
+      }
+    }
+  }
+
+  if (definition.riskRules !== undefined) {
+    const rulesCheck = validateRiskRules(definition.riskRules);
+    errors.push(...rulesCheck.errors);
+    if (rulesCheck.valid) {
+      for (const rule of definition.riskRules) {
+        const conditions = [...(rule.when?.all || []), ...(rule.when?.any || [])];
+        for (const condition of conditions) {
+          for (const fact of [condition.fact, condition.value?.fact]) {
+            const questionId = typeof fact === "string" && fact.startsWith("question.")
+              ? fact.slice("question.".length)
+              : "";
+            if (questionId && !seenIds.has(questionId)) {
+              errors.push(`riskRules "${rule.id}" refers to unknown question "${questionId}".`);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Fills optional fields of a validated definition with the built-in defaults.
+ * @param {any} definition
+ * @returns {any}
+ */
+export function normalizeQuestionnaire(definition) {
+  return {
+    ...definition,
+    id: isText(definition.id) ? definition.id : "custom",
+    version: definition.version === undefined ? "1" : String(definition.version),
+    operationalContext: {
+      description: "",
+      ...definition.operationalContext,
+    },
+    structuralMaturity: {
+      description: "",
+      ...definition.structuralMaturity,
+      behavioralQuestions: definition.structuralMaturity.behavioralQuestions.map((q) => ({
+        helpText: "",
+        ...q,
+        scoringLabels: { ...BEHAVIORAL_SCORING_LABELS, ...(q.scoringLabels || {}) },
+      })),
+    },
+  };
+}
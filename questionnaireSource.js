@@ -0,0 +1,102 @@
+import { QUESTIONNAIRE } from "./questionnaire.js";
+import { validateQuestionnaire, normalizeQuestionnaire } from "./questionnaireSchema.js";
+import { readStorage, writeStorage } from "./storage.js";
+
+const CUSTOM_QUESTIONNAIRE_STORAGE_KEY = "ds_diag_questionnaire_v1";
+const MAX_LISTED_ERRORS = 5;
+
+/**
+ * @typedef {{
+ *   questionnaire: typeof QUESTIONNAIRE,
+ *   source: "builtin" | "url" | "upload",
+ *   errors: string[]
+ * }} QuestionnaireLoadResult
+ */
+
+/**
+ * Validates and normalizes a definition, returning the problems instead of throwing.
+ * @param {unknown} definition
+ * @returns {{ questionnaire: typeof QUESTIONNAIRE | null, errors: string[] }}
+ */
+export function parseQuestionnaireDefinition(definition) {
+  const { valid, errors } = validateQuestionnaire(definition);
+  if (!valid) return { questionnaire: null, errors };
+  return { questionnaire: normalizeQuestionnaire(definition), errors: [] };
+}
+
+/**
+ * Turns validation errors into one readable message.
+ * @param {string[]} errors
+ * @returns {string}
+ */
+export function formatQuestionnaireErrors(errors) {
+  const listed = errors.slice(0, MAX_LISTED_ERRORS).map((error, index) => `${index + 1}) ${error}`);
+  const rest = errors.length - listed.length;
+  return `${errors.length} ${errors.length === 1 ? "problem" : "problems"}: ${listed.join(" ")}${
+    rest > 0 ? ` …and ${rest} more.` : ""
+  }`;
+}
+
+/**
+ * Stores an uploaded definition so it stays active on this browser.
+ * @param {unknown} definition
+ * @returns {boolean}
+ */
+export function saveUploadedQuestionnaire(definition) {
+  return writeStorage(CUSTOM_QUESTIONNAIRE_STORAGE_KEY, JSON.stringify(definition));
+}
+
+/**
+ * Removes the uploaded definition so the configured or built-in one applies again.
+ */
+export function clearUploadedQuestionnaire() {
+  try {
+    localStorage.removeItem(CUSTOM_QUESTIONNAIRE_STORAGE_KEY);
+  } catch {
+    // Storage unavailable: nothing was stored either.
+  }
+}
+
+/**
+ * Resolves the questionnaire to use: an uploaded definition first, then the URL set on
+ * the page, then the built-in questionnaire. Invalid sources fall through with errors.
+ * @param {string} [url]
+ * @returns {Promise<QuestionnaireLoadResult>}
+ */
+export async function loadActiveQuestionnaire(url = "") {
+  /** @type {string[]} */
+  const errors = [];
+
+  const stored = readStorage(CUSTOM_QUESTIONNAIRE_STORAGE_KEY);
+  if (stored) {
+    try {
+      const parsed = parseQuestionnaireDefinition(JSON.parse(stored));
+      if (parsed.questionnaire) {
+        return { questionnaire: parsed.questionnaire, source: "upload", errors };
+      }
+      errors.push(...parsed.errors);
+    } catch {
+      errors.push("The stored custom questionnaire is not valid JSON.");
+    }
+  }
+
+  if (url) {
+    try {
+      const response = await fetch(url, { cache: "no-cache" });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const parsed = parseQuestionnaireDefinition(await response.json());
+      if (parsed.questionnaire) {
+        return { questionnaire: parsed.questionnaire, source: "url", errors };
+      }
+      errors.push(...parsed.errors);
+    } catch (error) {
+      errors.push(
+        `Could not load the questionnaire from ${url} (${error instanceof Error ? error.message : String(error)}).`
+      );
+    }
+  }
+
+  return { questionnaire: QUESTIONNAIRE, source: "builtin", errors };
+}
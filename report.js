@@ -1,32 +1,26 @@
+import { DEFAULT_LOCALE, translate, formatNumber, dimensionTitle, hasMessage } from "./i18n.js";
+
 /**
- * @typedef {{ avg: number, score100: number, answered?: number, total?: number }} DimensionScore
+ * @typedef {Partial<import("./scoring.js").DimensionScore> & { avg: number, score100: number }} DimensionScore
  * @typedef {{
  *   context?: { raw?: Record<string, number> },
  *   operationalPressure?: { OPI: number },
  *   SSI?: number,
  *   adequacyGap?: number,
  *   dimensionScores?: Record<string, DimensionScore>,
- *   risks?: { flags?: string[] }
+ *   dimensionLabels?: Record<string, string>,
+ *   risks?: { flags?: Array<{ id: string, label: string, dimension?: string, guidance?: string[] }> }
  * }} ReportModel
  */
 
 /**
- * Converts a dimension key into a friendly title.
- * @param {string} key
- * @returns {string}
- */
-function toTitle(key) {
-  if (!key) return "";
-  return key.charAt(0).toUpperCase() + key.slice(1);
-}
-
-/**
- * Returns dimensions sorted by score (descending).
+ * Returns dimensions sorted by score (descending), skipping those without scored answers.
  * @param {Record<string, DimensionScore>} dimensionScores
  * @returns {Array<{dimension: string, avg: number, score100: number}>}
  */
 function sortedDimensions(dimensionScores = {}) {
   return Object.entries(dimensionScores)
+    .filter(([, value]) => value?.confidence !== "none")
     .map(([dimension, value]) => ({
       dimension,
       avg: Number(value?.avg || 0),
@@ -38,133 +32,251 @@ function sortedDimensions(dimensionScores = {}) {
 /**
  * Generates a short summary paragraph about alignment and context pressure.
  * @param {ReportModel} reportModel
+ * @param {{ locale?: string }} [options]
  * @returns {string}
  */
-export function generateSummary(reportModel) {
+export function generateSummary(reportModel, { locale = DEFAULT_LOCALE } = {}) {
   const SSI = Number(reportModel?.SSI || 0);
   const OPI = Number(reportModel?.operationalPressure?.OPI || 0);
   const AG = Number(reportModel?.adequacyGap ?? SSI - OPI);
   const context = reportModel?.context?.raw || {};
 
-  const relationship =
-    AG >= 10
-      ? "tends to sit above current operational pressure"
-      : AG >= 0
-        ? "is slightly above current operational pressure"
-        : AG >= -10
-          ? "is slightly below current operational pressure"
-          : "may indicate a notable gap to current operational pressure";
-
-  return `Current maturity signals (SSI ${SSI.toFixed(1)}) ${relationship} (OPI ${OPI.toFixed(
-    1
-  )}, AG ${AG.toFixed(1)}). With team size level ${Number(
-    context.teamSize || 1
-  )} and AI usage level ${Number(
-    context.aiUsage || 1
-  )}, this tends to indicate where practice consistency may need reinforcement as delivery pace changes.`;
+  const relationship = AG >= 10 ? "above" : AG >= 0 ? "slightlyAbove" : AG >= -10 ? "slightlyBelow" : "gap";
+
+  return translate(locale, "summary.text", {
+    SSI: formatNumber(SSI, locale),
+    OPI: formatNumber(OPI, locale),
+    AG: formatNumber(AG, locale),
+    relationship: translate(locale, `summary.relationship.${relationship}`),
+    teamSize: Number(context.teamSize || 1),
+    aiUsage: Number(context.aiUsage || 1),
+  });
 }
 
 /**
- * Returns the top 2 dimensions by score.
+ * Returns the top 2 dimensions by score. `dimension` is the display name, `key` the
+ * dimension key.
  * @param {ReportModel} reportModel
- * @returns {Array<{dimension: string, score100: number, avg: number}>}
+ * @returns {Array<{dimension: string, key: string, score100: number, avg: number}>}
  */
 export function generateStrengths(reportModel) {
   return sortedDimensions(reportModel?.dimensionScores)
     .slice(0, 2)
     .map((d) => ({
-      dimension: toTitle(d.dimension),
+      dimension: dimensionTitle(d.dimension, reportModel?.dimensionLabels),
+      key: d.dimension,
       score100: d.score100,
       avg: d.avg,
     }));
 }
 
 /**
- * Returns the bottom 2 dimensions by score.
+ * Returns the bottom 2 dimensions by score, shaped like {@link generateStrengths}.
  * @param {ReportModel} reportModel
- * @returns {Array<{dimension: string, score100: number, avg: number}>}
+ * @returns {Array<{dimension: string, key: string, score100: number, avg: number}>}
  */
 export function generateWeaknesses(reportModel) {
   return sortedDimensions(reportModel?.dimensionScores)
     .reverse()
     .slice(0, 2)
     .map((d) => ({
-      dimension: toTitle(d.dimension),
+      dimension: dimensionTitle(d.dimension, reportModel?.dimensionLabels),
+      key: d.dimension,
       score100: d.score100,
       avg: d.avg,
     }));
 }
 
 /**
- * Generates actionable, behavior-focused guidance tips based on risks and weakest dimensions.
+ * Warns about dimensions whose score rests on too few answers: low-confidence ones, and
+ * those with no scored answers, which are left out of SSI and risk flags.
  * @param {ReportModel} reportModel
- * @returns {string[]}
+ * @param {{ locale?: string }} [options]
+ * @returns {Array<{ dimension: string, confidence: "low" | "none", text: string }>}
  */
-export function generateGuidance(reportModel) {
-  const tips = [];
-  const riskFlags = reportModel?.risks?.flags || [];
-  const weakest = generateWeaknesses(reportModel);
-  const weakestKeys = weakest.map((d) => d.dimension.toLowerCase());
-
-  if (riskFlags.includes("Entropy risk (AI velocity > governance)")) {
-    tips.push(
-      "Add a contribution RFC template + review gate so AI-assisted changes are triaged with clear owners and decision criteria."
-    );
-    tips.push(
-      "Create a weekly governance check-in that reviews incoming system changes, exceptions, and follow-up actions."
-    );
-  }
+export function generateCoverageWarnings(reportModel, { locale = DEFAULT_LOCALE } = {}) {
+  return Object.entries(reportModel?.dimensionScores || {})
+    .filter(([, score]) => score.confidence === "low" || score.confidence === "none")
+    .map(([key, score]) => ({
+      dimension: key,
+      confidence: /** @type {"low" | "none"} */ (score.confidence),
+      text: translate(locale, `coverage.${score.confidence}`, {
+        dimension: dimensionTitle(key, reportModel?.dimensionLabels),
+        answered: Number(score.answered || 0),
+        applicable: Number(score.total || 0) - Number(score.notApplicable || 0),
+        dontKnow: Number(score.dontKnow || 0),
+      }),
+    }));
+}
 
-  if (riskFlags.includes("Drift risk (scale > release discipline)")) {
-    tips.push(
-      "Publish system releases on a fixed cadence with release notes and a lightweight migration checklist for consuming teams."
-    );
-    tips.push(
-      "Track package adoption and breakages after each release so distribution issues are visible within one sprint."
-    );
-  }
+/** Highest behavioral score; question-level uplift assumes a weak answer is raised to it. */
+const MAX_BEHAVIOR_SCORE = 3;
 
-  if (weakestKeys.includes("governance")) {
-    tips.push(
-      "Define who approves token/component changes and add a simple intake form so requests follow one visible path."
-    );
-  }
+/** Questions answered at or below this score get a question-level recommendation. */
+const WEAK_BEHAVIOR_SCORE = 1;
 
-  if (weakestKeys.includes("distribution")) {
-    tips.push(
-      "Set up one repeatable publish workflow (version, notes, package release) and treat failed releases as a tracked incident."
-    );
-  }
+/** How many question-level items are lifted into the plan's top actions. */
+const TOP_ACTION_COUNT = 3;
 
-  if (weakestKeys.includes("documentation")) {
-    tips.push(
-      "Update docs in the same pull request as component changes, including examples for loading, empty, and error states."
-    );
-  }
+/**
+ * @typedef {{
+ *   id: string,
+ *   kind: "risk" | "question" | "dimension" | "general",
+ *   text: string,
+ *   dimension?: string,
+ *   questionId?: string,
+ *   prompt?: string,
+ *   score?: number,
+ *   uplift?: number,
+ *   ssiUplift?: number,
+ *   flagId?: string,
+ *   flagLabel?: string
+ * }} GuidanceItem
+ * @typedef {{
+ *   riskActions: GuidanceItem[],
+ *   topActions: GuidanceItem[],
+ *   dimensions: Array<{ dimension: string, title: string, score100: number, items: GuidanceItem[] }>,
+ *   general: GuidanceItem[]
+ * }} GuidancePlan
+ */
+
+/**
+ * Builds question-level items for behaviors scored 0-1. Uplift is the dimension score
+ * gain (0-100 points) if the behavior were raised to the top score, so a weak answer in
+ * a dimension with few answered questions ranks above one in a larger dimension.
+ * @param {ReportModel} reportModel
+ * @param {{ structuralMaturity?: { behavioralQuestions?: Array<{ id: string, dimension: string, prompt?: string, recommendation?: string }> } }} QUESTIONNAIRE
+ * @param {Record<string, number>} responses
+ * @returns {GuidanceItem[]}
+ */
+function questionActions(reportModel, QUESTIONNAIRE, responses) {
+  const dimensionScores = reportModel?.dimensionScores || {};
+  const dimensionCount = Object.keys(dimensionScores).length || 1;
+  const questions = QUESTIONNAIRE?.structuralMaturity?.behavioralQuestions ?? [];
+  /** @type {GuidanceItem[]} */
+  const items = [];
+
+  for (const q of questions) {
+    if (typeof q.recommendation !== "string" || !q.recommendation.trim()) continue;
+    if (!Object.prototype.hasOwnProperty.call(responses, q.id)) continue;
+    const score = Number(responses[q.id]);
+    if (!Number.isFinite(score) || score > WEAK_BEHAVIOR_SCORE) continue;
 
-  if (weakestKeys.includes("components")) {
-    tips.push(
-      "Standardize component API patterns (states, variants, naming) and add a pre-merge check for accessibility basics."
-    );
+    const dimension = String(q.dimension || "").toLowerCase();
+    const answered = Number(dimensionScores[dimension]?.answered || 0);
+    if (!answered) continue;
+    const uplift = ((MAX_BEHAVIOR_SCORE - score) / answered / MAX_BEHAVIOR_SCORE) * 100;
+
+    items.push({
+      id: `question:${q.id}`,
+      kind: "question",
+      text: q.recommendation.trim(),
+      dimension,
+      questionId: q.id,
+      prompt: q.prompt || "",
+      score,
+      uplift,
+      ssiUplift: uplift / dimensionCount,
+    });
   }
 
-  if (weakestKeys.includes("foundations")) {
-    tips.push(
-      "Move core style values into shared tokens and add a lint/review check to reduce hard-coded color and spacing values."
-    );
+  return items.sort(
+    (a, b) => Number(b.uplift) - Number(a.uplift) || String(a.questionId).localeCompare(String(b.questionId))
+  );
+}
+
+/**
+ * Generates a structured improvement plan: risk-driven actions, question-level
+ * recommendations for behaviors scored 0-1 (ranked by dimension score uplift and grouped
+ * by dimension, weakest first), and dimension-level tips where no question-level
+ * recommendation applies. Every item has a stable id. Question and risk texts come from
+ * the (localized) questionnaire; dimension tips come from the locale pack.
+ * @param {ReportModel} reportModel
+ * @param {{ QUESTIONNAIRE?: any, responses?: Record<string, number>, locale?: string }} [input]
+ * @returns {GuidancePlan}
+ */
+export function generateGuidance(
+  reportModel,
+  { QUESTIONNAIRE, responses = {}, locale = DEFAULT_LOCALE } = {}
+) {
+  /** @type {Set<string>} */
+  const seenText = new Set();
+  const keep = (item) => {
+    if (seenText.has(item.text)) return false;
+    seenText.add(item.text);
+    return true;
+  };
+
+  /** @type {GuidanceItem[]} */
+  const riskActions = [];
+  for (const flag of reportModel?.risks?.flags || []) {
+    (flag.guidance || []).forEach((text, index) => {
+      const item = {
+        id: `risk:${flag.id}:${index}`,
+        kind: /** @type {const} */ ("risk"),
+        text,
+        flagId: flag.id,
+        flagLabel: flag.label,
+        ...(flag.dimension ? { dimension: flag.dimension } : {}),
+      };
+      if (keep(item)) riskActions.push(item);
+    });
   }
 
-  if (weakestKeys.includes("adoption")) {
-    tips.push(
-      "Set a quarterly adoption target for two high-traffic flows and review progress with concrete usage metrics."
-    );
+  const actions = questionActions(reportModel, QUESTIONNAIRE, responses).filter(keep);
+  const dimensions = sortedDimensions(reportModel?.dimensionScores)
+    .reverse()
+    .map((d) => ({
+      dimension: d.dimension,
+      title: dimensionTitle(d.dimension, reportModel?.dimensionLabels),
+      score100: d.score100,
+      items: actions.filter((item) => item.dimension === d.dimension),
+    }))
+    .filter((group) => group.items.length);
+
+  /** @type {GuidanceItem[]} */
+  const general = [];
+  const covered = new Set(dimensions.map((group) => group.dimension));
+  for (const weak of generateWeaknesses(reportModel)) {
+    const { key } = weak;
+    if (covered.has(key)) continue;
+    // Custom questionnaires may declare other dimensions; those get a generic tip.
+    const tipKey = `guidance.dimensionTip.${key}`;
+    const text = hasMessage(tipKey)
+      ? translate(locale, tipKey)
+      : translate(locale, "guidance.dimensionTip.generic", { dimension: weak.dimension });
+    const item = { id: `dimension:${key}`, kind: /** @type {const} */ ("dimension"), text, dimension: key };
+    if (keep(item)) general.push(item);
   }
 
-  if (tips.length === 0) {
-    tips.push(
-      "Pick one low-scoring behavior per dimension and run a 2-week improvement sprint with a clear owner and observable success signal."
-    );
+  if (!riskActions.length && !actions.length && !general.length) {
+    general.push({
+      id: "general:sprint",
+      kind: "general",
+      text: translate(locale, "guidance.sprint"),
+    });
   }
 
-  return Array.from(new Set(tips));
+  return {
+    riskActions,
+    topActions: actions.slice(0, TOP_ACTION_COUNT),
+    dimensions,
+    general,
+  };
+}
+
+/**
+ * Flattens a guidance plan into its distinct tip texts, in plan order, for snapshots,
+ * comparisons and plain-text exports.
+ * @param {GuidancePlan | string[]} plan
+ * @returns {string[]}
+ */
+export function flattenGuidance(plan) {
+  if (Array.isArray(plan)) return [...plan];
+  const items = [
+    ...(plan?.riskActions || []),
+    ...(plan?.dimensions || []).flatMap((group) => group.items),
+    ...(plan?.general || []),
+  ];
+  return Array.from(new Set(items.map((item) => item.text)));
 }
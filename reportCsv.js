@@ -0,0 +1,258 @@
+import { ADEQUACY_BAND, UNSCORED_ANSWERS, getAdequacyStatus } from "./scoring.js";
+
+/** Report-level columns, followed by one `<dimension>_score100` column per dimension. */
+const REPORT_COLUMNS = ["timestamp", "source", "locale", "scoring_profile", "SSI", "OPI", "adequacy_gap", "status"];
+
+/** Extra columns when the export has one row per question answer. */
+const ANSWER_COLUMNS = ["question_id", "section", "dimension", "answer", "answer_label"];
+
+/** English `answer_label` values for "Don't know" and "N/A" answers. */
+const DEFAULT_UNSCORED_LABELS = { dk: "Don't know", na: "Not applicable" };
+
+/** Columns a CSV needs before its answers can be imported. */
+const REQUIRED_IMPORT_COLUMNS = ["timestamp", "question_id", "answer"];
+
+/**
+ * @typedef {{
+ *   timestamp: string,
+ *   SSI?: number,
+ *   OPI?: number,
+ *   adequacyGap?: number,
+ *   dimensionScores?: Record<string, { score100: number }>,
+ *   scoringProfile?: { label?: string, adequacyBand?: number },
+ *   locale?: string,
+ *   contextResponses?: Record<string, number>,
+ *   responses?: Record<string, number | string>
+ * }} CsvReportRecord
+ */
+
+/**
+ * Quotes a cell when needed and defuses text that spreadsheets would run as a formula.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows as RFC 4180 CSV with CRLF line endings.
+ * @param {Array<Array<unknown>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return `${rows.map((row) => row.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
+
+/**
+ * Parses RFC 4180 CSV (quoted fields, escaped quotes, CRLF or LF, optional BOM).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error("The CSV has an unclosed quoted field.");
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Lists every question in questionnaire order with what the CSV needs to describe it.
+ * @param {any} QUESTIONNAIRE
+ * @returns {Array<{ id: string, section: "context" | "structural", dimension: string, labels: Record<string, string> }>}
+ */
+function questionColumns(QUESTIONNAIRE) {
+  const context = QUESTIONNAIRE.operationalContext.questions.map((q) => ({
+    id: q.id,
+    section: /** @type {const} */ ("context"),
+    dimension: "",
+    labels: Object.fromEntries(q.options.map((opt) => [String(opt.score), opt.label])),
+  }));
+  const structural = QUESTIONNAIRE.structuralMaturity.behavioralQuestions.map((q) => ({
+    id: q.id,
+    section: /** @type {const} */ ("structural"),
+    dimension: String(q.dimension || "").toLowerCase(),
+    labels: q.scoringLabels || {},
+  }));
+  return [...context, ...structural];
+}
+
+/**
+ * Builds a CSV with one row per report (timestamp, SSI, OPI, gap, status and each
+ * dimension's score100), or one row per question answer when `includeAnswers` is set.
+ * Dimension and question columns follow the questionnaire order so files line up.
+ * "Don't know" and "N/A" answers are written as `dk` and `na`, labelled with `unscoredLabels`.
+ * @param {Array<CsvReportRecord & { source?: string }>} reports
+ * @param {any} QUESTIONNAIRE
+ * @param {{ includeAnswers?: boolean, unscoredLabels?: Record<string, string> }} [options]
+ * @returns {string}
+ */
+export function buildReportsCsv(
+  reports,
+  QUESTIONNAIRE,
+  { includeAnswers = false, unscoredLabels = DEFAULT_UNSCORED_LABELS } = {}
+) {
+  const dimensions = QUESTIONNAIRE.structuralMaturity.dimensions.map((d) => String(d).toLowerCase());
+  const header = [
+    ...REPORT_COLUMNS,
+    ...dimensions.map((d) => `${d}_score100`),
+    ...(includeAnswers ? ANSWER_COLUMNS : []),
+  ];
+  const questions = questionColumns(QUESTIONNAIRE);
+  /** @type {Array<Array<unknown>>} */
+  const rows = [header];
+
+  for (const report of reports) {
+    const gap = Number(report.adequacyGap || 0);
+    const status = getAdequacyStatus(gap, report.scoringProfile?.adequacyBand ?? ADEQUACY_BAND);
+    const reportCells = [
+      report.timestamp,
+      report.source || "saved",
+      report.locale || "",
+      report.scoringProfile?.label || "",
+      Number(Number(report.SSI || 0).toFixed(2)),
+      Number(Number(report.OPI || 0).toFixed(2)),
+      Number(gap.toFixed(2)),
+      status.label,
+      ...dimensions.map((d) => {
+        const score = report.dimensionScores?.[d]?.score100;
+        return score === undefined ? "" : Number(Number(score).toFixed(2));
+      }),
+    ];
+
+    if (!includeAnswers) {
+      rows.push(reportCells);
+      continue;
+    }
+
+    for (const q of questions) {
+      const answers = q.section === "context" ? report.contextResponses : report.responses;
+      if (!answers || !Object.prototype.hasOwnProperty.call(answers, q.id)) continue;
+      const raw = answers[q.id];
+      const answer = UNSCORED_ANSWERS.includes(raw) ? raw : Number(raw);
+      const label = UNSCORED_ANSWERS.includes(raw) ? unscoredLabels[raw] : q.labels[String(answer)];
+      rows.push([...reportCells, q.id, q.section, q.dimension, answer, label || ""]);
+    }
+  }
+
+  return toCsv(rows);
+}
+
+/**
+ * Reads answers back from a CSV with `timestamp`, `question_id` and `answer` columns
+ * (the "with answers" export, or data collected elsewhere in the same layout). Rows are
+ * grouped by timestamp; score columns are ignored because scores are recomputed.
+ * Throws an Error naming the rows of the first problems found.
+ * @param {string} text
+ * @param {any} QUESTIONNAIRE
+ * @returns {Array<{ timestamp: string, contextResponses: Record<string, number>, responses: Record<string, number | string> }>}
+ */
+export function parseAnswersCsv(text, QUESTIONNAIRE) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error("The CSV is empty.");
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const missing = REQUIRED_IMPORT_COLUMNS.filter((name) => !columns.includes(name));
+  if (missing.length) {
+    throw new Error(
+      `The CSV is missing the ${missing.join(", ")} ${missing.length === 1 ? "column" : "columns"}. Export with answers to get an importable file.`
+    );
+  }
+  const col = (name) => columns.indexOf(name);
+
+  const questions = new Map(questionColumns(QUESTIONNAIRE).map((q) => [q.id, q]));
+  const contextOptions = new Map(
+    QUESTIONNAIRE.operationalContext.questions.map((q) => [q.id, q.options.map((opt) => Number(opt.score))])
+  );
+  /** @type {Map<string, { timestamp: string, contextResponses: Record<string, number>, responses: Record<string, number | string> }>} */
+  const byTimestamp = new Map();
+  /** @type {string[]} */
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    const timestamp = (row[col("timestamp")] || "").trim();
+    const questionId = (row[col("question_id")] || "").trim();
+    const rawAnswer = (row[col("answer")] || "").trim();
+
+    if (!timestamp || Number.isNaN(new Date(timestamp).getTime())) {
+      errors.push(`row ${line}: timestamp "${timestamp}" is not a valid date`);
+      return;
+    }
+    const question = questions.get(questionId);
+    if (!question) {
+      errors.push(`row ${line}: unknown question "${questionId}"`);
+      return;
+    }
+    const unscored = question.section === "structural" && UNSCORED_ANSWERS.includes(rawAnswer.toLowerCase());
+    const answer = unscored ? rawAnswer.toLowerCase() : Number(rawAnswer);
+    const valid =
+      rawAnswer !== "" &&
+      (unscored ||
+        (question.section === "context"
+          ? contextOptions.get(questionId).includes(answer)
+          : Number.isInteger(answer) && answer >= 0 && answer <= 3));
+    if (!valid) {
+      errors.push(`row ${line}: "${rawAnswer}" is not a valid answer for ${questionId}`);
+      return;
+    }
+
+    const key = new Date(timestamp).toISOString();
+    if (!byTimestamp.has(key)) {
+      byTimestamp.set(key, { timestamp: key, contextResponses: {}, responses: {} });
+    }
+    const entry = byTimestamp.get(key);
+    const target = question.section === "context" ? entry.contextResponses : entry.responses;
+    target[questionId] = answer;
+  });
+
+  if (errors.length) {
+    const listed = errors.slice(0, 5).join("; ");
+    throw new Error(
+      `${errors.length} ${errors.length === 1 ? "row has" : "rows have"} problems: ${listed}${
+        errors.length > 5 ? ` …and ${errors.length - 5} more` : ""
+      }.`
+    );
+  }
+  if (!byTimestamp.size) throw new Error("The CSV has no answer rows.");
+  return [...byTimestamp.values()];
+}
@@ -0,0 +1,658 @@
+import { getAdequacyStatus, DONT_KNOW, NOT_APPLICABLE } from "./scoring.js";
+import { generateStrengths, generateWeaknesses, generateCoverageWarnings } from "./report.js";
+import { escapeAttr } from "./ui.js";
+import { DEFAULT_LOCALE, translate, formatNumber as formatLocaleNumber, dimensionTitle } from "./i18n.js";
+import { listEvidence } from "./evidence.js";
+import { hasTargets, computeTargetGaps, planTargetMoves } from "./targets.js";
+import { projectGrowthScenarios } from "./growth.js";
+
+/**
+ * @typedef {{
+ *   reportModel: ReturnType<typeof import("./scoring.js").computeReportModel>,
+ *   summary: string,
+ *   guidance: import("./report.js").GuidancePlan,
+ *   title?: string,
+ *   timestamp?: string,
+ *   QUESTIONNAIRE?: {
+ *     operationalContext: { questions: Array<{ id: string, prompt: string, options: Array<{ label: string, score: number }> }> },
+ *     structuralMaturity: { behavioralQuestions: Array<{ id: string, dimension: string, prompt: string, scoringLabels?: Record<string, string> }> }
+ *   },
+ *   contextResponses?: Record<string, number>,
+ *   responses?: Record<string, number | string>,
+ *   evidence?: import("./evidence.js").Evidence,
+ *   targets?: import("./targets.js").Targets,
+ *   growthScenarios?: import("./growth.js").GrowthScenario[],
+ *   locale?: string
+ * }} FormattableReport
+ */
+
+/** Inline styles for the standalone HTML report, which must render without styles.css. */
+const STANDALONE_STYLES = `
+  body { margin: 0; font-family: "Segoe UI", Tahoma, Geneva, Verdana, sans-serif; color: #172033; background: #fff; }
+  main { width: min(900px, 94vw); margin: 2rem auto; }
+  h1 { font-size: 1.45rem; margin: 0 0 0.3rem; }
+  h2 { font-size: 1.05rem; margin: 1.4rem 0 0.5rem; border-bottom: 1px solid #d9dfeb; padding-bottom: 0.25rem; }
+  h3 { font-size: 0.95rem; margin: 0.9rem 0 0.35rem; }
+  .muted { color: #5b667d; font-size: 0.9rem; }
+  .kpis { display: grid; grid-template-columns: repeat(3, 1fr); gap: 0.6rem; margin-top: 1rem; }
+  .kpi { border: 1px solid #e8edf7; border-radius: 10px; padding: 0.7rem; }
+  .kpi-label { color: #5b667d; font-size: 0.84rem; }
+  .kpi-value { font-size: 1.2rem; font-weight: 700; }
+  .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 0.8rem; }
+  figure { margin: 0; border: 1px solid #e8edf7; border-radius: 10px; padding: 0.6rem; }
+  figure img { width: 100%; height: auto; }
+  figcaption { font-size: 0.84rem; color: #5b667d; margin-bottom: 0.4rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e8edf7; vertical-align: top; }
+  td.num { text-align: right; }
+  li + li { margin-top: 0.3rem; }
+  .severity { font-size: 0.74rem; font-weight: 700; text-transform: uppercase; border-radius: 4px; padding: 0 0.35rem; background: #eef4ff; }
+  .severity-high { background: #fee4e2; color: #912018; }
+  .severity-medium { background: #fef0c7; color: #93370d; }
+  .evidence-note { white-space: pre-line; }
+  section, figure, tr { break-inside: avoid; }
+`;
+
+/**
+ * Binds message lookup, number formatting and display names to one report's locale.
+ * @param {string} locale
+ * @param {{ dimensionLabels?: Record<string, string> }} reportModel
+ */
+function localeHelpers(locale, reportModel) {
+  return {
+    t: (key, params) => translate(locale, key, params),
+    formatNumber: (value) => formatLocaleNumber(value, locale),
+    dimensionName: (key) => dimensionTitle(key, reportModel.dimensionLabels),
+    statusLabel: (status) => translate(locale, `status.${status.className}`),
+    // A dimension without scored answers has no score to show.
+    dimensionScore: (score) =>
+      score.confidence === "none" ? "—" : formatLocaleNumber(score.score100, locale),
+    confidenceLabel: (score) => {
+      const confidence = score.confidence ?? "high";
+      const level = translate(locale, `confidence.${confidence}`);
+      if (confidence === "none") return level;
+      const percent = formatLocaleNumber(Number(score.coverage ?? 1) * 100, locale, 0);
+      return translate(locale, "confidence.value", { level, percent });
+    },
+  };
+}
+
+/**
+ * Escapes pipes and line breaks so a value fits in one Markdown table cell.
+ * @param {unknown} value
+ * @returns {string}
+ */
+function tableCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Lays out a guidance plan as titled lists, skipping empty sections. Each item names
+ * the reason it was picked.
+ * @param {import("./report.js").GuidancePlan} plan
+ * @param {ReturnType<typeof localeHelpers>} helpers
+ * @returns {Array<{ heading: string, items: string[] }>}
+ */
+function guidanceSections(plan, { t, formatNumber, dimensionName }) {
+  const describe = (item) => {
+    if (item.kind === "question") {
+      const uplift = t("guidance.uplift", {
+        points: formatNumber(item.uplift),
+        dimension: dimensionName(item.dimension || ""),
+      });
+      const scored = t("guidance.questionScored", { questionId: item.questionId, score: item.score });
+      return `${item.text} (${uplift}; ${scored})`;
+    }
+    if (item.kind === "risk") return `${item.text} (${t("guidance.addresses", { flag: item.flagLabel })})`;
+    return item.text;
+  };
+  const sections = [
+    { heading: t("guidance.topActions"), items: plan.topActions.map(describe) },
+    { heading: t("guidance.riskActions"), items: plan.riskActions.map(describe) },
+    ...plan.dimensions.map((group) => ({
+      heading: `${group.title} (${formatNumber(group.score100)})`,
+      items: group.items.map(describe),
+    })),
+    { heading: t("guidance.other"), items: plan.general.map(describe) },
+  ];
+  return sections.filter((section) => section.items.length);
+}
+
+/**
+ * Formats a report as plain text for terminals and logs.
+ * @param {FormattableReport} report
+ * @returns {string}
+ */
+export function formatReportText({
+  reportModel,
+  summary,
+  guidance,
+  locale = DEFAULT_LOCALE,
+  title = translate(locale, "report.title"),
+}) {
+  const helpers = localeHelpers(locale, reportModel);
+  const { t, formatNumber, dimensionName, statusLabel, dimensionScore, confidenceLabel } = helpers;
+  const status = getAdequacyStatus(reportModel.adequacyGap, reportModel.scoringProfile.adequacyBand);
+  const lines = [
+    title,
+    "",
+    summary,
+    "",
+    `${t("kpi.ssi")} ${formatNumber(reportModel.SSI)} | ${t("kpi.opi")} ${formatNumber(
+      reportModel.operationalPressure.OPI
+    )} | ${t("kpi.gap")} ${formatNumber(reportModel.adequacyGap)} (${statusLabel(status)})`,
+    `${t("report.scoringProfile")}: ${reportModel.scoringProfile.label}`,
+    "",
+    t("report.dimensions"),
+  ];
+
+  for (const [dimension, score] of Object.entries(reportModel.dimensionScores)) {
+    lines.push(
+      `  ${dimensionName(dimension).padEnd(16)} ${dimensionScore(score).padStart(5)}  (${t(
+        "report.answeredCount",
+        { answered: score.answered, total: score.total }
+      )} · ${confidenceLabel(score)})`
+    );
+  }
+  for (const warning of generateCoverageWarnings(reportModel, { locale })) {
+    lines.push(`  ! ${warning.text}`);
+  }
+
+  lines.push("", t("report.riskFlags"));
+  const flags = reportModel.risks.flags;
+  if (!flags.length) lines.push(`  ${t("common.none")}`);
+  for (const flag of flags) {
+    lines.push(
+      `  [${t(`severity.${flag.severity}`).toUpperCase()}] ${flag.label} (${flag.id})${
+        flag.lowConfidence ? ` · ${t("report.lowConfidence")}` : ""
+      }`,
+      `    ${flag.explanation}`
+    );
+  }
+
+  lines.push("", t("report.guidance"));
+  for (const section of guidanceSections(guidance, helpers)) {
+    lines.push(`  ${section.heading}`);
+    section.items.forEach((item, index) => lines.push(`    ${index + 1}. ${item}`));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Lists context answers with the label of the chosen option, in questionnaire order.
+ * @param {FormattableReport["QUESTIONNAIRE"]} QUESTIONNAIRE
+ * @param {Record<string, number>} contextResponses
+ * @param {string} notAnswered
+ * @returns {Array<{ prompt: string, answer: string }>}
+ */
+function contextAnswerRows(QUESTIONNAIRE, contextResponses, notAnswered) {
+  return (QUESTIONNAIRE?.operationalContext?.questions ?? []).map((q) => {
+    if (!Object.prototype.hasOwnProperty.call(contextResponses, q.id)) {
+      return { prompt: q.prompt, answer: notAnswered };
+    }
+    const value = Number(contextResponses[q.id]);
+    const option = q.options.find((opt) => Number(opt.score) === value);
+    return { prompt: q.prompt, answer: option ? option.label : String(value) };
+  });
+}
+
+/**
+ * Lists the questions that carry evidence notes or links, with the answer they support.
+ * @param {FormattableReport["QUESTIONNAIRE"]} QUESTIONNAIRE
+ * @param {Record<string, number | string>} responses
+ * @param {import("./evidence.js").Evidence} evidence
+ * @param {ReturnType<typeof localeHelpers>} helpers
+ * @returns {Array<{ heading: string, answer: string, note: string, links: string[] }>}
+ */
+function evidenceRows(QUESTIONNAIRE, responses, evidence, { t, dimensionName }) {
+  if (!QUESTIONNAIRE?.structuralMaturity) return [];
+  const questions = new Map(QUESTIONNAIRE.structuralMaturity.behavioralQuestions.map((q) => [q.id, q]));
+  const unscored = { [DONT_KNOW]: t("answer.dontKnow"), [NOT_APPLICABLE]: t("answer.notApplicable") };
+  return listEvidence(evidence, QUESTIONNAIRE).map((item) => {
+    const value = responses?.[item.id];
+    const label = questions.get(item.id)?.scoringLabels?.[String(value)];
+    let answer = t("report.notAnswered");
+    if (unscored[value]) answer = unscored[value];
+    else if (value !== undefined) answer = label ? `${value} – ${label}` : String(value);
+    return {
+      heading: `${dimensionName(item.dimension)}: ${item.prompt}`,
+      answer,
+      note: item.note,
+      links: item.links,
+    };
+  });
+}
+
+/**
+ * Lays out current vs target scores and the answers that have to move up to reach them.
+ * @param {FormattableReport["reportModel"]} reportModel
+ * @param {import("./targets.js").Targets} targets
+ * @param {FormattableReport["QUESTIONNAIRE"]} QUESTIONNAIRE
+ * @param {Record<string, number | string>} responses
+ * @param {ReturnType<typeof localeHelpers>} helpers
+ * @returns {{ rows: Array<{ name: string, current: string, target: string, gap: string }>, moves: string[], unscored: string[] } | null}
+ */
+function targetSummary(reportModel, targets, QUESTIONNAIRE, responses, { t, formatNumber, dimensionName }) {
+  if (!hasTargets(targets)) return null;
+  const gaps = computeTargetGaps(reportModel, targets);
+  const row = (name, gap) => ({
+    name,
+    current: gap.current === null ? "—" : formatNumber(gap.current),
+    target: formatNumber(gap.target),
+    gap: gap.met ? t("targets.met") : gap.gap === null ? "—" : formatNumber(gap.gap),
+  });
+  const rows = [
+    ...(gaps.SSI ? [row(t("kpi.ssi"), gaps.SSI)] : []),
+    ...gaps.dimensions.map((gap) => row(dimensionName(gap.dimension), gap)),
+  ];
+  if (!QUESTIONNAIRE?.structuralMaturity) return { rows, moves: [], unscored: [] };
+  const plan = planTargetMoves(targets, { QUESTIONNAIRE, responses });
+  return {
+    rows,
+    moves: plan.moves.map(
+      (move) => `${dimensionName(move.dimension)}: ${move.prompt} (${move.from} → ${move.to})`
+    ),
+    unscored: plan.unscored.map((dimension) => t("targets.unscored", { dimension: dimensionName(dimension) })),
+  };
+}
+
+/**
+ * Projects each growth scenario and lays out the projected OPI, Adequacy Gap, SSI growth
+ * needed to stay Balanced, dimensions that would be at risk and newly raised flags.
+ * @param {FormattableReport} report
+ * @param {ReturnType<typeof localeHelpers>} helpers
+ * @returns {Array<{ name: string, horizon: string, OPI: string, gap: string, growth: string, atRisk: string, flags: string }>}
+ */
+function growthRows(
+  { reportModel, QUESTIONNAIRE, contextResponses, responses = {}, growthScenarios = [] },
+  { t, formatNumber, dimensionName, statusLabel }
+) {
+  if (!growthScenarios.length || !QUESTIONNAIRE || !contextResponses) return [];
+  const signed = (value) => `${value > 0 ? "+" : ""}${formatNumber(value)}`;
+  return projectGrowthScenarios(
+    { contextResponses, responses, QUESTIONNAIRE, profile: reportModel.scoringProfile },
+    growthScenarios
+  ).map((projection) => ({
+    name: projection.scenario.name,
+    horizon: projection.scenario.horizonMonths
+      ? t("growth.months", { count: projection.scenario.horizonMonths })
+      : "—",
+    OPI: `${formatNumber(projection.OPI)} (${signed(projection.OPIDelta)})`,
+    gap: `${formatNumber(projection.adequacyGap)} (${statusLabel(projection.status)})`,
+    growth: projection.ssiGrowthNeeded > 0 ? signed(projection.ssiGrowthNeeded) : t("growth.noGrowth"),
+    atRisk:
+      projection.atRiskDimensions
+        .map((entry) => `${dimensionName(entry.dimension)} (${signed(entry.pointsNeeded)})`)
+        .join(", ") || t("common.none"),
+    flags: projection.newFlags.map((flag) => flag.label).join(", ") || t("common.none"),
+  }));
+}
+
+/**
+ * Formats the whole results page as Markdown for wikis, pull requests and retro docs:
+ * KPIs, dimension scores, strengths and weaknesses, risk flags, guidance and, when the
+ * questionnaire and context answers are given, the labelled context answers, any targets
+ * with the answers needed to reach them, growth scenario projections, and evidence notes
+ * and links.
+ * @param {FormattableReport} report
+ * @returns {string}
+ */
+export function formatReportMarkdown({
+  reportModel,
+  summary,
+  guidance,
+  locale = DEFAULT_LOCALE,
+  title = translate(locale, "report.title"),
+  timestamp,
+  QUESTIONNAIRE,
+  contextResponses,
+  responses = {},
+  evidence = {},
+  targets = { dimensions: {} },
+  growthScenarios = [],
+}) {
+  const helpers = localeHelpers(locale, reportModel);
+  const { t, formatNumber, dimensionName, statusLabel, dimensionScore, confidenceLabel } = helpers;
+  const status = getAdequacyStatus(reportModel.adequacyGap, reportModel.scoringProfile.adequacyBand);
+  const lines = [`# ${title}`, ""];
+  if (timestamp) lines.push(`_${t("report.generated", { time: timestamp })}_`, "");
+  lines.push(
+    summary,
+    "",
+    `| ${t("report.metric")} | ${t("report.value")} |`,
+    "| --- | --- |",
+    `| ${t("kpi.ssi")} | ${formatNumber(reportModel.SSI)} |`,
+    `| ${t("kpi.opi")} | ${formatNumber(reportModel.operationalPressure.OPI)} |`,
+    `| ${t("kpi.gap")} | ${formatNumber(reportModel.adequacyGap)} (${statusLabel(status)}) |`,
+    `| ${t("report.scoringProfile")} | ${tableCell(reportModel.scoringProfile.label)} |`,
+    `| ${t("report.language")} | ${locale} |`,
+    "",
+    `## ${t("report.dimensions")}`,
+    "",
+    `| ${t("report.dimension")} | ${t("report.score")} | ${t("report.answered")} | ${t("report.confidence")} |`,
+    "| --- | ---: | ---: | --- |"
+  );
+
+  for (const [dimension, score] of Object.entries(reportModel.dimensionScores)) {
+    lines.push(
+      `| ${tableCell(dimensionName(dimension))} | ${dimensionScore(score)} | ${score.answered}/${score.total} | ${confidenceLabel(score)} |`
+    );
+  }
+
+  const coverageWarnings = generateCoverageWarnings(reportModel, { locale });
+  if (coverageWarnings.length) {
+    lines.push("", `### ${t("report.coverage")}`, "");
+    for (const warning of coverageWarnings) lines.push(`- ${warning.text}`);
+  }
+
+  const targetInfo = targetSummary(reportModel, targets, QUESTIONNAIRE, responses, helpers);
+  if (targetInfo) {
+    lines.push(
+      "",
+      `## ${t("targets.title")}`,
+      "",
+      `| ${t("targets.measure")} | ${t("targets.current")} | ${t("targets.target")} | ${t("targets.gap")} |`,
+      "| --- | ---: | ---: | ---: |"
+    );
+    for (const row of targetInfo.rows) {
+      lines.push(`| ${tableCell(row.name)} | ${row.current} | ${row.target} | ${row.gap} |`);
+    }
+    if (targetInfo.moves.length || targetInfo.unscored.length) {
+      lines.push("", `### ${t("targets.moves")}`, "");
+      for (const move of targetInfo.moves) lines.push(`- ${move}`);
+      for (const note of targetInfo.unscored) lines.push(`- ${note}`);
+    }
+  }
+
+  const growth = growthRows(
+    { reportModel, summary, guidance, QUESTIONNAIRE, contextResponses, responses, growthScenarios },
+    helpers
+  );
+  if (growth.length) {
+    lines.push(
+      "",
+      `## ${t("growth.title")}`,
+      "",
+      `| ${t("growth.scenario")} | ${t("growth.horizon")} | ${t("growth.projectedOpi")} | ${t("kpi.gap")} | ${t(
+        "growth.ssiGrowth"
+      )} | ${t("growth.atRisk")} | ${t("growth.newFlags")} |`,
+      "| --- | --- | ---: | --- | ---: | --- | --- |"
+    );
+    for (const row of growth) {
+      lines.push(
+        `| ${[row.name, row.horizon, row.OPI, row.gap, row.growth, row.atRisk, row.flags].map(tableCell).join(" | ")} |`
+      );
+    }
+  }
+
+  lines.push("", `## ${t("report.strengths")}`, "");
+  for (const item of generateStrengths(reportModel)) {
+    lines.push(`- ${item.dimension} (${formatNumber(item.score100)})`);
+  }
+  lines.push("", `## ${t("report.weaknesses")}`, "");
+  for (const item of generateWeaknesses(reportModel)) {
+    lines.push(`- ${item.dimension} (${formatNumber(item.score100)})`);
+  }
+
+  lines.push("", `## ${t("report.riskFlags")}`, "");
+  const flags = reportModel.risks.flags;
+  if (!flags.length) lines.push(t("report.noRisks"));
+  for (const flag of flags) {
+    const tags = [t(`severity.${flag.severity}`)];
+    if (flag.lowConfidence) tags.push(t("report.lowConfidence"));
+    lines.push(`- **${flag.label}** (${tags.join(", ")}, \`${flag.id}\`): ${flag.explanation}`);
+  }
+
+  lines.push("", `## ${t("report.guidance")}`);
+  for (const section of guidanceSections(guidance, helpers)) {
+    lines.push("", `### ${section.heading}`, "");
+    section.items.forEach((item, index) => lines.push(`${index + 1}. ${item}`));
+  }
+
+  if (QUESTIONNAIRE && contextResponses) {
+    lines.push(
+      "",
+      `## ${t("report.contextAnswers")}`,
+      "",
+      `| ${t("report.question")} | ${t("report.answer")} |`,
+      "| --- | --- |"
+    );
+    for (const row of contextAnswerRows(QUESTIONNAIRE, contextResponses, t("report.notAnswered"))) {
+      lines.push(`| ${tableCell(row.prompt)} | ${tableCell(row.answer)} |`);
+    }
+  }
+
+  const evidenceItems = evidenceRows(QUESTIONNAIRE, responses, evidence, helpers);
+  if (evidenceItems.length) {
+    lines.push("", `## ${t("report.evidence")}`);
+    for (const item of evidenceItems) {
+      lines.push("", `### ${item.heading.replace(/\r?\n/g, " ")}`, "", `${t("report.answer")}: ${item.answer}`);
+      if (item.note) lines.push("", ...item.note.split(/\r?\n/).map((line) => `> ${line}`));
+      if (item.links.length) lines.push("", ...item.links.map((link) => `- <${link}>`));
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Formats the results page as one self-contained HTML document. Chart images are passed
+ * in as data URLs, so the file opens offline without Chart.js or the app's modules.
+ * @param {FormattableReport & { charts?: Array<{ title: string, src: string, alt: string }> }} report
+ * @returns {string}
+ */
+export function formatReportHtml({
+  reportModel,
+  summary,
+  guidance,
+  locale = DEFAULT_LOCALE,
+  title = translate(locale, "report.title"),
+  timestamp,
+  QUESTIONNAIRE,
+  contextResponses,
+  responses = {},
+  evidence = {},
+  targets = { dimensions: {} },
+  growthScenarios = [],
+  charts = [],
+}) {
+  const helpers = localeHelpers(locale, reportModel);
+  const { t, formatNumber, dimensionName, statusLabel, dimensionScore, confidenceLabel } = helpers;
+  const status = getAdequacyStatus(reportModel.adequacyGap, reportModel.scoringProfile.adequacyBand);
+  const list = (items) => `<ul>${items.map((item) => `<li>${escapeAttr(item)}</li>`).join("")}</ul>`;
+  const signalList = (items) =>
+    list(items.map((item) => `${item.dimension} (${formatNumber(item.score100)})`));
+
+  const kpis = [
+    [t("kpi.ssi"), formatNumber(reportModel.SSI)],
+    [t("kpi.opi"), formatNumber(reportModel.operationalPressure.OPI)],
+    [t("kpi.gap"), `${formatNumber(reportModel.adequacyGap)} (${statusLabel(status)})`],
+  ]
+    .map(
+      ([label, value]) =>
+        `<div class="kpi"><div class="kpi-label">${escapeAttr(label)}</div><div class="kpi-value">${escapeAttr(value)}</div></div>`
+    )
+    .join("");
+
+  const chartFigures = charts
+    .filter((chart) => chart.src)
+    .map(
+      (chart) => `<figure>
+        <figcaption>${escapeAttr(chart.title)}</figcaption>
+        <img src="${escapeAttr(chart.src)}" alt="${escapeAttr(chart.alt)}" />
+      </figure>`
+    )
+    .join("");
+
+  const dimensionRows = Object.entries(reportModel.dimensionScores)
+    .map(
+      ([dimension, score]) =>
+        `<tr><td>${escapeAttr(dimensionName(dimension))}</td><td class="num">${dimensionScore(
+          score
+        )}</td><td class="num">${score.answered}/${score.total}</td><td>${escapeAttr(
+          confidenceLabel(score)
+        )}</td></tr>`
+    )
+    .join("");
+  const coverageWarnings = generateCoverageWarnings(reportModel, { locale });
+  const coverageHtml = coverageWarnings.length
+    ? `<h3>${escapeAttr(t("report.coverage"))}</h3>${list(coverageWarnings.map((warning) => warning.text))}`
+    : "";
+
+  const targetInfo = targetSummary(reportModel, targets, QUESTIONNAIRE, responses, helpers);
+  const targetsHtml = targetInfo
+    ? `<section>
+        <h2>${escapeAttr(t("targets.title"))}</h2>
+        <table>
+          <thead><tr><th>${escapeAttr(t("targets.measure"))}</th><th>${escapeAttr(t("targets.current"))}</th><th>${escapeAttr(
+            t("targets.target")
+          )}</th><th>${escapeAttr(t("targets.gap"))}</th></tr></thead>
+          <tbody>${targetInfo.rows
+            .map(
+              (row) =>
+                `<tr><td>${escapeAttr(row.name)}</td><td class="num">${row.current}</td><td class="num">${row.target}</td><td class="num">${escapeAttr(
+                  row.gap
+                )}</td></tr>`
+            )
+            .join("")}</tbody>
+        </table>
+        ${
+          targetInfo.moves.length || targetInfo.unscored.length
+            ? `<h3>${escapeAttr(t("targets.moves"))}</h3>${list([...targetInfo.moves, ...targetInfo.unscored])}`
+            : ""
+        }
+      </section>`
+    : "";
+
+  const growth = growthRows(
+    { reportModel, summary, guidance, QUESTIONNAIRE, contextResponses, responses, growthScenarios },
+    helpers
+  );
+  const growthHtml = growth.length
+    ? `<section>
+        <h2>${escapeAttr(t("growth.title"))}</h2>
+        <table>
+          <thead><tr>${[
+            t("growth.scenario"),
+            t("growth.horizon"),
+            t("growth.projectedOpi"),
+            t("kpi.gap"),
+            t("growth.ssiGrowth"),
+            t("growth.atRisk"),
+            t("growth.newFlags"),
+          ]
+            .map((heading) => `<th>${escapeAttr(heading)}</th>`)
+            .join("")}</tr></thead>
+          <tbody>${growth
+            .map(
+              (row) =>
+                `<tr>${[row.name, row.horizon, row.OPI, row.gap, row.growth, row.atRisk, row.flags]
+                  .map((cell) => `<td>${escapeAttr(cell)}</td>`)
+                  .join("")}</tr>`
+            )
+            .join("")}</tbody>
+        </table>
+      </section>`
+    : "";
+
+  const flags = reportModel.risks.flags;
+  const risksHtml = flags.length
+    ? `<ul>${flags
+        .map(
+          (flag) => `<li>
+            <span class="severity severity-${escapeAttr(flag.severity)}">${escapeAttr(
+              t(`severity.${flag.severity}`)
+            )}</span>
+            ${flag.lowConfidence ? `<span class="severity">${escapeAttr(t("report.lowConfidence"))}</span>` : ""}
+            <strong>${escapeAttr(flag.label)}</strong>: ${escapeAttr(flag.explanation)}
+          </li>`
+        )
+        .join("")}</ul>`
+    : `<p>${escapeAttr(t("report.noRisks"))}</p>`;
+
+  const guidanceHtml = guidanceSections(guidance, helpers)
+    .map(
+      (section) =>
+        `<h3>${escapeAttr(section.heading)}</h3><ol>${section.items
+          .map((item) => `<li>${escapeAttr(item)}</li>`)
+          .join("")}</ol>`
+    )
+    .join("");
+
+  const contextHtml =
+    QUESTIONNAIRE && contextResponses
+      ? `<section>
+          <h2>${escapeAttr(t("report.contextAnswers"))}</h2>
+          <table>
+            <thead><tr><th>${escapeAttr(t("report.question"))}</th><th>${escapeAttr(t("report.answer"))}</th></tr></thead>
+            <tbody>${contextAnswerRows(QUESTIONNAIRE, contextResponses, t("report.notAnswered"))
+              .map((row) => `<tr><td>${escapeAttr(row.prompt)}</td><td>${escapeAttr(row.answer)}</td></tr>`)
+              .join("")}</tbody>
+          </table>
+        </section>`
+      : "";
+
+  const evidenceItems = evidenceRows(QUESTIONNAIRE, responses, evidence, helpers);
+  const evidenceHtml = evidenceItems.length
+    ? `<section>
+          <h2>${escapeAttr(t("report.evidence"))}</h2>
+          ${evidenceItems
+            .map(
+              (item) => `<h3>${escapeAttr(item.heading)}</h3>
+          <p class="muted">${escapeAttr(`${t("report.answer")}: ${item.answer}`)}</p>
+          ${item.note ? `<p class="evidence-note">${escapeAttr(item.note)}</p>` : ""}
+          ${
+            item.links.length
+              ? `<ul>${item.links
+                  .map((link) => `<li><a href="${escapeAttr(link)}">${escapeAttr(link)}</a></li>`)
+                  .join("")}</ul>`
+              : ""
+          }`
+            )
+            .join("")}
+        </section>`
+    : "";
+
+  return `<!doctype html>
+<html lang="${escapeAttr(locale)}">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeAttr(title)}</title>
+    <style>${STANDALONE_STYLES}</style>
+  </head>
+  <body>
+    <main>
+      <h1>${escapeAttr(title)}</h1>
+      <p class="muted">${escapeAttr(
+        `${timestamp ? `${t("report.generated", { time: timestamp })} · ` : ""}${t("report.scoringProfile")}: ${
+          reportModel.scoringProfile.label
+        }`
+      )}</p>
+      <p>${escapeAttr(summary)}</p>
+      <div class="kpis">${kpis}</div>
+      ${chartFigures ? `<section><h2>${escapeAttr(t("report.charts"))}</h2><div class="charts">${chartFigures}</div></section>` : ""}
+      <section>
+        <h2>${escapeAttr(t("report.dimensions"))}</h2>
+        <table>
+          <thead><tr><th>${escapeAttr(t("report.dimension"))}</th><th>${escapeAttr(t("report.score"))}</th><th>${escapeAttr(
+            t("report.answered")
+          )}</th><th>${escapeAttr(t("report.confidence"))}</th></tr></thead>
+          <tbody>${dimensionRows}</tbody>
+        </table>
+        ${coverageHtml}
+      </section>
+      ${targetsHtml}
+      ${growthHtml}
+      <section><h2>${escapeAttr(t("report.strengths"))}</h2>${signalList(generateStrengths(reportModel))}</section>
+      <section><h2>${escapeAttr(t("report.weaknesses"))}</h2>${signalList(generateWeaknesses(reportModel))}</section>
+      <section><h2>${escapeAttr(t("report.riskFlags"))}</h2>${risksHtml}</section>
+      <section><h2>${escapeAttr(t("report.nextSteps"))}</h2>${guidanceHtml}</section>
+      ${contextHtml}
+      ${evidenceHtml}
+    </main>
+  </body>
+</html>
+`;
+}
@@ -0,0 +1,260 @@
+import { snapshotScoringProfile } from "./scoringProfiles.js";
+import { flattenGuidance } from "./report.js";
+import { DEFAULT_LOCALE } from "./i18n.js";
+import { UNSCORED_ANSWERS } from "./scoring.js";
+import { readEvidence } from "./evidence.js";
+import { readTargets } from "./targets.js";
+import { readGrowthScenarios } from "./growth.js";
+import { readActionPlan } from "./actionPlan.js";
+
+/**
+ * Version of the downloaded JSON report format. v1 holds context answers only, v2 adds the
+ * structural answers, and v3 lets those answers be "Don't know" (`dk`) or "N/A" (`na`).
+ * Older payloads still import; tools that only read v2 reject v3 files instead of failing
+ * on the new answer values.
+ */
+export const REPORT_PAYLOAD_VERSION = 3;
+
+/**
+ * Checks whether a value is a plain object.
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Reads context answers, keeping only known question ids with a valid option score.
+ * @param {Record<string, unknown>} source
+ * @param {Array<{id: string, options: Array<{score: number}>}>} questions
+ * @returns {Record<string, number>}
+ */
+function readContextResponses(source, questions) {
+  /** @type {Record<string, number>} */
+  const out = {};
+  for (const q of questions) {
+    if (!Object.prototype.hasOwnProperty.call(source, q.id)) continue;
+    const value = Number(source[q.id]);
+    const allowed = q.options.map((opt) => Number(opt.score));
+    if (!allowed.includes(value)) {
+      throw new Error(`Context answer "${q.id}" has an unsupported value (${source[q.id]}).`);
+    }
+    out[q.id] = value;
+  }
+  return out;
+}
+
+/**
+ * Reads behavioral answers, keeping only known question ids with a 0-3 score or, from
+ * payload v3 on, a "Don't know" (`dk`) / "N/A" (`na`) answer.
+ * @param {Record<string, unknown>} source
+ * @param {Array<{id: string}>} questions
+ * @param {number} version
+ * @returns {Record<string, number | string>}
+ */
+function readBehavioralResponses(source, questions, version) {
+  /** @type {Record<string, number | string>} */
+  const out = {};
+  for (const q of questions) {
+    if (!Object.prototype.hasOwnProperty.call(source, q.id)) continue;
+    if (UNSCORED_ANSWERS.includes(/** @type {string} */ (source[q.id]))) {
+      if (version < 3) {
+        throw new Error(
+          `Answer "${q.id}" is "${source[q.id]}", which needs payload version 3 (got v${version}).`
+        );
+      }
+      out[q.id] = /** @type {string} */ (source[q.id]);
+      continue;
+    }
+    const value = Number(source[q.id]);
+    if (source[q.id] === "" || !Number.isInteger(value) || value < 0 || value > 3) {
+      throw new Error(
+        `Answer "${q.id}" must be a whole number from 0 to 3, "dk" or "na" (got ${source[q.id]}).`
+      );
+    }
+    out[q.id] = value;
+  }
+  return out;
+}
+
+/**
+ * Validates a downloaded JSON report and extracts the answers it carries.
+ * Reports written before payload versioning (v1) only hold context answers, v2 reports
+ * hold 0-3 structural answers only (`dk` and `na` are rejected below v3), and reports
+ * without `evidence`, `targets`, `growthScenarios` or `actionPlan` fields restore without
+ * them.
+ * @param {unknown} payload
+ * @param {{
+ *   operationalContext: { questions: Array<{id: string, options: Array<{score: number}>}> },
+ *   structuralMaturity: { behavioralQuestions: Array<{id: string}> }
+ * }} QUESTIONNAIRE
+ * @returns {{
+ *   version: number,
+ *   contextResponses: Record<string, number>,
+ *   responses: Record<string, number | string>,
+ *   evidence: import("./evidence.js").Evidence,
+ *   targets: import("./targets.js").Targets,
+ *   growthScenarios: import("./growth.js").GrowthScenario[],
+ *   actionPlan: import("./actionPlan.js").ActionItem[],
+ *   missingContext: number,
+ *   missingResponses: number
+ * }}
+ */
+export function parseReportPayload(payload, QUESTIONNAIRE) {
+  if (!isPlainObject(payload)) {
+    throw new Error("The file is not a diagnostic report.");
+  }
+
+  const version = payload.version === undefined ? 1 : Number(payload.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error("The report has an invalid payload version.");
+  }
+  if (version > REPORT_PAYLOAD_VERSION) {
+    throw new Error(
+      `The report was written by a newer version of this tool (payload v${version}).`
+    );
+  }
+
+  if (!isPlainObject(payload.contextResponses)) {
+    throw new Error("The report is missing its context answers.");
+  }
+  if (version >= 2 && !isPlainObject(payload.responses)) {
+    throw new Error("The report is missing its structural maturity answers.");
+  }
+
+  const contextQuestions = QUESTIONNAIRE.operationalContext.questions;
+  const behavioralQuestions = QUESTIONNAIRE.structuralMaturity.behavioralQuestions;
+  const contextResponses = readContextResponses(payload.contextResponses, contextQuestions);
+  const responses = isPlainObject(payload.responses)
+    ? readBehavioralResponses(payload.responses, behavioralQuestions, version)
+    : {};
+  const evidence = readEvidence(payload.evidence, QUESTIONNAIRE);
+  const targets = readTargets(payload.targets, QUESTIONNAIRE);
+  const growthScenarios = readGrowthScenarios(payload.growthScenarios, QUESTIONNAIRE);
+  const actionPlan = readActionPlan(payload.actionPlan);
+
+  if (!Object.keys(contextResponses).length && !Object.keys(responses).length) {
+    throw new Error("The report has no answers that match this questionnaire.");
+  }
+
+  return {
+    version,
+    contextResponses,
+    responses,
+    evidence,
+    targets,
+    growthScenarios,
+    actionPlan,
+    missingContext: contextQuestions.length - Object.keys(contextResponses).length,
+    missingResponses: behavioralQuestions.length - Object.keys(responses).length,
+  };
+}
+
+/**
+ * Copies dimension scores into a plain, JSON-safe shape.
+ * @param {{ dimensionScores?: Record<string, Partial<import("./scoring.js").DimensionScore>> }} reportModel
+ * @returns {Record<string, import("./scoring.js").DimensionScore>}
+ */
+export function serializeDimensionScores(reportModel) {
+  /** @type {Record<string, import("./scoring.js").DimensionScore>} */
+  const dimensionScores = {};
+  for (const [dimension, score] of Object.entries(reportModel.dimensionScores || {})) {
+    dimensionScores[dimension] = {
+      avg: Number(score.avg || 0),
+      score100: Number(score.score100 || 0),
+      answered: Number(score.answered || 0),
+      total: Number(score.total || 0),
+      dontKnow: Number(score.dontKnow || 0),
+      notApplicable: Number(score.notApplicable || 0),
+      coverage: Number(score.coverage ?? 1),
+      confidence: score.confidence ?? "high",
+    };
+  }
+  return dimensionScores;
+}
+
+/**
+ * Keeps the identifying fields of each risk flag for exports and snapshots.
+ * @param {{ risks?: { flags?: Array<{ id: string, label: string, severity: string, explanation: string, lowConfidence?: boolean }> } }} reportModel
+ * @returns {Array<{ id: string, label: string, severity: string, explanation: string, lowConfidence?: boolean }>}
+ */
+export function serializeRiskFlags(reportModel) {
+  return (reportModel.risks?.flags || []).map((flag) => ({
+    id: flag.id,
+    label: flag.label,
+    severity: flag.severity,
+    explanation: flag.explanation,
+    ...(flag.lowConfidence ? { lowConfidence: true } : {}),
+  }));
+}
+
+/**
+ * Builds the downloadable JSON report that `parseReportPayload` reads back. `locale`
+ * records the language the summary, labels and guidance texts were written in; `evidence`
+ * holds the optional notes and links per question, `targets` the planned target scores,
+ * `growthScenarios` the future context answers to project OPI for and `actionPlan` the
+ * tracked guidance actions.
+ * @param {{
+ *   reportModel: ReturnType<typeof import("./scoring.js").computeReportModel>,
+ *   guidance: import("./report.js").GuidancePlan,
+ *   QUESTIONNAIRE: { id?: string, version?: string },
+ *   contextResponses: Record<string, number>,
+ *   responses: Record<string, number | string>,
+ *   evidence?: import("./evidence.js").Evidence,
+ *   targets?: import("./targets.js").Targets,
+ *   growthScenarios?: import("./growth.js").GrowthScenario[],
+ *   actionPlan?: import("./actionPlan.js").ActionItem[],
+ *   timestamp?: string,
+ *   locale?: string
+ * }} input
+ * @returns {Record<string, unknown>}
+ */
+export function buildReportPayload({
+  reportModel,
+  guidance,
+  QUESTIONNAIRE,
+  contextResponses,
+  responses,
+  evidence = {},
+  targets = { dimensions: {} },
+  growthScenarios = [],
+  actionPlan = [],
+  timestamp = new Date().toISOString(),
+  locale = DEFAULT_LOCALE,
+}) {
+  return {
+    version: REPORT_PAYLOAD_VERSION,
+    timestamp,
+    locale,
+    questionnaire: {
+      id: QUESTIONNAIRE.id,
+      version: QUESTIONNAIRE.version,
+    },
+    scoringProfile: snapshotScoringProfile(reportModel.scoringProfile),
+    contextResponses: { ...contextResponses },
+    responses: { ...responses },
+    evidence: Object.fromEntries(
+      Object.entries(evidence).map(([id, entry]) => [
+        id,
+        { ...entry, ...(entry.links ? { links: [...entry.links] } : {}) },
+      ])
+    ),
+    targets: {
+      ...(targets.SSI !== undefined ? { SSI: targets.SSI } : {}),
+      dimensions: { ...targets.dimensions },
+    },
+    growthScenarios: growthScenarios.map((scenario) => ({
+      ...scenario,
+      contextResponses: { ...scenario.contextResponses },
+    })),
+    actionPlan: actionPlan.map((item) => ({ ...item })),
+    dimensionScores: serializeDimensionScores(reportModel),
+    SSI: Number(reportModel.SSI || 0),
+    OPI: Number(reportModel.operationalPressure?.OPI || 0),
+    adequacyGap: Number(reportModel.adequacyGap || 0),
+    riskFlags: serializeRiskFlags(reportModel),
+    guidanceTips: flattenGuidance(guidance),
+    guidancePlan: guidance,
+  };
+}
@@ -0,0 +1,55 @@
+/** Hash route name of each wizard step, by step number. */
+export const STEP_ROUTES = { 1: "context", 2: "structural", 3: "results" };
+
+/**
+ * @typedef {{ step: number, dimension: string | null }} Route
+ */
+
+/**
+ * Reads a wizard route from a location hash: `#/context`, `#/structural`,
+ * `#/structural/<dimension>` or `#/results`. Only the structural step takes a dimension.
+ * Hashes that are not routes (empty, share links, unknown names) return null.
+ * @param {string} hash
+ * @returns {Route | null}
+ */
+export function parseRoute(hash) {
+  const match = /^#?\/([^/?#]+)(?:\/([^/?#]+))?\/?$/.exec(hash || "");
+  if (!match) return null;
+
+  const entry = Object.entries(STEP_ROUTES).find(([, name]) => name === match[1].toLowerCase());
+  if (!entry) return null;
+
+  const step = Number(entry[0]);
+  let dimension = null;
+  if (match[2] && step === 2) {
+    try {
+      dimension = decodeURIComponent(match[2]).toLowerCase();
+    } catch {
+      dimension = null;
+    }
+  }
+  return { step, dimension };
+}
+
+/**
+ * Builds the location hash for a wizard step, optionally pointing at a dimension section
+ * of the structural step.
+ * @param {number} step
+ * @param {string | null} [dimension]
+ * @returns {string} Hash including the leading `#`.
+ */
+export function buildRouteHash(step, dimension = null) {
+  const name = STEP_ROUTES[step] || STEP_ROUTES[1];
+  return dimension && step === 2
+    ? `#/${name}/${encodeURIComponent(dimension.toLowerCase())}`
+    : `#/${name}`;
+}
+
+/**
+ * Element id of a dimension section in the structural step, the target of its route.
+ * @param {string} dimension
+ * @returns {string}
+ */
+export function dimensionAnchorId(dimension) {
+  return `dimension-${encodeURIComponent(dimension.toLowerCase())}`;
+}
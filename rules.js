@@ -0,0 +1,384 @@
+/**
+ * @typedef {{
+ *   fact: string,
+ *   op: "<" | "<=" | ">" | ">=" | "==" | "!=",
+ *   value: number | { fact: string }
+ * }} RuleCondition
+ *
+ * @typedef {{
+ *   id: string,
+ *   label: string,
+ *   severity: "low" | "medium" | "high",
+ *   explanation: string,
+ *   when: { all?: RuleCondition[], any?: RuleCondition[] },
+ *   forEachDimension?: boolean,
+ *   guidance?: string[],
+ *   disabled?: boolean
+ * }} RiskRule
+ *
+ * @typedef {{
+ *   id: string,
+ *   ruleId: string,
+ *   label: string,
+ *   severity: "low" | "medium" | "high",
+ *   explanation: string,
+ *   dimension?: string,
+ *   guidance: string[],
+ *   lowConfidence?: boolean
+ * }} RiskFlag
+ *
+ * @typedef {{
+ *   context: Record<string, number>,
+ *   dimensions: Record<string, {
+ *     avg: number,
+ *     score100: number,
+ *     gap: number,
+ *     answered: number,
+ *     coverage?: number,
+ *     confidence?: import("./scoring.js").Confidence
+ *   }>,
+ *   questions: Record<string, number>,
+ *   totals: { SSI?: number, OPI?: number, adequacyGap?: number },
+ *   profile: { dimensionRiskGap?: number, adequacyBand?: number },
+ *   dimensionLabels?: Record<string, string>
+ * }} RiskFacts
+ */
+
+export const RISK_SEVERITIES = ["low", "medium", "high"];
+
+const OPERATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+const CONTEXT_FACTS = [
+  "teamSize",
+  "productComplexity",
+  "aiUsage",
+  "releaseFrequency",
+  "toolingFragmentation",
+];
+const DIMENSION_METRICS = ["avg", "score100", "gap", "answered", "coverage"];
+const TOTAL_FACTS = ["SSI", "OPI", "adequacyGap"];
+const PROFILE_FACTS = ["dimensionRiskGap", "adequacyBand"];
+
+/**
+ * Default rules. The per-dimension gap rule reads its threshold from the scoring profile;
+ * the combination rules pair context pressure with a weak dimension.
+ * @type {RiskRule[]}
+ */
+export const DEFAULT_RISK_RULES = [
+  {
+    id: "dimension-gap",
+    label: "{dimension} risk (gap < {profile.dimensionRiskGap})",
+    severity: "medium",
+    explanation:
+      "{Dimension} maturity sits well below current operational pressure, so practices in this area are likely to break first as pace increases.",
+    forEachDimension: true,
+    when: {
+      all: [{ fact: "dimension.$.gap", op: "<", value: { fact: "profile.dimensionRiskGap" } }],
+    },
+    guidance: [],
+  },
+  {
+    id: "entropy",
+    label: "Entropy risk (AI velocity > governance)",
+    severity: "high",
+    explanation:
+      "AI is used regularly while governance behaviors are informal, so changes can enter the system faster than they are reviewed.",
+    when: {
+      all: [
+        { fact: "context.aiUsage", op: ">=", value: 3 },
+        { fact: "dimension.governance.avg", op: "<", value: 2 },
+      ],
+    },
+    guidance: [
+      "Add a contribution RFC template + review gate so AI-assisted changes are triaged with clear owners and decision criteria.",
+      "Create a weekly governance check-in that reviews incoming system changes, exceptions, and follow-up actions.",
+    ],
+  },
+  {
+    id: "drift",
+    label: "Drift risk (scale > release discipline)",
+    severity: "high",
+    explanation:
+      "A larger team consumes the system while releases are not yet disciplined, so product surfaces tend to drift apart between versions.",
+    when: {
+      all: [
+        { fact: "context.teamSize", op: ">=", value: 3 },
+        { fact: "dimension.distribution.avg", op: "<", value: 2 },
+      ],
+    },
+    guidance: [
+      "Publish system releases on a fixed cadence with release notes and a lightweight migration checklist for consuming teams.",
+      "Track package adoption and breakages after each release so distribution issues are visible within one sprint.",
+    ],
+  },
+];
+
+/**
+ * Checks that a fact path follows the supported grammar.
+ * @param {unknown} fact
+ * @param {boolean} allowDimensionWildcard
+ * @returns {boolean}
+ */
+function isValidFactPath(fact, allowDimensionWildcard) {
+  if (typeof fact !== "string" || !fact) return false;
+  const parts = fact.split(".");
+  switch (parts[0]) {
+    case "context":
+      return parts.length === 2 && CONTEXT_FACTS.includes(parts[1]);
+    case "dimension":
+      return (
+        parts.length === 3 &&
+        Boolean(parts[1]) &&
+        (parts[1] !== "$" || allowDimensionWildcard) &&
+        DIMENSION_METRICS.includes(parts[2])
+      );
+    case "question":
+      return parts.length === 2 && Boolean(parts[1]);
+    case "profile":
+      return parts.length === 2 && PROFILE_FACTS.includes(parts[1]);
+    default:
+      return parts.length === 1 && TOTAL_FACTS.includes(parts[0]);
+  }
+}
+
+/**
+ * Validates rule definitions so custom rules fail with a clear message instead of silently
+ * never firing.
+ * @param {unknown} rules
+ * @param {string} [path]
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateRiskRules(rules, path = "riskRules") {
+  /** @type {string[]} */
+  const errors = [];
+  if (!Array.isArray(rules)) {
+    return { valid: false, errors: [`${path} must be an array.`] };
+  }
+
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const rulePath = `${path}[${index}]`;
+    if (!rule || typeof rule !== "object") {
+      errors.push(`${rulePath} must be an object.`);
+      return;
+    }
+    if (typeof rule.id !== "string" || !rule.id.trim()) {
+      errors.push(`${rulePath}.id must be a non-empty string.`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${rulePath}.id "${rule.id}" is used more than once.`);
+    } else {
+      ids.add(rule.id);
+    }
+    // A disabled rule only needs its id: it switches off the built-in rule with that id.
+    if (rule.disabled === true) return;
+
+    if (typeof rule.label !== "string" || !rule.label.trim()) {
+      errors.push(`${rulePath}.label must be a non-empty string.`);
+    }
+    if (!RISK_SEVERITIES.includes(rule.severity)) {
+      errors.push(`${rulePath}.severity must be one of ${RISK_SEVERITIES.join(", ")}.`);
+    }
+    if (rule.explanation !== undefined && typeof rule.explanation !== "string") {
+      errors.push(`${rulePath}.explanation must be a string when present.`);
+    }
+    if (
+      rule.guidance !== undefined &&
+      (!Array.isArray(rule.guidance) || rule.guidance.some((tip) => typeof tip !== "string"))
+    ) {
+      errors.push(`${rulePath}.guidance must be an array of strings when present.`);
+    }
+
+    const conditions = [...(rule.when?.all || []), ...(rule.when?.any || [])];
+    if (!rule.when || typeof rule.when !== "object" || !conditions.length) {
+      errors.push(`${rulePath}.when must list at least one condition under "all" or "any".`);
+      return;
+    }
+    conditions.forEach((condition, conditionIndex) => {
+      const conditionPath = `${rulePath}.when condition ${conditionIndex + 1}`;
+      if (!isValidFactPath(condition?.fact, rule.forEachDimension === true)) {
+        errors.push(`${conditionPath} has an unsupported fact "${condition?.fact}".`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(OPERATORS, condition?.op)) {
+        errors.push(`${conditionPath} has an unsupported operator "${condition?.op}".`);
+      }
+      const value = condition?.value;
+      const validValue =
+        typeof value === "number"
+          ? Number.isFinite(value)
+          : isValidFactPath(value?.fact, rule.forEachDimension === true);
+      if (!validValue) {
+        errors.push(`${conditionPath} value must be a number or { "fact": "<path>" }.`);
+      }
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Combines default rules with custom ones. A custom rule replaces the default with the
+ * same id; `disabled: true` removes it.
+ * @param {RiskRule[]} [customRules]
+ * @returns {RiskRule[]}
+ */
+export function resolveRiskRules(customRules = []) {
+  /** @type {Map<string, RiskRule>} */
+  const byId = new Map(DEFAULT_RISK_RULES.map((rule) => [rule.id, rule]));
+  for (const rule of customRules || []) {
+    byId.set(rule.id, rule);
+  }
+  return [...byId.values()].filter((rule) => !rule.disabled);
+}
+
+/**
+ * Reads a fact value, returning undefined when the fact does not exist for this report.
+ * @param {RiskFacts} facts
+ * @param {string} path
+ * @param {string} [dimension]
+ * @returns {number | undefined}
+ */
+function readFact(facts, path, dimension) {
+  const parts = path.split(".");
+  let value;
+  switch (parts[0]) {
+    case "context":
+      value = facts.context?.[parts[1]];
+      break;
+    case "dimension": {
+      const key = parts[1] === "$" ? dimension : parts[1].toLowerCase();
+      value = key ? facts.dimensions?.[key]?.[parts[2]] : undefined;
+      break;
+    }
+    case "question":
+      value = facts.questions?.[parts[1]];
+      break;
+    case "profile":
+      value = facts.profile?.[parts[1]];
+      break;
+    default:
+      value = facts.totals?.[parts[0]];
+  }
+  return typeof value === "number" && Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Evaluates one condition; missing facts never match.
+ * @param {RuleCondition} condition
+ * @param {RiskFacts} facts
+ * @param {string} [dimension]
+ * @returns {boolean}
+ */
+function matchesCondition(condition, facts, dimension) {
+  const left = readFact(facts, condition.fact, dimension);
+  const right =
+    typeof condition.value === "number"
+      ? condition.value
+      : readFact(facts, condition.value.fact, dimension);
+  if (left === undefined || right === undefined) return false;
+  return OPERATORS[condition.op](left, right);
+}
+
+/**
+ * Lists the dimensions a rule's conditions read, resolving `$` to the current dimension.
+ * @param {RiskRule} rule
+ * @param {string} [dimension]
+ * @returns {string[]}
+ */
+function referencedDimensions(rule, dimension) {
+  const keys = new Set();
+  for (const condition of [...(rule.when.all || []), ...(rule.when.any || [])]) {
+    for (const path of [condition.fact, condition.value?.fact]) {
+      const parts = typeof path === "string" ? path.split(".") : [];
+      if (parts[0] !== "dimension") continue;
+      const key = parts[1] === "$" ? dimension : parts[1].toLowerCase();
+      if (key) keys.add(key);
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Fills `{dimension}`, `{Dimension}` and `{<fact path>}` placeholders. `{Dimension}` uses the
+ * localized dimension label when the facts carry one.
+ * @param {string} template
+ * @param {RiskFacts} facts
+ * @param {string} [dimension]
+ * @returns {string}
+ */
+function fillTemplate(template, facts, dimension) {
+  return String(template || "").replace(/\{([^}]+)\}/g, (match, token) => {
+    if (token === "dimension") return dimension || "";
+    if (token === "Dimension") {
+      if (!dimension) return "";
+      return facts.dimensionLabels?.[dimension] || dimension.charAt(0).toUpperCase() + dimension.slice(1);
+    }
+    const value = readFact(facts, token, dimension);
+    return value === undefined ? match : String(value);
+  });
+}
+
+/**
+ * Evaluates rules against report facts and returns structured flags, highest severity first.
+ * A flag is `lowConfidence` when a dimension its rule reads has a low-confidence score.
+ * @param {RiskRule[]} rules
+ * @param {RiskFacts} facts
+ * @returns {RiskFlag[]}
+ */
+export function evaluateRiskRules(rules, facts) {
+  /** @type {RiskFlag[]} */
+  const flags = [];
+
+  const fire = (rule, dimension) => {
+    const all = rule.when.all || [];
+    const any = rule.when.any || [];
+    const matched =
+      all.every((condition) => matchesCondition(condition, facts, dimension)) &&
+      (!any.length || any.some((condition) => matchesCondition(condition, facts, dimension)));
+    if (!matched) return;
+
+    const lowConfidence = referencedDimensions(rule, dimension).some(
+      (key) => facts.dimensions?.[key]?.confidence === "low"
+    );
+    flags.push({
+      id: dimension ? `${rule.id}:${dimension}` : rule.id,
+      ruleId: rule.id,
+      label: fillTemplate(rule.label, facts, dimension),
+      severity: rule.severity,
+      explanation: fillTemplate(rule.explanation, facts, dimension),
+      ...(dimension ? { dimension } : {}),
+      guidance: [...(rule.guidance || [])],
+      ...(lowConfidence ? { lowConfidence } : {}),
+    });
+  };
+
+  for (const rule of rules || []) {
+    if (rule.disabled) continue;
+    if (rule.forEachDimension) {
+      for (const dimension of Object.keys(facts.dimensions || {})) {
+        fire(rule, dimension);
+      }
+    } else {
+      fire(rule, undefined);
+    }
+  }
+
+  const rank = (severity) => RISK_SEVERITIES.indexOf(severity);
+  // Array.prototype.sort is stable, so rule order is kept within a severity.
+  return flags.sort((a, b) => rank(b.severity) - rank(a.severity));
+}
+
+/**
+ * Returns the display label of a flag, accepting the plain strings older snapshots stored.
+ * @param {RiskFlag | string} flag
+ * @returns {string}
+ */
+export function riskFlagLabel(flag) {
+  return typeof flag === "string" ? flag : String(flag?.label || "");
+}
@@ -1,4 +1,6 @@
-const OPERATIONAL_WEIGHTS = {
+import { DEFAULT_RISK_RULES, evaluateRiskRules, resolveRiskRules } from "./rules.js";
+
+export const OPERATIONAL_WEIGHTS = {
   teamSize: 0.25,
   productComplexity: 0.25,
   aiUsage: 0.2,
@@ -6,6 +8,61 @@ const OPERATIONAL_WEIGHTS = {
   toolingFragmentation: 0.15,
 };
 
+/** Half-width of the Adequacy Gap band treated as "Balanced". */
+export const ADEQUACY_BAND = 10;
+
+/** Dimension gap below which a dimension is flagged as a risk. */
+export const DIMENSION_RISK_GAP = -15;
+
+/** Behavioral answer for "Don't know": the question applies, but nobody could score it. */
+export const DONT_KNOW = "dk";
+
+/** Behavioral answer for "Not applicable": the question does not apply to this team. */
+export const NOT_APPLICABLE = "na";
+
+/** Behavioral answers that are recorded but left out of every average. */
+export const UNSCORED_ANSWERS = [DONT_KNOW, NOT_APPLICABLE];
+
+/** Share of applicable questions below which a dimension score is low-confidence. */
+export const LOW_CONFIDENCE_COVERAGE = 0.5;
+
+/** Share of applicable questions from which a dimension score is high-confidence. */
+export const HIGH_CONFIDENCE_COVERAGE = 0.8;
+
+/**
+ * @typedef {"high" | "medium" | "low" | "none"} Confidence
+ *
+ * @typedef {{
+ *   avg: number,
+ *   score100: number,
+ *   answered: number,
+ *   total: number,
+ *   dontKnow: number,
+ *   notApplicable: number,
+ *   coverage: number,
+ *   confidence: Confidence
+ * }} DimensionScore
+ */
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   label: string,
+ *   weights: Record<string, number>,
+ *   dimensionRiskGap: number,
+ *   adequacyBand: number
+ * }} ScoringProfile
+ */
+
+/** @type {ScoringProfile} */
+export const DEFAULT_SCORING_PROFILE = {
+  id: "default",
+  label: "Default",
+  weights: { ...OPERATIONAL_WEIGHTS },
+  dimensionRiskGap: DIMENSION_RISK_GAP,
+  adequacyBand: ADEQUACY_BAND,
+};
+
 const CONTEXT_KEY_ALIASES = {
   teamSize: ["teamSize", "oc_team_size"],
   productComplexity: ["productComplexity", "oc_product_complexity"],
@@ -14,6 +71,11 @@ const CONTEXT_KEY_ALIASES = {
   toolingFragmentation: ["toolingFragmentation", "oc_tooling_fragmentation"],
 };
 
+/** Context question ids that feed the OPI factors. */
+export const CONTEXT_QUESTION_IDS = Object.values(CONTEXT_KEY_ALIASES).map(
+  (aliases) => aliases[aliases.length - 1]
+);
+
 /**
  * Coerces a value to a number and clamps to a range.
  * @param {unknown} value
@@ -63,37 +125,74 @@ function resolveContextValue(contextResponses, aliases) {
 }
 
 /**
- * Builds dimension maturity scores from behavioral responses.
- * @param {Record<string, number>} responses
+ * Checks whether a behavioral answer is a 0-3 score rather than "Don't know" or "N/A".
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isScoredAnswer(value) {
+  if (value === null || value === undefined || value === "") return false;
+  return !UNSCORED_ANSWERS.includes(/** @type {string} */ (value)) && Number.isFinite(Number(value));
+}
+
+/**
+ * Rates how far a dimension score can be trusted from the share of applicable questions
+ * that were actually scored. A dimension with no scored answers has no score at all.
+ * @param {number} answered
+ * @param {number} coverage
+ * @returns {Confidence}
+ */
+export function getCoverageConfidence(answered, coverage) {
+  if (!answered) return "none";
+  if (coverage < LOW_CONFIDENCE_COVERAGE) return "low";
+  if (coverage < HIGH_CONFIDENCE_COVERAGE) return "medium";
+  return "high";
+}
+
+/**
+ * Builds dimension maturity scores from behavioral responses. "Don't know" and "N/A"
+ * answers stay out of the average; coverage is the share of applicable questions (all
+ * but N/A) that were scored, so "Don't know" and unanswered questions lower it.
+ * @param {Record<string, number | string>} responses
  * @param {{ structuralMaturity?: { behavioralQuestions?: Array<{id: string, dimension: string}> } }} QUESTIONNAIRE
- * @returns {Record<string, {avg: number, score100: number, answered: number, total: number}>}
+ * @returns {Record<string, DimensionScore>}
  */
 export function computeDimensionScores(responses, QUESTIONNAIRE) {
   const questions = QUESTIONNAIRE?.structuralMaturity?.behavioralQuestions ?? [];
-  /** @type {Record<string, {sum: number, count: number, total: number}>} */
+  /** @type {Record<string, {sum: number, count: number, total: number, dontKnow: number, notApplicable: number}>} */
   const accum = {};
 
   for (const q of questions) {
     const key = String(q.dimension || "").toLowerCase();
-    if (!accum[key]) accum[key] = { sum: 0, count: 0, total: 0 };
+    if (!accum[key]) accum[key] = { sum: 0, count: 0, total: 0, dontKnow: 0, notApplicable: 0 };
     accum[key].total += 1;
 
-    if (Object.prototype.hasOwnProperty.call(responses, q.id)) {
-      const value = toClampedNumber(responses[q.id], 0, 3);
-      accum[key].sum += value;
+    if (!Object.prototype.hasOwnProperty.call(responses, q.id)) continue;
+    const answer = responses[q.id];
+    if (answer === DONT_KNOW) {
+      accum[key].dontKnow += 1;
+    } else if (answer === NOT_APPLICABLE) {
+      accum[key].notApplicable += 1;
+    } else {
+      accum[key].sum += toClampedNumber(answer, 0, 3);
       accum[key].count += 1;
     }
   }
 
-  /** @type {Record<string, {avg: number, score100: number, answered: number, total: number}>} */
+  /** @type {Record<string, DimensionScore>} */
   const out = {};
   for (const [dimension, stats] of Object.entries(accum)) {
     const avg = stats.count > 0 ? stats.sum / stats.count : 0;
+    const applicable = stats.total - stats.notApplicable;
+    const coverage = applicable > 0 ? stats.count / applicable : 0;
     out[dimension] = {
       avg,
       score100: normalize0to3To100(avg),
       answered: stats.count,
       total: stats.total,
+      dontKnow: stats.dontKnow,
+      notApplicable: stats.notApplicable,
+      coverage,
+      confidence: getCoverageConfidence(stats.count, coverage),
     };
   }
 
@@ -103,17 +202,18 @@ export function computeDimensionScores(responses, QUESTIONNAIRE) {
 /**
  * Computes Operational Pressure Index (OPI) from context responses.
  * @param {Record<string, number>} contextResponses
+ * @param {Record<string, number>} [weights] Factor weights summing to 1.
  * @returns {{
  *   OPI: number,
  *   breakdown: Record<string, {raw: number, score100: number, weight: number, contribution: number}>
  * }}
  */
-export function computeOperationalPressure(contextResponses) {
+export function computeOperationalPressure(contextResponses, weights = OPERATIONAL_WEIGHTS) {
   /** @type {Record<string, {raw: number, score100: number, weight: number, contribution: number}>} */
   const breakdown = {};
   let OPI = 0;
 
-  for (const [factor, weight] of Object.entries(OPERATIONAL_WEIGHTS)) {
+  for (const [factor, weight] of Object.entries(weights)) {
     const raw = resolveContextValue(contextResponses, CONTEXT_KEY_ALIASES[factor]);
     const score100 = normalize1to4To100(raw);
     const contribution = score100 * weight;
@@ -126,12 +226,13 @@ export function computeOperationalPressure(contextResponses) {
 }
 
 /**
- * Computes Structural Strength Index as average score across dimensions.
- * @param {Record<string, {score100: number}>} dimensionScores
+ * Computes Structural Strength Index as average score across dimensions. Dimensions
+ * without a single scored answer have no score and are left out.
+ * @param {Record<string, {score100: number, confidence?: Confidence}>} dimensionScores
  * @returns {number}
  */
 export function computeSSI(dimensionScores) {
-  const values = Object.values(dimensionScores || {});
+  const values = Object.values(dimensionScores || {}).filter((d) => d.confidence !== "none");
   if (!values.length) return 0;
   const total = values.reduce((sum, d) => sum + Number(d.score100 || 0), 0);
   return total / values.length;
@@ -163,41 +264,87 @@ export function computeDimensionGaps(dimensionScores, OPI) {
 }
 
 /**
- * Classifies risk signals from gaps and scale context.
+ * Maps an adequacy gap to a status label using a ±band treated as balanced.
+ * @param {number} gap
+ * @param {number} [band]
+ * @returns {{ label: "Underbuilt" | "Balanced" | "Overbuilt", className: string }}
+ */
+export function getAdequacyStatus(gap, band = ADEQUACY_BAND) {
+  if (gap < -band) {
+    return { label: "Underbuilt", className: "underbuilt" };
+  }
+  if (gap > band) {
+    return { label: "Overbuilt", className: "overbuilt" };
+  }
+  return { label: "Balanced", className: "balanced" };
+}
+
+/**
+ * Classifies risk signals by evaluating declarative risk rules against the report facts.
+ * Dimensions without scored answers are left out of the facts, so rules that read them
+ * do not fire; flags resting on a low-confidence dimension are marked `lowConfidence`.
  * @param {{
  *   dimensionGaps: Record<string, number>,
- *   context: { aiUsage?: number, teamSize?: number, governanceAvg?: number, distributionAvg?: number }
+ *   dimensionScores?: Record<string, Partial<DimensionScore>>,
+ *   context: Record<string, number>,
+ *   responses?: Record<string, number | string>,
+ *   totals?: { SSI?: number, OPI?: number, adequacyGap?: number },
+ *   riskGap?: number,
+ *   adequacyBand?: number,
+ *   rules?: import("./rules.js").RiskRule[],
+ *   dimensionLabels?: Record<string, string>
  * }} input
  * @returns {{
  *   byDimension: Record<string, {gap: number, risk: boolean}>,
- *   flags: string[],
+ *   flags: import("./rules.js").RiskFlag[],
  *   hasRisk: boolean
  * }}
  */
-export function classifyRisks({ dimensionGaps, context }) {
+export function classifyRisks({
+  dimensionGaps,
+  dimensionScores = {},
+  context,
+  responses = {},
+  totals = {},
+  riskGap = DIMENSION_RISK_GAP,
+  adequacyBand = ADEQUACY_BAND,
+  rules = DEFAULT_RISK_RULES,
+  dimensionLabels = {},
+}) {
   /** @type {Record<string, {gap: number, risk: boolean}>} */
   const byDimension = {};
-  const flags = [];
+  /** @type {import("./rules.js").RiskFacts["dimensions"]} */
+  const dimensions = {};
 
   for (const [dimension, gap] of Object.entries(dimensionGaps || {})) {
-    const isRisk = gap < -15;
-    byDimension[dimension] = { gap, risk: isRisk };
-    if (isRisk) {
-      flags.push(`${dimension} risk (gap < -15)`);
-    }
+    const score = dimensionScores[dimension];
+    const confidence = score?.confidence ?? "high";
+    byDimension[dimension] = { gap, risk: confidence !== "none" && gap < riskGap };
+    if (confidence === "none") continue;
+    dimensions[dimension] = {
+      avg: Number(score?.avg || 0),
+      score100: Number(score?.score100 || 0),
+      answered: Number(score?.answered || 0),
+      coverage: Number(score?.coverage ?? 1),
+      gap,
+      confidence,
+    };
   }
 
-  const aiUsage = Number(context?.aiUsage || 0);
-  const governanceAvg = Number(context?.governanceAvg || 0);
-  if (aiUsage >= 3 && governanceAvg < 2) {
-    flags.push("Entropy risk (AI velocity > governance)");
+  /** @type {Record<string, number>} */
+  const questions = {};
+  for (const [id, value] of Object.entries(responses || {})) {
+    if (isScoredAnswer(value)) questions[id] = Number(value);
   }
 
-  const teamSize = Number(context?.teamSize || 0);
-  const distributionAvg = Number(context?.distributionAvg || 0);
-  if (teamSize >= 3 && distributionAvg < 2) {
-    flags.push("Drift risk (scale > release discipline)");
-  }
+  const flags = evaluateRiskRules(rules, {
+    context: { ...(context || {}) },
+    dimensions,
+    questions,
+    totals,
+    profile: { dimensionRiskGap: riskGap, adequacyBand },
+    dimensionLabels,
+  });
 
   return {
     byDimension,
@@ -209,65 +356,68 @@ export function classifyRisks({ dimensionGaps, context }) {
 /**
  * Computes a full report model for UI rendering.
  * @param {{
- *   responses: Record<string, number>,
+ *   responses: Record<string, number | string>,
  *   contextResponses: Record<string, number>,
  *   QUESTIONNAIRE: {
  *     operationalContext?: { questions?: Array<{id: string}> },
- *     structuralMaturity?: { dimensions?: string[] }
- *   }
+ *     structuralMaturity?: { dimensions?: string[] },
+ *     riskRules?: import("./rules.js").RiskRule[],
+ *     dimensionLabels?: Record<string, string>
+ *   },
+ *   profile?: ScoringProfile
  * }} input
  * @returns {{
+ *   scoringProfile: ScoringProfile,
  *   context: { raw: Record<string, number>, normalized100: Record<string, number> },
  *   operationalPressure: { OPI: number, breakdown: Record<string, {raw: number, score100: number, weight: number, contribution: number}> },
- *   dimensionScores: Record<string, {avg: number, score100: number, answered: number, total: number}>,
+ *   dimensionScores: Record<string, DimensionScore>,
  *   SSI: number,
  *   adequacyGap: number,
  *   dimensionGaps: Record<string, number>,
- *   risks: { byDimension: Record<string, {gap: number, risk: boolean}>, flags: string[], hasRisk: boolean }
+ *   dimensionLabels: Record<string, string>,
+ *   risks: ReturnType<typeof classifyRisks>
  * }}
  */
-export function computeReportModel({ responses, contextResponses, QUESTIONNAIRE }) {
+export function computeReportModel({
+  responses,
+  contextResponses,
+  QUESTIONNAIRE,
+  profile = DEFAULT_SCORING_PROFILE,
+}) {
   const dimensionScores = computeDimensionScores(responses, QUESTIONNAIRE);
-  const operationalPressure = computeOperationalPressure(contextResponses);
+  const operationalPressure = computeOperationalPressure(contextResponses, profile.weights);
   const SSI = computeSSI(dimensionScores);
   const adequacyGap = computeAdequacyGap(SSI, operationalPressure.OPI);
   const dimensionGaps = computeDimensionGaps(dimensionScores, operationalPressure.OPI);
 
-  const teamSize = resolveContextValue(contextResponses, CONTEXT_KEY_ALIASES.teamSize);
-  const aiUsage = resolveContextValue(contextResponses, CONTEXT_KEY_ALIASES.aiUsage);
-  const governanceAvg = Number(dimensionScores.governance?.avg || 0);
-  const distributionAvg = Number(dimensionScores.distribution?.avg || 0);
+  /** @type {Record<string, number>} */
+  const contextFacts = {};
+  for (const [factor, aliases] of Object.entries(CONTEXT_KEY_ALIASES)) {
+    contextFacts[factor] = resolveContextValue(contextResponses, aliases);
+  }
 
   const risks = classifyRisks({
     dimensionGaps,
-    context: { teamSize, aiUsage, governanceAvg, distributionAvg },
+    dimensionScores,
+    context: contextFacts,
+    responses,
+    totals: { SSI, OPI: operationalPressure.OPI, adequacyGap },
+    riskGap: profile.dimensionRiskGap,
+    adequacyBand: profile.adequacyBand,
+    rules: resolveRiskRules(QUESTIONNAIRE?.riskRules),
+    dimensionLabels: { ...(QUESTIONNAIRE?.dimensionLabels || {}) },
   });
 
   /** @type {Record<string, number>} */
   const normalized100 = {};
-  for (const [factor, aliases] of Object.entries(CONTEXT_KEY_ALIASES)) {
-    const raw = resolveContextValue(contextResponses, aliases);
+  for (const [factor, raw] of Object.entries(contextFacts)) {
     normalized100[factor] = normalize1to4To100(raw);
   }
 
   return {
+    scoringProfile: profile,
     context: {
-      raw: {
-        teamSize,
-        productComplexity: resolveContextValue(
-          contextResponses,
-          CONTEXT_KEY_ALIASES.productComplexity
-        ),
-        aiUsage,
-        releaseFrequency: resolveContextValue(
-          contextResponses,
-          CONTEXT_KEY_ALIASES.releaseFrequency
-        ),
-        toolingFragmentation: resolveContextValue(
-          contextResponses,
-          CONTEXT_KEY_ALIASES.toolingFragmentation
-        ),
-      },
+      raw: { ...contextFacts },
       normalized100,
     },
     operationalPressure,
@@ -275,6 +425,7 @@ export function computeReportModel({ responses, contextResponses, QUESTIONNAIRE
     SSI,
     adequacyGap,
     dimensionGaps,
+    dimensionLabels: { ...(QUESTIONNAIRE?.dimensionLabels || {}) },
     risks,
   };
 }
@@ -284,7 +435,8 @@ export function computeReportModel({ responses, contextResponses, QUESTIONNAIRE
  * @param {{
  *   responses: Record<string, number>,
  *   contextResponses: Record<string, number>,
- *   QUESTIONNAIRE: object
+ *   QUESTIONNAIRE: object,
+ *   profile?: ScoringProfile
  * }} input
  * @returns {ReturnType<typeof computeReportModel>}
  */
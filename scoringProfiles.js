@@ -0,0 +1,104 @@
+import { DEFAULT_SCORING_PROFILE, OPERATIONAL_WEIGHTS } from "./scoring.js";
+
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+/**
+ * Built-in scoring profiles. Custom profiles use the same shape.
+ * @type {Array<import("./scoring.js").ScoringProfile>}
+ */
+export const BUILT_IN_SCORING_PROFILES = [
+  DEFAULT_SCORING_PROFILE,
+  {
+    id: "regulated-enterprise",
+    label: "Regulated enterprise",
+    weights: {
+      teamSize: 0.2,
+      productComplexity: 0.3,
+      aiUsage: 0.15,
+      releaseFrequency: 0.15,
+      toolingFragmentation: 0.2,
+    },
+    dimensionRiskGap: -10,
+    adequacyBand: 8,
+  },
+  {
+    id: "startup",
+    label: "Startup",
+    weights: {
+      teamSize: 0.15,
+      productComplexity: 0.2,
+      aiUsage: 0.25,
+      releaseFrequency: 0.3,
+      toolingFragmentation: 0.1,
+    },
+    dimensionRiskGap: -20,
+    adequacyBand: 15,
+  },
+];
+
+/**
+ * Checks a scoring profile: every OPI factor weighted between 0 and 1, weights summing
+ * to 1, a non-positive dimension risk gap and a positive adequacy band.
+ * @param {unknown} profile
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateScoringProfile(profile) {
+  /** @type {string[]} */
+  const errors = [];
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    return { valid: false, errors: ["The profile must be an object."] };
+  }
+  const p = /** @type {Record<string, any>} */ (profile);
+
+  if (typeof p.id !== "string" || !p.id.trim()) errors.push("id must be a non-empty string.");
+  if (typeof p.label !== "string" || !p.label.trim()) {
+    errors.push("label must be a non-empty string.");
+  }
+
+  const weights = p.weights && typeof p.weights === "object" ? p.weights : null;
+  if (!weights) {
+    errors.push("weights must be an object keyed by OPI factor.");
+  } else {
+    const factors = Object.keys(OPERATIONAL_WEIGHTS);
+    for (const factor of factors) {
+      const weight = Number(weights[factor]);
+      if (weights[factor] === undefined || !Number.isFinite(weight) || weight < 0 || weight > 1) {
+        errors.push(`weights.${factor} must be a number from 0 to 1.`);
+      }
+    }
+    for (const key of Object.keys(weights)) {
+      if (!factors.includes(key)) errors.push(`weights.${key} is not an OPI factor.`);
+    }
+    const sum = factors.reduce((total, factor) => total + (Number(weights[factor]) || 0), 0);
+    if (Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+      errors.push(`weights must sum to 1 (currently ${sum.toFixed(3)}).`);
+    }
+  }
+
+  const riskGap = Number(p.dimensionRiskGap);
+  if (!Number.isFinite(riskGap) || riskGap > 0 || riskGap < -100) {
+    errors.push("dimensionRiskGap must be a number from -100 to 0.");
+  }
+
+  const band = Number(p.adequacyBand);
+  if (!Number.isFinite(band) || band <= 0 || band > 50) {
+    errors.push("adequacyBand must be a number greater than 0 and at most 50.");
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Copies the fields that make a report comparable, for exports and saved snapshots.
+ * @param {import("./scoring.js").ScoringProfile} profile
+ * @returns {import("./scoring.js").ScoringProfile}
+ */
+export function snapshotScoringProfile(profile) {
+  return {
+    id: profile.id,
+    label: profile.label,
+    weights: { ...profile.weights },
+    dimensionRiskGap: Number(profile.dimensionRiskGap),
+    adequacyBand: Number(profile.adequacyBand),
+  };
+}
@@ -0,0 +1,174 @@
+import { parseReportPayload, REPORT_PAYLOAD_VERSION } from "./reportImport.js";
+import { DONT_KNOW, NOT_APPLICABLE } from "./scoring.js";
+import { DEFAULT_LOCALE, translate } from "./i18n.js";
+
+/** Bumped when the answer encoding changes; older links stay readable. */
+export const SHARE_LINK_VERSION = 1;
+
+/** Placeholder for an unanswered question in the encoded answer string. */
+const UNANSWERED = "-";
+
+/** Characters for "Don't know" and "N/A" answers in the encoded answer string. */
+const UNSCORED_CHARS = { [DONT_KNOW]: "x", [NOT_APPLICABLE]: "n" };
+
+/** Hash parameters owned by share links. */
+const SHARE_PARAMS = ["share", "q", "qv", "a"];
+
+/**
+ * @typedef {{ contextResponses: Record<string, number>, responses: Record<string, number> }} SharedAnswers
+ */
+
+/**
+ * Rejection of a share link. `key` and `params` name a `share.error.*` message so the page
+ * can show it in the active language; `message` holds the English text.
+ */
+export class ShareLinkError extends Error {
+  /**
+   * @param {string} key
+   * @param {Record<string, string | number>} [params]
+   * @param {unknown} [cause]
+   */
+  constructor(key, params = {}, cause) {
+    super(translate(DEFAULT_LOCALE, key, params), cause === undefined ? undefined : { cause });
+    this.name = "ShareLinkError";
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/**
+ * Lists question ids in questionnaire order: context questions, then behavioral ones.
+ * @param {any} QUESTIONNAIRE
+ * @returns {string[]}
+ */
+function orderedQuestionIds(QUESTIONNAIRE) {
+  return [
+    ...QUESTIONNAIRE.operationalContext.questions.map((q) => q.id),
+    ...QUESTIONNAIRE.structuralMaturity.behavioralQuestions.map((q) => q.id),
+  ];
+}
+
+/**
+ * Encodes answers as URL hash parameters. Answers become one character per question in
+ * questionnaire order (a digit, `x` for "Don't know", `n` for "N/A", `-` when unanswered),
+ * so a full assessment fits in ~35 characters.
+ * @param {SharedAnswers} answers
+ * @param {any} QUESTIONNAIRE
+ * @returns {string} Hash content without the leading `#`.
+ */
+export function encodeShareHash({ contextResponses, responses }, QUESTIONNAIRE) {
+  const contextIds = new Set(QUESTIONNAIRE.operationalContext.questions.map((q) => q.id));
+  const digits = orderedQuestionIds(QUESTIONNAIRE)
+    .map((id) => {
+      const source = contextIds.has(id) ? contextResponses : responses;
+      if (!Object.prototype.hasOwnProperty.call(source, id)) return UNANSWERED;
+      return UNSCORED_CHARS[source[id]] ?? String(source[id]);
+    })
+    .join("");
+
+  const params = new URLSearchParams({
+    share: String(SHARE_LINK_VERSION),
+    q: QUESTIONNAIRE.id,
+    qv: String(QUESTIONNAIRE.version),
+    a: digits,
+  });
+  return params.toString();
+}
+
+/**
+ * Checks whether a location hash carries a share link.
+ * @param {string} hash
+ * @returns {boolean}
+ */
+export function hasShareHash(hash) {
+  return new URLSearchParams(hash.replace(/^#/, "")).has("share");
+}
+
+/**
+ * Removes share link parameters from a hash, keeping anything else it holds.
+ * @param {string} hash
+ * @returns {string} Hash content without the leading `#`.
+ */
+export function stripShareHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  for (const name of SHARE_PARAMS) params.delete(name);
+  return params.toString();
+}
+
+/**
+ * Decodes and validates a share link against the active questionnaire id and version.
+ * @param {string} hash
+ * @param {any} QUESTIONNAIRE
+ * @returns {SharedAnswers}
+ * @throws {ShareLinkError} When the link cannot be applied to the active questionnaire.
+ */
+export function decodeShareHash(hash, QUESTIONNAIRE) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const version = Number(params.get("share"));
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ShareLinkError("share.error.invalidVersion");
+  }
+  if (version > SHARE_LINK_VERSION) {
+    throw new ShareLinkError("share.error.newerVersion", { version });
+  }
+  if (params.get("q") !== QUESTIONNAIRE.id) {
+    throw new ShareLinkError("share.error.questionnaire", {
+      linked: params.get("q") ?? "",
+      active: QUESTIONNAIRE.id,
+    });
+  }
+  // Answers are positional, so another version of the same questionnaire could map them
+  // to the wrong questions even when the question count matches.
+  const questionnaireVersion = params.get("qv");
+  if (questionnaireVersion === null) {
+    throw new ShareLinkError("share.error.missingQuestionnaireVersion");
+  }
+  if (questionnaireVersion !== String(QUESTIONNAIRE.version)) {
+    throw new ShareLinkError("share.error.questionnaireVersion", {
+      linked: questionnaireVersion,
+      active: QUESTIONNAIRE.version,
+    });
+  }
+
+  const ids = orderedQuestionIds(QUESTIONNAIRE);
+  const digits = params.get("a") || "";
+  if (digits.length !== ids.length) {
+    throw new ShareLinkError("share.error.answerCount", {
+      count: digits.length,
+      questions: ids.length,
+    });
+  }
+
+  const contextIds = new Set(QUESTIONNAIRE.operationalContext.questions.map((q) => q.id));
+  /** @type {Record<string, string>} */
+  const contextResponses = {};
+  /** @type {Record<string, string>} */
+  const responses = {};
+  const unscoredByChar = Object.fromEntries(
+    Object.entries(UNSCORED_CHARS).map(([answer, char]) => [char, answer])
+  );
+  ids.forEach((id, index) => {
+    const char = digits[index];
+    if (char === UNANSWERED) return;
+    if (unscoredByChar[char]) {
+      (contextIds.has(id) ? contextResponses : responses)[id] = unscoredByChar[char];
+      return;
+    }
+    if (!/^\d$/.test(char)) {
+      throw new ShareLinkError("share.error.unreadableAnswer", { id });
+    }
+    (contextIds.has(id) ? contextResponses : responses)[id] = char;
+  });
+
+  let parsed;
+  try {
+    parsed = parseReportPayload(
+      { version: REPORT_PAYLOAD_VERSION, contextResponses, responses },
+      QUESTIONNAIRE
+    );
+  } catch (error) {
+    // The report parser speaks English only; its detail stays on `cause` for debugging.
+    throw new ShareLinkError("share.error.invalidAnswers", {}, error);
+  }
+  return { contextResponses: parsed.contextResponses, responses: parsed.responses };
+}
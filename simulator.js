@@ -0,0 +1,148 @@
+import { computeReportModel, isScoredAnswer, DEFAULT_SCORING_PROFILE } from "./scoring.js";
+
+/**
+ * @typedef {ReturnType<typeof computeReportModel>} ReportModel
+ *
+ * @typedef {{
+ *   contextResponses: Record<string, number>,
+ *   responses: Record<string, number | string>,
+ *   QUESTIONNAIRE: Parameters<typeof computeReportModel>[0]["QUESTIONNAIRE"] & {
+ *     structuralMaturity: { behavioralQuestions: Array<{ id: string, dimension: string, prompt: string }> }
+ *   },
+ *   profile?: import("./scoring.js").ScoringProfile
+ * }} ScenarioInput
+ *
+ * @typedef {{
+ *   questionId: string,
+ *   dimension: string,
+ *   prompt: string,
+ *   from: number,
+ *   to: number,
+ *   adequacyGapDelta: number,
+ *   shortfallReduction: number,
+ *   clearedFlags: Array<{ id: string, label: string }>
+ * }} Improvement
+ */
+
+/** Highest behavioral answer, which every ranked improvement raises a question to. */
+const MAX_BEHAVIOR_SCORE = 3;
+
+/**
+ * Overlays what-if answers on the real answers without changing either.
+ * @param {Record<string, number | string>} responses
+ * @param {Record<string, number | string>} overrides
+ * @returns {Record<string, number | string>}
+ */
+export function applyScenario(responses, overrides) {
+  return { ...responses, ...overrides };
+}
+
+/**
+ * Sums how far scored dimensions fall below OPI, the part of the dimension gaps that
+ * risk rules and the gap chart treat as a problem.
+ * @param {ReportModel} reportModel
+ * @returns {number}
+ */
+export function getGapShortfall(reportModel) {
+  return Object.entries(reportModel.dimensionGaps || {}).reduce((sum, [dimension, gap]) => {
+    if (reportModel.dimensionScores[dimension]?.confidence === "none") return sum;
+    return sum + Math.max(0, -gap);
+  }, 0);
+}
+
+/**
+ * Compares a what-if report against the real one: SSI and Adequacy Gap deltas, each
+ * dimension's score and gap before and after, and the risk flags raised or cleared.
+ * @param {ReportModel} base
+ * @param {ReportModel} scenario
+ * @returns {{
+ *   SSI: { before: number, after: number, delta: number },
+ *   adequacyGap: { before: number, after: number, delta: number },
+ *   dimensions: Array<{ dimension: string, before: number | null, after: number | null, gapBefore: number, gapAfter: number }>,
+ *   risks: { raised: import("./rules.js").RiskFlag[], cleared: import("./rules.js").RiskFlag[] }
+ * }}
+ */
+export function compareScenario(base, scenario) {
+  const scoreOf = (model, dimension) => {
+    const score = model.dimensionScores[dimension];
+    return !score || score.confidence === "none" ? null : score.score100;
+  };
+  const baseIds = new Set(base.risks.flags.map((flag) => flag.id));
+  const scenarioIds = new Set(scenario.risks.flags.map((flag) => flag.id));
+
+  return {
+    SSI: { before: base.SSI, after: scenario.SSI, delta: scenario.SSI - base.SSI },
+    adequacyGap: {
+      before: base.adequacyGap,
+      after: scenario.adequacyGap,
+      delta: scenario.adequacyGap - base.adequacyGap,
+    },
+    dimensions: Object.keys(base.dimensionScores).map((dimension) => ({
+      dimension,
+      before: scoreOf(base, dimension),
+      after: scoreOf(scenario, dimension),
+      gapBefore: Number(base.dimensionGaps[dimension] || 0),
+      gapAfter: Number(scenario.dimensionGaps[dimension] || 0),
+    })),
+    risks: {
+      raised: scenario.risks.flags.filter((flag) => !baseIds.has(flag.id)),
+      cleared: base.risks.flags.filter((flag) => !scenarioIds.has(flag.id)),
+    },
+  };
+}
+
+/**
+ * Tries raising each scored answer below the top score to the top score, one question at
+ * a time, and ranks the changes that clear a risk flag or shrink a negative gap: flags
+ * cleared first, then the rise of a negative Adequacy Gap, then the reduction in how far
+ * dimensions fall below OPI. "Don't know", "N/A" and unanswered questions are skipped
+ * because they have no score to raise.
+ * @param {ScenarioInput} input
+ * @param {{ limit?: number }} [options]
+ * @returns {Improvement[]}
+ */
+export function rankImprovements(
+  { contextResponses, responses, QUESTIONNAIRE, profile = DEFAULT_SCORING_PROFILE },
+  { limit = Infinity } = {}
+) {
+  const run = (answers) => computeReportModel({ contextResponses, responses: answers, QUESTIONNAIRE, profile });
+  const base = run(responses);
+  const baseShortfall = getGapShortfall(base);
+  const baseNegativeGap = Math.min(0, base.adequacyGap);
+
+  /** @type {Array<Improvement & { order: number }>} */
+  const improvements = [];
+  QUESTIONNAIRE.structuralMaturity.behavioralQuestions.forEach((q, order) => {
+    const value = responses[q.id];
+    if (!isScoredAnswer(value) || Number(value) >= MAX_BEHAVIOR_SCORE) return;
+
+    const scenario = run(applyScenario(responses, { [q.id]: MAX_BEHAVIOR_SCORE }));
+    const { risks } = compareScenario(base, scenario);
+    const adequacyGapDelta = Math.min(0, scenario.adequacyGap) - baseNegativeGap;
+    const shortfallReduction = baseShortfall - getGapShortfall(scenario);
+    if (!risks.cleared.length && adequacyGapDelta <= 0 && shortfallReduction <= 0) return;
+
+    improvements.push({
+      questionId: q.id,
+      dimension: String(q.dimension || "").toLowerCase(),
+      prompt: q.prompt,
+      from: Number(value),
+      to: MAX_BEHAVIOR_SCORE,
+      adequacyGapDelta,
+      shortfallReduction,
+      clearedFlags: risks.cleared.map((flag) => ({ id: flag.id, label: flag.label })),
+      order,
+    });
+  });
+
+  return improvements
+    .sort(
+      (a, b) =>
+        b.clearedFlags.length - a.clearedFlags.length ||
+        b.adequacyGapDelta - a.adequacyGapDelta ||
+        b.shortfallReduction - a.shortfallReduction ||
+        a.order - b.order
+    )
+    .slice(0, limit)
+    .map(({ order, ...item }) => item);
+}
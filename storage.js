@@ -0,0 +1,49 @@
+/** Wizard answers and step, shared by the pages that preview the current assessment. */
+export const WIZARD_STATE_STORAGE_KEY = "ds_diag_wizard_state_v1";
+
+/** Interface language picked in the header switcher. */
+export const LOCALE_STORAGE_KEY = "ds_diag_locale_v1";
+
+/**
+ * Reads a localStorage value, returning null when storage is unavailable.
+ * @param {string} key
+ * @returns {string | null}
+ */
+export function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes a localStorage value, returning false when storage is unavailable or full.
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a JSON array stored under a key, falling back to an empty array.
+ * @param {string} key
+ * @returns {any[]}
+ */
+export function readStoredArray(key) {
+  try {
+    const raw = readStorage(key);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,145 @@
+/* Service worker: keeps the diagnostic usable offline and flags new versions. */
+
+/** Bump with every release; the new worker then waits for the in-app update prompt. */
+const CACHE_VERSION = "v1";
+const CACHE_NAME = `ds-diag-${CACHE_VERSION}`;
+
+/** Pages, styles, modules, locale packs and data the app needs without a network. */
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./portfolio.html",
+  "./admin.html",
+  "./styles.css",
+  "./manifest.webmanifest",
+  "./icon.svg",
+  "./benchmark.json",
+  "./app.js",
+  "./portfolioApp.js",
+  "./adminApp.js",
+  "./chartLoader.js",
+  "./pwa.js",
+  "./router.js",
+  "./actionPlan.js",
+  "./benchmark.js",
+  "./benchmarkSource.js",
+  "./compare.js",
+  "./evidence.js",
+  "./growth.js",
+  "./history.js",
+  "./i18n.js",
+  "./portfolio.js",
+  "./profileStore.js",
+  "./questionnaire.js",
+  "./questionnaireSchema.js",
+  "./questionnaireSource.js",
+  "./report.js",
+  "./reportCsv.js",
+  "./reportFormat.js",
+  "./reportImport.js",
+  "./rules.js",
+  "./scoring.js",
+  "./scoringProfiles.js",
+  "./shareLink.js",
+  "./simulator.js",
+  "./storage.js",
+  "./targets.js",
+  "./team.js",
+  "./ui.js",
+  "./locales/en.js",
+  "./locales/de.js",
+  "./locales/ja.js",
+  "./vendor/chart.umd.js",
+  // vendor/chart.umd.js.map is left out: only developer tools request it, and it would
+  // more than double the install download.
+];
+
+/** CDN host of the Chart.js fallback; its scripts are cached like the app shell. */
+const CDN_ORIGIN = "https://cdn.jsdelivr.net";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("ds-diag-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "skip-waiting") self.skipWaiting();
+});
+
+/**
+ * App shell and scripts: cache first, then the network (and cache what it returns).
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") await cache.put(request, response.clone());
+  return response;
+}
+
+/**
+ * Questionnaire and benchmark files fetched by the app: answer from the cache straight
+ * away, refresh it from the network, and tell open pages when the content changed so
+ * they can offer a reload.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  // Read before the page consumes the cached body.
+  const before = cached ? await cached.clone().text() : null;
+
+  const refresh = fetch(request).then(async (response) => {
+    if (!response.ok) return response;
+    if (before !== null) {
+      const after = await response.clone().text();
+      if (before !== after) {
+        const clients = await self.clients.matchAll({ type: "window" });
+        for (const client of clients) client.postMessage({ type: "data-updated", url: request.url });
+      }
+    }
+    await cache.put(request, response.clone());
+    return response;
+  });
+
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => undefined));
+  return cached;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // The app's only `fetch()` calls (destination "") load the questionnaire and benchmark.
+  if (request.destination === "") {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+  if (url.origin === self.location.origin || url.origin === CDN_ORIGIN) {
+    event.respondWith(cacheFirst(request));
+  }
+});
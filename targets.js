@@ -0,0 +1,216 @@
+import { isScoredAnswer, normalize0to3To100 } from "./scoring.js";
+
+/**
+ * @typedef {{ SSI?: number, dimensions: Record<string, number> }} Targets
+ *
+ * @typedef {{ current: number | null, target: number, gap: number | null, met: boolean }} TargetGap
+ *
+ * @typedef {{
+ *   questionId: string,
+ *   dimension: string,
+ *   prompt: string,
+ *   from: number,
+ *   to: number
+ * }} TargetMove
+ */
+
+/** Highest behavioral answer; every target is reachable by raising answers to it. */
+const MAX_BEHAVIOR_SCORE = 3;
+
+/** Rounding slack so a score of 66.666… meets a target of 66.67 entered by hand. */
+const TARGET_EPSILON = 0.01;
+
+/**
+ * Reads a 0-100 target value.
+ * @param {unknown} value
+ * @param {string} name
+ * @returns {number}
+ */
+function readTargetValue(value, name) {
+  const n = typeof value === "number" ? value : Number.NaN;
+  if (!Number.isFinite(n) || n < 0 || n > 100) {
+    throw new Error(`Target for ${name} must be a number from 0 to 100.`);
+  }
+  return n;
+}
+
+/**
+ * Validates targets read from a report or saved state: an optional SSI target and
+ * per-dimension targets on the 0-100 scale. Dimensions the questionnaire does not
+ * declare are ignored.
+ * @param {unknown} source
+ * @param {{ structuralMaturity: { dimensions: string[] } }} QUESTIONNAIRE
+ * @returns {Targets}
+ */
+export function readTargets(source, QUESTIONNAIRE) {
+  if (source === undefined || source === null) return { dimensions: {} };
+  if (typeof source !== "object" || Array.isArray(source)) {
+    throw new Error("Targets must be an object with SSI and/or dimensions.");
+  }
+
+  /** @type {Targets} */
+  const out = { dimensions: {} };
+  if (source.SSI !== undefined && source.SSI !== null) out.SSI = readTargetValue(source.SSI, "SSI");
+
+  const dimensions = source.dimensions ?? {};
+  if (typeof dimensions !== "object" || Array.isArray(dimensions)) {
+    throw new Error("Target dimensions must be an object keyed by dimension.");
+  }
+  for (const dimension of QUESTIONNAIRE.structuralMaturity.dimensions) {
+    const key = dimension.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(dimensions, key)) continue;
+    if (dimensions[key] === null) continue;
+    out.dimensions[key] = readTargetValue(dimensions[key], `"${key}"`);
+  }
+  return out;
+}
+
+/**
+ * Checks whether any target is set.
+ * @param {Partial<Targets> | undefined} targets
+ * @returns {boolean}
+ */
+export function hasTargets(targets) {
+  return targets?.SSI !== undefined || Object.keys(targets?.dimensions || {}).length > 0;
+}
+
+/**
+ * Returns the benchmark a dimension is charted against: its own target, or the SSI target
+ * as a common line when the dimension has none (the same way OPI is charted).
+ * @param {Partial<Targets> | undefined} targets
+ * @param {string} dimension
+ * @returns {number | null}
+ */
+export function dimensionTargetLine(targets, dimension) {
+  return targets?.dimensions?.[dimension] ?? targets?.SSI ?? null;
+}
+
+/**
+ * Builds one current/target/gap entry. `gap` is how far the score still has to rise
+ * (0 once the target is met); a missing score leaves the gap unknown.
+ * @param {number | null} current
+ * @param {number} target
+ * @returns {TargetGap}
+ */
+function toTargetGap(current, target) {
+  if (current === null) return { current, target, gap: null, met: false };
+  const met = current >= target - TARGET_EPSILON;
+  return { current, target, gap: met ? 0 : target - current, met };
+}
+
+/**
+ * Compares a report against its targets. Dimensions without scored answers have no
+ * score, so their targets are never met.
+ * @param {{ SSI: number, dimensionScores: Record<string, { score100: number, confidence?: string }> }} report
+ * @param {Partial<Targets>} targets
+ * @returns {{ SSI: TargetGap | null, dimensions: Array<{ dimension: string } & TargetGap>, met: number, total: number }}
+ */
+export function computeTargetGaps(report, targets) {
+  const SSI = targets?.SSI !== undefined ? toTargetGap(Number(report.SSI || 0), targets.SSI) : null;
+  const dimensions = Object.entries(targets?.dimensions || {}).map(([dimension, target]) => {
+    const score = report.dimensionScores?.[dimension];
+    const current = score && score.confidence !== "none" ? Number(score.score100 || 0) : null;
+    return { dimension, ...toTargetGap(current, target) };
+  });
+  const all = SSI ? [SSI, ...dimensions] : dimensions;
+  return { SSI, dimensions, met: all.filter((gap) => gap.met).length, total: all.length };
+}
+
+/**
+ * Finds the fewest one-step behavioral answer increases that reach every target,
+ * raising the weakest answers first. Dimension targets are planned first;
+ * the SSI target then prefers steps in dimensions with fewer scored answers, where one
+ * step lifts the SSI most. Only 0-3 answers move: "Don't know", "N/A" and unanswered
+ * questions do not count towards a score, and a dimension without any scored answer is
+ * listed in `unscored` instead.
+ * @param {Partial<Targets>} targets
+ * @param {{
+ *   QUESTIONNAIRE: { structuralMaturity: { behavioralQuestions: Array<{ id: string, dimension: string, prompt: string }> } },
+ *   responses: Record<string, number | string>
+ * }} input
+ * @returns {{ moves: TargetMove[], unscored: string[] }}
+ */
+export function planTargetMoves(targets, { QUESTIONNAIRE, responses }) {
+  /** @type {Map<string, Array<{ q: { id: string, prompt: string }, dimension: string, from: number, value: number }>>} */
+  const byDimension = new Map();
+  for (const q of QUESTIONNAIRE.structuralMaturity.behavioralQuestions) {
+    const dimension = String(q.dimension || "").toLowerCase();
+    if (!byDimension.has(dimension)) byDimension.set(dimension, []);
+    const answer = responses?.[q.id];
+    if (!isScoredAnswer(answer)) continue;
+    const from = Math.min(MAX_BEHAVIOR_SCORE, Math.max(0, Number(answer)));
+    byDimension.get(dimension).push({ q, dimension, from, value: from });
+  }
+
+  const scoreOf = (items) =>
+    normalize0to3To100(items.reduce((sum, item) => sum + item.value, 0) / items.length);
+  const weakest = (items) =>
+    items.reduce(
+      (low, item) => (item.value < MAX_BEHAVIOR_SCORE && (!low || item.value < low.value) ? item : low),
+      null
+    );
+
+  /** @type {string[]} */
+  const unscored = [];
+  for (const [dimension, target] of Object.entries(targets?.dimensions || {})) {
+    const items = byDimension.get(dimension) || [];
+    if (!items.length) {
+      unscored.push(dimension);
+      continue;
+    }
+    while (scoreOf(items) < target - TARGET_EPSILON) {
+      weakest(items).value += 1;
+    }
+  }
+
+  if (targets?.SSI !== undefined) {
+    const scored = [...byDimension.entries()].filter(([, items]) => items.length);
+    const ssiOf = () =>
+      scored.length ? scored.reduce((sum, [, items]) => sum + scoreOf(items), 0) / scored.length : 0;
+    while (scored.length && ssiOf() < targets.SSI - TARGET_EPSILON) {
+      const candidates = scored
+        .map(([, items]) => weakest(items))
+        .filter(Boolean)
+        .sort(
+          (a, b) =>
+            byDimension.get(a.dimension).length - byDimension.get(b.dimension).length ||
+            a.value - b.value
+        );
+      candidates[0].value += 1;
+    }
+  }
+
+  // Question order follows the questionnaire, grouped by dimension.
+  const moves = [...byDimension.entries()].flatMap(([dimension, items]) =>
+    items
+      .filter((item) => item.value > item.from)
+      .map((item) => ({
+        questionId: item.q.id,
+        dimension,
+        prompt: item.q.prompt,
+        from: item.from,
+        to: item.value,
+      }))
+  );
+  return { moves, unscored };
+}
+
+/**
+ * Tracks saved reports against the current targets, oldest first.
+ * @param {Array<{ timestamp: string, SSI?: number, dimensionScores?: Record<string, { score100: number, confidence?: string }> }>} reports
+ * @param {Partial<Targets>} targets
+ * @returns {Array<{ timestamp: string, gaps: ReturnType<typeof computeTargetGaps> }>}
+ */
+export function buildTargetProgress(reports, targets) {
+  if (!hasTargets(targets)) return [];
+  return (reports || [])
+    .filter((report) => !Number.isNaN(new Date(report.timestamp).getTime()))
+    .map((report) => ({
+      timestamp: report.timestamp,
+      gaps: computeTargetGaps(
+        { SSI: Number(report.SSI || 0), dimensionScores: report.dimensionScores || {} },
+        targets
+      ),
+    }))
+    .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+}
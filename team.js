@@ -0,0 +1,175 @@
+import { computeReportModel, isScoredAnswer, DONT_KNOW, NOT_APPLICABLE } from "./scoring.js";
+
+/** Spread (max - min) on the 0-3 scale at which a question becomes a discussion topic. */
+export const DISAGREEMENT_SPREAD = 2;
+
+/** Distance from the median at which a single answer is reported as an outlier. */
+export const OUTLIER_DISTANCE = 1.5;
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   contextResponses: Record<string, number>,
+ *   responses: Record<string, number | string>
+ * }} Respondent
+ *
+ * @typedef {{
+ *   id: string,
+ *   section: "context" | "maturity",
+ *   dimension: string,
+ *   prompt: string,
+ *   count: number,
+ *   mean: number,
+ *   median: number,
+ *   min: number,
+ *   max: number,
+ *   spread: number,
+ *   stdDev: number,
+ *   answers: Array<{ name: string, value: number }>,
+ *   unscored: Array<{ name: string, value: string }>,
+ *   outliers: Array<{ name: string, value: number }>,
+ *   disagreement: boolean
+ * }} QuestionStats
+ */
+
+/**
+ * Returns the median of a non-empty list of numbers.
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Summarizes every respondent's answer to one question. Statistics use the scored answers
+ * only; "Don't know" and "N/A" answers are listed under `unscored`.
+ * @param {{ id: string, prompt: string, dimension?: string }} question
+ * @param {"context" | "maturity"} section
+ * @param {Respondent[]} respondents
+ * @param {number} disagreementSpread
+ * @returns {QuestionStats | null}
+ */
+function summarizeQuestion(question, section, respondents, disagreementSpread) {
+  const source = section === "context" ? "contextResponses" : "responses";
+  const given = respondents.filter((r) =>
+    Object.prototype.hasOwnProperty.call(r[source] || {}, question.id)
+  );
+  const answers = given
+    .filter((r) => isScoredAnswer(r[source][question.id]))
+    .map((r) => ({ name: r.name, value: Number(r[source][question.id]) }));
+  const unscored = given
+    .filter((r) => !isScoredAnswer(r[source][question.id]))
+    .map((r) => ({ name: r.name, value: String(r[source][question.id]) }));
+  if (!answers.length) return null;
+
+  const values = answers.map((a) => a.value);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const mid = median(values);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+
+  return {
+    id: question.id,
+    section,
+    dimension: String(question.dimension || "").toLowerCase(),
+    prompt: question.prompt,
+    count: answers.length,
+    mean,
+    median: mid,
+    min,
+    max,
+    spread: max - min,
+    stdDev: Math.sqrt(variance),
+    answers,
+    unscored,
+    outliers:
+      answers.length >= 3 ? answers.filter((a) => Math.abs(a.value - mid) >= OUTLIER_DISTANCE) : [],
+    disagreement: max - min >= disagreementSpread,
+  };
+}
+
+/**
+ * Picks the team answer for a behavioral question nobody scored: "N/A" when every
+ * respondent marked it not applicable, otherwise "Don't know".
+ * @param {{ id: string }} question
+ * @param {Respondent[]} respondents
+ * @returns {string | undefined}
+ */
+function unscoredTeamAnswer(question, respondents) {
+  const values = respondents
+    .filter((r) => Object.prototype.hasOwnProperty.call(r.responses || {}, question.id))
+    .map((r) => r.responses[question.id]);
+  if (!values.length) return undefined;
+  return values.every((value) => value === NOT_APPLICABLE) ? NOT_APPLICABLE : DONT_KNOW;
+}
+
+/**
+ * Merges several respondents into mean team answers with per-question consensus stats.
+ * @param {Respondent[]} respondents
+ * @param {{
+ *   operationalContext: { questions: Array<{id: string, prompt: string}> },
+ *   structuralMaturity: { behavioralQuestions: Array<{id: string, prompt: string, dimension: string}> }
+ * }} QUESTIONNAIRE
+ * @returns {{
+ *   contextResponses: Record<string, number>,
+ *   responses: Record<string, number | string>,
+ *   questionStats: QuestionStats[],
+ *   discussionTopics: QuestionStats[]
+ * }}
+ */
+export function mergeRespondents(respondents, QUESTIONNAIRE) {
+  /** @type {Record<string, number>} */
+  const contextResponses = {};
+  /** @type {Record<string, number | string>} */
+  const responses = {};
+  /** @type {QuestionStats[]} */
+  const questionStats = [];
+
+  for (const q of QUESTIONNAIRE.operationalContext.questions) {
+    // Context options step 1-4 like maturity steps 0-3, so the same spread threshold applies.
+    const stats = summarizeQuestion(q, "context", respondents, DISAGREEMENT_SPREAD);
+    if (!stats) continue;
+    contextResponses[q.id] = stats.mean;
+    questionStats.push(stats);
+  }
+
+  for (const q of QUESTIONNAIRE.structuralMaturity.behavioralQuestions) {
+    const stats = summarizeQuestion(q, "maturity", respondents, DISAGREEMENT_SPREAD);
+    if (!stats) {
+      const unscored = unscoredTeamAnswer(q, respondents);
+      if (unscored) responses[q.id] = unscored;
+      continue;
+    }
+    responses[q.id] = stats.mean;
+    questionStats.push(stats);
+  }
+
+  const discussionTopics = questionStats
+    .filter((stats) => stats.disagreement)
+    .sort((a, b) => b.spread - a.spread || b.stdDev - a.stdDev);
+
+  return { contextResponses, responses, questionStats, discussionTopics };
+}
+
+/**
+ * Computes a team-level report model from merged respondent answers.
+ * @param {Respondent[]} respondents
+ * @param {Parameters<typeof mergeRespondents>[1] & Parameters<typeof computeReportModel>[0]["QUESTIONNAIRE"]} QUESTIONNAIRE
+ * @param {import("./scoring.js").ScoringProfile} [profile]
+ * @returns {ReturnType<typeof mergeRespondents> & { reportModel: ReturnType<typeof computeReportModel> }}
+ */
+export function computeTeamReport(respondents, QUESTIONNAIRE, profile) {
+  const merged = mergeRespondents(respondents, QUESTIONNAIRE);
+  const reportModel = computeReportModel({
+    responses: merged.responses,
+    contextResponses: merged.contextResponses,
+    QUESTIONNAIRE,
+    profile,
+  });
+  return { ...merged, reportModel };
+}
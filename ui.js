@@ -0,0 +1,81 @@
+import { translate, resolveLocale } from "./i18n.js";
+
+/**
+ * Escapes a value for use inside HTML text or a double-quoted attribute.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function escapeAttr(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Renders a focusable info tooltip.
+ * @param {string} text
+ * @returns {string}
+ */
+export function infoTip(text) {
+  const safeText = escapeAttr(text);
+  return `<span class="info-tip" tabindex="0" role="img" aria-label="${safeText}" data-tooltip="${safeText}" title="${safeText}">i</span>`;
+}
+
+/**
+ * Formats an ISO timestamp as a date and time in the given locale, or the browser locale
+ * when none is given.
+ * @param {string} isoString
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function formatLocalTimestamp(isoString, locale) {
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) return translate(locale, "time.unknown");
+  return date.toLocaleString(locale ? resolveLocale(locale) : undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+/**
+ * Triggers a browser download for text content.
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} type
+ */
+export function downloadTextFile(content, fileName, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea where the async
+ * Clipboard API is unavailable.
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export async function copyTextToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const textarea = document.createElement("textarea");
+  textarea.value = text;
+  textarea.setAttribute("readonly", "true");
+  textarea.style.position = "absolute";
+  textarea.style.left = "-9999px";
+  document.body.appendChild(textarea);
+  textarea.select();
+  document.execCommand("copy");
+  document.body.removeChild(textarea);
+}